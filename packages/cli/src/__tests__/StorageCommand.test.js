@@ -215,7 +215,7 @@ describe('StorageCommand', () => {
         subType: 'localStorage',
         sessionId: 'test-session',
         data: {
-          added: [{ key: 'test', value: 'value' }],
+          added: [{ key: 'test' }],
           modified: [],
           deleted: [],
           current: [{ key: 'test', value: 'value' }],
@@ -228,6 +228,7 @@ describe('StorageCommand', () => {
         globalState: {
           localStorage: new Map(),
         },
+        changes: [],
       };
       const mockConfig = {};
 
@@ -246,6 +247,16 @@ describe('StorageCommand', () => {
         message.data,
         'test-session'
       );
+      expect(mockStorageState.changes).toEqual([
+        {
+          timestamp: expect.any(String),
+          sessionId: 'test-session',
+          subType: 'localStorage',
+          added: [{ key: 'test', value: 'value' }],
+          modified: [],
+          deleted: [],
+        },
+      ]);
     });
   });
 
@@ -11,9 +11,21 @@ const chalk = require('chalk');
 const boxen = require('boxen');
 const pkg = require('../package.json');
 
+// Collect a repeatable option into an array
+const collect = (value, previous) => previous.concat([value]);
+
 // Import commands
 const StartCommand = require('./commands/StartCommand');
 const { StorageCommand } = require('./commands/StorageCommand');
+const TailCommand = require('./commands/TailCommand');
+const LogsCommand = require('./commands/LogsCommand');
+const ListCommand = require('./commands/ListCommand');
+const StatusCommand = require('./commands/StatusCommand');
+const StopCommand = require('./commands/StopCommand');
+const McpCommand = require('./commands/McpCommand');
+const SummaryCommand = require('./commands/SummaryCommand');
+const ExportCommand = require('./commands/ExportCommand');
+const ReplayCommand = require('./commands/ReplayCommand');
 
 // Check for updates (temporarily disabled due to compatibility issues)
 // try {
@@ -84,8 +96,184 @@ program
   .option('--max-logs <number>', 'Maximum number of logs to store', '1000')
   .option('--enable-compression', 'Enable gzip compression', true)
   .option('--enable-cors', 'Enable CORS', true)
+  .option('--persist', 'Persist logs to disk so history survives restarts')
+  .option(
+    '--store-dir <path>',
+    'Directory for persisted logs (default: ~/.console-log-pipe/<port>)'
+  )
+  .option('--segment-size <mb>', 'Rotate log segments after this size', '5')
+  .option('--segment-age <minutes>', 'Rotate log segments after this age', '60')
+  .option('--retention <days>', 'Delete persisted logs older than this', '7')
+  .option(
+    '--token [token]',
+    'Require a bearer token from clients (generated when no value is given)'
+  )
+  .option(
+    '--allowed-origins <origins>',
+    'Comma-separated browser origins allowed to connect (supports *)'
+  )
+  .option(
+    '--rate-limit <perSecond>',
+    'Entries per second accepted from each client (0 disables)',
+    '200'
+  )
+  .option(
+    '--rate-burst <number>',
+    'Entries accepted at once before the rate limit applies',
+    '1000'
+  )
+  .option('--no-redact', 'Store entries without redacting secrets and PII')
+  .option(
+    '--redact-config <file>',
+    'JSON file with redaction rules, keys, patterns and paths'
+  )
+  .option(
+    '--redact-pattern <regex>',
+    'Extra pattern to redact (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--redact-path <path>',
+    'JSON path to redact, e.g. request.body.password (repeatable)',
+    collect,
+    []
+  )
+  .option(
+    '--source-map-dir <path>',
+    'Build directory with source maps for resolving stack traces'
+  )
+  .option(
+    '--source-map-origins <origins>',
+    'Comma-separated dev server origins to fetch source maps from (supports *)'
+  )
+  .option('--no-source-maps', 'Do not resolve stack traces against source maps')
   .action(StartCommand.execute);
 
+// Tail command - attach to an already running server
+program
+  .command('tail')
+  .alias('t')
+  .description('Stream logs from an already running Console Log Pipe server')
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('-h, --host <host>', 'Server host', 'localhost')
+  .option('-n, --lines <number>', 'Number of history entries to show', '50')
+  .option('--since <time>', 'Only show entries since time (e.g. 5m, 2h, ISO)')
+  .option('--level <level>', 'Only show entries with this level')
+  .option('--pattern <regex>', 'Only show entries matching this pattern')
+  .option('--session <sessionId>', 'Only show entries from this session')
+  .option('--token <token>', 'Bearer token of a server started with --token')
+  .option('--format <format>', 'Output format (text, json)', 'text')
+  .option('--no-follow', 'Print history and exit')
+  .action(TailCommand.execute);
+
+// Logs command - one-off filtered snapshot from a running server
+program
+  .command('logs')
+  .alias('l')
+  .description('Query logs from a running Console Log Pipe server')
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('-h, --host <host>', 'Server host', 'localhost')
+  .option('--since <time>', 'Only entries since time (e.g. 5m, 2h, ISO)')
+  .option('--level <level>', 'Only entries with this level')
+  .option('--pattern <regex>', 'Only entries matching this pattern')
+  .option('--session <sessionId>', 'Only entries from this session')
+  .option('--token <token>', 'Bearer token of a server started with --token')
+  .option('--tail <number>', 'Only the last N matching entries')
+  .option(
+    '--format <format>',
+    'Output format (json, ndjson, table, text)',
+    'text'
+  )
+  .action(LogsCommand.execute);
+
+// Summary command - incident digest of the last few minutes
+program
+  .command('summary')
+  .description(
+    'Summarize recent errors, failed requests and their context as Markdown'
+  )
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('-h, --host <host>', 'Server host', 'localhost')
+  .option('--window <duration>', 'Time window to summarize (e.g. 2m, 1h)', '2m')
+  .option('--session <sessionId>', 'Only entries from this session')
+  .option('--budget <tokens>', 'Approximate token budget (default: 4000)')
+  .option(
+    '--storage-port <port>',
+    'Include storage changes from the storage monitor on this port'
+  )
+  .option('--token <token>', 'Bearer token of a server started with --token')
+  .option('--format <format>', 'Output format (markdown, json)', 'markdown')
+  .action(SummaryCommand.execute);
+
+// MCP command - expose a running server to AI assistants over stdio
+program
+  .command('mcp')
+  .description(
+    'Run a Model Context Protocol server (stdio) for AI coding assistants'
+  )
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('-h, --host <host>', 'Server host', 'localhost')
+  .option('--token <token>', 'Bearer token of a server started with --token')
+  .option('--storage-port <port>', 'Storage monitor port', '3002')
+  .action(McpCommand.execute);
+
+// Archive commands - record a server's entries and play them back
+program
+  .command('export')
+  .description('Save the entries of a running server to an archive file')
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('-h, --host <host>', 'Server host', 'localhost')
+  .option(
+    '-o, --out <file>',
+    'Output file (gzipped when it ends in .gz; default: clp-<port>-<time>.clp.json.gz, or .har)'
+  )
+  .option(
+    '--format <format>',
+    'archive (replayable, default) or har (network requests as HAR 1.2)'
+  )
+  .option('--since <time>', 'Only entries since time (e.g. 5m, 2h, ISO)')
+  .option('--session <sessionId>', 'Only entries from this session')
+  .option(
+    '--storage-port <port>',
+    'Include the storage snapshot from the storage monitor on this port'
+  )
+  .option('--token <token>', 'Bearer token of a server started with --token')
+  .action(ExportCommand.execute);
+
+program
+  .command('replay <file>')
+  .description('Start a server that plays back an archive file')
+  .option('-p, --port <port>', 'Port for the replay server (required)')
+  .option('-h, --host <host>', 'Host for the replay server', 'localhost')
+  .option('--speed <speed>', 'Playback speed (e.g. 2x, 0.5x, max)', '1x')
+  .action(ReplayCommand.execute);
+
+// Process management commands (backed by ~/.console-log-pipe/servers)
+program
+  .command('list')
+  .alias('ls')
+  .description('List running Console Log Pipe servers')
+  .option('--json', 'Output as JSON')
+  .option('--prune', 'Remove entries for servers that are no longer running')
+  .action(ListCommand.execute);
+
+program
+  .command('status')
+  .description('Show status of the server on a port')
+  .option('-p, --port <port>', 'Server port (required, 1024-65535)')
+  .option('--json', 'Output as JSON')
+  .action(StatusCommand.execute);
+
+program
+  .command('stop')
+  .description('Stop a running Console Log Pipe server')
+  .option('-p, --port <port>', 'Server port')
+  .option('-a, --all', 'Stop all registered servers')
+  .option('--timeout <ms>', 'How long to wait for shutdown', '5000')
+  .option('--force', 'Kill the process if it does not stop in time')
+  .action(StopCommand.execute);
+
 // Storage monitoring command
 program
   .command('storage')
@@ -121,6 +309,24 @@ Examples:
     'clp storage --port 3002'
   )}      Start storage monitor on port 3002
   ${chalk.cyan('clp start -p 8080')}            Start server on port 8080
+  ${chalk.cyan(
+    'clp tail --port 3001'
+  )}         Stream logs from a running server
+  ${chalk.cyan(
+    'clp logs -p 3001 --since 5m'
+  )}  Print logs from the last 5 minutes
+  ${chalk.cyan('clp list')}                     List running servers
+  ${chalk.cyan('clp stop --port 3001')}         Stop the server on port 3001
+  ${chalk.cyan(
+    'clp summary -p 3001'
+  )}          Summarize the last 2 minutes for an AI chat
+  ${chalk.cyan(
+    'clp mcp --port 3001'
+  )}          Serve logs to AI assistants over MCP
+  ${chalk.cyan('clp export -p 3001')}           Save captured entries to a file
+  ${chalk.cyan(
+    'clp replay bug.gz -p 4000'
+  )}    Play a saved file back on port 4000
   ${chalk.cyan(
     'clp storage --no-cookies'
   )}     Start storage monitor without cookie tracking
@@ -0,0 +1,216 @@
+/**
+ * ExportCommand - Save what a running server captured to an archive file
+ *
+ * Pulls entries and browser sessions over the REST API, plus the storage
+ * snapshot and recent changes when a `clp storage` monitor is given, into a
+ * portable archive that `clp replay` plays back on any machine. With
+ * `--format har` only the network requests are saved, as a HAR 1.2 file
+ * (GET /api/network.har) for devtools and other HAR viewers.
+ */
+
+const chalk = require('chalk');
+const HttpClient = require('../utils/HttpClient');
+const PortManager = require('../utils/PortManager');
+const SessionArchive = require('../utils/SessionArchive');
+const TimeUtils = require('../utils/TimeUtils');
+
+class ExportCommand {
+  static formats = ['archive', 'har'];
+  static extensions = { archive: '.clp.json.gz', har: '.har' };
+
+  static async execute(options, command) {
+    try {
+      const settings = ExportCommand._prepareSettings(options);
+      const request = (path, query) =>
+        HttpClient.get({
+          host: settings.host,
+          port: settings.port,
+          token: settings.token,
+          path,
+          query,
+        });
+
+      if (settings.format === 'har') {
+        await ExportCommand._exportHar(settings, request);
+        return;
+      }
+
+      const [logs, sessions] = await Promise.all([
+        request('/api/logs', {
+          since: settings.since,
+          sessionId: settings.sessionId,
+        }),
+        request('/api/sessions'),
+      ]);
+      const storage = settings.storagePort
+        ? await ExportCommand._fetchStorage(settings)
+        : null;
+
+      const entries = logs.logs || [];
+      const archive = SessionArchive.create({
+        entries,
+        sessions: (sessions.sessions || []).filter(
+          session =>
+            !settings.sessionId || session.sessionId === settings.sessionId
+        ),
+        storage,
+        source: {
+          host: settings.host,
+          port: settings.port,
+          sessionId: logs.sessionId,
+        },
+      });
+      const file = await SessionArchive.write(settings.out, archive);
+
+      const count = type => entries.filter(entry => entry.type === type).length;
+      console.log(
+        chalk.green(
+          `✓ Exported ${entries.length} entries (${count(
+            'error'
+          )} errors, ${count('network')} network requests) from ${
+            archive.sessions.length
+          } session(s)${storage ? ' with storage' : ''}`
+        )
+      );
+      console.log(chalk.cyan('Archive:'), chalk.white(file));
+      console.log(
+        chalk.gray(`Replay it with: clp replay ${settings.out} --port <port>`)
+      );
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options
+   */
+  static _prepareSettings(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp export --port 3001 --out session.clp.json.gz'
+      );
+    }
+
+    const storagePort = options.storagePort
+      ? parseInt(options.storagePort, 10)
+      : null;
+    if (storagePort !== null && !PortManager.isValidPort(storagePort)) {
+      throw new Error(`Invalid --storage-port: ${options.storagePort}`);
+    }
+
+    const format = options.format || 'archive';
+    if (!ExportCommand.formats.includes(format)) {
+      throw new Error(
+        `Unsupported format: ${format} (use ${ExportCommand.formats.join(
+          ', '
+        )})`
+      );
+    }
+    if (format === 'har' && storagePort) {
+      throw new Error('--storage-port only applies to archives, not HAR files');
+    }
+
+    const since = options.since
+      ? TimeUtils.parseTimeString(options.since)
+      : null;
+
+    return {
+      host: options.host || 'localhost',
+      port,
+      token: options.token,
+      format,
+      out:
+        options.out ||
+        ExportCommand.defaultFileName(
+          port,
+          new Date(),
+          ExportCommand.extensions[format]
+        ),
+      since: since ? since.toISOString() : undefined,
+      sessionId: options.session,
+      storagePort,
+    };
+  }
+
+  /**
+   * File name for a port, e.g. clp-3001-20240501-120200.clp.json.gz
+   */
+  static defaultFileName(
+    port,
+    date = new Date(),
+    extension = ExportCommand.extensions.archive
+  ) {
+    const stamp = date
+      .toISOString()
+      .replace(/\.\d+Z$/, '')
+      .replace(/[-:]/g, '')
+      .replace('T', '-');
+    return `clp-${port}-${stamp}${extension}`;
+  }
+
+  /**
+   * Save the network requests as a HAR file
+   */
+  static async _exportHar(settings, request) {
+    const har = await request('/api/network.har', {
+      since: settings.since,
+      sessionId: settings.sessionId,
+    });
+    const file = await SessionArchive.write(settings.out, har);
+    const count = har.log.entries.length;
+
+    console.log(
+      chalk.green(
+        `✓ Exported ${count} network request${count === 1 ? '' : 's'} as HAR ${
+          har.log.version
+        }`
+      )
+    );
+    console.log(chalk.cyan('HAR file:'), chalk.white(file));
+    console.log(
+      chalk.gray(
+        'Open it in the Network panel of your browser devtools or any HAR viewer'
+      )
+    );
+  }
+
+  /**
+   * Storage snapshot and changes from the storage monitor; the export goes
+   * ahead without them when the monitor is not running
+   */
+  static async _fetchStorage(settings) {
+    const request = (path, query) =>
+      HttpClient.get({
+        host: settings.host,
+        port: settings.storagePort,
+        path,
+        query,
+      });
+
+    try {
+      const [state, changes] = await Promise.all([
+        request('/api/storage/state'),
+        request('/api/storage/changes', { since: settings.since }),
+      ]);
+      return {
+        capturedAt: new Date().toISOString(),
+        state: state.globalState || {},
+        changes: changes.changes || [],
+      };
+    } catch (error) {
+      console.warn(
+        chalk.yellow(`Warning: storage not exported: ${error.message}`)
+      );
+      return null;
+    }
+  }
+}
+
+module.exports = ExportCommand;
@@ -0,0 +1,71 @@
+/**
+ * ListCommand - List Console Log Pipe servers known to the process registry
+ */
+
+const chalk = require('chalk');
+const ServerManager = require('../server/ServerManager');
+const ServerRegistry = require('../utils/ServerRegistry');
+const TableFormatter = require('../utils/TableFormatter');
+const TimeUtils = require('../utils/TimeUtils');
+
+class ListCommand {
+  static async execute(options, command) {
+    try {
+      let servers = await ServerManager.getRegisteredServers();
+
+      // Drop entries whose process is gone
+      if (options.prune) {
+        const stale = servers.filter(server => server.status === 'stale');
+        for (const server of stale) {
+          await ServerRegistry.unregister(server.port, server.pid);
+        }
+        servers = servers.filter(server => server.status !== 'stale');
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(servers, null, 2));
+        return;
+      }
+
+      if (servers.length === 0) {
+        console.log(chalk.gray('No Console Log Pipe servers are running'));
+        console.log(chalk.gray('Start one with: clp start --port 3001'));
+        return;
+      }
+
+      TableFormatter.display(
+        ['Port', 'PID', 'Type', 'Session ID', 'Started', 'Status'],
+        servers.map(server => [
+          server.port,
+          server.pid,
+          server.type,
+          server.sessionId || '',
+          TimeUtils.timeAgo(server.startTime),
+          server.status,
+        ]),
+        { color: false }
+      );
+
+      const staleCount = servers.filter(s => s.status === 'stale').length;
+      if (staleCount > 0) {
+        console.log(
+          chalk.yellow(
+            `${staleCount} stale entr${
+              staleCount === 1 ? 'y' : 'ies'
+            } (process exited). Run "clp list --prune" to remove.`
+          )
+        );
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = ListCommand;
@@ -0,0 +1,151 @@
+/**
+ * LogsCommand - Query a running Console Log Pipe server for a log snapshot
+ *
+ * Wraps GET /api/logs and prints the result with the CLI formatters so
+ * scripts and AI tools can pull a filtered snapshot without a WebSocket.
+ */
+
+const chalk = require('chalk');
+const HttpClient = require('../utils/HttpClient');
+const LogFormatter = require('../utils/LogFormatter');
+const PortManager = require('../utils/PortManager');
+const TableFormatter = require('../utils/TableFormatter');
+const TimeUtils = require('../utils/TimeUtils');
+
+class LogsCommand {
+  static formats = ['json', 'ndjson', 'table', 'text'];
+
+  static async execute(options, command) {
+    try {
+      const query = LogsCommand._buildQuery(options);
+      const format = options.format || 'text';
+      if (!LogsCommand.formats.includes(format)) {
+        throw new Error(
+          `Unsupported format: ${format} (use ${LogsCommand.formats.join(
+            ', '
+          )})`
+        );
+      }
+
+      const response = await HttpClient.get({
+        host: options.host || 'localhost',
+        port: query.port,
+        path: '/api/logs',
+        query: query.params,
+        token: options.token,
+      });
+
+      LogsCommand._output(response.logs || [], format);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options and translate them into /api/logs query parameters
+   */
+  static _buildQuery(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp logs --port 3001'
+      );
+    }
+
+    const since = options.since
+      ? TimeUtils.parseTimeString(options.since)
+      : null;
+    if (options.pattern) {
+      try {
+        new RegExp(options.pattern);
+      } catch (error) {
+        throw new Error(`Invalid --pattern: ${error.message}`);
+      }
+    }
+
+    const tail = options.tail ? parseInt(options.tail, 10) : null;
+    if (tail !== null && (isNaN(tail) || tail < 1)) {
+      throw new Error(`Invalid --tail value: ${options.tail}`);
+    }
+
+    return {
+      port,
+      params: {
+        since: since ? since.toISOString() : undefined,
+        level: options.level,
+        pattern: options.pattern,
+        sessionId: options.session,
+        tail: tail || undefined,
+      },
+    };
+  }
+
+  /**
+   * Print entries in the requested format
+   */
+  static _output(entries, format) {
+    switch (format) {
+      case 'json':
+        console.log(JSON.stringify(entries, null, 2));
+        break;
+      case 'ndjson':
+        entries.forEach(entry => console.log(JSON.stringify(entry)));
+        break;
+      case 'table':
+        TableFormatter.display(
+          ['Time', 'Level', 'Type', 'Message'],
+          entries.map(entry => LogsCommand._toTableRow(entry)),
+          { color: false }
+        );
+        break;
+      case 'text':
+      default:
+        if (entries.length === 0) {
+          console.log(chalk.gray('No logs matched the query'));
+        }
+        entries.forEach(entry => console.log(LogsCommand._toText(entry)));
+        break;
+    }
+  }
+
+  /**
+   * Format an entry as text with the formatter matching its type
+   */
+  static _toText(entry) {
+    switch (entry.type) {
+      case 'error':
+        return LogFormatter.formatError(entry);
+      case 'network':
+        return LogFormatter.formatNetwork(entry);
+      default:
+        return LogFormatter.formatLog(entry);
+    }
+  }
+
+  /**
+   * Build a table row (time, level, type, message) for an entry
+   */
+  static _toTableRow(entry) {
+    const type = entry.type || 'log';
+    const [time, level, , message] = LogFormatter.formatLog(entry, {
+      format: 'table',
+      color: false,
+    });
+
+    let summary = message;
+    if (type === 'network') {
+      const { method, url, status } = LogFormatter.getNetworkSummary(entry);
+      summary = `${method} ${url} ${status || ''}`.trim();
+    }
+
+    return [time, level, type, summary];
+  }
+}
+
+module.exports = LogsCommand;
@@ -0,0 +1,72 @@
+/**
+ * McpCommand - Serve a running Console Log Pipe server to AI assistants
+ *
+ * Starts a Model Context Protocol server on stdio whose tools query the
+ * server's REST API, so an assistant can read logs, errors and network
+ * failures itself instead of being pasted terminal output. Register it with
+ * an MCP client as the command `clp mcp --port 3001`.
+ */
+
+const chalk = require('chalk');
+const McpServer = require('../server/McpServer');
+const McpTools = require('../server/McpTools');
+const PortManager = require('../utils/PortManager');
+const pkg = require('../../package.json');
+
+class McpCommand {
+  static async execute(options, command) {
+    try {
+      const settings = McpCommand._prepareSettings(options);
+      const server = new McpServer({
+        name: 'console-log-pipe',
+        version: pkg.version,
+        instructions: `Browser console logs, errors and network requests captured by Console Log Pipe on ${settings.host}:${settings.port}. Start with get_errors and get_network_failures when debugging; use clear_logs before reproducing a bug.`,
+        tools: McpTools.create(settings),
+      });
+
+      // stdout carries the protocol; everything else goes to stderr
+      console.error(
+        chalk.gray(
+          `Console Log Pipe MCP server for ${settings.host}:${settings.port} on stdio`
+        )
+      );
+      await server.start();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options
+   */
+  static _prepareSettings(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp mcp --port 3001'
+      );
+    }
+
+    const storagePort = options.storagePort
+      ? parseInt(options.storagePort, 10)
+      : McpTools.defaultStoragePort;
+    if (!PortManager.isValidPort(storagePort)) {
+      throw new Error(`Invalid --storage-port: ${options.storagePort}`);
+    }
+
+    return {
+      host: options.host || 'localhost',
+      port,
+      token: options.token,
+      storagePort,
+    };
+  }
+}
+
+module.exports = McpCommand;
@@ -0,0 +1,165 @@
+/**
+ * ReplayCommand - Play an archive back through a local server
+ *
+ * Starts a server and re-emits the recorded entries through the normal
+ * store-and-broadcast path with their original pacing (scaled by --speed),
+ * so the dashboard, `clp tail`, `clp logs` and the API filters work on
+ * recorded data as if the page were running.
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const ServerManager = require('../server/ServerManager');
+const PortManager = require('../utils/PortManager');
+const SessionArchive = require('../utils/SessionArchive');
+const StartCommand = require('./StartCommand');
+
+class ReplayCommand {
+  static monitorTimeout = 2000; // ms to wait for the terminal monitor
+
+  static async execute(file, options, command) {
+    try {
+      const settings = ReplayCommand._prepareSettings(options);
+      const archive = await SessionArchive.read(file);
+
+      const isAvailable = await PortManager.isPortAvailable(settings.port);
+      if (!isAvailable) {
+        throw new Error(`Port ${settings.port} is already in use`);
+      }
+
+      const serverConfig = {
+        host: settings.host,
+        port: settings.port,
+        sessionId: `clp_replay_${Date.now()}`,
+        environment: 'replay',
+        maxLogs: Math.max(1000, archive.entries.length),
+        enableCompression: true,
+        enableCors: true,
+        persist: false,
+        token: null,
+        allowedOrigins: null,
+        rateLimit: 0,
+        // Entries were redacted and source-mapped when they were captured
+        redact: false,
+        sourceMaps: false,
+        replay: { file: path.resolve(file), exportedAt: archive.exportedAt },
+        startTime: new Date().toISOString(),
+      };
+      const serverInstance = await ServerManager.startServer(serverConfig);
+      archive.sessions.forEach(session =>
+        serverInstance.sessions.connect(null, session)
+      );
+
+      console.log();
+      console.log(chalk.green.bold('⏯  Console Log Pipe Replay'));
+      console.log();
+      console.log(chalk.cyan('Archive:'), chalk.white(path.resolve(file)));
+      console.log(
+        chalk.cyan('Recorded:'),
+        chalk.white(
+          `${archive.entries.length} entries, ${
+            archive.startTime || 'unknown'
+          } → ${archive.endTime || 'unknown'}`
+        )
+      );
+      console.log(
+        chalk.cyan('Server URL:'),
+        chalk.white(`http://${settings.host}:${settings.port}`)
+      );
+      console.log(
+        chalk.cyan('Speed:'),
+        chalk.white(settings.speed === Infinity ? 'max' : `${settings.speed}x`)
+      );
+      console.log(chalk.gray('─'.repeat(60)));
+      console.log();
+
+      StartCommand._startLogMonitoring(settings.port, serverConfig);
+      await ReplayCommand._waitForMonitor(serverInstance);
+      await ReplayCommand.play(serverInstance, archive.entries, settings.speed);
+
+      console.log();
+      console.log(
+        chalk.green(`✓ Replay finished: ${archive.entries.length} entries`)
+      );
+      console.log(
+        chalk.gray(
+          'The server keeps serving the recorded entries. Press Ctrl+C to stop'
+        )
+      );
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options
+   */
+  static _prepareSettings(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp replay session.clp.json.gz --port 4000'
+      );
+    }
+
+    const speed = SessionArchive.parseSpeed(options.speed);
+    if (speed === null) {
+      throw new Error(
+        `Invalid --speed: ${options.speed} (use e.g. 2x, 0.5x or max)`
+      );
+    }
+
+    return { host: options.host || 'localhost', port, speed };
+  }
+
+  /**
+   * Store and broadcast recorded entries in order, pausing between them
+   * @param {Object} serverInstance - Server from ServerManager.startServer
+   * @param {Object[]} entries - Recorded entries
+   * @param {number} speed - Speed factor (Infinity for no pauses)
+   * @returns {Promise<void>} Resolves once every entry was emitted
+   */
+  static play(serverInstance, entries, speed = 1) {
+    const delays = SessionArchive.delays(entries, speed);
+    return entries.reduce(
+      (previous, entry, index) =>
+        previous
+          .then(() => ReplayCommand._wait(delays[index]))
+          .then(() => {
+            serverInstance.storeEntry(
+              entry.type || 'log',
+              SessionArchive.toReplayEntry(entry)
+            );
+          }),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Give the terminal monitor a moment to connect so the first entries are
+   * printed too
+   */
+  static async _waitForMonitor(serverInstance) {
+    const deadline = Date.now() + ReplayCommand.monitorTimeout;
+    const hasMonitor = () =>
+      Array.from(serverInstance.clients.values()).some(
+        client => client.role === 'monitor'
+      );
+
+    while (!hasMonitor() && Date.now() < deadline) {
+      await ReplayCommand._wait(50);
+    }
+  }
+
+  static _wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ReplayCommand;
@@ -2,13 +2,19 @@
  * StartCommand - Start Console Log Pipe server for an application
  */
 
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
+const Auth = require('../server/Auth');
 const ServerManager = require('../server/ServerManager');
+const SessionTracker = require('../server/SessionTracker');
 const ConfigManager = require('../utils/ConfigManager');
+const LogFormatter = require('../utils/LogFormatter');
 const PortManager = require('../utils/PortManager');
+const ServerRegistry = require('../utils/ServerRegistry');
 const { openBrowser, detectGitInfo } = require('../utils/SystemUtils');
 
 // Ensure UTF-8 encoding for proper emoji display
@@ -17,6 +23,8 @@ if (!process.env.LANG || !process.env.LANG.includes('UTF-8')) {
 }
 
 class StartCommand {
+  static repeatInterval = 1000; // ms between "×N" lines for one error group
+
   static async execute(options, command) {
     const spinner = ora('Starting Console Log Pipe server...').start();
 
@@ -48,7 +56,10 @@ class StartCommand {
 
         if (!options.noBrowser) {
           await openBrowser(
-            `http://${existingServer.host}:${existingServer.port}`
+            Auth.dashboardUrl(
+              `http://${existingServer.host}:${existingServer.port}`,
+              existingServer.token
+            )
           );
         }
         return;
@@ -84,6 +95,12 @@ class StartCommand {
       const sessionId =
         options.sessionId || `clp_${Date.now()}_${uuidv4().slice(0, 8)}`;
 
+      // `--token` without a value generates a token
+      const token =
+        options.token === true ? Auth.generateToken() : options.token || null;
+
+      const rateLimit = parseInt(options.rateLimit, 10);
+
       // Detect git information if not provided
       const gitInfo = await detectGitInfo();
       const developer =
@@ -102,13 +119,30 @@ class StartCommand {
         maxLogs: parseInt(options.maxLogs, 10) || 1000,
         enableCompression: options.enableCompression !== false,
         enableCors: options.enableCors !== false,
+        persist: Boolean(options.persist),
+        storeDir: options.storeDir,
+        maxSegmentSize: (parseFloat(options.segmentSize) || 5) * 1024 * 1024,
+        maxSegmentAge: (parseFloat(options.segmentAge) || 60) * 60 * 1000,
+        retention: (parseFloat(options.retention) || 7) * 24 * 60 * 60 * 1000,
+        token,
+        allowedOrigins: options.allowedOrigins || null,
+        rateLimit: isNaN(rateLimit) ? 200 : Math.max(rateLimit, 0),
+        rateBurst: parseInt(options.rateBurst, 10) || 1000,
+        redact: StartCommand._redactionConfig(options),
+        sourceMaps:
+          options.sourceMaps === false
+            ? false
+            : {
+                directory: options.sourceMapDir || null,
+                origins: options.sourceMapOrigins || null,
+              },
         startTime: new Date().toISOString(),
       };
 
       spinner.text = `Starting server on port ${port}...`;
 
       // Start the server
-      await ServerManager.startServer(serverConfig);
+      const serverInstance = await ServerManager.startServer(serverConfig);
 
       // Save configuration
       await ConfigManager.saveServerConfig(port, serverConfig);
@@ -125,6 +159,40 @@ class StartCommand {
         chalk.white(`http://${serverConfig.host}:${serverConfig.port}`)
       );
       console.log(chalk.cyan('Session ID:'), chalk.white(sessionId));
+      if (token) {
+        console.log(
+          chalk.cyan('Dashboard:'),
+          chalk.white(
+            Auth.dashboardUrl(
+              `http://${serverConfig.host}:${serverConfig.port}`,
+              token
+            )
+          )
+        );
+        console.log(chalk.cyan('Token:'), chalk.white(token));
+        console.log(
+          chalk.gray(
+            `  Clients need authToken: '${token}'; tail/logs need --token ${token}`
+          )
+        );
+      }
+      if (serverConfig.allowedOrigins) {
+        console.log(
+          chalk.cyan('Allowed Origins:'),
+          chalk.white(serverConfig.allowedOrigins)
+        );
+      }
+      if (
+        serverInstance &&
+        serverInstance.store &&
+        serverInstance.store.persist
+      ) {
+        console.log(
+          chalk.cyan('Log Store:'),
+          chalk.white(serverInstance.store.directory),
+          chalk.gray(`(${serverInstance.logs.length} entries restored)`)
+        );
+      }
       console.log();
       console.log(
         chalk.gray('Monitoring logs in real-time... Press Ctrl+C to stop')
@@ -146,18 +214,56 @@ class StartCommand {
     }
   }
 
+  /**
+   * Build the redaction config from --redact-config, --redact-pattern and
+   * --redact-path (false with --no-redact)
+   */
+  static _redactionConfig(options) {
+    if (options.redact === false) {
+      return false;
+    }
+
+    let fileConfig = {};
+    if (options.redactConfig) {
+      const file = path.resolve(options.redactConfig);
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(
+          `Cannot read redaction config ${file}: ${error.message}`
+        );
+      }
+    }
+
+    return {
+      ...fileConfig,
+      patterns: [
+        ...(fileConfig.patterns || []),
+        ...(options.redactPattern || []),
+      ],
+      paths: [...(fileConfig.paths || []), ...(options.redactPath || [])],
+    };
+  }
+
   /**
    * Start monitoring logs via WebSocket
    */
   static _startLogMonitoring(port, serverConfig) {
     // Connect to WebSocket for real-time logs
     const wsUrl = `ws://${serverConfig.host}:${serverConfig.port}`;
-    const ws = new WebSocket(wsUrl);
+    const ws = new WebSocket(wsUrl, {
+      headers: Auth.headers(serverConfig.token),
+    });
 
     let logCount = 0;
+    // Label entries by tab once more than one browser session is logging
+    const seenSessions = new Set();
+    // Latest unprinted repeat of each error group, by fingerprint
+    const pendingRepeats = new Map();
 
     ws.on('open', () => {
-      // Connection established, ready to receive logs
+      // Identify as a monitor so the server streams entries to this terminal
+      ws.send(JSON.stringify({ type: 'hello', role: 'monitor' }));
     });
 
     ws.on('message', data => {
@@ -169,7 +275,16 @@ class StartCommand {
           message.type === 'error' ||
           message.type === 'network'
         ) {
-          StartCommand._displayLog(message.data, message.type);
+          if (message.data && message.data.sessionId) {
+            seenSessions.add(message.data.sessionId);
+          }
+          if (message.type === 'error' && message.data.occurrence > 1) {
+            StartCommand._queueRepeat(pendingRepeats, message.data);
+          } else {
+            StartCommand._displayLog(message.data, message.type, {
+              showSession: seenSessions.size > 1,
+            });
+          }
           logCount++;
         } else if (message.type === 'server_info') {
           // Ignore server info messages in start command
@@ -196,21 +311,55 @@ class StartCommand {
       console.log();
       console.log(chalk.yellow('Stopping server...'));
       ws.close();
+      ServerRegistry.unregisterSync(port, process.pid);
       process.exit(0);
     });
 
+    // Sent by `clp stop`
     process.on('SIGTERM', () => {
       ws.close();
+      ServerRegistry.unregisterSync(port, process.pid);
       process.exit(0);
     });
   }
 
+  /**
+   * Collapse repeats of an error group into one "×N" line per
+   * repeatInterval instead of reprinting the full error
+   * @param {Map} pending - Latest unprinted repeat by fingerprint
+   * @param {Object} logData - Error entry with fingerprint and occurrence
+   */
+  static _queueRepeat(pending, logData) {
+    const { fingerprint } = logData;
+    if (!pending.has(fingerprint)) {
+      setTimeout(() => {
+        const latest = pending.get(fingerprint);
+        pending.delete(fingerprint);
+        StartCommand._displayRepeat(latest);
+      }, StartCommand.repeatInterval);
+    }
+    pending.set(fingerprint, logData);
+  }
+
+  /**
+   * Display the occurrence count of a repeated error
+   */
+  static _displayRepeat(logData) {
+    const timestamp = new Date().toLocaleTimeString();
+    console.log(
+      `${chalk.gray(timestamp)} ${chalk.red(
+        `×${logData.occurrence}`
+      )} ${chalk.gray(logData.message || 'Error')}`
+    );
+  }
+
   /**
    * Display a log entry
    */
-  static _displayLog(logData, type) {
+  static _displayLog(logData, type, options = {}) {
     const timestamp = new Date().toLocaleTimeString();
-    const level = logData.level || type || 'log';
+    const level =
+      type === 'network' ? 'network' : logData.level || type || 'log';
 
     let color = chalk.white;
     let icon = '📝';
@@ -239,8 +388,41 @@ class StartCommand {
         break;
     }
 
-    const message = logData.message || logData.url || JSON.stringify(logData);
-    console.log(`${chalk.gray(timestamp)} ${icon} ${color(message)}`);
+    let message = logData.message || logData.url || JSON.stringify(logData);
+    if (type === 'network') {
+      const summary = LogFormatter.getNetworkSummary(logData);
+      message = [
+        summary.method,
+        summary.url,
+        summary.status,
+        summary.duration !== undefined ? `${summary.duration}ms` : null,
+      ]
+        .filter(part => part !== undefined && part !== null)
+        .join(' ');
+    }
+    const label = options.showSession ? SessionTracker.label(logData) : null;
+    const session = label ? ` ${chalk.magenta(`[${label}]`)}` : '';
+    console.log(`${chalk.gray(timestamp)}${session} ${icon} ${color(message)}`);
+
+    if (type === 'error') {
+      const nested = logData.error || {};
+      const stack =
+        logData.resolvedStack ||
+        nested.resolvedStack ||
+        logData.stack ||
+        nested.stack;
+      const severity =
+        logData.severity && typeof logData.severity === 'object'
+          ? logData.severity.level
+          : logData.severity;
+      const details = [logData.category, severity].filter(Boolean);
+      if (details.length > 0) {
+        console.log(chalk.gray(`   [${details.join(' | ')}]`));
+      }
+      if (stack) {
+        console.log(chalk.gray(stack));
+      }
+    }
   }
 }
 
@@ -0,0 +1,131 @@
+/**
+ * StatusCommand - Show the status of a Console Log Pipe server on a port
+ */
+
+const chalk = require('chalk');
+const ServerManager = require('../server/ServerManager');
+const HttpClient = require('../utils/HttpClient');
+const PortManager = require('../utils/PortManager');
+const TableFormatter = require('../utils/TableFormatter');
+const TimeUtils = require('../utils/TimeUtils');
+
+class StatusCommand {
+  static async execute(options, command) {
+    try {
+      const port = parseInt(options.port, 10);
+      if (!PortManager.isValidPort(port)) {
+        throw new Error(
+          'A valid --port is required (1024-65535). Example: clp status --port 3001'
+        );
+      }
+
+      const status = await StatusCommand._collectStatus(port);
+
+      if (options.json) {
+        console.log(JSON.stringify(status, null, 2));
+      } else {
+        StatusCommand._display(status);
+      }
+
+      if (status.status !== 'running') {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Combine the registry entry with live health information
+   */
+  static async _collectStatus(port) {
+    const entry = await ServerManager.getRegisteredServer(port);
+
+    if (!entry) {
+      const portInUse = await ServerManager.isServerRunning('localhost', port);
+      return {
+        port,
+        status: portInUse ? 'unregistered' : 'not-running',
+      };
+    }
+
+    const status = { ...entry };
+    if (entry.status === 'running' && entry.type === 'log-server') {
+      try {
+        const health = await HttpClient.get({
+          host: entry.host,
+          port,
+          path: '/api/health',
+        });
+        status.uptime = health.uptime;
+        status.stats = health.stats;
+      } catch (error) {
+        status.healthError = error.message;
+      }
+    }
+
+    return status;
+  }
+
+  static _display(status) {
+    if (status.status === 'not-running') {
+      console.log(chalk.yellow(`No server running on port ${status.port}`));
+      return;
+    }
+
+    if (status.status === 'unregistered') {
+      console.log(
+        chalk.yellow(
+          `Port ${status.port} is in use, but not by a registered Console Log Pipe server`
+        )
+      );
+      return;
+    }
+
+    const statusLabel =
+      status.status === 'running'
+        ? chalk.green('running')
+        : chalk.yellow('stale (process exited)');
+
+    const details = {
+      Port: status.port,
+      Status: statusLabel,
+      PID: status.pid,
+      Type: status.type,
+      'Session ID': status.sessionId,
+      URL: `http://${status.host}:${status.port}`,
+      Started: `${TimeUtils.formatTimestamp(
+        status.startTime
+      )} (${TimeUtils.timeAgo(status.startTime)})`,
+    };
+
+    if (status.uptime !== undefined) {
+      details.Uptime = TimeUtils.formatDuration(status.uptime);
+    }
+
+    if (status.stats) {
+      details.Logs = String(status.stats.totalLogs);
+      details.Errors = String(status.stats.totalErrors);
+      details['Network Requests'] = String(status.stats.totalNetworkRequests);
+      if (status.stats.redacted) {
+        details.Redacted = String(status.stats.redacted);
+      }
+    }
+
+    TableFormatter.displayKeyValue(details, {
+      title: `Console Log Pipe - Port ${status.port}`,
+    });
+
+    if (status.healthError) {
+      console.log(chalk.yellow(`Health check failed: ${status.healthError}`));
+    }
+  }
+}
+
+module.exports = StatusCommand;
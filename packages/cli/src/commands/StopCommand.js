@@ -0,0 +1,152 @@
+/**
+ * StopCommand - Stop Console Log Pipe servers started by other CLI processes
+ */
+
+const chalk = require('chalk');
+const ServerManager = require('../server/ServerManager');
+const PortManager = require('../utils/PortManager');
+const ServerRegistry = require('../utils/ServerRegistry');
+const TimeUtils = require('../utils/TimeUtils');
+
+class StopCommand {
+  static pollInterval = 200;
+
+  static async execute(options, command) {
+    try {
+      const servers = await StopCommand._selectServers(options);
+
+      if (servers.length === 0) {
+        console.log(chalk.gray('No Console Log Pipe servers to stop'));
+        return;
+      }
+
+      const timeout = parseInt(options.timeout, 10) || 5000;
+      let failures = 0;
+
+      for (const server of servers) {
+        const result = await StopCommand._stopServer(server, {
+          timeout,
+          force: Boolean(options.force),
+        });
+
+        if (result === 'stopped') {
+          console.log(
+            chalk.green(`✔ Stopped server on port ${server.port}`),
+            chalk.gray(`(pid ${server.pid})`)
+          );
+        } else if (result === 'stale') {
+          console.log(
+            chalk.gray(`Removed stale registry entry for port ${server.port}`)
+          );
+        } else {
+          failures++;
+          console.log(
+            chalk.red(
+              `✖ Server on port ${server.port} (pid ${server.pid}) did not stop within ${timeout}ms`
+            ),
+            chalk.gray('Retry with --force')
+          );
+        }
+      }
+
+      if (failures > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Resolve which registered servers the options refer to
+   */
+  static async _selectServers(options) {
+    if (options.all) {
+      return ServerManager.getRegisteredServers();
+    }
+
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'Specify --port <port> (1024-65535) or --all. Example: clp stop --port 3001'
+      );
+    }
+
+    const server = await ServerManager.getRegisteredServer(port);
+    if (!server) {
+      throw new Error(`No registered server on port ${port}`);
+    }
+
+    return [server];
+  }
+
+  /**
+   * Stop one server and clean up its registry entry
+   * @returns {Promise<'stopped'|'stale'|'timeout'>} Outcome
+   */
+  static async _stopServer(server, { timeout, force }) {
+    if (server.status === 'stale') {
+      await ServerRegistry.unregister(server.port, server.pid);
+      return 'stale';
+    }
+
+    // Server owned by this very process
+    if (server.pid === process.pid) {
+      await ServerManager.stopServer(server.port);
+      return 'stopped';
+    }
+
+    StopCommand._signal(server.pid, 'SIGTERM');
+    let stopped = await StopCommand._waitForShutdown(server, timeout);
+
+    if (!stopped && force) {
+      StopCommand._signal(server.pid, 'SIGKILL');
+      stopped = await StopCommand._waitForShutdown(server, timeout);
+    }
+
+    if (stopped) {
+      await ServerRegistry.unregister(server.port, server.pid);
+      return 'stopped';
+    }
+
+    return 'timeout';
+  }
+
+  static _signal(pid, signal) {
+    try {
+      process.kill(pid, signal);
+    } catch (error) {
+      // Process already exited
+      if (error.code !== 'ESRCH') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Poll until the process has exited or the port is closed
+   */
+  static async _waitForShutdown(server, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      if (
+        !ServerRegistry.isProcessAlive(server.pid) ||
+        !(await ServerManager.isServerRunning(server.host, server.port))
+      ) {
+        return true;
+      }
+      await TimeUtils.sleep(StopCommand.pollInterval);
+    }
+
+    return false;
+  }
+}
+
+module.exports = StopCommand;
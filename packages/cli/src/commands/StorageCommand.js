@@ -13,12 +13,15 @@ const WebSocket = require('ws');
 const ServerManager = require('../server/ServerManager');
 const ConfigManager = require('../utils/ConfigManager');
 const PortManager = require('../utils/PortManager');
+const ServerRegistry = require('../utils/ServerRegistry');
 
 class StorageCommand {
   static command = 'storage';
   static description =
     'Start storage monitoring service for cookies, localStorage, sessionStorage, and IndexedDB';
 
+  static maxChanges = 500; // Recent changes kept for GET /api/storage/changes
+
   static options = [
     {
       flags: '-p, --port <port>',
@@ -76,6 +79,12 @@ class StorageCommand {
       // Start storage monitoring server
       console.log(chalk.blue('🚀 Starting Storage Monitor Server...'));
       const serverInstance = await StorageCommand._startStorageServer(config);
+      await ServerRegistry.register(config.port, {
+        host: config.host,
+        sessionId: config.sessionId,
+        startTime: config.startTime,
+        type: 'storage-monitor',
+      });
 
       // Display server information
       StorageCommand._displayServerInfo(config);
@@ -157,6 +166,7 @@ class StorageCommand {
         sessionStorage: new Map(),
         indexedDB: new Map(),
       },
+      changes: [],
     };
 
     // API endpoints
@@ -186,6 +196,15 @@ class StorageCommand {
       });
     });
 
+    // Recent changes, oldest first (?since=<ISO time>)
+    app.get('/api/storage/changes', (req, res) => {
+      const since = req.query.since ? new Date(req.query.since).getTime() : 0;
+      const changes = storageState.changes.filter(
+        change => !since || new Date(change.timestamp).getTime() >= since
+      );
+      res.json({ changes, total: changes.length, port: config.port });
+    });
+
     // Dashboard endpoint
     app.get('/', (req, res) => {
       res.send(
@@ -315,6 +334,20 @@ class StorageCommand {
     // Display storage update
     StorageCommand._displayStorageUpdate(subType, data, sessionId);
 
+    // Remember which keys changed for incident summaries. Values are left
+    // out: they may hold tokens or personal data.
+    storageState.changes.push({
+      timestamp: message.timestamp || new Date().toISOString(),
+      sessionId,
+      subType,
+      added: StorageCommand._changedKeys(data.added),
+      modified: StorageCommand._changedKeys(data.modified),
+      deleted: StorageCommand._changedKeys(data.deleted),
+    });
+    if (storageState.changes.length > StorageCommand.maxChanges) {
+      storageState.changes.shift();
+    }
+
     // Update global state if needed
     if (data.current) {
       switch (subType) {
@@ -336,6 +369,15 @@ class StorageCommand {
     // (This could be extended to broadcast to other CLI instances)
   }
 
+  /**
+   * Keys of changed items: `{ key }` for storage items, `{ name }` for cookies
+   */
+  static _changedKeys(items) {
+    return (items || []).map(({ key, name }) =>
+      key !== undefined ? { key } : { name }
+    );
+  }
+
   /**
    * Display storage update in CLI
    */
@@ -448,6 +490,7 @@ class StorageCommand {
   static _setupGracefulShutdown(port) {
     const shutdown = async () => {
       console.log(chalk.yellow('\n🛑 Shutting down Storage Monitor...'));
+      ServerRegistry.unregisterSync(port, process.pid);
 
       try {
         // Stop server if it exists
@@ -588,6 +631,9 @@ clp storage --port ${config.port} --poll-interval ${config.pollInterval}
 GET /api/storage/state
 # Returns current storage state
 
+GET /api/storage/changes?since=&lt;ISO time&gt;
+# Returns recent changes
+
 WebSocket: ws://localhost:${config.port}
 # Real-time storage updates
                 </div>
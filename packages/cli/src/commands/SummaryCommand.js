@@ -0,0 +1,96 @@
+/**
+ * SummaryCommand - Print an incident summary from a running server
+ *
+ * Wraps GET /api/summary: the errors of the last few minutes with their
+ * stacks and the entries leading up to them, failed and slow requests,
+ * storage changes and the page environment, as Markdown ready to paste into
+ * an issue or an AI chat.
+ */
+
+const chalk = require('chalk');
+const HttpClient = require('../utils/HttpClient');
+const IncidentSummary = require('../server/IncidentSummary');
+const PortManager = require('../utils/PortManager');
+const TimeUtils = require('../utils/TimeUtils');
+
+class SummaryCommand {
+  static formats = ['markdown', 'json'];
+
+  static async execute(options, command) {
+    try {
+      const query = SummaryCommand._buildQuery(options);
+      const format = options.format || 'markdown';
+      if (!SummaryCommand.formats.includes(format)) {
+        throw new Error(
+          `Unsupported format: ${format} (use ${SummaryCommand.formats.join(
+            ', '
+          )})`
+        );
+      }
+
+      const summary = await HttpClient.get({
+        host: options.host || 'localhost',
+        port: query.port,
+        path: '/api/summary',
+        query: query.params,
+        token: options.token,
+      });
+
+      console.log(
+        format === 'json'
+          ? JSON.stringify(summary, null, 2)
+          : IncidentSummary.toMarkdown(summary).trimEnd()
+      );
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options and translate them into /api/summary query parameters
+   */
+  static _buildQuery(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp summary --port 3001'
+      );
+    }
+
+    if (options.window && !TimeUtils.parseDuration(options.window)) {
+      throw new Error(
+        `Invalid --window: ${options.window} (use e.g. 30s, 2m or 1h)`
+      );
+    }
+
+    const budget = options.budget ? parseInt(options.budget, 10) : null;
+    if (budget !== null && (isNaN(budget) || budget < 1)) {
+      throw new Error(`Invalid --budget: ${options.budget}`);
+    }
+
+    const storagePort = options.storagePort
+      ? parseInt(options.storagePort, 10)
+      : null;
+    if (storagePort !== null && !PortManager.isValidPort(storagePort)) {
+      throw new Error(`Invalid --storage-port: ${options.storagePort}`);
+    }
+
+    return {
+      port,
+      params: {
+        window: options.window,
+        sessionId: options.session,
+        budget: budget || undefined,
+        storagePort: storagePort || undefined,
+      },
+    };
+  }
+}
+
+module.exports = SummaryCommand;
@@ -0,0 +1,255 @@
+/**
+ * TailCommand - Attach to a running Console Log Pipe server and stream logs
+ *
+ * Connects to the server's WebSocket, prints recent history via
+ * `request_logs` and then follows live entries, so several terminals (or an
+ * AI agent) can watch one server without restarting it.
+ */
+
+const chalk = require('chalk');
+const WebSocket = require('ws');
+const Auth = require('../server/Auth');
+const LogFormatter = require('../utils/LogFormatter');
+const PortManager = require('../utils/PortManager');
+const TimeUtils = require('../utils/TimeUtils');
+
+class TailCommand {
+  static async execute(options, command) {
+    try {
+      const settings = TailCommand._prepareSettings(options);
+      await TailCommand._follow(settings);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+
+      if (command && command.opts().verbose) {
+        console.error(chalk.gray(error.stack));
+      }
+
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Validate options and build filters
+   */
+  static _prepareSettings(options) {
+    const port = parseInt(options.port, 10);
+    if (!PortManager.isValidPort(port)) {
+      throw new Error(
+        'A valid --port is required (1024-65535). Example: clp tail --port 3001'
+      );
+    }
+
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+      throw new Error(`Unsupported format: ${format} (use text or json)`);
+    }
+
+    const since = options.since
+      ? TimeUtils.parseTimeString(options.since)
+      : null;
+    const lines = parseInt(options.lines, 10);
+
+    return {
+      host: options.host || 'localhost',
+      port,
+      token: options.token || null,
+      format,
+      color: format === 'text' && options.color !== false,
+      follow: options.follow !== false,
+      filters: {
+        level: options.level ? options.level.toLowerCase() : null,
+        pattern: options.pattern ? new RegExp(options.pattern, 'i') : null,
+        since: since ? since.toISOString() : null,
+        sessionId: options.session || null,
+        tail: isNaN(lines) ? 50 : lines,
+      },
+    };
+  }
+
+  /**
+   * Connect to the server, print history and follow live entries
+   * @returns {Promise<void>} Resolves when the connection closes
+   */
+  static _follow(settings) {
+    const { host, port, filters } = settings;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://${host}:${port}`, {
+        headers: Auth.headers(settings.token),
+      });
+      let connected = false;
+      // Live entries can arrive before the history; they are held back until
+      // it is printed and skipped if it already contained them (by seq)
+      let heldBack = [];
+      let lastSeq = 0;
+      const printLive = (entry, type) => {
+        if (typeof entry.seq === 'number') {
+          if (entry.seq <= lastSeq) {
+            return;
+          }
+          lastSeq = entry.seq;
+        }
+        if (TailCommand._matchesFilters(entry, filters)) {
+          TailCommand._print(entry, type, settings);
+        }
+      };
+      const releaseHeldBack = () => {
+        const live = heldBack || [];
+        heldBack = null;
+        live.forEach(([entry, type]) => printLive(entry, type));
+      };
+
+      ws.on('open', () => {
+        connected = true;
+
+        // Identify as a monitor, then ask for history; live entries follow
+        // on the same socket
+        ws.send(JSON.stringify({ type: 'hello', role: 'monitor' }));
+        ws.send(
+          JSON.stringify({
+            type: 'request_logs',
+            filter: {
+              since: filters.since,
+              level: filters.level,
+              pattern: filters.pattern ? filters.pattern.source : undefined,
+              sessionId: filters.sessionId || undefined,
+              tail: filters.tail,
+            },
+          })
+        );
+      });
+
+      ws.on('message', data => {
+        let message;
+        try {
+          message = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+          console.error(chalk.red('Error parsing log message:'), error.message);
+          return;
+        }
+
+        if (message.type === 'server_info') {
+          if (settings.format === 'text') {
+            console.log(
+              chalk.gray(
+                `Attached to ${host}:${port} (session ${message.data.sessionId})`
+              )
+            );
+          }
+        } else if (message.type === 'historical_logs') {
+          (message.logs || []).forEach(entry => {
+            TailCommand._print(entry, entry.type, settings);
+            if (typeof entry.seq === 'number' && entry.seq > lastSeq) {
+              lastSeq = entry.seq;
+            }
+          });
+
+          if (!settings.follow) {
+            ws.close();
+            return;
+          }
+          releaseHeldBack();
+        } else if (
+          (message.type === 'log' ||
+            message.type === 'error' ||
+            message.type === 'network') &&
+          message.data
+        ) {
+          if (heldBack) {
+            heldBack.push([message.data, message.type]);
+          } else {
+            printLive(message.data, message.type);
+          }
+        } else if (message.type === 'error' && message.error) {
+          // The server rejected the history request; follow live entries
+          console.error(chalk.red('Error:'), message.error);
+          releaseHeldBack();
+        }
+      });
+
+      ws.on('error', error => {
+        if (!connected) {
+          reject(
+            new Error(
+              /\b401\b/.test(error.message)
+                ? `Server on ${host}:${port} requires a token (pass --token)`
+                : `Could not connect to server on ${host}:${port} (${error.message}). Is "clp start --port ${port}" running?`
+            )
+          );
+        }
+      });
+
+      ws.on('close', () => {
+        if (connected && settings.format === 'text' && settings.follow) {
+          console.log(chalk.yellow('Connection to server closed'));
+        }
+        resolve();
+      });
+
+      process.on('SIGINT', () => {
+        ws.close();
+        process.exit(0);
+      });
+    });
+  }
+
+  /**
+   * Check a live entry against the tail filters
+   */
+  static _matchesFilters(entry, filters) {
+    if (!entry) {
+      return false;
+    }
+
+    if (
+      filters.level &&
+      (!entry.level || entry.level.toLowerCase() !== filters.level)
+    ) {
+      return false;
+    }
+
+    if (filters.sessionId && entry.sessionId !== filters.sessionId) {
+      return false;
+    }
+
+    if (filters.since) {
+      const entryTime = new Date(entry.timestamp || entry.receivedAt).getTime();
+      if (entryTime < new Date(filters.since).getTime()) {
+        return false;
+      }
+    }
+
+    if (filters.pattern && !filters.pattern.test(JSON.stringify(entry))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Print a single entry in the selected format
+   */
+  static _print(entry, type, settings) {
+    if (settings.format === 'json') {
+      console.log(
+        JSON.stringify({ type: type || entry.type || 'log', ...entry })
+      );
+      return;
+    }
+
+    const formatOptions = { format: 'text', color: settings.color };
+    switch (type || entry.type) {
+      case 'error':
+        console.log(LogFormatter.formatError(entry, formatOptions));
+        break;
+      case 'network':
+        console.log(LogFormatter.formatNetwork(entry, formatOptions));
+        break;
+      default:
+        console.log(LogFormatter.formatLog(entry, formatOptions));
+    }
+  }
+}
+
+module.exports = TailCommand;
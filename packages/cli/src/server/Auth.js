@@ -0,0 +1,119 @@
+/**
+ * Auth - Optional bearer token authentication for a log server
+ *
+ * When a server is started with a token, every HTTP route except the public
+ * ones (health checks) and the WebSocket handshake require it. Clients send
+ * it as `Authorization: Bearer <token>` or, where headers cannot be set
+ * (browser WebSocket, EventSource, sendBeacon), as a `token` query parameter.
+ */
+
+const crypto = require('crypto');
+
+class Auth {
+  static publicPaths = ['/api/health'];
+
+  /**
+   * Generate a random token for `clp start --token` without a value
+   * @returns {string} 32 hex characters
+   */
+  static generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Request headers carrying a token (empty without one)
+   * @param {string} [token] - Token
+   * @returns {Object} Headers
+   */
+  static headers(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Dashboard URL that carries the token, so the page and its WebSocket
+   * connection are authorized when opened in a browser
+   * @param {string} url - Server URL, e.g. http://localhost:3001
+   * @param {string} [token] - Token
+   * @returns {string} URL
+   */
+  static dashboardUrl(url, token) {
+    return token ? `${url}/?token=${encodeURIComponent(token)}` : url;
+  }
+
+  /**
+   * Read the token sent with a request
+   * @param {Object} req - Express request or raw http.IncomingMessage
+   * @returns {string|null} Token, if any
+   */
+  static extractToken(req) {
+    const header = req.headers && req.headers.authorization;
+    if (header) {
+      const match = /^Bearer\s+(.+)$/i.exec(header);
+      return match ? match[1].trim() : null;
+    }
+
+    try {
+      const url = new URL(req.url || '/', 'http://localhost');
+      return url.searchParams.get('token');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a request against the expected token (constant-time comparison)
+   * @param {Object} req - Express request or raw http.IncomingMessage
+   * @param {string} token - Expected token
+   * @returns {boolean} Whether the request may proceed
+   */
+  static isAuthorized(req, token) {
+    const provided = this.extractToken(req);
+    if (!provided) {
+      return false;
+    }
+
+    const expected = Buffer.from(String(token));
+    const actual = Buffer.from(provided);
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    );
+  }
+
+  /**
+   * Express middleware rejecting requests without the token
+   * @param {string} token - Expected token
+   * @returns {Function} Middleware
+   */
+  static middleware(token) {
+    return (req, res, next) => {
+      if (this.publicPaths.includes(req.path) || req.method === 'OPTIONS') {
+        return next();
+      }
+
+      if (!this.isAuthorized(req, token)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      return next();
+    };
+  }
+
+  /**
+   * `verifyClient` callback for the WebSocket server
+   * @param {string} token - Expected token
+   * @returns {Function} Callback accepting or rejecting the handshake
+   */
+  static verifyClient(token) {
+    return (info, callback) => {
+      if (this.isAuthorized(info.req, token)) {
+        callback(true);
+      } else {
+        callback(false, 401, 'Unauthorized');
+      }
+    };
+  }
+}
+
+module.exports = Auth;
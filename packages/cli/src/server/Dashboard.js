@@ -0,0 +1,391 @@
+/**
+ * Dashboard - Single-page live log viewer served at `/` by the log server
+ *
+ * The page connects to the server's WebSocket, loads recent history with a
+ * `request_logs` message and then streams log, error and network entries as
+ * they arrive. Entry content is untrusted and only ever rendered as text.
+ */
+
+class Dashboard {
+  static historySize = 500;
+  static maxRows = 2000;
+
+  /**
+   * Render the dashboard page
+   * @param {Object} config - Server configuration
+   * @param {Object} stats - Server statistics
+   * @param {number} logCount - Number of stored entries
+   * @returns {string} HTML document
+   */
+  static render(config, stats, logCount) {
+    const bootstrap = Dashboard.toScriptJson({
+      port: config.port,
+      sessionId: config.sessionId || null,
+      historySize: Dashboard.historySize,
+      maxRows: Dashboard.maxRows,
+      stats: {
+        totalLogs: stats.totalLogs || 0,
+        totalErrors: stats.totalErrors || 0,
+        totalNetworkRequests: stats.totalNetworkRequests || 0,
+      },
+    });
+    const port = Dashboard.escapeHtml(config.port);
+    const sessionId = Dashboard.escapeHtml(config.sessionId || '-');
+    const environment = Dashboard.escapeHtml(config.environment || '-');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Console Log Pipe - Port ${port}</title>
+    <style>
+        * { box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 0; background: #f5f5f5; color: #333; }
+        header { background: white; padding: 12px 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); position: sticky; top: 0; z-index: 1; }
+        h1 { font-size: 20px; margin: 0 12px 0 0; display: inline-block; }
+        .meta { color: #666; font-size: 13px; }
+        .status { display: inline-block; padding: 2px 10px; border-radius: 20px; font-size: 12px; color: white; background: #9e9e9e; }
+        .status.connected { background: #4CAF50; }
+        .status.paused { background: #ff9800; }
+        .counters { display: flex; gap: 16px; margin: 8px 0; font-size: 13px; }
+        .counters strong { font-size: 16px; }
+        .toolbar { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; }
+        .toolbar input, .toolbar select, .toolbar button { font: inherit; font-size: 13px; padding: 4px 8px; border: 1px solid #ccc; border-radius: 4px; background: white; }
+        .toolbar input[type=search] { flex: 1; min-width: 200px; }
+        .toolbar button { cursor: pointer; }
+        main { padding: 8px 20px 40px; }
+        .empty { color: #999; text-align: center; padding: 40px; }
+        .entry { background: white; border-left: 4px solid #9e9e9e; margin: 2px 0; font-family: 'Monaco', 'Consolas', monospace; font-size: 12px; }
+        .entry .line { display: flex; gap: 10px; padding: 4px 8px; cursor: pointer; white-space: nowrap; overflow: hidden; }
+        .entry .time { color: #999; }
+        .entry .badge { min-width: 56px; font-weight: bold; text-transform: uppercase; }
+        .entry .message { overflow: hidden; text-overflow: ellipsis; flex: 1; }
+        .entry .session { color: #999; }
+        .entry pre { margin: 0; padding: 8px 12px; background: #fafafa; border-top: 1px solid #eee; white-space: pre-wrap; word-break: break-word; }
+        .entry.level-error { border-left-color: #f44336; } .entry.level-error .badge { color: #f44336; }
+        .entry.level-warn { border-left-color: #ff9800; } .entry.level-warn .badge { color: #ff9800; }
+        .entry.level-info { border-left-color: #2196F3; } .entry.level-info .badge { color: #2196F3; }
+        .entry.level-debug .badge { color: #9e9e9e; }
+        .entry.type-network { border-left-color: #00acc1; } .entry.type-network .badge { color: #00acc1; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>🚀 Console Log Pipe</h1>
+        <span id="status" class="status">Connecting</span>
+        <div class="meta">Port ${port} · Session ${sessionId} · Environment ${environment} · ${logCount} stored entries</div>
+        <div class="counters">
+            <span>Logs <strong id="count-log">0</strong></span>
+            <span>Errors <strong id="count-error">0</strong></span>
+            <span>Network <strong id="count-network">0</strong></span>
+            <span>Shown <strong id="count-shown">0</strong></span>
+        </div>
+        <div class="toolbar">
+            <input id="filter-text" type="search" placeholder="Filter text (message, URL, stack)">
+            <select id="filter-level">
+                <option value="">All levels</option>
+                <option value="error">error</option>
+                <option value="warn">warn</option>
+                <option value="info">info</option>
+                <option value="log">log</option>
+                <option value="debug">debug</option>
+            </select>
+            <select id="filter-type">
+                <option value="">All types</option>
+                <option value="log">log</option>
+                <option value="error">error</option>
+                <option value="network">network</option>
+            </select>
+            <select id="filter-session">
+                <option value="">All sessions</option>
+            </select>
+            <button id="pause" type="button">Pause</button>
+            <button id="clear" type="button">Clear</button>
+        </div>
+    </header>
+    <main id="entries">
+        <div class="empty" id="empty">Waiting for logs…</div>
+    </main>
+    <script>
+    (function () {
+        var config = ${bootstrap};
+        var entries = [];
+        var pending = [];
+        var paused = false;
+        var sessions = {};
+        var counts = { log: 0, error: 0, network: 0 };
+        // Row element of each entry on screen
+        var rows = new WeakMap();
+        var el = function (id) { return document.getElementById(id); };
+        var filters = { text: '', level: '', type: '', session: '' };
+
+        function entryType(entry) {
+            return entry.type === 'error' || entry.type === 'network' ? entry.type : 'log';
+        }
+
+        function entryLevel(entry) {
+            if (entryType(entry) === 'network') {
+                var status = statusOf(entry);
+                return status >= 400 || entry.subtype === 'error' ? 'error' : 'info';
+            }
+            return String(entry.level || (entryType(entry) === 'error' ? 'error' : 'log')).toLowerCase();
+        }
+
+        function statusOf(entry) {
+            return entry.status || (entry.response && entry.response.status) || 0;
+        }
+
+        function summary(entry) {
+            if (entryType(entry) === 'network') {
+                var request = entry.request || {};
+                var error = entry.error && typeof entry.error === 'object' ? entry.error : {};
+                var method = entry.method || request.method || error.method || 'GET';
+                var url = entry.url || request.url || error.url || '';
+                var duration = entry.duration !== undefined ? entry.duration : entry.timing && entry.timing.durationMs;
+                return [String(method).toUpperCase(), url, statusOf(entry) || '', duration !== undefined ? duration + 'ms' : '']
+                    .join(' ').trim();
+            }
+            if (entry.message) return String(entry.message);
+            if (Array.isArray(entry.args)) return entry.args.map(stringify).join(' ');
+            return stringify(entry);
+        }
+
+        function stringify(value) {
+            if (typeof value === 'string') return value;
+            try { return JSON.stringify(value); } catch (error) { return String(value); }
+        }
+
+        function stackOf(entry) {
+            return entry.stack || (entry.error && entry.error.stack);
+        }
+
+        // Stack with original source locations (source maps)
+        function resolvedStackOf(entry) {
+            return entry.resolvedStack || (entry.error && entry.error.resolvedStack);
+        }
+
+        function details(entry) {
+            var parts = [];
+            var stack = stackOf(entry);
+            var resolved = resolvedStackOf(entry);
+            if (resolved) parts.push(resolved);
+            if (stack) parts.push(resolved ? 'Minified stack:\\n' + stack : stack);
+            if (Array.isArray(entry.args) && entry.args.length) {
+                parts.push('args: ' + JSON.stringify(entry.args, null, 2));
+            }
+            if (entry.request || entry.response) {
+                parts.push(JSON.stringify({ request: entry.request, response: entry.response, timing: entry.timing }, null, 2));
+            }
+            parts.push(JSON.stringify(entry, null, 2));
+            return parts.join('\\n\\n');
+        }
+
+        function matches(entry) {
+            if (filters.type && entryType(entry) !== filters.type) return false;
+            if (filters.level && entryLevel(entry) !== filters.level) return false;
+            if (filters.session && entry.sessionId !== filters.session) return false;
+            if (filters.text) {
+                var haystack = [summary(entry), stackOf(entry), resolvedStackOf(entry)].join(' ').toLowerCase();
+                if (haystack.indexOf(filters.text) === -1) return false;
+            }
+            return true;
+        }
+
+        function createRow(entry) {
+            var row = document.createElement('div');
+            row.className = 'entry level-' + entryLevel(entry) + ' type-' + entryType(entry);
+
+            var line = document.createElement('div');
+            line.className = 'line';
+            [
+                ['time', new Date(entry.timestamp || entry.receivedAt || Date.now()).toLocaleTimeString()],
+                ['badge', entryType(entry) === 'network' ? 'net' : entryLevel(entry)],
+                ['message', summary(entry)],
+                ['session', entry.sessionId || '']
+            ].forEach(function (cell) {
+                var span = document.createElement('span');
+                span.className = cell[0];
+                span.textContent = cell[1];
+                line.appendChild(span);
+            });
+
+            line.addEventListener('click', function () {
+                var open = row.querySelector('pre');
+                if (open) { row.removeChild(open); return; }
+                var pre = document.createElement('pre');
+                pre.textContent = details(entry);
+                row.appendChild(pre);
+            });
+
+            row.appendChild(line);
+            return row;
+        }
+
+        // Rebuild every row; only needed when the filters change
+        function render() {
+            var container = el('entries');
+            container.textContent = '';
+            entries.filter(matches).forEach(appendRow);
+            updateShown();
+        }
+
+        function appendRow(entry) {
+            var row = createRow(entry);
+            rows.set(entry, row);
+            el('entries').appendChild(row);
+        }
+
+        // Placeholder and count of the rows on screen
+        function updateShown() {
+            var container = el('entries');
+            var shown = container.getElementsByClassName('entry').length;
+            var empty = container.querySelector('.empty');
+            if (shown && empty) container.removeChild(empty);
+            if (!shown) {
+                if (!empty) {
+                    empty = document.createElement('div');
+                    empty.className = 'empty';
+                    container.appendChild(empty);
+                }
+                empty.textContent = entries.length ? 'No entries match the filters' : 'Waiting for logs…';
+            }
+            el('count-shown').textContent = shown;
+        }
+
+        // Append rows for new entries and drop the rows of evicted ones;
+        // rows already on screen (and their open details) are kept
+        function add(list) {
+            list.forEach(function (entry) {
+                entries.push(entry);
+                if (matches(entry)) appendRow(entry);
+                if (entry.sessionId && !sessions[entry.sessionId]) {
+                    sessions[entry.sessionId] = true;
+                    var option = document.createElement('option');
+                    option.value = entry.sessionId;
+                    option.textContent = entry.sessionId;
+                    el('filter-session').appendChild(option);
+                }
+            });
+            if (entries.length > config.maxRows) {
+                entries.splice(0, entries.length - config.maxRows).forEach(function (entry) {
+                    var row = rows.get(entry);
+                    if (row && row.parentNode) row.parentNode.removeChild(row);
+                });
+            }
+            updateCounts();
+            updateShown();
+        }
+
+        function updateCounts() {
+            el('count-log').textContent = counts.log;
+            el('count-error').textContent = counts.error;
+            el('count-network').textContent = counts.network;
+        }
+
+        function setStatus(text, className) {
+            el('status').textContent = text;
+            el('status').className = 'status ' + (className || '');
+        }
+
+        function connect() {
+            var protocol = location.protocol === 'https:' ? 'wss://' : 'ws://';
+            // Pass on the token the page was opened with (?token=...)
+            var token = /[?&]token=([^&]*)/.exec(location.search);
+            var ws = new WebSocket(protocol + location.host + (token ? '/?token=' + token[1] : ''));
+
+            ws.onopen = function () {
+                setStatus(paused ? 'Paused' : 'Live', paused ? 'paused' : 'connected');
+                ws.send(JSON.stringify({ type: 'hello', role: 'monitor', capabilities: ['dashboard'] }));
+                ws.send(JSON.stringify({ type: 'request_logs', filter: { tail: config.historySize } }));
+            };
+
+            ws.onmessage = function (event) {
+                var message;
+                try { message = JSON.parse(event.data); } catch (error) { return; }
+
+                if (message.type === 'historical_logs') {
+                    entries = [];
+                    render();
+                    add(message.logs || []);
+                } else if (message.type === 'server_info' && message.data && message.data.stats) {
+                    counts.log = message.data.stats.totalLogs || 0;
+                    counts.error = message.data.stats.totalErrors || 0;
+                    counts.network = message.data.stats.totalNetworkRequests || 0;
+                    updateCounts();
+                } else if (['log', 'error', 'network'].indexOf(message.type) !== -1 && message.data) {
+                    message.data.type = message.data.type || message.type;
+                    counts[entryType(message.data)]++;
+                    updateCounts();
+                    if (paused) {
+                        pending.push(message.data);
+                        el('pause').textContent = 'Resume (' + pending.length + ')';
+                    } else {
+                        add([message.data]);
+                    }
+                }
+            };
+
+            ws.onclose = function () {
+                setStatus('Disconnected – retrying', '');
+                setTimeout(connect, 2000);
+            };
+        }
+
+        el('filter-text').addEventListener('input', function (event) {
+            filters.text = event.target.value.toLowerCase();
+            render();
+        });
+        ['level', 'type', 'session'].forEach(function (name) {
+            el('filter-' + name).addEventListener('change', function (event) {
+                filters[name] = event.target.value;
+                render();
+            });
+        });
+        el('pause').addEventListener('click', function () {
+            paused = !paused;
+            el('pause').textContent = paused ? 'Resume' : 'Pause';
+            setStatus(paused ? 'Paused' : 'Live', paused ? 'paused' : 'connected');
+            if (!paused && pending.length) {
+                add(pending.splice(0));
+            }
+        });
+        el('clear').addEventListener('click', function () {
+            entries = [];
+            pending = [];
+            el('pause').textContent = paused ? 'Resume' : 'Pause';
+            render();
+        });
+
+        counts.log = config.stats.totalLogs;
+        counts.error = config.stats.totalErrors;
+        counts.network = config.stats.totalNetworkRequests;
+        updateCounts();
+        connect();
+    })();
+    </script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Escape a value for use in HTML text and attributes
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Serialize a value as JSON that is safe to embed in an inline script
+   */
+  static toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+  }
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,220 @@
+/**
+ * ErrorGroups - Groups repeated errors by fingerprint
+ *
+ * A render loop can throw the same error hundreds of times. Each error entry
+ * is fingerprinted from its name, its message with volatile parts (numbers,
+ * ids, URLs) normalized, and its top in-app stack frames (source-mapped when
+ * possible). Entries with the same fingerprint share a group that counts
+ * occurrences and affected sessions and keeps the first entry as a sample.
+ */
+
+const crypto = require('crypto');
+const SourceMapResolver = require('./SourceMapResolver');
+
+class ErrorGroups {
+  static defaultMaxGroups = 500;
+  static frameCount = 3; // Top frames that make up the fingerprint
+  static maxMessageLength = 500;
+
+  constructor(options = {}) {
+    this.maxGroups = options.maxGroups || ErrorGroups.defaultMaxGroups;
+    this.groups = new Map();
+  }
+
+  /**
+   * Whether an entry is an error to group
+   */
+  static isError(entry) {
+    return Boolean(entry) && entry.type === 'error';
+  }
+
+  /**
+   * Replace the parts of a message that differ between occurrences
+   * (`Item 42 not found at https://x/a?id=7` -> `Item <n> not found at <url>`)
+   * @param {string} message - Error message
+   * @returns {string} Normalized message
+   */
+  static normalizeMessage(message) {
+    return String(message || '')
+      .replace(/^Uncaught\s+(?:\(in promise\)\s+)?/i, '')
+      .replace(/\b[a-z][\w+.-]*:\/\/[^\s'"`)]+/gi, '<url>')
+      .replace(
+        /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        '<uuid>'
+      )
+      .replace(/\b(?:0x[0-9a-f]+|(?=[a-f]*\d)[0-9a-f]{12,})\b/gi, '<hex>')
+      .replace(/\d+(?:\.\d+)?/g, '<n>')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, ErrorGroups.maxMessageLength);
+  }
+
+  /**
+   * Top stack frames of an entry, in-app frames preferred, at their
+   * original location when source-mapped
+   * @param {Object} entry - Error entry
+   * @param {number} [limit] - Frames to keep (default frameCount)
+   * @returns {Object[]} Frames: { function, file, line, column }
+   */
+  static topFrames(entry, limit = ErrorGroups.frameCount) {
+    const nested = entry.error || {};
+    const frames =
+      Array.isArray(entry.stackTrace) && entry.stackTrace.length > 0
+        ? entry.stackTrace
+        : SourceMapResolver.parseStack(nested.stack || entry.stack);
+
+    const located = frames
+      .filter(frame => frame && (frame.original || frame.file))
+      .map(frame =>
+        frame.original ? { ...frame.original, inApp: frame.inApp } : frame
+      );
+    const inApp = located.filter(frame => frame.inApp !== false);
+    return (inApp.length > 0 ? inApp : located).slice(0, limit);
+  }
+
+  /**
+   * Fingerprint an error entry
+   * @param {Object} entry - Error entry
+   * @returns {string} 16 hex characters
+   */
+  static fingerprint(entry) {
+    const parts = [
+      ErrorGroups._errorName(entry),
+      ErrorGroups.normalizeMessage(ErrorGroups._message(entry)),
+      // Function and path only: line numbers move while the code is edited
+      ...ErrorGroups.topFrames(entry).map(
+        frame =>
+          `${frame.function || 'anonymous'}@${ErrorGroups._filePath(
+            frame.file
+          )}`
+      ),
+    ];
+    return crypto
+      .createHash('sha1')
+      .update(parts.join('\n'))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Add an error entry to its group
+   * @param {Object} entry - Error entry, before it is stored
+   * @returns {Object} Group record; `count` is this entry's occurrence number
+   */
+  record(entry) {
+    const fingerprint = ErrorGroups.fingerprint(entry);
+    const time = new Date(entry.timestamp || entry.receivedAt || Date.now());
+    const seen = (isNaN(time) ? new Date() : time).toISOString();
+
+    let group = this.groups.get(fingerprint);
+    if (!group) {
+      this._evictIfNeeded();
+      const [top] = ErrorGroups.topFrames(entry);
+      group = {
+        fingerprint,
+        name: ErrorGroups._errorName(entry),
+        message: ErrorGroups._message(entry),
+        culprit: top
+          ? `${top.function || 'anonymous'} (${top.file}:${top.line})`
+          : null,
+        count: 0,
+        firstSeen: seen,
+        lastSeen: seen,
+        sessions: new Set(),
+        sample: entry,
+      };
+    }
+
+    // Most recently seen groups are kept last for eviction
+    this.groups.delete(fingerprint);
+    this.groups.set(fingerprint, group);
+
+    group.count++;
+    group.lastSeen = seen;
+    if (entry.sessionId) {
+      group.sessions.add(entry.sessionId);
+    }
+    return group;
+  }
+
+  /**
+   * Get a group by fingerprint
+   */
+  get(fingerprint) {
+    const group = this.groups.get(fingerprint);
+    return group ? ErrorGroups.toJSON(group) : null;
+  }
+
+  /**
+   * List groups
+   * @param {Object} [options] - { sort: 'lastSeen' (default) or 'count',
+   *   sessionId, limit }
+   * @returns {Object[]} Groups
+   */
+  list(options = {}) {
+    const byCount = options.sort === 'count';
+    return Array.from(this.groups.values())
+      .filter(
+        group => !options.sessionId || group.sessions.has(options.sessionId)
+      )
+      .sort(
+        (a, b) =>
+          (byCount ? b.count - a.count : 0) ||
+          String(b.lastSeen).localeCompare(String(a.lastSeen))
+      )
+      .slice(0, options.limit || undefined)
+      .map(group => ErrorGroups.toJSON(group));
+  }
+
+  /**
+   * Forget all groups
+   */
+  clear() {
+    this.groups.clear();
+  }
+
+  get size() {
+    return this.groups.size;
+  }
+
+  /**
+   * Drop the least recently seen group when full
+   */
+  _evictIfNeeded() {
+    if (this.groups.size >= this.maxGroups) {
+      this.groups.delete(this.groups.keys().next().value);
+    }
+  }
+
+  static _errorName(entry) {
+    const nested = entry.error || {};
+    return nested.name || entry.name || 'Error';
+  }
+
+  static _message(entry) {
+    const nested = entry.error || {};
+    return String(entry.message || nested.message || '');
+  }
+
+  // Path of a file URL without origin, query or hash (dev servers add
+  // cache-busting queries such as `?v=1a2b` and `?t=1700000000`)
+  static _filePath(file) {
+    return String(file || '')
+      .replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '')
+      .replace(/[?#].*$/, '');
+  }
+
+  /**
+   * Public view of a group
+   */
+  static toJSON(group) {
+    const { sessions, ...rest } = group;
+    return {
+      ...rest,
+      sessions: Array.from(sessions),
+      sessionCount: sessions.size,
+    };
+  }
+}
+
+module.exports = ErrorGroups;
@@ -0,0 +1,210 @@
+/**
+ * HarExport - Captured network traffic as a HAR 1.2 document
+ *
+ * The browser client reports each fetch/XHR as a request entry followed by a
+ * response or error entry (NetworkFormatter), linked by the request id. They
+ * are paired into HAR entries that browser devtools, Charles and other HAR
+ * viewers can open. Flat entries ({ method, url, status, duration }) become
+ * entries of their own.
+ *
+ * Spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+const LogFormatter = require('../utils/LogFormatter');
+const pkg = require('../../package.json');
+
+class HarExport {
+  static version = '1.2';
+  static creatorName = 'Console Log Pipe';
+  // fetch and XHR don't expose the protocol that was used
+  static httpVersion = 'HTTP/1.1';
+
+  /**
+   * Build a HAR document
+   * @param {Object[]} entries - Stored entries, oldest first
+   * @param {Object} [options] - { sessions (SessionTracker list, used to
+   *   resolve relative URLs against the page URL) }
+   * @returns {Object} HAR document ({ log: { version, creator, entries } })
+   */
+  static build(entries, options = {}) {
+    const pageUrls = new Map(
+      (options.sessions || [])
+        .filter(session => session.url)
+        .map(session => [session.sessionId, session.url])
+    );
+
+    return {
+      log: {
+        version: HarExport.version,
+        creator: { name: HarExport.creatorName, version: pkg.version },
+        entries: HarExport.pair(entries)
+          .map(exchange =>
+            HarExport._entry(exchange, pageUrls.get(exchange.sessionId))
+          )
+          .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+      },
+    };
+  }
+
+  /**
+   * Group network entries into request/response exchanges
+   * @param {Object[]} entries - Stored entries
+   * @returns {Object[]} { sessionId, request, response, error, flat }
+   */
+  static pair(entries) {
+    const exchanges = [];
+    const byRequestId = new Map();
+    const exchangeFor = (requestId, entry) => {
+      let exchange = requestId && byRequestId.get(requestId);
+      if (!exchange) {
+        exchange = { sessionId: entry.sessionId };
+        exchanges.push(exchange);
+        if (requestId) {
+          byRequestId.set(requestId, exchange);
+        }
+      }
+      return exchange;
+    };
+
+    entries
+      .filter(entry => entry.type === 'network')
+      .forEach(entry => {
+        if (entry.request && entry.subtype !== 'response') {
+          exchangeFor(entry.request.id, entry).request = entry;
+        } else if (entry.response && typeof entry.response === 'object') {
+          exchangeFor(entry.response.requestId, entry).response = entry;
+        } else if (entry.error && typeof entry.error === 'object') {
+          exchangeFor(entry.error.requestId, entry).error = entry;
+        } else {
+          exchangeFor(null, entry).flat = entry;
+        }
+      });
+
+    return exchanges;
+  }
+
+  static _entry(exchange, pageUrl) {
+    const requestEntry = exchange.request || {};
+    const request = requestEntry.request || {};
+    const outcome = exchange.response || exchange.error || exchange.flat || {};
+    const response = (exchange.response || {}).response || {};
+    const summary = LogFormatter.getNetworkSummary({
+      ...outcome,
+      request,
+    });
+    const duration =
+      typeof summary.duration === 'number' && summary.duration >= 0
+        ? summary.duration
+        : 0;
+    const url = HarExport._absoluteUrl(summary.url, pageUrl);
+    const status = summary.status || 0;
+
+    const entry = {
+      startedDateTime: HarExport._startedDateTime(exchange, duration),
+      time: duration,
+      request: {
+        method: summary.method,
+        url,
+        httpVersion: HarExport.httpVersion,
+        cookies: [],
+        headers: HarExport._headers(request.headers),
+        queryString: HarExport._queryString(url),
+        headersSize: -1,
+        bodySize: HarExport._size(request.body),
+      },
+      response: {
+        status,
+        statusText: response.statusText || outcome.statusText || '',
+        httpVersion: status ? HarExport.httpVersion : '',
+        cookies: [],
+        headers: HarExport._headers(response.headers),
+        content: {
+          size: HarExport._size(response.body, 0),
+          mimeType:
+            HarExport._header(response.headers, 'content-type') || 'x-unknown',
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: HarExport._size(response.body),
+      },
+      cache: {},
+      // Only the total duration is known
+      timings: { send: 0, wait: duration, receive: 0 },
+    };
+
+    if (request.body) {
+      entry.request.postData = {
+        mimeType:
+          HarExport._header(request.headers, 'content-type') ||
+          'application/octet-stream',
+        text: String(request.body),
+      };
+    }
+    if (response.body) {
+      entry.response.content.text = String(response.body);
+    }
+    const failure = exchange.error
+      ? exchange.error.error.message || 'Failed'
+      : typeof outcome.error === 'string' && outcome.error;
+    if (failure) {
+      // Chrome's field for requests that never got a response
+      entry.response._error = failure;
+    } else if (!status) {
+      entry.comment = 'No response captured';
+    }
+    return entry;
+  }
+
+  // Wall-clock start: the request entry's time, else the outcome's time
+  // minus the duration (timing.start is a performance.now() value)
+  static _startedDateTime(exchange, duration) {
+    const time = entry =>
+      new Date(entry.timestamp || entry.receivedAt).getTime();
+    let start = exchange.request ? time(exchange.request) : NaN;
+    if (isNaN(start)) {
+      const outcome = exchange.response || exchange.error || exchange.flat;
+      start = outcome ? time(outcome) - duration : NaN;
+    }
+    return new Date(isNaN(start) ? 0 : start).toISOString();
+  }
+
+  static _absoluteUrl(url, pageUrl) {
+    try {
+      return new URL(url, pageUrl).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  static _queryString(url) {
+    try {
+      return Array.from(new URL(url).searchParams, ([name, value]) => ({
+        name,
+        value,
+      }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  static _headers(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({
+      name,
+      value: String(value),
+    }));
+  }
+
+  static _header(headers, name) {
+    const match = Object.keys(headers || {}).find(
+      key => key.toLowerCase() === name
+    );
+    return match ? String(headers[match]) : undefined;
+  }
+
+  // Size in bytes of a captured body; `unknown` when nothing was captured
+  static _size(body, unknown = -1) {
+    return body ? Buffer.byteLength(String(body)) : unknown;
+  }
+}
+
+module.exports = HarExport;
@@ -0,0 +1,441 @@
+/**
+ * IncidentSummary - Compact digest of what happened around a failure
+ *
+ * Bundles the context usually gathered by hand when something breaks: errors
+ * grouped by fingerprint with their stacks and the entries leading up to
+ * them, failed and slow network requests, storage changes and the page
+ * environment. The digest is trimmed to a token budget so it can be handed
+ * to an AI assistant as is.
+ */
+
+const ErrorGroups = require('./ErrorGroups');
+const LogFormatter = require('../utils/LogFormatter');
+const TimeUtils = require('../utils/TimeUtils');
+
+class IncidentSummary {
+  static defaultWindow = 2 * 60 * 1000;
+  static maxWindow = 24 * 60 * 60 * 1000;
+  static defaultBudget = 4000; // Tokens, estimated from the JSON size
+  static charsPerToken = 4;
+  static contextSize = 5; // Entries shown before each error
+  static slowThreshold = 2000; // ms, NetworkAnalyzer's "delayed" requests
+  static stackFrames = 5;
+  static maxTextLength = 300;
+
+  /**
+   * Summarize the entries of a time window
+   * @param {Object[]} entries - Stored entries, oldest first
+   * @param {Object} [options] - { window (ms), now, sessionId, budget
+   *   (tokens), sessions (SessionTracker list), storageChanges, notes }
+   * @returns {Object} Summary
+   */
+  static build(entries, options = {}) {
+    const now = options.now || Date.now();
+    const windowMs = options.window || IncidentSummary.defaultWindow;
+    const from = now - windowMs;
+    const recent = entries.filter(entry => {
+      const time = IncidentSummary._time(entry);
+      return (
+        time >= from &&
+        time <= now &&
+        (!options.sessionId || entry.sessionId === options.sessionId)
+      );
+    });
+
+    const errors = IncidentSummary._errors(recent);
+    const network = IncidentSummary._network(recent);
+    const storage = options.storageChanges
+      ? IncidentSummary._storage(options.storageChanges, from, now)
+      : null;
+
+    const summary = {
+      window: {
+        from: new Date(from).toISOString(),
+        to: new Date(now).toISOString(),
+        durationMs: windowMs,
+      },
+      counts: {
+        entries: recent.length,
+        errors: recent.filter(entry => ErrorGroups.isError(entry)).length,
+        errorGroups: errors.length,
+        warnings: recent.filter(entry => entry.level === 'warn').length,
+        network: recent.filter(entry => entry.type === 'network').length,
+        failedRequests: network.filter(request => request.problem === 'failed')
+          .length,
+        slowRequests: network.filter(request => request.problem === 'slow')
+          .length,
+        storageChanges: storage ? storage.length : null,
+      },
+      environment: IncidentSummary._environment(recent, options.sessions),
+      errors,
+      network,
+      storage,
+      notes: options.notes || [],
+      truncated: false,
+    };
+
+    return IncidentSummary.fit(
+      summary,
+      options.budget || IncidentSummary.defaultBudget
+    );
+  }
+
+  /**
+   * Trim a summary until it fits the token budget, dropping the least useful
+   * details first. Counts always cover the whole window.
+   * @param {Object} summary - Summary from build()
+   * @param {number} budget - Approximate tokens
+   * @returns {Object} The same summary, `truncated` when anything was dropped
+   */
+  static fit(summary, budget) {
+    const limit = budget * IncidentSummary.charsPerToken;
+    const size = () => JSON.stringify(summary).length;
+    const keepLast = (list, count) => list && list.slice(-count);
+    const steps = [
+      () =>
+        summary.errors.forEach(error => {
+          error.preceding = error.preceding.slice(-2);
+        }),
+      () => {
+        summary.network = keepLast(summary.network, 10);
+        summary.storage = keepLast(summary.storage, 5);
+      },
+      () =>
+        summary.errors.forEach(error => {
+          error.stack = error.stack.slice(0, 2);
+          error.preceding = [];
+        }),
+      () => {
+        summary.errors = summary.errors.slice(0, 5);
+        summary.network = keepLast(summary.network, 3);
+        summary.storage = keepLast(summary.storage, 1);
+      },
+      () => {
+        summary.errors = summary.errors.slice(0, 1);
+        summary.network = [];
+        summary.storage = summary.storage && [];
+      },
+    ];
+
+    for (const step of steps) {
+      if (size() <= limit) {
+        break;
+      }
+      step();
+      summary.truncated = true;
+    }
+    return summary;
+  }
+
+  /**
+   * Render a summary as Markdown
+   * @param {Object} summary - Summary from build()
+   * @returns {string} Markdown
+   */
+  static toMarkdown(summary) {
+    const clock = IncidentSummary._clock;
+    const plural = (count, noun, nouns = `${noun}s`) =>
+      `${count} ${count === 1 ? noun : nouns}`;
+    const { counts, environment } = summary;
+    const period = `${clock(summary.window.from)}–${clock(
+      summary.window.to
+    )} UTC (${TimeUtils.formatDuration(summary.window.durationMs)})`;
+    const lines = [
+      '# Incident summary',
+      '',
+      `${period}: ${plural(counts.entries, 'entry', 'entries')}, ${plural(
+        counts.errors,
+        'error'
+      )} in ${plural(counts.errorGroups, 'group')}, ${
+        counts.failedRequests
+      } failed and ${plural(counts.slowRequests, 'slow request')}`,
+    ];
+
+    const labels = {
+      url: 'URL',
+      title: 'Title',
+      userAgent: 'User agent',
+      language: 'Language',
+      platform: 'Platform',
+      online: 'Online',
+      viewport: 'Viewport',
+      application: 'Application',
+      environment: 'Environment',
+      branch: 'Branch',
+      sessions: 'Sessions',
+    };
+    const details = Object.keys(labels).filter(
+      key => environment[key] !== undefined && environment[key] !== null
+    );
+    if (details.length > 0) {
+      lines.push('', '## Environment', '');
+      details.forEach(key =>
+        lines.push(`- **${labels[key]}:** ${environment[key]}`)
+      );
+    }
+
+    lines.push('', '## Errors', '');
+    if (summary.errors.length === 0) {
+      lines.push('No errors in this window.');
+    }
+    summary.errors.forEach((error, index) => {
+      const seen =
+        error.firstSeen === error.lastSeen
+          ? clock(error.firstSeen)
+          : `${clock(error.firstSeen)}–${clock(error.lastSeen)}`;
+      const traits = [error.category, error.severity].filter(Boolean);
+      lines.push(
+        `### ${index + 1}. ${error.name}: ${error.message} (×${error.count})`,
+        '',
+        `${seen}, ${plural(error.sessions, 'session')}, fingerprint \`${
+          error.fingerprint
+        }\`${traits.length > 0 ? `, ${traits.join(', ')}` : ''}`
+      );
+      if (error.stack.length > 0) {
+        lines.push(
+          '',
+          '```',
+          ...error.stack.map(frame => `at ${frame}`),
+          '```'
+        );
+      }
+      if (error.preceding.length > 0) {
+        lines.push('', 'Leading up to the first occurrence:', '');
+        error.preceding.forEach(entry =>
+          lines.push(`- ${clock(entry.time)} [${entry.level}] ${entry.text}`)
+        );
+      }
+      lines.push('');
+    });
+
+    lines.push('', '## Network', '');
+    if (summary.network.length === 0) {
+      lines.push('No failed or slow requests.');
+    }
+    summary.network.forEach(request => {
+      const outcome = request.status || request.error || 'no response';
+      const duration =
+        request.durationMs !== null ? ` (${request.durationMs}ms)` : '';
+      lines.push(
+        `- ${clock(request.time)} ${request.method} ${
+          request.url
+        } → ${outcome}${duration}${request.problem === 'slow' ? ', slow' : ''}`
+      );
+    });
+
+    if (summary.storage) {
+      lines.push('', '## Storage changes', '');
+      if (summary.storage.length === 0) {
+        lines.push('No storage changes.');
+      }
+      summary.storage.forEach(change => {
+        const parts = ['added', 'modified', 'deleted']
+          .filter(kind => change[kind].length > 0)
+          .map(kind => `${kind} ${change[kind].join(', ')}`);
+        lines.push(
+          `- ${clock(change.time)} ${change.area}: ${parts.join('; ')}`
+        );
+      });
+    }
+
+    if (summary.notes.length > 0 || summary.truncated) {
+      lines.push('');
+      summary.notes.forEach(note => lines.push(`> ${note}`));
+      if (summary.truncated) {
+        lines.push(
+          '_Trimmed to fit the token budget; the counts cover the whole window._'
+        );
+      }
+    }
+
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n')}\n`;
+  }
+
+  static _errors(recent) {
+    const groups = new ErrorGroups();
+    const firstIndex = new Map();
+    recent.forEach((entry, index) => {
+      if (ErrorGroups.isError(entry)) {
+        const { fingerprint } = groups.record(entry);
+        if (!firstIndex.has(fingerprint)) {
+          firstIndex.set(fingerprint, index);
+        }
+      }
+    });
+
+    return groups.list({ sort: 'count' }).map(group => {
+      const index = firstIndex.get(group.fingerprint);
+      return {
+        fingerprint: group.fingerprint,
+        name: group.name,
+        message: IncidentSummary._text(group.message),
+        count: group.count,
+        firstSeen: group.firstSeen,
+        lastSeen: group.lastSeen,
+        sessions: group.sessionCount,
+        category: group.sample.category || null,
+        severity: IncidentSummary._severity(group.sample),
+        stack: ErrorGroups.topFrames(
+          group.sample,
+          IncidentSummary.stackFrames
+        ).map(
+          frame =>
+            `${frame.function || 'anonymous'} (${frame.file}:${frame.line}${
+              frame.column ? `:${frame.column}` : ''
+            })`
+        ),
+        preceding: recent
+          .slice(Math.max(0, index - IncidentSummary.contextSize), index)
+          .map(entry => IncidentSummary._compact(entry)),
+      };
+    });
+  }
+
+  // Requests that failed (status >= 400 or no response) or took longer than
+  // slowThreshold
+  static _network(recent) {
+    return recent
+      .filter(entry => entry.type === 'network')
+      .map(entry => {
+        const { method, url, status, duration } =
+          LogFormatter.getNetworkSummary(entry);
+        const failed = status ? status >= 400 : Boolean(entry.error);
+        const slow = duration > IncidentSummary.slowThreshold;
+        if (!failed && !slow) {
+          return null;
+        }
+        return {
+          time: IncidentSummary._iso(entry),
+          method,
+          url,
+          status: status || null,
+          durationMs:
+            typeof duration === 'number' ? Math.round(duration) : null,
+          problem: failed ? 'failed' : 'slow',
+          error: IncidentSummary._errorMessage(entry.error),
+          severity: IncidentSummary._severity(entry),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Storage changes reported by `clp storage`, keys only (values may hold
+  // tokens or personal data)
+  static _storage(changes, from, now) {
+    const keys = list =>
+      (list || []).map(item => item.name || item.key).filter(Boolean);
+    return changes
+      .filter(change => {
+        const time = new Date(change.timestamp).getTime();
+        return time >= from && time <= now;
+      })
+      .map(change => ({
+        time: change.timestamp,
+        area: change.subType,
+        added: keys(change.added),
+        modified: keys(change.modified),
+        deleted: keys(change.deleted),
+      }));
+  }
+
+  // Page and browser details from the latest entry with client metadata
+  // (LogUtils.collectEnhancedMetadata), falling back to the session records
+  static _environment(recent, sessions = []) {
+    const latest = key =>
+      [...recent]
+        .reverse()
+        .find(entry => entry[key] && typeof entry[key] === 'object');
+    const context = (latest('context') || {}).context || {};
+    const application = (latest('application') || {}).application || {};
+    const sessionIds = new Set(
+      recent.map(entry => entry.sessionId).filter(Boolean)
+    );
+    const session =
+      (sessions || []).find(candidate => sessionIds.has(candidate.sessionId)) ||
+      {};
+    const browser = context.browser || {};
+    const viewport = context.viewport || {};
+
+    const environment = {
+      url: (context.url && context.url.href) || session.url,
+      title: context.document && context.document.title,
+      userAgent: browser.userAgent || session.userAgent,
+      language: browser.language,
+      platform: browser.platform,
+      online: browser.onLine,
+      viewport: viewport.width
+        ? `${viewport.width}x${viewport.height}${
+            viewport.devicePixelRatio ? ` @${viewport.devicePixelRatio}x` : ''
+          }`
+        : undefined,
+      application: application.name || session.applicationName,
+      environment: application.environment || session.environment,
+      branch: application.branch,
+      sessions: sessionIds.size || undefined,
+    };
+    Object.keys(environment).forEach(key => {
+      // Session records hold null for details a client never sent
+      if (
+        environment[key] === undefined ||
+        environment[key] === null ||
+        environment[key] === ''
+      ) {
+        delete environment[key];
+      }
+    });
+    return environment;
+  }
+
+  // One-line view of an entry shown before an error
+  static _compact(entry) {
+    let text;
+    if (entry.type === 'network') {
+      const { method, url, status } = LogFormatter.getNetworkSummary(entry);
+      text = `${method} ${url}${status ? ` ${status}` : ''}`;
+    } else {
+      text = entry.message || IncidentSummary._errorMessage(entry.error) || '';
+    }
+    return {
+      time: IncidentSummary._iso(entry),
+      level: entry.level || entry.type || 'log',
+      text: IncidentSummary._text(text),
+    };
+  }
+
+  static _text(text) {
+    return LogFormatter.truncate(
+      String(text).replace(/\s+/g, ' ').trim(),
+      IncidentSummary.maxTextLength
+    );
+  }
+
+  static _errorMessage(error) {
+    if (!error) {
+      return null;
+    }
+    return typeof error === 'string' ? error : error.message || null;
+  }
+
+  static _severity(entry) {
+    const { severity } = entry;
+    return (
+      (severity && typeof severity === 'object' ? severity.level : severity) ||
+      null
+    );
+  }
+
+  static _time(entry) {
+    return new Date(entry.timestamp || entry.receivedAt).getTime();
+  }
+
+  static _iso(entry) {
+    const time = IncidentSummary._time(entry);
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  static _clock(iso) {
+    return iso ? String(iso).slice(11, 19) : '--:--:--';
+  }
+}
+
+module.exports = IncidentSummary;
@@ -0,0 +1,401 @@
+/**
+ * LogStore - Bounded in-memory log buffer with optional on-disk persistence
+ *
+ * Entries are always kept in memory (capped by maxLogs). When persistence is
+ * enabled, every entry is also appended to NDJSON segment files which are
+ * rotated by size and age and pruned after the retention period, so history
+ * survives server restarts and older sessions can still be inspected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+
+class LogStore {
+  static SEGMENT_PREFIX = 'segment-';
+  static SEGMENT_EXTENSION = '.ndjson';
+
+  static defaults = {
+    maxLogs: 1000,
+    maxSegmentSize: 5 * 1024 * 1024, // 5 MB
+    maxSegmentAge: 60 * 60 * 1000, // 1 hour
+    retention: 7 * 24 * 60 * 60 * 1000, // 7 days
+  };
+
+  constructor(options = {}) {
+    this.maxLogs = options.maxLogs || LogStore.defaults.maxLogs;
+    this.persist = Boolean(options.persist && options.directory);
+    this.directory = options.directory || null;
+    this.maxSegmentSize =
+      options.maxSegmentSize || LogStore.defaults.maxSegmentSize;
+    this.maxSegmentAge =
+      options.maxSegmentAge || LogStore.defaults.maxSegmentAge;
+    this.retention = options.retention || LogStore.defaults.retention;
+
+    // Shared array reference - callers may hold on to it
+    this.entries = [];
+    // Last sequence number handed out; continues across restarts when
+    // persisted entries are restored
+    this.sequence = 0;
+    this.currentSegment = null;
+    this.lastSegmentTime = 0;
+  }
+
+  /**
+   * Prepare the store directory and load the most recent persisted entries
+   * @returns {number} Number of entries restored into memory
+   */
+  open() {
+    if (!this.persist) {
+      return 0;
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.pruneSegments();
+
+    // Walk segments newest-first until the memory buffer is full
+    const restored = [];
+    const segments = this.listSegments().reverse();
+    if (segments.length > 0) {
+      this.lastSegmentTime = segments[0].createdAt;
+    }
+
+    for (const segment of segments) {
+      const segmentEntries = this.readSegment(segment.file);
+      restored.unshift(...segmentEntries);
+      if (restored.length >= this.maxLogs) {
+        break;
+      }
+    }
+
+    this.entries.push(...restored.slice(-this.maxLogs));
+    this.entries.forEach(entry => {
+      if (entry.seq > this.sequence) {
+        this.sequence = entry.seq;
+      }
+    });
+    return this.entries.length;
+  }
+
+  /**
+   * Add an entry to memory and, if enabled, to the current segment.
+   * The entry is stamped with a unique `id` and the next sequence number
+   * (`seq`); an id sent by the client is kept as `clientId`.
+   * @param {Object} entry - Processed log entry
+   * @returns {Object|undefined} The oldest entry, if it was dropped
+   */
+  add(entry) {
+    if (entry.id !== undefined && entry.clientId === undefined) {
+      entry.clientId = entry.id;
+    }
+    entry.id = uuidv4();
+    entry.seq = ++this.sequence;
+    this.entries.push(entry);
+    const evicted =
+      this.entries.length > this.maxLogs ? this.entries.shift() : undefined;
+
+    if (this.persist) {
+      this._append(entry);
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Get the entries a query should run against. When the requested time
+   * predates the in-memory buffer, persisted segments are read instead.
+   * @param {string|number|Date} [since] - Lower time bound of the query
+   * @returns {Promise<Array>} Entries to filter
+   */
+  async getEntries(since) {
+    if (!this.persist || !since) {
+      return this.entries;
+    }
+
+    const sinceTime = new Date(since).getTime();
+    const oldest = this.oldestTimestamp();
+    if (isNaN(sinceTime) || (oldest !== null && sinceTime >= oldest)) {
+      return this.entries;
+    }
+
+    return this.readHistory(sinceTime);
+  }
+
+  /**
+   * Get the entries stored after a sequence number, e.g. to resume a stream
+   * @param {number} seq - Last sequence number the reader has seen
+   * @returns {Array} Newer entries still in memory
+   */
+  getEntriesAfter(seq) {
+    const after = Number(seq);
+    if (isNaN(after)) {
+      return [];
+    }
+    return this.entries.filter(entry => entry.seq > after);
+  }
+
+  /**
+   * Read persisted entries with a timestamp at or after sinceTime. Segments
+   * are streamed line by line; entries still in memory are taken from there,
+   * as the latest ones may not have been flushed to disk yet.
+   * @param {number} sinceTime - Epoch milliseconds
+   * @returns {Promise<Array>} Matching entries in chronological order
+   */
+  async readHistory(sinceTime) {
+    if (!this.persist) {
+      return [];
+    }
+
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      names = [];
+    }
+    const segments = this._segmentsFrom(names);
+    const firstInMemory = this.entries.length > 0 ? this.entries[0].seq : null;
+    const history = [];
+
+    for (let index = 0; index < segments.length; index++) {
+      // A segment only holds entries written before the next one was created
+      const next = segments[index + 1];
+      if (next && next.createdAt < sinceTime) {
+        continue;
+      }
+
+      await LogStore.readSegmentLines(segments[index].file, entry => {
+        if (
+          (firstInMemory === null || entry.seq < firstInMemory) &&
+          LogStore.getEntryTime(entry) >= sinceTime
+        ) {
+          history.push(entry);
+        }
+      });
+    }
+
+    this.entries.forEach(entry => {
+      if (LogStore.getEntryTime(entry) >= sinceTime) {
+        history.push(entry);
+      }
+    });
+    return history;
+  }
+
+  /**
+   * Timestamp of the oldest entry held in memory
+   * @returns {number|null} Epoch milliseconds or null when empty
+   */
+  oldestTimestamp() {
+    if (this.entries.length === 0) {
+      return null;
+    }
+    return LogStore.getEntryTime(this.entries[0]);
+  }
+
+  /**
+   * List segment files sorted oldest-first
+   * @returns {Array<{file: string, createdAt: number}>} Segment descriptors
+   */
+  listSegments() {
+    if (!this.persist || !fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return this._segmentsFrom(fs.readdirSync(this.directory));
+  }
+
+  // Segment descriptors for the segment files among directory entries
+  _segmentsFrom(names) {
+    return names
+      .filter(
+        name =>
+          name.startsWith(LogStore.SEGMENT_PREFIX) &&
+          name.endsWith(LogStore.SEGMENT_EXTENSION)
+      )
+      .map(name => ({
+        file: path.join(this.directory, name),
+        createdAt: parseInt(
+          name.slice(
+            LogStore.SEGMENT_PREFIX.length,
+            -LogStore.SEGMENT_EXTENSION.length
+          ),
+          10
+        ),
+      }))
+      .filter(segment => !isNaN(segment.createdAt))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Parse a segment file, skipping lines that were only partially written
+   * @param {string} file - Segment path
+   * @returns {Array} Entries stored in the segment
+   */
+  readSegment(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    content.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Ignore truncated lines (e.g. after a crash mid-write)
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Stream the entries of a segment, skipping partially written lines
+   * @param {string} file - Segment path
+   * @param {Function} onEntry - Called with each entry
+   * @returns {Promise<void>} Resolves once the segment has been read
+   */
+  static readSegmentLines(file, onEntry) {
+    return new Promise(resolve => {
+      const input = fs.createReadStream(file, 'utf8');
+      // A segment pruned or cleared meanwhile reads as empty
+      input.on('error', () => resolve());
+      readline
+        .createInterface({ input, crlfDelay: Infinity })
+        .on('line', line => {
+          if (!line.trim()) return;
+          try {
+            onEntry(JSON.parse(line));
+          } catch (error) {
+            // Ignore truncated lines (e.g. after a crash mid-write)
+          }
+        })
+        .on('close', () => resolve());
+    });
+  }
+
+  /**
+   * Delete segments that have not been written to within the retention period
+   * @returns {number} Number of segments removed
+   */
+  pruneSegments() {
+    const cutoff = Date.now() - this.retention;
+    let removed = 0;
+
+    this.listSegments().forEach(segment => {
+      try {
+        if (fs.statSync(segment.file).mtimeMs < cutoff) {
+          fs.unlinkSync(segment.file);
+          removed++;
+        }
+      } catch (error) {
+        // Segment disappeared or is not accessible; skip it
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Clear the in-memory buffer and delete the persisted segments, so
+   * history queries don't bring cleared entries back
+   * @returns {Promise<void>} Resolves once the segments are deleted
+   */
+  async clear() {
+    this.entries.length = 0;
+    if (!this.persist) {
+      return;
+    }
+
+    await this.close();
+    // Keep a segment started by entries added in the meantime
+    const current = this.currentSegment && this.currentSegment.file;
+    await Promise.all(
+      this.listSegments()
+        .filter(segment => segment.file !== current)
+        .map(segment => fs.promises.rm(segment.file, { force: true }))
+    );
+  }
+
+  /**
+   * Stop writing to the current segment
+   * @returns {Promise<void>} Resolves once pending writes are flushed
+   */
+  close() {
+    const segment = this.currentSegment;
+    this.currentSegment = null;
+    return segment ? LogStore._endStream(segment.stream) : Promise.resolve();
+  }
+
+  /**
+   * Append an entry to the current segment, rotating when needed. Writes
+   * are buffered by the segment's stream so ingestion never blocks.
+   */
+  _append(entry) {
+    try {
+      this._rotateIfNeeded();
+
+      const line = `${JSON.stringify(entry)}\n`;
+      this.currentSegment.stream.write(line);
+      this.currentSegment.size += Buffer.byteLength(line);
+    } catch (error) {
+      console.error('Error persisting log entry:', error.message);
+    }
+  }
+
+  static _endStream(stream) {
+    return new Promise(resolve => {
+      stream.on('error', () => resolve());
+      stream.end(() => resolve());
+    });
+  }
+
+  /**
+   * Start a new segment when the current one is too large or too old
+   */
+  _rotateIfNeeded() {
+    const now = Date.now();
+    const segment = this.currentSegment;
+
+    if (
+      segment &&
+      segment.size < this.maxSegmentSize &&
+      now - segment.createdAt < this.maxSegmentAge
+    ) {
+      return;
+    }
+
+    if (segment) {
+      segment.stream.end();
+    }
+
+    // Never reuse a file name if two rotations land on the same millisecond
+    const createdAt = Math.max(now, this.lastSegmentTime + 1);
+    this.lastSegmentTime = createdAt;
+    const file = path.join(
+      this.directory,
+      `${LogStore.SEGMENT_PREFIX}${createdAt}${LogStore.SEGMENT_EXTENSION}`
+    );
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', error => {
+      console.error('Error persisting log entry:', error.message);
+    });
+    this.currentSegment = { file, stream, size: 0, createdAt };
+
+    this.pruneSegments();
+  }
+
+  /**
+   * Resolve the time an entry was produced
+   * @param {Object} entry - Log entry
+   * @returns {number} Epoch milliseconds
+   */
+  static getEntryTime(entry) {
+    return new Date(entry.timestamp || entry.receivedAt).getTime();
+  }
+}
+
+module.exports = LogStore;
@@ -0,0 +1,215 @@
+/**
+ * McpServer - Model Context Protocol server over stdio
+ *
+ * Speaks JSON-RPC 2.0 with one message per line, as MCP clients expect from
+ * stdio servers: `initialize`, `ping`, `tools/list` and `tools/call`. Tools
+ * are plain objects ({ name, description, inputSchema, handler }); a tool
+ * that throws is reported to the client as an `isError` result so the model
+ * sees the message. Only protocol messages are written to the output stream.
+ */
+
+const readline = require('readline');
+
+class McpServer {
+  // Newest first; the client's version is used when we support it
+  static protocolVersions = ['2025-06-18', '2025-03-26', '2024-11-05'];
+  static errorCodes = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internalError: -32603,
+  };
+
+  /**
+   * @param {Object} options - { name, version, instructions, tools, input,
+   *   output }
+   */
+  constructor(options = {}) {
+    this.info = { name: options.name, version: options.version };
+    this.instructions = options.instructions;
+    this.tools = options.tools || [];
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+  }
+
+  /**
+   * Serve requests until the input stream ends
+   * @returns {Promise<void>} Resolves when the input closes
+   */
+  start() {
+    const lines = readline.createInterface({
+      input: this.input,
+      crlfDelay: Infinity,
+    });
+    // Replies go out in request order even when tools finish out of order
+    let queue = Promise.resolve();
+    lines.on('line', line => {
+      queue = queue.then(() => this.handleLine(line));
+    });
+
+    return new Promise(resolve => {
+      lines.on('close', () => queue.then(resolve));
+    });
+  }
+
+  /**
+   * Handle one line of input, writing the response if there is one
+   */
+  async handleLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this._send(
+        McpServer._errorResponse(
+          null,
+          McpServer.errorCodes.parseError,
+          `Parse error: ${error.message}`
+        )
+      );
+      return;
+    }
+
+    const response = await this.handleMessage(message);
+    if (response) {
+      this._send(response);
+    }
+  }
+
+  /**
+   * Handle a parsed JSON-RPC message
+   * @param {Object} message - Request or notification
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleMessage(message) {
+    if (
+      !message ||
+      typeof message !== 'object' ||
+      Array.isArray(message) ||
+      message.jsonrpc !== '2.0'
+    ) {
+      return McpServer._errorResponse(
+        null,
+        McpServer.errorCodes.invalidRequest,
+        'Invalid request'
+      );
+    }
+
+    // Responses to requests we never send
+    if (typeof message.method !== 'string') {
+      return null;
+    }
+
+    const isNotification = message.id === undefined || message.id === null;
+    try {
+      const result = await this._dispatch(message.method, message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      return isNotification
+        ? null
+        : McpServer._errorResponse(
+            message.id,
+            Number.isInteger(error.code)
+              ? error.code
+              : McpServer.errorCodes.internalError,
+            error.message
+          );
+    }
+  }
+
+  _dispatch(method, params = {}) {
+    switch (method) {
+      case 'initialize':
+        return this._initialize(params);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: this.tools.map(({ name, description, inputSchema }) => ({
+            name,
+            description,
+            inputSchema,
+          })),
+        };
+      case 'tools/call':
+        return this._callTool(params);
+      default:
+        if (method.startsWith('notifications/')) {
+          return null;
+        }
+        throw McpServer.rpcError(
+          McpServer.errorCodes.methodNotFound,
+          `Method not found: ${method}`
+        );
+    }
+  }
+
+  _initialize(params) {
+    const requested = params && params.protocolVersion;
+    const result = {
+      protocolVersion: McpServer.protocolVersions.includes(requested)
+        ? requested
+        : McpServer.protocolVersions[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: this.info,
+    };
+    if (this.instructions) {
+      result.instructions = this.instructions;
+    }
+    return result;
+  }
+
+  async _callTool(params = {}) {
+    const tool = this.tools.find(candidate => candidate.name === params.name);
+    if (!tool) {
+      throw McpServer.rpcError(
+        McpServer.errorCodes.invalidParams,
+        `Unknown tool: ${params.name}`
+      );
+    }
+
+    try {
+      const result = await tool.handler(params.arguments || {});
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              typeof result === 'string'
+                ? result
+                : JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true,
+      };
+    }
+  }
+
+  _send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Error carrying a JSON-RPC error code
+   */
+  static rpcError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  static _errorResponse(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+}
+
+module.exports = McpServer;
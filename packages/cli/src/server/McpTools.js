@@ -0,0 +1,214 @@
+/**
+ * McpTools - MCP tools backed by a running Console Log Pipe server
+ *
+ * Each tool wraps one of the server's REST endpoints, so `clp mcp` holds no
+ * state of its own: it can start before `clp start` and keeps working across
+ * server restarts.
+ */
+
+const HttpClient = require('../utils/HttpClient');
+const LogFormatter = require('../utils/LogFormatter');
+
+class McpTools {
+  static defaultLimit = 50;
+  static maxLimit = 1000;
+  static defaultStoragePort = 3002;
+
+  /**
+   * Build the tool list
+   * @param {Object} settings - { host, port, token, storagePort }
+   * @returns {Object[]} Tools: { name, description, inputSchema, handler }
+   */
+  static create(settings) {
+    const request = (path, options = {}) =>
+      HttpClient.request({
+        host: settings.host,
+        port: settings.port,
+        token: settings.token,
+        path,
+        ...options,
+      });
+    const filters = {
+      since: {
+        type: 'string',
+        description: 'Only entries since this time (ISO 8601)',
+      },
+      sessionId: {
+        type: 'string',
+        description: 'Only entries from this browser session',
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: McpTools.maxLimit,
+        description: `Maximum number of results (default ${McpTools.defaultLimit})`,
+      },
+    };
+
+    return [
+      {
+        name: 'get_recent_logs',
+        description:
+          'Most recent console logs, errors and network requests captured from the browser, oldest first. Entries include level, message, category, severity and AI tags.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            level: {
+              type: 'string',
+              enum: ['log', 'debug', 'info', 'warn', 'error'],
+              description: 'Only entries with this level',
+            },
+            pattern: {
+              type: 'string',
+              description: 'Only entries matching this regular expression',
+            },
+            ...filters,
+          },
+        },
+        handler: async args => {
+          const response = await request('/api/logs', {
+            query: {
+              level: args.level,
+              pattern: args.pattern,
+              since: args.since,
+              sessionId: args.sessionId,
+              tail: McpTools._limit(args.limit),
+            },
+          });
+          return { logs: response.logs, total: response.total };
+        },
+      },
+      {
+        name: 'get_errors',
+        description:
+          'Browser errors grouped by fingerprint, with occurrence count, first and last seen, affected sessions and a sample entry (stack trace, category, severity, suggestions). Most recently seen first.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sort: {
+              type: 'string',
+              enum: ['lastSeen', 'count'],
+              description: 'Order of the groups (default lastSeen)',
+            },
+            sessionId: filters.sessionId,
+            limit: filters.limit,
+          },
+        },
+        handler: async args => {
+          const response = await request('/api/errors/groups', {
+            query: {
+              sort: args.sort,
+              sessionId: args.sessionId,
+              limit: McpTools._limit(args.limit),
+            },
+          });
+          return { groups: response.groups, total: response.total };
+        },
+      },
+      {
+        name: 'get_network_failures',
+        description:
+          'Captured fetch/XHR requests that failed: HTTP status at or above minStatus, or no response at all (network error, CORS, timeout). Most recent last.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            minStatus: {
+              type: 'integer',
+              minimum: 100,
+              maximum: 599,
+              description:
+                'Lowest HTTP status counted as a failure (default 400)',
+            },
+            ...filters,
+          },
+        },
+        handler: async args => {
+          const response = await request('/api/logs', {
+            query: { since: args.since, sessionId: args.sessionId },
+          });
+          const failures = McpTools.networkFailures(
+            response.logs || [],
+            args.minStatus
+          );
+          return {
+            requests: failures.slice(-McpTools._limit(args.limit)),
+            total: failures.length,
+          };
+        },
+      },
+      {
+        name: 'search_logs',
+        description:
+          'Ranked full-text search over captured entries. Supports "quoted phrases", field:value terms (level, type, message, url, method, status, duration, session, stack, category, environment), numeric comparisons such as status:>=500, and -exclusions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description:
+                'Search query, e.g. level:error url:/checkout "timeout"',
+            },
+            limit: filters.limit,
+          },
+          required: ['query'],
+        },
+        handler: async args => {
+          if (!args.query) {
+            throw new Error('query is required');
+          }
+          const response = await request('/api/logs/search', {
+            query: { q: args.query, limit: McpTools._limit(args.limit) },
+          });
+          return { results: response.results, total: response.total };
+        },
+      },
+      {
+        name: 'get_storage_state',
+        description:
+          'Current cookies, localStorage, sessionStorage and IndexedDB state reported to the storage monitor (clp storage).',
+        inputSchema: { type: 'object', properties: {} },
+        handler: () =>
+          HttpClient.request({
+            host: settings.host,
+            port: settings.storagePort || McpTools.defaultStoragePort,
+            path: '/api/storage/state',
+          }).catch(error => {
+            // The storage monitor is started with `clp storage`
+            throw new Error(error.message.replace('clp start', 'clp storage'));
+          }),
+      },
+      {
+        name: 'clear_logs',
+        description:
+          'Clear the entries captured by the server, including persisted history on disk, e.g. before reproducing a bug.',
+        inputSchema: { type: 'object', properties: {} },
+        handler: () => request('/api/logs', { method: 'DELETE' }),
+      },
+    ];
+  }
+
+  /**
+   * Network entries that failed
+   * @param {Object[]} entries - Entries of any type
+   * @param {number} [minStatus] - Lowest failing HTTP status (default 400)
+   * @returns {Object[]} Failed network entries
+   */
+  static networkFailures(entries, minStatus = 400) {
+    return entries.filter(entry => {
+      if (entry.type !== 'network') {
+        return false;
+      }
+      const { status } = LogFormatter.getNetworkSummary(entry);
+      return status ? status >= minStatus : Boolean(entry.error);
+    });
+  }
+
+  static _limit(limit) {
+    const value = parseInt(limit, 10);
+    return isNaN(value) || value < 1
+      ? McpTools.defaultLimit
+      : Math.min(value, McpTools.maxLimit);
+  }
+}
+
+module.exports = McpTools;
@@ -0,0 +1,315 @@
+/**
+ * Metrics - Counters for GET /api/metrics in the Prometheus text format
+ *
+ * Counters are updated as entries are stored; gauges (buffer, clients,
+ * sessions) are read from the server when the metrics are rendered.
+ */
+
+const LogFormatter = require('../utils/LogFormatter');
+
+class Metrics {
+  static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  static types = ['log', 'error', 'network'];
+  static levels = ['log', 'debug', 'info', 'warn', 'error', 'trace'];
+  static latencyBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+  static rateWindow = 60; // seconds
+
+  constructor() {
+    this.entriesByType = {};
+    this.entriesByLevel = {};
+    this.networkByStatus = {};
+    this.redactions = {};
+    this.evicted = 0;
+    this.dropped = 0;
+    this.rateLimited = 0;
+    this.latency = {
+      buckets: Metrics.latencyBuckets.map(() => 0),
+      count: 0,
+      sum: 0, // ms, converted when rendered
+    };
+    this.recent = []; // [second, count] pairs within the rate window
+  }
+
+  /**
+   * Count a stored entry
+   * @param {Object} entry - Stored entry
+   * @param {number} [now] - Epoch milliseconds
+   */
+  record(entry, now = Date.now()) {
+    const type = entry.type || 'log';
+    // Types come from clients; keep the label set bounded
+    Metrics._increment(
+      this.entriesByType,
+      Metrics.types.includes(type) ? type : 'other'
+    );
+
+    if (entry.level) {
+      const level = String(entry.level).toLowerCase();
+      Metrics._increment(
+        this.entriesByLevel,
+        Metrics.levels.includes(level) ? level : 'other'
+      );
+    }
+
+    if (type === 'network') {
+      this._recordNetwork(entry);
+    }
+
+    const second = Math.floor(now / 1000);
+    const last = this.recent[this.recent.length - 1];
+    if (last && last[0] === second) {
+      last[1]++;
+    } else {
+      this.recent.push([second, 1]);
+    }
+    this._pruneRecent(now);
+  }
+
+  /**
+   * Count an entry dropped from the buffer to make room
+   */
+  recordEvicted() {
+    this.evicted++;
+  }
+
+  /**
+   * Count incoming messages that could not be stored
+   */
+  recordDropped(count = 1) {
+    this.dropped += count;
+  }
+
+  /**
+   * Count an entry rejected by the per-client rate limit
+   */
+  recordRateLimited() {
+    this.rateLimited++;
+  }
+
+  /**
+   * Count values redacted by a rule
+   */
+  recordRedactions(rule, count = 1) {
+    this.redactions[rule] = (this.redactions[rule] || 0) + count;
+  }
+
+  /**
+   * Entries per second averaged over the rate window
+   */
+  ingestionRate(now = Date.now()) {
+    this._pruneRecent(now);
+    const total = this.recent.reduce((sum, [, count]) => sum + count, 0);
+    return total / Metrics.rateWindow;
+  }
+
+  /**
+   * Render all metrics
+   * @param {Object} state - Current server state: { buffer: { size,
+   *   capacity }, clients, sessions, streams, uptime }
+   * @returns {string} Prometheus exposition text
+   */
+  render(state, now = Date.now()) {
+    const { buffer, clients, sessions, streams, uptime } = state;
+    const labelled = (counts, label) =>
+      Object.entries(counts).map(([key, value]) => [value, { [label]: key }]);
+
+    const blocks = [
+      Metrics.formatMetric(
+        'clp_entries_received_total',
+        'counter',
+        'Entries stored by type',
+        labelled(this.entriesByType, 'type')
+      ),
+      Metrics.formatMetric(
+        'clp_entries_by_level_total',
+        'counter',
+        'Entries stored by log level',
+        labelled(this.entriesByLevel, 'level')
+      ),
+      Metrics.formatMetric(
+        'clp_ingestion_rate',
+        'gauge',
+        `Entries per second over the last ${Metrics.rateWindow} seconds`,
+        [[this.ingestionRate(now)]]
+      ),
+      Metrics.formatMetric(
+        'clp_entries_evicted_total',
+        'counter',
+        'Entries dropped from the buffer to make room for new ones',
+        [[this.evicted]]
+      ),
+      Metrics.formatMetric(
+        'clp_entries_dropped_total',
+        'counter',
+        'Incoming messages that were not valid entries',
+        [[this.dropped]]
+      ),
+      Metrics.formatMetric(
+        'clp_entries_rate_limited_total',
+        'counter',
+        'Entries rejected by the per-client rate limit',
+        [[this.rateLimited]]
+      ),
+      Metrics.formatMetric(
+        'clp_redactions_total',
+        'counter',
+        'Values redacted from entries by rule',
+        labelled(this.redactions, 'rule')
+      ),
+      Metrics.formatMetric(
+        'clp_buffer_entries',
+        'gauge',
+        'Entries held in memory',
+        [[buffer.size]]
+      ),
+      Metrics.formatMetric(
+        'clp_buffer_capacity',
+        'gauge',
+        'Maximum entries held in memory (maxLogs)',
+        [[buffer.capacity]]
+      ),
+      Metrics.formatMetric(
+        'clp_buffer_utilization_ratio',
+        'gauge',
+        'Buffer occupancy against maxLogs',
+        [[buffer.capacity ? buffer.size / buffer.capacity : 0]]
+      ),
+      Metrics.formatMetric(
+        'clp_websocket_clients',
+        'gauge',
+        'Open WebSocket connections by role',
+        labelled(clients, 'role')
+      ),
+      Metrics.formatMetric(
+        'clp_event_streams',
+        'gauge',
+        'Open Server-Sent Events streams',
+        [[streams]]
+      ),
+      Metrics.formatMetric(
+        'clp_sessions',
+        'gauge',
+        'Browser sessions by connection state',
+        ['connected', 'disconnected'].map(connection => [
+          sessions.filter(
+            session => session.connected === (connection === 'connected')
+          ).length,
+          { state: connection },
+        ])
+      ),
+      Metrics.formatMetric(
+        'clp_session_entries_total',
+        'counter',
+        'Entries stored per browser session',
+        sessions.map(session => [
+          session.entryCount,
+          { session: session.sessionId },
+        ])
+      ),
+      Metrics.formatMetric(
+        'clp_network_requests_total',
+        'counter',
+        'Captured network requests by status class',
+        labelled(this.networkByStatus, 'status')
+      ),
+      this._formatLatency(),
+      Metrics.formatMetric(
+        'clp_uptime_seconds',
+        'gauge',
+        'Seconds since the server started',
+        [[Math.round(uptime / 1000)]]
+      ),
+    ];
+
+    return `${blocks.join('\n')}\n`;
+  }
+
+  _recordNetwork(entry) {
+    const { status, duration } = LogFormatter.getNetworkSummary(entry);
+    const statusClass = status ? `${Math.floor(status / 100)}xx` : 'failed';
+    Metrics._increment(this.networkByStatus, statusClass);
+
+    const ms = Number(duration);
+    if (duration === undefined || duration === null || isNaN(ms)) {
+      return;
+    }
+
+    Metrics.latencyBuckets.forEach((bound, index) => {
+      if (ms <= bound * 1000) {
+        this.latency.buckets[index]++;
+      }
+    });
+    this.latency.count++;
+    this.latency.sum += ms;
+  }
+
+  _formatLatency() {
+    const name = 'clp_network_request_duration_seconds';
+    const samples = Metrics.latencyBuckets.map((bound, index) => [
+      this.latency.buckets[index],
+      { le: String(bound) },
+      `${name}_bucket`,
+    ]);
+    samples.push(
+      [this.latency.count, { le: '+Inf' }, `${name}_bucket`],
+      [this.latency.sum / 1000, null, `${name}_sum`],
+      [this.latency.count, null, `${name}_count`]
+    );
+
+    return Metrics.formatMetric(
+      name,
+      'histogram',
+      'Duration of captured network requests in seconds',
+      samples
+    );
+  }
+
+  _pruneRecent(now) {
+    const oldest = Math.floor(now / 1000) - Metrics.rateWindow;
+    while (this.recent.length > 0 && this.recent[0][0] <= oldest) {
+      this.recent.shift();
+    }
+  }
+
+  static _increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  /**
+   * Format one metric family
+   * @param {string} name - Metric name
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Description
+   * @param {Array} samples - [value, labels, sampleName] tuples
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  static formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    samples.forEach(([value, labels, sampleName]) => {
+      lines.push(
+        `${sampleName || name}${this.formatLabels(labels)} ${
+          Number(value) || 0
+        }`
+      );
+    });
+    return lines.join('\n');
+  }
+
+  static formatLabels(labels) {
+    const keys = labels ? Object.keys(labels) : [];
+    if (keys.length === 0) {
+      return '';
+    }
+
+    const pairs = keys.map(key => {
+      const value = String(labels[key])
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+      return `${key}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+  }
+}
+
+module.exports = Metrics;
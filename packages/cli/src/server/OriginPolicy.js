@@ -0,0 +1,102 @@
+/**
+ * OriginPolicy - Browser origin allowlist for `clp start --allowed-origins`
+ *
+ * Without an allowlist every origin is accepted (CORS reflects it). With one,
+ * requests and WebSocket upgrades carrying an Origin header that is neither
+ * listed nor the server's own origin are rejected. Requests without an Origin
+ * (curl, the CLI, server-side tools) are not affected.
+ */
+
+class OriginPolicy {
+  /**
+   * Parse a comma-separated allowlist. `*` matches any run of characters,
+   * e.g. `http://localhost:*` or `https://*.example.test`.
+   * @param {string|string[]} value - Allowed origins
+   * @returns {RegExp[]|null} Patterns, or null when every origin is allowed
+   */
+  static parse(value) {
+    const origins = (
+      Array.isArray(value) ? value : String(value || '').split(',')
+    )
+      .map(origin => origin.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+
+    if (origins.length === 0 || origins.includes('*')) {
+      return null;
+    }
+
+    return origins.map(
+      origin =>
+        new RegExp(
+          `^${origin
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*')}$`,
+          'i'
+        )
+    );
+  }
+
+  /**
+   * Check an Origin header
+   * @param {string} [origin] - Origin header value
+   * @param {RegExp[]|null} allowed - Parsed allowlist
+   * @param {string} [host] - Host header, to accept same-origin requests
+   * @returns {boolean} Whether the origin may connect
+   */
+  static isAllowed(origin, allowed, host) {
+    if (!allowed || !origin) {
+      return true;
+    }
+
+    if (host && origin.replace(/^[a-z]+:\/\//i, '') === host) {
+      return true; // The dashboard served by this server
+    }
+
+    return allowed.some(pattern => pattern.test(origin));
+  }
+
+  /**
+   * Express middleware rejecting requests from other origins
+   * @param {RegExp[]} allowed - Parsed allowlist
+   * @returns {Function} Middleware
+   */
+  static middleware(allowed) {
+    return (req, res, next) => {
+      const { origin, host } = req.headers || {};
+      if (this.isAllowed(origin, allowed, host)) {
+        return next();
+      }
+
+      return res.status(403).json({ error: `Origin not allowed: ${origin}` });
+    };
+  }
+
+  /**
+   * Middleware for destructive routes. Browser requests are only accepted
+   * from the server's own origin (the dashboard) and the allowlist, even
+   * when no allowlist is configured.
+   * @param {RegExp[]|null} allowed - Parsed allowlist
+   * @returns {Function} Middleware
+   */
+  static sameOrigin(allowed) {
+    return this.middleware(allowed || []);
+  }
+
+  /**
+   * `verifyClient` callback for the WebSocket server
+   * @param {RegExp[]} allowed - Parsed allowlist
+   * @returns {Function} Callback accepting or rejecting the handshake
+   */
+  static verifyClient(allowed) {
+    return (info, callback) => {
+      if (this.isAllowed(info.origin, allowed, info.req.headers.host)) {
+        callback(true);
+      } else {
+        callback(false, 403, 'Origin not allowed');
+      }
+    };
+  }
+}
+
+module.exports = OriginPolicy;
@@ -0,0 +1,135 @@
+/**
+ * RateLimiter - Token bucket per client for incoming entries
+ *
+ * Each client key (browser session, WebSocket connection or IP address) may
+ * send `burst` entries at once and `rate` entries per second after that.
+ * Excess entries are dropped before they reach the log buffer, so a runaway
+ * `console.log` loop cannot push useful history out. Drops are counted and
+ * handed back for a summary at most once per `summaryInterval`: when the
+ * client is next let through, from `flush()` once a flood has stopped, or
+ * from `forget()` when the client goes away.
+ */
+
+class RateLimiter {
+  static defaults = {
+    rate: 200, // entries per second
+    burst: 1000,
+    summaryInterval: 5000, // ms
+    maxIdle: 10 * 60 * 1000, // forget buckets idle for 10 minutes
+  };
+
+  constructor(options = {}) {
+    this.rate = options.rate || RateLimiter.defaults.rate;
+    this.burst =
+      options.burst || Math.max(this.rate, RateLimiter.defaults.burst);
+    this.summaryInterval =
+      options.summaryInterval || RateLimiter.defaults.summaryInterval;
+    this.buckets = new Map();
+    this.totalDropped = 0;
+  }
+
+  /**
+   * Take a token for one entry
+   * @param {string} key - Client key
+   * @param {number} [now] - Epoch milliseconds
+   * @returns {{allowed: boolean, dropped: number}} Whether the entry may be
+   *   stored, and the number of earlier drops to summarize now (0 if none)
+   */
+  take(key, now = Date.now()) {
+    const bucket = this._getBucket(key, now);
+
+    bucket.tokens = Math.min(
+      this.burst,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.rate
+    );
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      bucket.pending++;
+      bucket.dropped++;
+      this.totalDropped++;
+      return { allowed: false, dropped: 0 };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, dropped: this._takePending(bucket, now) };
+  }
+
+  /**
+   * Take the drops that are due for a summary, so a flood that stops
+   * completely is still reported (called on a timer)
+   * @param {number} [now] - Epoch milliseconds
+   * @returns {Array<{key: string, dropped: number}>} Drops per client key
+   */
+  flush(now = Date.now()) {
+    const due = [];
+    this.buckets.forEach((bucket, key) => {
+      const dropped = this._takePending(bucket, now);
+      if (dropped > 0) {
+        due.push({ key, dropped });
+      }
+    });
+    return due;
+  }
+
+  /**
+   * Entries dropped so far for a key
+   */
+  getDropped(key) {
+    const bucket = this.buckets.get(key);
+    return bucket ? bucket.dropped : 0;
+  }
+
+  /**
+   * Forget a client, e.g. when its WebSocket closes
+   * @returns {number} Drops not summarized yet
+   */
+  forget(key) {
+    const bucket = this.buckets.get(key);
+    this.buckets.delete(key);
+    return bucket ? bucket.pending : 0;
+  }
+
+  // Pending drops once summaryInterval has passed since the last summary
+  _takePending(bucket, now) {
+    if (
+      bucket.pending === 0 ||
+      now - bucket.summarizedAt < this.summaryInterval
+    ) {
+      return 0;
+    }
+    const dropped = bucket.pending;
+    bucket.pending = 0;
+    bucket.summarizedAt = now;
+    return dropped;
+  }
+
+  _getBucket(key, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      this._pruneIdle(now);
+      bucket = {
+        tokens: this.burst,
+        updatedAt: now,
+        pending: 0,
+        dropped: 0,
+        summarizedAt: 0,
+      };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  _pruneIdle(now) {
+    this.buckets.forEach((bucket, key) => {
+      if (
+        bucket.pending === 0 &&
+        now - bucket.updatedAt > RateLimiter.defaults.maxIdle
+      ) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,346 @@
+/**
+ * Redactor - Removes secrets and personal data from entries before storage
+ *
+ * Entries are fed to terminals, dashboards and AI assistants, so every string
+ * in an entry (message, args, URLs, headers, bodies, stacks) is scanned before
+ * it is stored or broadcast. Matches are replaced with `[REDACTED:<rule>]` and
+ * counted per rule. Three kinds of rules are applied, in this order:
+ *
+ * - paths: JSON paths such as `request.body.password` or `args.*.token`
+ *   (JSON strings along the path, e.g. request bodies, are parsed)
+ * - keys: object keys whose values are always secret (`authorization`,
+ *   `cookie`, `password`, ...), at any depth, including inside JSON strings
+ *   such as network bodies
+ * - patterns: built-in and custom regular expressions over string values
+ */
+
+class Redactor {
+  static builtinRules = {
+    jwt: {
+      pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{10,}/g,
+    },
+    apiKey: {
+      pattern: new RegExp(
+        [
+          '\\b(?:sk|pk|rk)_(?:live|test)_[0-9a-zA-Z]{16,}', // Stripe
+          '\\bAKIA[0-9A-Z]{16}\\b', // AWS access key id
+          '\\bgh[pousr]_[0-9a-zA-Z]{36,}', // GitHub
+          '\\bgithub_pat_\\w{60,}', // GitHub fine-grained
+          '\\bxox[abprs]-[0-9a-zA-Z-]{10,}', // Slack
+          '\\bAIza[\\w-]{35}', // Google
+          '\\bsk-[\\w-]{20,}', // OpenAI, Anthropic and similar
+        ].join('|'),
+        'g'
+      ),
+    },
+    bearer: {
+      pattern: /(?<=\b(?:Bearer|Basic)\s+)[\w.~+/-]{8,}=*/gi,
+    },
+    urlSecret: {
+      // Values of secret-looking query parameters
+      pattern:
+        /(?<=[?&#](?:access_token|id_token|refresh_token|token|api_?key|key|secret|password|auth|signature|sig)=)[^&#\s"']+/gi,
+    },
+    creditCard: {
+      // 13-19 digits starting like Visa, Mastercard, Amex or Discover
+      pattern: /\b[3-6]\d(?:[ -]?\d){11,17}\b/g,
+      validate: match => Redactor.isLuhnValid(match.replace(/\D/g, '')),
+    },
+    email: {
+      pattern: /\b[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    },
+  };
+
+  static sensitiveKeys = [
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'set-cookie',
+    'x-api-key',
+    'x-auth-token',
+    'x-access-token',
+    'x-csrf-token',
+    'password',
+    'passwd',
+    'secret',
+    'client_secret',
+    'api_key',
+    'apikey',
+    'access_token',
+    'refresh_token',
+  ];
+
+  // Top-level entry fields written by clients and the server, never redacted
+  static metadataFields = [
+    'id',
+    'seq',
+    'type',
+    'level',
+    'timestamp',
+    'receivedAt',
+    'port',
+    'sessionId',
+    'clientId',
+    'source',
+  ];
+
+  static maxDepth = 20;
+
+  /**
+   * @param {Object} [options] - { rules, keys, patterns, paths }: built-in
+   *   rule names to apply (default: all), extra sensitive keys, custom
+   *   patterns (regex source strings or { name, pattern, flags }) and JSON
+   *   paths
+   */
+  constructor(options = {}) {
+    const ruleNames = options.rules || Object.keys(Redactor.builtinRules);
+    this.rules = ruleNames.map(name => {
+      const rule = Redactor.builtinRules[name];
+      if (!rule) {
+        throw new Error(
+          `Unknown redaction rule "${name}" (expected one of: ${Object.keys(
+            Redactor.builtinRules
+          ).join(', ')})`
+        );
+      }
+      return { name, ...rule };
+    });
+    (options.patterns || []).forEach(custom => {
+      this.rules.push(Redactor.compilePattern(custom));
+    });
+
+    this.keys = new Set(
+      [...Redactor.sensitiveKeys, ...(options.keys || [])].map(key =>
+        String(key).toLowerCase()
+      )
+    );
+    this.paths = (options.paths || []).map(Redactor.parsePath);
+    this.counts = {};
+    this.total = 0;
+  }
+
+  /**
+   * Compile a custom pattern
+   * @param {string|Object} custom - Regex source or { name, pattern, flags }
+   * @returns {Object} Rule
+   */
+  static compilePattern(custom) {
+    const {
+      name = 'custom',
+      pattern,
+      flags = 'g',
+    } = typeof custom === 'string' ? { pattern: custom } : custom || {};
+    try {
+      return {
+        name,
+        pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`),
+      };
+    } catch (error) {
+      throw new Error(
+        `Invalid redaction pattern "${pattern}": ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Split a JSON path such as `request.body.user.password` or `args[0].token`
+   * @param {string} jsonPath - Path, `$.` prefix optional, `*` matches any key
+   * @returns {string[]} Segments
+   */
+  static parsePath(jsonPath) {
+    const segments = String(jsonPath)
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\d+|\*)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean);
+    if (segments.length === 0) {
+      throw new Error(`Invalid redaction path "${jsonPath}"`);
+    }
+    return segments;
+  }
+
+  /**
+   * Luhn checksum, to tell card numbers from other long digit runs
+   */
+  static isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Redact an entry
+   * @param {Object} entry - Entry as received
+   * @returns {Object} Redacted copy; `redactions` maps rule names to counts
+   *   when anything was redacted
+   */
+  redactEntry(entry) {
+    const counts = {};
+    const redacted = { ...entry };
+
+    this.paths.forEach(segments => {
+      this._redactPath(redacted, segments, 0, counts);
+    });
+
+    Object.keys(redacted).forEach(field => {
+      if (!Redactor.metadataFields.includes(field)) {
+        redacted[field] = this._redactValue(redacted[field], field, 0, counts);
+      }
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      redacted.redactions = counts;
+      Object.entries(counts).forEach(([name, count]) => {
+        this.counts[name] = (this.counts[name] || 0) + count;
+      });
+      this.total += total;
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact patterns in a string
+   * @param {string} text - Text
+   * @param {Object} [counts] - Per-rule counts to update
+   * @returns {string} Redacted text
+   */
+  redactString(text, counts = {}) {
+    return this.rules.reduce(
+      (result, rule) =>
+        result.replace(rule.pattern, match => {
+          if (rule.validate && !rule.validate(match)) {
+            return match;
+          }
+          counts[rule.name] = (counts[rule.name] || 0) + 1;
+          return `[REDACTED:${rule.name}]`;
+        }),
+      text
+    );
+  }
+
+  _redactValue(value, key, depth, counts) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (
+      key !== undefined &&
+      this.keys.has(String(key).toLowerCase()) &&
+      typeof value !== 'object' &&
+      !/^\[REDACTED:\w+\]$/.test(value) // Already redacted by a path rule
+    ) {
+      counts.key = (counts.key || 0) + 1;
+      return '[REDACTED:key]';
+    }
+
+    if (typeof value === 'string') {
+      return this._redactJsonString(value, depth, counts);
+    }
+
+    if (typeof value !== 'object' || depth >= Redactor.maxDepth) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item =>
+        // Header lists such as [['Authorization', 'Bearer x']]
+        Array.isArray(item) && item.length === 2 && typeof item[0] === 'string'
+          ? [item[0], this._redactValue(item[1], item[0], depth + 1, counts)]
+          : this._redactValue(item, undefined, depth + 1, counts)
+      );
+    }
+
+    const result = {};
+    Object.keys(value).forEach(childKey => {
+      result[childKey] = this._redactValue(
+        value[childKey],
+        childKey,
+        depth + 1,
+        counts
+      );
+    });
+    return result;
+  }
+
+  // Network bodies arrive as JSON strings: apply the key rules inside them
+  // too, re-serializing only when something was redacted
+  _redactJsonString(text, depth, counts) {
+    const trimmed = text.trim();
+    if (
+      depth >= Redactor.maxDepth ||
+      !/^(\{[\s\S]*\}|\[[\s\S]*\])$/.test(trimmed)
+    ) {
+      return this.redactString(text, counts);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      return this.redactString(text, counts);
+    }
+
+    const found = {};
+    const redacted = this._redactValue(parsed, undefined, depth + 1, found);
+    if (Object.keys(found).length === 0) {
+      return text;
+    }
+    Object.entries(found).forEach(([name, count]) => {
+      counts[name] = (counts[name] || 0) + count;
+    });
+    return JSON.stringify(redacted);
+  }
+
+  _redactPath(target, segments, index, counts) {
+    const segment = segments[index];
+    const keys =
+      segment === '*'
+        ? Object.keys(target)
+        : segment in target
+        ? [segment]
+        : [];
+
+    keys.forEach(key => {
+      if (index === segments.length - 1) {
+        if (target[key] !== undefined) {
+          target[key] = '[REDACTED:path]';
+          counts.path = (counts.path || 0) + 1;
+        }
+        return;
+      }
+
+      const child = target[key];
+      if (typeof child === 'string') {
+        // JSON request/response bodies are stored as strings
+        let parsed;
+        try {
+          parsed = JSON.parse(child);
+        } catch (error) {
+          return;
+        }
+        if (parsed && typeof parsed === 'object') {
+          const before = counts.path || 0;
+          this._redactPath(parsed, segments, index + 1, counts);
+          if ((counts.path || 0) > before) {
+            target[key] = JSON.stringify(parsed);
+          }
+        }
+      } else if (child && typeof child === 'object') {
+        target[key] = Array.isArray(child) ? [...child] : { ...child };
+        this._redactPath(target[key], segments, index + 1, counts);
+      }
+    });
+  }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,469 @@
+/**
+ * SearchIndex - Inverted index over stored entries for GET /api/logs/search
+ *
+ * Entries are tokenized as they arrive and removed when the log store drops
+ * them. Queries combine free text with field-scoped terms:
+ *
+ *   level:error url:/checkout message:"timeout" status:>=500 -type:network
+ *
+ * Free-text words match token prefixes and are ranked by TF-IDF; quoted text
+ * matches as a phrase. Field terms filter without affecting the score, and a
+ * leading `-` negates a term. Ties are broken by recency.
+ *
+ * Prefixes are looked up in a sorted vocabulary, and fields with few distinct
+ * values (level, type, status, ...) are indexed by value, so a query only
+ * walks the documents of its most selective term.
+ */
+
+const LogFormatter = require('../utils/LogFormatter');
+
+class SearchIndex {
+  static maxQueryLength = 500;
+
+  // Fields that can be scoped with `field:value`; anything else is free text
+  static fields = [
+    'level',
+    'type',
+    'message',
+    'url',
+    'method',
+    'status',
+    'duration',
+    'session',
+    'stack',
+    'category',
+    'environment',
+  ];
+
+  // Fields indexed by value; the others are checked per document
+  static valueFields = [
+    'level',
+    'type',
+    'method',
+    'status',
+    'session',
+    'category',
+    'environment',
+  ];
+
+  constructor() {
+    this.documents = new Map(); // entry -> indexed document
+    this.postings = new Map(); // token -> Set of documents
+    this.vocabulary = []; // Tokens of postings, sorted
+    this.values = new Map(
+      SearchIndex.valueFields.map(field => [field, new Map()])
+    ); // field -> value -> Set of documents
+  }
+
+  /**
+   * Index a stored entry
+   * @param {Object} entry - Stored entry
+   */
+  add(entry) {
+    const fields = SearchIndex.extractFields(entry);
+    const text = [
+      fields.message,
+      fields.url,
+      fields.method,
+      fields.status,
+      fields.level,
+      fields.type,
+      fields.category,
+      fields.stack,
+    ]
+      .filter(value => value !== null && value !== undefined)
+      .join(' ')
+      .toLowerCase();
+
+    const tokenCounts = new Map();
+    SearchIndex.tokenize(text).forEach(token => {
+      tokenCounts.set(token, (tokenCounts.get(token) || 0) + 1);
+    });
+
+    const document = { entry, fields, text, tokenCounts };
+    this.documents.set(entry, document);
+    tokenCounts.forEach((count, token) => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+        this.vocabulary.splice(this._position(token), 0, token);
+      }
+      this.postings.get(token).add(document);
+    });
+    this.values.forEach((documents, field) => {
+      const value = fields[field];
+      if (value !== null && value !== undefined) {
+        if (!documents.has(value)) {
+          documents.set(value, new Set());
+        }
+        documents.get(value).add(document);
+      }
+    });
+  }
+
+  /**
+   * Remove an entry the log store no longer holds
+   * @param {Object} entry - Evicted entry
+   */
+  remove(entry) {
+    const document = this.documents.get(entry);
+    if (!document) {
+      return;
+    }
+
+    this.documents.delete(entry);
+    document.tokenCounts.forEach((count, token) => {
+      const documents = this.postings.get(token);
+      documents.delete(document);
+      if (documents.size === 0) {
+        this.postings.delete(token);
+        this.vocabulary.splice(this._position(token), 1);
+      }
+    });
+    this.values.forEach((documents, field) => {
+      const matching = documents.get(document.fields[field]);
+      if (matching) {
+        matching.delete(document);
+        if (matching.size === 0) {
+          documents.delete(document.fields[field]);
+        }
+      }
+    });
+  }
+
+  /**
+   * Number of indexed entries
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Run a query
+   * @param {string} query - Query string
+   * @param {Object} [options] - { limit }
+   * @returns {{results: Array<{score: number, entry: Object}>, total: number}}
+   * @throws {Error} When the query is empty, too long or malformed
+   */
+  search(query, options = {}) {
+    const terms = SearchIndex.parse(query);
+    const limit = options.limit || 100;
+    const textTerms = terms.filter(term => !term.field && !term.negate);
+
+    // Documents matching each term the index can answer, computed once.
+    // Only those of the most selective positive term are walked.
+    const termDocuments = new Map();
+    let candidates = null;
+    terms.forEach(term => {
+      const documents = this._documentsFor(term);
+      if (!documents) {
+        return;
+      }
+      termDocuments.set(term, documents);
+      if (!term.negate && (!candidates || documents.size < candidates.size)) {
+        candidates = documents;
+      }
+    });
+
+    const matches = [];
+    for (const document of candidates || this.documents.values()) {
+      if (
+        terms.every(term =>
+          SearchIndex._matches(document, term, termDocuments.get(term))
+        )
+      ) {
+        matches.push({
+          score: this._score(document, textTerms),
+          entry: document.entry,
+        });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.entry.seq - a.entry.seq);
+
+    return {
+      results: matches.slice(0, limit),
+      total: matches.length,
+    };
+  }
+
+  /**
+   * Documents matching a term, from the index; null when the term has to be
+   * checked per document
+   */
+  _documentsFor(term) {
+    if (term.field) {
+      const values = this.values.get(term.field);
+      if (!values) {
+        return null;
+      }
+      const documents = new Set();
+      values.forEach((matching, value) => {
+        if (SearchIndex._matchesValue(value, term)) {
+          matching.forEach(document => documents.add(document));
+        }
+      });
+      return documents;
+    }
+
+    if (!term.phrase) {
+      // Every word has to match a token prefix
+      return term.tokens
+        .map(prefix => this._lookup(prefix))
+        .reduce((all, documents) => {
+          const [smaller, larger] =
+            all.size < documents.size ? [all, documents] : [documents, all];
+          return new Set([...smaller].filter(document => larger.has(document)));
+        });
+    }
+
+    // The last word of a phrase of several words starts a token; the
+    // phrase itself is checked per document
+    return term.tokens.length > 1
+      ? this._lookup(term.tokens[term.tokens.length - 1])
+      : null;
+  }
+
+  /**
+   * Documents containing a token that starts with the given prefix
+   */
+  _lookup(prefix) {
+    const documents = new Set();
+    for (
+      let index = this._position(prefix);
+      index < this.vocabulary.length &&
+      this.vocabulary[index].startsWith(prefix);
+      index++
+    ) {
+      this.postings
+        .get(this.vocabulary[index])
+        .forEach(document => documents.add(document));
+    }
+    return documents;
+  }
+
+  // Index of the first vocabulary token not sorting before `token`
+  _position(token) {
+    let low = 0;
+    let high = this.vocabulary.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.vocabulary[middle] < token) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * TF-IDF score of a document for the free-text terms
+   */
+  _score(document, textTerms) {
+    const total = this.documents.size;
+    let score = 0;
+
+    textTerms.forEach(term => {
+      term.tokens.forEach(prefix => {
+        document.tokenCounts.forEach((count, token) => {
+          if (token.startsWith(prefix)) {
+            const idf = Math.log(1 + total / this.postings.get(token).size);
+            score += count * idf;
+          }
+        });
+      });
+    });
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Check a single query term against a document
+   * @param {Object} document - Indexed document
+   * @param {Object} term - Parsed term
+   * @param {Set} [documents] - Documents matching the term, when known
+   */
+  static _matches(document, term, documents) {
+    let matched;
+
+    if (documents && !term.phrase) {
+      matched = documents.has(document);
+    } else if (!term.field) {
+      matched = document.text.includes(term.value);
+    } else {
+      matched = SearchIndex._matchesValue(document.fields[term.field], term);
+    }
+
+    return term.negate ? !matched : matched;
+  }
+
+  /**
+   * Check a field value against a field term
+   */
+  static _matchesValue(value, term) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+    if (term.op === 'contains') {
+      return String(value).toLowerCase().includes(term.value);
+    }
+    if (term.op === '=') {
+      return typeof term.value === 'number'
+        ? Number(value) === term.value
+        : String(value).toLowerCase() === term.value;
+    }
+    return SearchIndex._compare(Number(value), term.op, term.value);
+  }
+
+  static _compare(actual, op, expected) {
+    if (isNaN(actual)) return false;
+    if (op === '>') return actual > expected;
+    if (op === '>=') return actual >= expected;
+    if (op === '<') return actual < expected;
+    return actual <= expected;
+  }
+
+  /**
+   * Parse a query string into terms
+   * @param {string} query - Query string
+   * @returns {Array<Object>} Terms: { field, op, value, negate, phrase, tokens }
+   * @throws {Error} When the query is empty, too long or malformed
+   */
+  static parse(query) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('Missing search query');
+    }
+    if (query.length > this.maxQueryLength) {
+      throw new Error(
+        `Search query is too long (max ${this.maxQueryLength} characters)`
+      );
+    }
+
+    const terms = [];
+    // [-]field:"quoted", [-]field:value, [-]"quoted" or [-]word. An
+    // unterminated quote runs to the end of the query.
+    const pattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const [raw, negate, fieldName, quoted, bare] = match;
+      const field =
+        fieldName && this.fields.includes(fieldName.toLowerCase())
+          ? fieldName.toLowerCase()
+          : null;
+      // Unknown prefixes (e.g. "http://...") stay part of the free text
+      const text =
+        quoted !== undefined
+          ? quoted
+          : fieldName && !field
+          ? `${fieldName}:${bare}`
+          : bare;
+
+      if (field) {
+        terms.push({
+          ...this._parseFieldTerm(field, text, quoted !== undefined, raw),
+          negate: Boolean(negate),
+        });
+        continue;
+      }
+
+      const value = (text || '').toLowerCase();
+      const tokens = this.tokenize(value);
+      if (tokens.length > 0) {
+        terms.push({
+          field: null,
+          op: 'contains',
+          value,
+          negate: Boolean(negate),
+          phrase: quoted !== undefined,
+          tokens,
+        });
+      }
+    }
+
+    if (terms.length === 0) {
+      throw new Error('Search query has no searchable terms');
+    }
+
+    return terms;
+  }
+
+  static _parseFieldTerm(field, text, quoted, raw) {
+    const comparison = quoted ? null : /^(>=|<=|>|<|=)(.*)$/.exec(text);
+    const op = comparison ? comparison[1] : 'contains';
+    let value = comparison ? comparison[2] : text;
+
+    if (!value) {
+      throw new Error(`Missing value in "${raw.trim()}"`);
+    }
+
+    if (op !== 'contains' && op !== '=') {
+      value = Number(value);
+      if (isNaN(value)) {
+        throw new Error(`"${raw.trim()}" expects a number`);
+      }
+    } else if (
+      (field === 'status' || field === 'duration') &&
+      !isNaN(Number(value))
+    ) {
+      return { field, op: '=', value: Number(value), tokens: [] };
+    } else {
+      value = value.toLowerCase();
+    }
+
+    return { field, op, value, tokens: [] };
+  }
+
+  /**
+   * Split text into lowercase word tokens
+   */
+  static tokenize(text) {
+    return String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Searchable fields of an entry, whatever its shape
+   * @param {Object} entry - Stored log, error or network entry
+   * @returns {Object} Field values (null when absent)
+   */
+  static extractFields(entry) {
+    const type = entry.type || 'log';
+    const nestedError =
+      entry.error && typeof entry.error === 'object' ? entry.error : {};
+    const network =
+      type === 'network' ? LogFormatter.getNetworkSummary(entry) : {};
+
+    let message = entry.message || nestedError.message || null;
+    if (!message && typeof entry.error === 'string') {
+      message = entry.error;
+    }
+    if (type === 'log' && Array.isArray(entry.args) && entry.args.length > 0) {
+      const args = entry.args
+        .map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg)))
+        .join(' ');
+      message = message ? `${message} ${args}` : args;
+    }
+    if (type === 'network' && !message) {
+      message = `${network.method} ${network.url}`;
+    }
+
+    return {
+      level: entry.level || (type === 'error' ? 'error' : null),
+      type,
+      message,
+      url: network.url || entry.url || entry.filename || null,
+      method: network.method || entry.method || null,
+      status: network.status !== undefined ? network.status : null,
+      duration: network.duration !== undefined ? network.duration : null,
+      session: [entry.tabId, entry.sessionId].filter(Boolean).join(' ') || null,
+      stack: entry.stack || nestedError.stack || null,
+      category: entry.category || null,
+      environment: entry.environment || null,
+    };
+  }
+}
+
+module.exports = SearchIndex;
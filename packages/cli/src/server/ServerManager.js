@@ -10,9 +10,31 @@ const compression = require('compression');
 const helmet = require('helmet');
 const path = require('path');
 const ConfigManager = require('../utils/ConfigManager');
+const HttpClient = require('../utils/HttpClient');
+const ServerRegistry = require('../utils/ServerRegistry');
+const TimeUtils = require('../utils/TimeUtils');
+const Dashboard = require('./Dashboard');
+const LogStore = require('./LogStore');
+const SessionTracker = require('./SessionTracker');
+const SearchIndex = require('./SearchIndex');
+const Metrics = require('./Metrics');
+const Auth = require('./Auth');
+const OriginPolicy = require('./OriginPolicy');
+const RateLimiter = require('./RateLimiter');
+const Redactor = require('./Redactor');
+const SourceMapResolver = require('./SourceMapResolver');
+const ErrorGroups = require('./ErrorGroups');
+const IncidentSummary = require('./IncidentSummary');
+const HarExport = require('./HarExport');
 
 class ServerManager {
   static servers = new Map();
+  static clientRoles = ['producer', 'monitor'];
+  static serverCapabilities = ['batch', 'ack', 'session', 'command'];
+  static eventStreamRetry = 3000; // Reconnect delay suggested to SSE clients
+  static eventStreamHeartbeat = 15000; // Keeps idle SSE connections open
+  static searchLimit = 100;
+  static maxSearchLimit = 1000;
   static configDir = path.join(
     process.env.HOME || process.env.USERPROFILE,
     '.console-log-pipe'
@@ -44,32 +66,246 @@ class ServerManager {
       app.use(compression());
     }
 
+    // Browser origins allowed to send or read logs (null: any)
+    const allowedOrigins = OriginPolicy.parse(config.allowedOrigins);
+
     // Enable CORS if configured
     if (config.enableCors) {
       app.use(
         cors({
-          origin: true,
+          origin: allowedOrigins
+            ? (origin, callback) =>
+                callback(null, OriginPolicy.isAllowed(origin, allowedOrigins))
+            : true,
           credentials: true,
         })
       );
     }
 
-    // Parse JSON bodies
-    app.use(express.json({ limit: '10mb' }));
+    // Reject requests from origins outside the allowlist
+    if (allowedOrigins) {
+      app.use(OriginPolicy.middleware(allowedOrigins));
+    }
 
-    // Store logs in memory (with size limit)
-    const logs = [];
-    const maxLogs = config.maxLogs || 1000;
+    // Require the bearer token on everything but health checks
+    if (config.token) {
+      app.use(Auth.middleware(config.token));
+    }
+
+    // Parse JSON bodies (navigator.sendBeacon posts them as text/plain)
+    app.use(
+      express.json({ limit: '10mb', type: ['application/json', 'text/plain'] })
+    );
+
+    // Store logs in memory (with size limit), optionally persisted to disk
+    const store = new LogStore({
+      maxLogs: config.maxLogs || 1000,
+      persist: config.persist,
+      directory: config.storeDir || path.join(this.configDir, String(port)),
+      maxSegmentSize: config.maxSegmentSize,
+      maxSegmentAge: config.maxSegmentAge,
+      retention: config.retention,
+    });
+    store.open();
+    const logs = store.entries;
+
+    // Full-text index over the in-memory entries (GET /api/logs/search)
+    const searchIndex = new SearchIndex();
+    logs.forEach(entry => searchIndex.add(entry));
 
     // Statistics
     const stats = {
       totalLogs: 0,
       totalErrors: 0,
       totalNetworkRequests: 0,
+      rateLimited: 0,
+      redacted: 0,
       startTime: Date.now(),
       lastActivity: Date.now(),
     };
 
+    // Prometheus counters (GET /api/metrics)
+    const metrics = new Metrics();
+
+    // Secrets and personal data are removed before anything is stored or
+    // broadcast; `redact: false` turns this off
+    const redactor =
+      config.redact === false ? null : new Redactor(config.redact || {});
+
+    // Minified stack frames are mapped back to original sources. Frame URLs
+    // come from clients, so bundles are only fetched from origins set on the
+    // command line: --source-map-origins or --allowed-origins.
+    const { origins: sourceMapOrigins, ...sourceMapOptions } =
+      config.sourceMaps || {};
+    const trustedOrigins = [
+      OriginPolicy.parse(sourceMapOrigins),
+      allowedOrigins,
+    ].filter(Boolean);
+    const isTrustedOrigin = origin =>
+      trustedOrigins.some(allowed => OriginPolicy.isAllowed(origin, allowed));
+    const sourceMaps =
+      config.sourceMaps === false
+        ? null
+        : new SourceMapResolver({ isTrustedOrigin, ...sourceMapOptions });
+
+    // Repeated errors grouped by fingerprint (GET /api/errors/groups)
+    const errorGroups = new ErrorGroups();
+    logs
+      .filter(entry => ErrorGroups.isError(entry))
+      .forEach(entry => errorGroups.record(entry));
+
+    // Browser sessions (tabs) logging to this port
+    const sessions = new SessionTracker({
+      redact: redactor ? value => redactor.redactString(value) : undefined,
+    });
+    let connectionCounter = 0;
+
+    // WebSocket connections by role: 'producer' (apps sending logs),
+    // 'monitor' (terminals, dashboards) or 'unknown' until they say hello
+    const clients = new Map();
+
+    // Open Server-Sent Events streams (GET /api/events)
+    const streams = new Set();
+
+    // Store an entry, update statistics and notify monitoring clients
+    const storeEntry = (type, entry) => {
+      const processedLog = redactor ? redactor.redactEntry(entry) : entry;
+      if (processedLog.redactions) {
+        Object.entries(processedLog.redactions).forEach(([rule, count]) => {
+          stats.redacted += count;
+          metrics.recordRedactions(rule, count);
+        });
+      }
+
+      // Keep the stream type on the entry so history can be rendered by kind
+      processedLog.type = processedLog.type || type || 'log';
+
+      // Tag errors with their group so monitors can collapse repeats
+      if (ErrorGroups.isError(processedLog)) {
+        const group = errorGroups.record(processedLog);
+        processedLog.fingerprint = group.fingerprint;
+        processedLog.occurrence = group.count;
+      }
+
+      const evicted = store.add(processedLog);
+      searchIndex.add(processedLog);
+      metrics.record(processedLog);
+      if (evicted) {
+        searchIndex.remove(evicted);
+        metrics.recordEvicted();
+      }
+
+      // Update statistics
+      if (type === 'log') {
+        stats.totalLogs++;
+      } else if (type === 'error') {
+        stats.totalErrors++;
+      } else if (type === 'network') {
+        stats.totalNetworkRequests++;
+      }
+
+      stats.lastActivity = Date.now();
+
+      // Broadcast to WebSocket clients
+      this.broadcastToClients(config.port, {
+        type: type || 'log',
+        data: processedLog,
+      });
+      streams.forEach(stream => stream.push(processedLog));
+      return processedLog;
+    };
+
+    // Store [type, entry] pairs once the stacks among them are source-mapped.
+    // Batches queue behind each other so entries are stored (and numbered) in
+    // the order they arrived. Calls back synchronously when nothing is queued
+    // and there is nothing to map.
+    let storeQueue = Promise.resolve();
+    let queuedBatches = 0;
+    const storeEntries = (items, callback) => {
+      const pending = sourceMaps
+        ? items
+            .filter(([, entry]) => SourceMapResolver.hasStack(entry))
+            .map(([, entry]) => sourceMaps.resolveEntry(entry))
+        : [];
+      const storeAll = () =>
+        callback(items.map(([type, entry]) => storeEntry(type, entry)));
+
+      if (pending.length === 0 && queuedBatches === 0) {
+        storeAll();
+        return Promise.resolve();
+      }
+      queuedBatches++;
+      const resolved = Promise.all(pending);
+      const batch = storeQueue
+        .then(() => resolved)
+        .then(storeAll)
+        .finally(() => {
+          queuedBatches--;
+        });
+      // A failed batch must not hold up the ones behind it
+      storeQueue = batch.catch(() => {});
+      return batch;
+    };
+
+    // Token bucket per client; `rateLimit: 0` turns limiting off
+    const rateLimiter =
+      config.rateLimit === 0
+        ? null
+        : new RateLimiter({ rate: config.rateLimit, burst: config.rateBurst });
+
+    // Client label and session of each rate limiter key with drops
+    const limitedClients = new Map();
+
+    // Store a warning entry summarizing the drops of a client
+    const reportDropped = (
+      key,
+      dropped,
+      totalDropped = rateLimiter.getDropped(key)
+    ) => {
+      const { client, sessionId } = limitedClients.get(key) || { client: key };
+      limitedClients.delete(key);
+      const now = new Date().toISOString();
+      storeEntry('log', {
+        level: 'warn',
+        message: `${dropped.toLocaleString(
+          'en-US'
+        )} entries dropped from ${client} (rate limit ${
+          rateLimiter.rate
+        }/s, burst ${rateLimiter.burst})`,
+        source: 'console-log-pipe',
+        rateLimit: {
+          client,
+          dropped,
+          totalDropped,
+        },
+        timestamp: now,
+        receivedAt: now,
+        port: config.port,
+        sessionId: sessionId || config.sessionId,
+      });
+    };
+
+    // Decide whether a client may store another entry. Drops are counted and
+    // reported as a warning entry once the client is let through again, or
+    // by the timer below when it never is.
+    const admitEntry = (key, client, sessionId) => {
+      if (!rateLimiter) {
+        return true;
+      }
+
+      const { allowed, dropped } = rateLimiter.take(key);
+      if (dropped > 0) {
+        reportDropped(key, dropped);
+      }
+
+      if (!allowed) {
+        limitedClients.set(key, { client, sessionId });
+        stats.rateLimited++;
+        metrics.recordRateLimited();
+      }
+      return allowed;
+    };
+
     // API Routes
     app.get('/api/health', (req, res) => {
       res.json({
@@ -78,9 +314,25 @@ class ServerManager {
         sessionId: config.sessionId,
         uptime: Date.now() - stats.startTime,
         stats,
+        clients: this.countClientRoles(clients),
+        authRequired: Boolean(config.token),
       });
     });
 
+    // Prometheus scrape target
+    app.get('/api/metrics', (req, res) => {
+      res.set('Content-Type', Metrics.contentType);
+      res.send(
+        metrics.render({
+          buffer: { size: logs.length, capacity: store.maxLogs },
+          clients: this.countClientRoles(clients),
+          sessions: sessions.list(),
+          streams: streams.size,
+          uptime: Date.now() - stats.startTime,
+        })
+      );
+    });
+
     app.post('/api/logs', (req, res) => {
       try {
         const { logs: incomingLogs } = req.body;
@@ -90,104 +342,392 @@ class ServerManager {
         }
 
         // Process each log entry
+        const items = [];
         incomingLogs.forEach(logEntry => {
+          const admitted = logEntry.sessionId
+            ? admitEntry(
+                `session:${logEntry.sessionId}`,
+                `session ${logEntry.sessionId}`,
+                logEntry.sessionId
+              )
+            : admitEntry(`ip:${req.ip}`, req.ip);
+          if (!admitted) {
+            return;
+          }
+
           const processedLog = {
             ...logEntry,
             receivedAt: new Date().toISOString(),
             port: config.port,
-            sessionId: config.sessionId,
+            sessionId: logEntry.sessionId || config.sessionId,
           };
 
-          // Add to logs array (with size limit)
-          logs.push(processedLog);
-          if (logs.length > maxLogs) {
-            logs.shift(); // Remove oldest log
+          if (logEntry.sessionId) {
+            sessions.record(processedLog, null, {
+              transport: 'http',
+              url: req.headers && req.headers.referer,
+              userAgent: req.headers && req.headers['user-agent'],
+            });
           }
+          items.push([logEntry.type, processedLog]);
+        });
 
-          // Update statistics
-          if (logEntry.type === 'log') {
-            stats.totalLogs++;
-          } else if (logEntry.type === 'error') {
-            stats.totalErrors++;
-          } else if (logEntry.type === 'network') {
-            stats.totalNetworkRequests++;
-          }
+        return storeEntries(items, stored => {
+          res.json({
+            success: true,
+            received: incomingLogs.length,
+            dropped: incomingLogs.length - stored.length,
+            totalLogs: logs.length,
+            entries: stored.map(({ id, seq }) => ({ id, seq })),
+          });
+        }).catch(error => {
+          console.error('Error processing logs:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        });
+      } catch (error) {
+        console.error('Error processing logs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-          stats.lastActivity = Date.now();
+    app.get('/api/logs', (req, res) => {
+      const {
+        since,
+        tail,
+        limit,
+        level,
+        pattern,
+        sessionId,
+        afterId,
+        beforeId,
+      } = req.query;
+
+      return store
+        .getEntries(since)
+        .then(entries => {
+          let filteredLogs;
+          try {
+            filteredLogs = this.filterLogs(entries, {
+              since,
+              level,
+              pattern,
+              sessionId,
+              afterId,
+              beforeId,
+              tail,
+              limit,
+            });
+          } catch (error) {
+            return res.status(400).json({ error: error.message });
+          }
 
-          // Broadcast to WebSocket clients
-          this.broadcastToClients(config.port, {
-            type: logEntry.type || 'log',
-            data: processedLog,
+          return res.json({
+            logs: filteredLogs,
+            total: filteredLogs.length,
+            port: config.port,
+            sessionId: config.sessionId,
           });
+        })
+        .catch(error => {
+          console.error('Error reading logs:', error);
+          res.status(500).json({ error: 'Internal server error' });
         });
+    });
 
-        res.json({
-          success: true,
-          received: incomingLogs.length,
-          totalLogs: logs.length,
+    // Destructive routes: the token keeps other web pages out; without one,
+    // browsers may only call them from the dashboard or --allowed-origins
+    const destructive = config.token
+      ? []
+      : [OriginPolicy.sameOrigin(allowedOrigins)];
+
+    // Empty the buffer and persisted history, e.g. before reproducing a bug
+    app.delete('/api/logs', ...destructive, (req, res) => {
+      const cleared = logs.length;
+      logs.forEach(entry => searchIndex.remove(entry));
+      errorGroups.clear();
+      return store
+        .clear()
+        .then(() => res.json({ success: true, cleared, port: config.port }))
+        .catch(error => {
+          console.error('Error clearing logs:', error);
+          res.status(500).json({ error: 'Internal server error' });
         });
+    });
+
+    // Ranked search with field-scoped queries, e.g.
+    // ?q=level:error url:/checkout status:>=500 timeout
+    app.get('/api/logs/search', (req, res) => {
+      const limit = Math.min(
+        parseInt(req.query.limit, 10) || this.searchLimit,
+        this.maxSearchLimit
+      );
+
+      let found;
+      try {
+        found = searchIndex.search(req.query.q, { limit });
       } catch (error) {
-        console.error('Error processing logs:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        return res
+          .status(400)
+          .json({ error: `Invalid query: ${error.message}` });
       }
+
+      res.json({
+        query: req.query.q,
+        results: found.results,
+        total: found.total,
+        port: config.port,
+      });
     });
 
-    app.get('/api/logs', (req, res) => {
-      const { since, tail, level, pattern } = req.query;
-      let filteredLogs = [...logs];
-
-      // Filter by time
-      if (since) {
-        const sinceTime = new Date(since).getTime();
-        filteredLogs = filteredLogs.filter(
-          log =>
-            new Date(log.timestamp || log.receivedAt).getTime() >= sinceTime
-        );
+    // Stream entries as Server-Sent Events for clients that cannot use
+    // WebSocket (curl, EventSource). Supports the GET /api/logs filters and
+    // resumes after the entry named by the Last-Event-ID header.
+    app.get('/api/events', (req, res) => {
+      const { since, level, pattern, sessionId } = req.query;
+      const filter = { since, level, pattern, sessionId };
+
+      if (pattern) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          return res
+            .status(400)
+            .json({ error: `Invalid pattern: ${error.message}` });
+        }
       }
 
-      // Filter by level
-      if (level) {
-        filteredLogs = filteredLogs.filter(
-          log => log.level && log.level.toLowerCase() === level.toLowerCase()
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      // The compression middleware buffers output until flushed
+      const write = chunk => {
+        res.write(chunk);
+        if (typeof res.flush === 'function') {
+          res.flush();
+        }
+      };
+      write(`retry: ${this.eventStreamRetry}\n\n`);
+
+      const send = entry => {
+        if (this.filterLogs([entry], filter).length > 0) {
+          write(this.formatEvent(entry));
+        }
+      };
+      // Replay missed entries, or history since the requested time
+      const replay = backlog =>
+        this.filterLogs(backlog, filter).forEach(entry =>
+          write(this.formatEvent(entry))
         );
+      // Live entries wait while history is read from disk
+      let pending = null;
+      const lastEventId =
+        (req.headers && req.headers['last-event-id']) || req.query.lastEventId;
+      if (lastEventId !== undefined) {
+        replay(store.getEntriesAfter(lastEventId));
+      } else if (since) {
+        pending = [];
+        store
+          .getEntries(since)
+          .then(backlog => {
+            replay(backlog);
+            const lastSeq = Math.max(0, ...backlog.map(entry => entry.seq));
+            pending.filter(entry => entry.seq > lastSeq).forEach(send);
+          })
+          .catch(error => {
+            console.error('Error reading logs:', error);
+            pending.forEach(send);
+          })
+          .finally(() => {
+            pending = null;
+          });
       }
 
-      // Filter by pattern
-      if (pattern) {
-        const regex = new RegExp(pattern, 'i');
-        filteredLogs = filteredLogs.filter(log =>
-          regex.test(JSON.stringify(log))
-        );
+      const heartbeat = setInterval(
+        () => write(': ping\n\n'),
+        this.eventStreamHeartbeat
+      );
+      const stream = {
+        push: entry => (pending ? pending.push(entry) : send(entry)),
+        close: () => {
+          clearInterval(heartbeat);
+          streams.delete(stream);
+          res.end();
+        },
+      };
+      streams.add(stream);
+      req.on('close', stream.close);
+    });
+
+    // Error groups, most recently seen first (?sort=count: most frequent)
+    app.get('/api/errors/groups', (req, res) => {
+      const { sort, sessionId } = req.query;
+      if (sort && !['lastSeen', 'count'].includes(sort)) {
+        return res.status(400).json({
+          error: `Invalid sort "${sort}" (expected lastSeen or count)`,
+        });
       }
 
-      // Limit results
-      if (tail) {
-        const tailCount = parseInt(tail, 10);
-        filteredLogs = filteredLogs.slice(-tailCount);
+      const groups = errorGroups.list({
+        sort,
+        sessionId,
+        limit: parseInt(req.query.limit, 10) || undefined,
+      });
+      res.json({
+        groups,
+        total: errorGroups.size,
+        port: config.port,
+      });
+    });
+
+    // Token-budgeted incident digest of the last few minutes (?window=2m) as
+    // JSON or Markdown; storage changes come from the `clp storage` monitor
+    // on storagePort when given
+    app.get('/api/summary', (req, res) => {
+      const windowMs = req.query.window
+        ? TimeUtils.parseDuration(req.query.window)
+        : IncidentSummary.defaultWindow;
+      if (!windowMs || windowMs > IncidentSummary.maxWindow) {
+        return res.status(400).json({
+          error: `Invalid window "${req.query.window}" (expected a duration up to 1d such as 30s, 2m or 1h)`,
+        });
+      }
+      const format = req.query.format || 'json';
+      if (!['json', 'markdown'].includes(format)) {
+        return res.status(400).json({
+          error: `Invalid format "${format}" (expected json or markdown)`,
+        });
+      }
+
+      const now = Date.now();
+      const storagePort = parseInt(req.query.storagePort, 10);
+      const storage = storagePort
+        ? HttpClient.request({
+            port: storagePort,
+            path: '/api/storage/changes',
+            query: { since: new Date(now - windowMs).toISOString() },
+            timeout: 1000,
+          }).then(
+            response => ({ changes: response.changes || [] }),
+            error => ({ note: `Storage changes unavailable: ${error.message}` })
+          )
+        : Promise.resolve({});
+
+      return storage
+        .then(({ changes, note }) => {
+          const summary = IncidentSummary.build(logs, {
+            window: windowMs,
+            now,
+            sessionId: req.query.sessionId,
+            budget: parseInt(req.query.budget, 10) || undefined,
+            sessions: sessions.list(),
+            storageChanges: changes,
+            notes: note ? [note] : [],
+          });
+          if (format === 'markdown') {
+            return res
+              .type('text/markdown')
+              .send(IncidentSummary.toMarkdown(summary));
+          }
+          return res.json({ ...summary, port: config.port });
+        })
+        .catch(error => {
+          console.error('Error building summary:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        });
+    });
+
+    // Network traffic as a HAR 1.2 file for devtools and other HAR viewers
+    app.get('/api/network.har', (req, res) => {
+      const { since, sessionId } = req.query;
+      if (since && isNaN(new Date(since).getTime())) {
+        return res.status(400).json({
+          error: `Invalid since "${since}" (expected an ISO time)`,
+        });
       }
 
+      return store
+        .getEntries(since)
+        .then(entries => {
+          const har = HarExport.build(
+            this.filterLogs(entries, { since, sessionId }),
+            { sessions: sessions.list() }
+          );
+          res.set(
+            'Content-Disposition',
+            `attachment; filename="clp-${config.port}.har"`
+          );
+          return res.json(har);
+        })
+        .catch(error => {
+          console.error('Error exporting HAR:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        });
+    });
+
+    app.get('/api/sessions', (req, res) => {
+      const list = sessions.list();
       res.json({
-        logs: filteredLogs,
-        total: filteredLogs.length,
+        sessions: list,
+        total: list.length,
+        connected: sessions.connectedCount(),
         port: config.port,
-        sessionId: config.sessionId,
       });
     });
 
-    // Serve static dashboard (if available)
+    // Serve the live dashboard
     app.get('/', (req, res) => {
-      res.send(this.generateDashboardHTML(config, stats, logs.length));
+      res.send(Dashboard.render(config, stats, logs.length));
     });
 
     // Create HTTP server
     const server = http.createServer(app);
 
+    // Report drops of clients that stopped sending while rate limited
+    const dropSummaries = rateLimiter
+      ? setInterval(
+          () =>
+            rateLimiter
+              .flush()
+              .forEach(({ key, dropped }) => reportDropped(key, dropped)),
+          rateLimiter.summaryInterval
+        )
+      : null;
+
     // Create WebSocket server
-    const wss = new WebSocket.Server({ server });
+    // Reject upgrades from other origins or without the token
+    const wssOptions = { server };
+    const handshakeChecks = [
+      allowedOrigins && OriginPolicy.verifyClient(allowedOrigins),
+      config.token && Auth.verifyClient(config.token),
+    ].filter(Boolean);
+    if (handshakeChecks.length > 0) {
+      // Accept once every check passes; the first rejection wins
+      wssOptions.verifyClient = (info, callback) => {
+        const check = index =>
+          index === handshakeChecks.length
+            ? callback(true)
+            : handshakeChecks[index](info, (accepted, ...rejection) =>
+                accepted ? check(index + 1) : callback(false, ...rejection)
+              );
+        check(0);
+      };
+    }
+    const wss = new WebSocket.Server(wssOptions);
 
-    wss.on('connection', (ws, _req) => {
+    wss.on('connection', (ws, req) => {
       console.log(`WebSocket client connected to port ${config.port}`);
+      const connectionId = ++connectionCounter;
+      const headers = (req && req.headers) || {};
+      const client = {
+        connectionId,
+        role: 'unknown',
+        capabilities: [],
+        connectedAt: new Date().toISOString(),
+      };
+      clients.set(ws, client);
 
       // Send welcome message
       ws.send(
@@ -198,59 +738,153 @@ class ServerManager {
             port: config.port,
             sessionId: config.sessionId,
             stats,
+            clients: this.countClientRoles(clients),
           },
         })
       );
 
+      // Clients that skip the hello are treated as producers as soon as
+      // they send logs, so they stop receiving broadcasts
+      const markProducer = () => {
+        if (client.role === 'unknown') {
+          client.role = 'producer';
+        }
+      };
+
+      // Acknowledge stored entries to producers that asked for acks
+      const acknowledge = (stored, dropped = 0) => {
+        if (client.capabilities.includes('ack')) {
+          ws.send(
+            JSON.stringify({
+              type: 'ack',
+              received: stored.length,
+              dropped,
+              entries: stored.map(({ id, seq }) => ({ id, seq })),
+            })
+          );
+        }
+      };
+
+      // Validate an incoming entry; returns [type, entry] to store, or null
+      const ingestMessage = data => {
+        if (
+          !data ||
+          !data.data ||
+          !['log', 'error', 'network'].includes(data.type)
+        ) {
+          metrics.recordDropped();
+          return null;
+        }
+
+        const { sessionId } = data.data;
+        const admitted = sessionId
+          ? admitEntry(
+              `session:${sessionId}`,
+              `session ${sessionId}`,
+              sessionId
+            )
+          : admitEntry(
+              `connection:${connectionId}`,
+              `connection ${connectionId}`
+            );
+        if (!admitted) {
+          return null;
+        }
+
+        const processedLog = {
+          ...data.data,
+          receivedAt: new Date().toISOString(),
+          port: config.port,
+          sessionId: data.data.sessionId || config.sessionId,
+        };
+
+        if (data.data.sessionId) {
+          sessions.record(processedLog, connectionId, {
+            userAgent: headers['user-agent'],
+          });
+        }
+        return [data.type, processedLog];
+      };
+
+      const storeAndAcknowledge = (items, dropped = 0) =>
+        storeEntries(items, stored => acknowledge(stored, dropped)).catch(
+          error => console.error('Error storing WebSocket entries:', error)
+        );
+
       // Handle client messages
       ws.on('message', message => {
         try {
           const data = JSON.parse(message.toString('utf8'));
 
-          if (data.type === 'request_logs') {
-            // Send historical logs based on filter
-            const filteredLogs = this.filterLogs(logs, data.filter);
+          if (data.type === 'hello') {
+            // Handshake: { type: 'hello', role, capabilities, session }
+            if (!ServerManager.clientRoles.includes(data.role)) {
+              ws.send(
+                JSON.stringify({
+                  type: 'error',
+                  error: `Unknown client role: ${data.role}`,
+                })
+              );
+              return;
+            }
+
+            client.role = data.role;
+            client.capabilities = Array.isArray(data.capabilities)
+              ? data.capabilities
+              : [];
+            if (data.role === 'producer' && data.session) {
+              sessions.connect(connectionId, {
+                userAgent: headers['user-agent'],
+                ...data.session,
+              });
+            }
+
             ws.send(
               JSON.stringify({
-                type: 'historical_logs',
-                logs: filteredLogs,
+                type: 'hello_ack',
+                data: {
+                  connectionId,
+                  role: client.role,
+                  capabilities: ServerManager.serverCapabilities,
+                  clients: this.countClientRoles(clients),
+                },
               })
             );
-          } else if (
-            data.type === 'log' ||
-            data.type === 'error' ||
-            data.type === 'network'
-          ) {
-            // Handle incoming logs from browser clients
-            const processedLog = {
+          } else if (data.type === 'request_logs') {
+            // Send historical logs based on filter
+            store
+              .getEntries(data.filter && data.filter.since)
+              .then(entries => {
+                ws.send(
+                  JSON.stringify({
+                    type: 'historical_logs',
+                    logs: this.filterLogs(entries, data.filter),
+                  })
+                );
+              })
+              .catch(error => {
+                ws.send(
+                  JSON.stringify({ type: 'error', error: error.message })
+                );
+              });
+          } else if (data.type === 'session' && data.data) {
+            // Browser client announcing its session (tab, URL, user agent)
+            markProducer();
+            sessions.connect(connectionId, {
+              userAgent: headers['user-agent'],
               ...data.data,
-              receivedAt: new Date().toISOString(),
-              port: config.port,
-              sessionId: data.data.sessionId || config.sessionId,
-            };
-
-            // Add to logs array (with size limit)
-            logs.push(processedLog);
-            if (logs.length > maxLogs) {
-              logs.shift(); // Remove oldest log
-            }
-
-            // Update statistics
-            if (data.type === 'log') {
-              stats.totalLogs++;
-            } else if (data.type === 'error') {
-              stats.totalErrors++;
-            } else if (data.type === 'network') {
-              stats.totalNetworkRequests++;
-            }
-
-            stats.lastActivity = Date.now();
-
-            // Broadcast to CLI monitoring clients
-            this.broadcastToClients(config.port, {
-              type: data.type,
-              data: processedLog,
             });
+          } else if (data.type === 'batch' && Array.isArray(data.messages)) {
+            // Batched entries from browser clients
+            markProducer();
+            const items = data.messages.map(ingestMessage).filter(Boolean);
+            storeAndAcknowledge(items, data.messages.length - items.length);
+          } else {
+            const item = ingestMessage(data);
+            if (item) {
+              markProducer();
+              storeAndAcknowledge([item]);
+            }
           }
         } catch (error) {
           console.error('Error handling WebSocket message:', error);
@@ -258,6 +892,16 @@ class ServerManager {
       });
 
       ws.on('close', () => {
+        clients.delete(ws);
+        sessions.disconnect(connectionId);
+        if (rateLimiter) {
+          const key = `connection:${connectionId}`;
+          const totalDropped = rateLimiter.getDropped(key);
+          const dropped = rateLimiter.forget(key);
+          if (dropped > 0) {
+            reportDropped(key, dropped, totalDropped);
+          }
+        }
         console.log(`WebSocket client disconnected from port ${config.port}`);
       });
     });
@@ -278,6 +922,15 @@ class ServerManager {
           config,
           stats,
           logs,
+          store,
+          sessions,
+          clients,
+          streams,
+          searchIndex,
+          metrics,
+          errorGroups,
+          dropSummaries,
+          storeEntry, // Store and broadcast an entry, e.g. when replaying
           status: 'running',
           startTime: new Date().toISOString(),
         };
@@ -292,6 +945,14 @@ class ServerManager {
           pid: process.pid,
         }).catch(console.error);
 
+        // Register the process so other CLI invocations can find it
+        ServerRegistry.register(config.port, {
+          host: config.host,
+          sessionId: config.sessionId,
+          startTime: serverInstance.startTime,
+          pid: process.pid,
+        }).catch(console.error);
+
         console.log(
           `Console Log Pipe server started on http://${config.host}:${config.port}`
         );
@@ -313,6 +974,12 @@ class ServerManager {
         ws.close();
       });
 
+      // End Server-Sent Events streams so the HTTP server can close
+      serverInstance.streams.forEach(stream => stream.close());
+
+      // Stop the rate-limit drop summaries
+      clearInterval(serverInstance.dropSummaries);
+
       // Close HTTP server
       serverInstance.server.close(error => {
         if (error) {
@@ -320,6 +987,9 @@ class ServerManager {
           return;
         }
 
+        // Stop writing to the on-disk log store
+        serverInstance.store.close();
+
         // Update server status
         serverInstance.status = 'stopped';
         serverInstance.stopTime = new Date().toISOString();
@@ -335,6 +1005,8 @@ class ServerManager {
           finalStats: serverInstance.stats,
         }).catch(console.error);
 
+        ServerRegistry.unregister(port, process.pid).catch(console.error);
+
         console.log(`Console Log Pipe server stopped on port ${port}`);
         resolve();
       });
@@ -411,6 +1083,35 @@ class ServerManager {
     return servers;
   }
 
+  /**
+   * Get servers recorded in the on-disk registry, including those started by
+   * other CLI processes. Entries whose process is gone or whose port no longer
+   * accepts connections are reported as 'stale'.
+   */
+  static async getRegisteredServers() {
+    const entries = await ServerRegistry.list();
+    return Promise.all(entries.map(entry => this._resolveRegistryEntry(entry)));
+  }
+
+  /**
+   * Get a single registry entry with its resolved status
+   */
+  static async getRegisteredServer(port) {
+    const entry = await ServerRegistry.get(port);
+    return entry ? this._resolveRegistryEntry(entry) : null;
+  }
+
+  static async _resolveRegistryEntry(entry) {
+    const alive = ServerRegistry.isProcessAlive(entry.pid);
+    const listening =
+      alive && (await this.isServerRunning(entry.host, entry.port));
+
+    return {
+      ...entry,
+      status: listening ? 'running' : 'stale',
+    };
+  }
+
   static async isServerRunning(host, port) {
     return new Promise(resolve => {
       const net = require('net');
@@ -436,11 +1137,21 @@ class ServerManager {
     });
   }
 
+  /**
+   * Send a message to monitor connections. Producers never receive
+   * broadcasts; connections that have not said hello yet still do, so older
+   * monitors keep working.
+   */
   static broadcastToClients(port, message) {
     const serverInstance = this.servers.get(port);
     if (!serverInstance) return;
 
     serverInstance.wss.clients.forEach(ws => {
+      const client = serverInstance.clients && serverInstance.clients.get(ws);
+      if (client && client.role === 'producer') {
+        return;
+      }
+
       if (ws.readyState === 1) {
         // WebSocket.OPEN
         ws.send(JSON.stringify(message));
@@ -448,11 +1159,77 @@ class ServerManager {
     });
   }
 
+  /**
+   * Send a command (e.g. 'flush') to every producer connection on a port
+   * @param {number} port - Server port
+   * @param {string} command - Command name
+   * @param {Object} [data] - Command payload
+   * @returns {number} Number of producers the command was sent to
+   */
+  static sendCommand(port, command, data = {}) {
+    const serverInstance = this.servers.get(port);
+    if (!serverInstance) return 0;
+
+    let sent = 0;
+    serverInstance.wss.clients.forEach(ws => {
+      const client = serverInstance.clients && serverInstance.clients.get(ws);
+      if (client && client.role === 'producer' && ws.readyState === 1) {
+        ws.send(JSON.stringify({ type: 'command', command, data }));
+        sent++;
+      }
+    });
+
+    return sent;
+  }
+
+  /**
+   * Format a stored entry as a Server-Sent Event
+   * @param {Object} entry - Stored entry
+   * @returns {string} Event block with id, event type and JSON data
+   */
+  static formatEvent(entry) {
+    return `id: ${entry.seq}\nevent: ${
+      entry.type || 'log'
+    }\ndata: ${JSON.stringify(entry)}\n\n`;
+  }
+
+  /**
+   * Count WebSocket connections per role
+   * @param {Map} clients - Connection details keyed by socket
+   * @returns {Object} { producer, monitor, unknown }
+   */
+  static countClientRoles(clients) {
+    const counts = { producer: 0, monitor: 0, unknown: 0 };
+    clients.forEach(client => {
+      counts[client.role] = (counts[client.role] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Filter stored entries for GET /api/logs and request_logs
+   * @param {Array} logs - Entries in store order
+   * @param {Object} [filter] - since, level, pattern, sessionId, afterId,
+   *   beforeId, tail and limit
+   * @returns {Array} Matching entries
+   * @throws {Error} When a cursor does not name a stored entry
+   */
   static filterLogs(logs, filter) {
     if (!filter) return logs.slice(-50); // Default to last 50 logs
 
     let filtered = [...logs];
 
+    // Cursor pagination by entry id (or sequence number)
+    if (filter.afterId) {
+      const afterSeq = this.resolveCursor(logs, filter.afterId, 'afterId');
+      filtered = filtered.filter(log => log.seq > afterSeq);
+    }
+
+    if (filter.beforeId) {
+      const beforeSeq = this.resolveCursor(logs, filter.beforeId, 'beforeId');
+      filtered = filtered.filter(log => log.seq < beforeSeq);
+    }
+
     if (filter.since) {
       const sinceTime = new Date(filter.since).getTime();
       filtered = filtered.filter(
@@ -467,6 +1244,10 @@ class ServerManager {
       );
     }
 
+    if (filter.sessionId) {
+      filtered = filtered.filter(log => log.sessionId === filter.sessionId);
+    }
+
     if (filter.pattern) {
       const regex = new RegExp(filter.pattern, 'i');
       filtered = filtered.filter(log => regex.test(JSON.stringify(log)));
@@ -476,65 +1257,36 @@ class ServerManager {
       filtered = filtered.slice(-filter.tail);
     }
 
+    // Pages walk away from the cursor: forward after afterId, else backward
+    if (filter.limit) {
+      const limit = parseInt(filter.limit, 10);
+      filtered =
+        filter.afterId && !filter.beforeId
+          ? filtered.slice(0, limit)
+          : filtered.slice(-limit);
+    }
+
     return filtered;
   }
 
-  static generateDashboardHTML(config, stats, logCount) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Console Log Pipe - Port ${config.port}</title>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1">
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
-        .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        h1 { color: #333; margin-bottom: 30px; }
-        .status { display: inline-block; padding: 4px 12px; border-radius: 20px; background: #4CAF50; color: white; font-size: 14px; }
-        .info-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 30px 0; }
-        .info-card { padding: 20px; background: #f8f9fa; border-radius: 6px; border-left: 4px solid #007bff; }
-        .info-card h3 { margin: 0 0 10px 0; color: #333; font-size: 16px; }
-        .info-card p { margin: 0; color: #666; font-size: 24px; font-weight: bold; }
-        .commands { background: #f8f9fa; padding: 20px; border-radius: 6px; margin-top: 30px; }
-        .commands h3 { margin-top: 0; }
-        .command { background: #333; color: #fff; padding: 8px 12px; border-radius: 4px; font-family: monospace; margin: 5px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>🚀 Console Log Pipe</h1>
-        <p><strong>Port:</strong> ${config.port} <span class="status">Running</span></p>
-        <p><strong>Session ID:</strong> ${config.sessionId}</p>
-        <p><strong>Environment:</strong> ${config.environment}</p>
-        
-        <div class="info-grid">
-            <div class="info-card">
-                <h3>Total Logs</h3>
-                <p>${stats.totalLogs}</p>
-            </div>
-            <div class="info-card">
-                <h3>Errors</h3>
-                <p>${stats.totalErrors}</p>
-            </div>
-            <div class="info-card">
-                <h3>Network Requests</h3>
-                <p>${stats.totalNetworkRequests}</p>
-            </div>
-            <div class="info-card">
-                <h3>Stored Logs</h3>
-                <p>${logCount}</p>
-            </div>
-        </div>
-
-        <div class="commands">
-            <h3>CLI Commands</h3>
-            <div class="command">clp start --port ${config.port}</div>
-        </div>
-    </div>
-</body>
-</html>
-    `;
+  /**
+   * Resolve a pagination cursor to a sequence number
+   * @param {Array} logs - Entries the cursor should be found in
+   * @param {string|number} cursor - Entry id or sequence number
+   * @param {string} name - Parameter name for error messages
+   * @returns {number} Sequence number
+   */
+  static resolveCursor(logs, cursor, name) {
+    const entry = logs.find(log => log.id === cursor);
+    if (entry) {
+      return entry.seq;
+    }
+
+    if (/^\d+$/.test(String(cursor))) {
+      return Number(cursor);
+    }
+
+    throw new Error(`Unknown ${name}: ${cursor}`);
   }
 }
 
@@ -0,0 +1,215 @@
+/**
+ * SessionTracker - Keeps track of the browser sessions sending logs to a server
+ *
+ * Several tabs or apps can log to the same port. Sessions are identified by
+ * the client's sessionId and learn their tab id, URL and user agent from the
+ * `session` message sent on connect (WebSocket) or from request headers
+ * (HTTP). A session is connected while at least one WebSocket connection
+ * announced it or sent entries for it. Page URLs and user agents are passed
+ * through `redact` (the server's Redactor) before they are stored.
+ */
+
+class SessionTracker {
+  static defaultMaxSessions = 100;
+
+  /**
+   * @param {Object} [options] - { maxSessions, redact }: `redact` maps a
+   *   client-supplied string to its redacted form
+   */
+  constructor(options = {}) {
+    this.maxSessions = options.maxSessions || SessionTracker.defaultMaxSessions;
+    this.redact = options.redact || (value => value);
+    this.sessions = new Map();
+    this.connections = new Map();
+  }
+
+  /**
+   * Register a session announced by a client
+   * @param {string} connectionId - WebSocket connection id (null for HTTP)
+   * @param {Object} info - sessionId, tabId, url, userAgent, ...
+   * @returns {Object|null} The session record
+   */
+  connect(connectionId, info = {}) {
+    if (!info.sessionId) {
+      return null;
+    }
+
+    const session = this._upsert(info.sessionId, info);
+    if (connectionId) {
+      session.connections.add(connectionId);
+      this.connections.set(connectionId, session.sessionId);
+      session.connected = true;
+      session.disconnectedAt = null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Mark the session of a closed WebSocket connection as disconnected once
+   * none of its connections remain
+   */
+  disconnect(connectionId) {
+    const sessionId = this.connections.get(connectionId);
+    this.connections.delete(connectionId);
+
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    session.connections.delete(connectionId);
+    if (session.connections.size === 0) {
+      session.connected = false;
+      session.disconnectedAt = new Date().toISOString();
+    }
+
+    return session;
+  }
+
+  /**
+   * Count an entry against its session, creating the session if needed
+   * @param {Object} entry - Stored entry (must carry the client's sessionId)
+   * @param {string} [connectionId] - WebSocket connection the entry came on
+   * @param {Object} [info] - Extra details, e.g. from HTTP request headers
+   */
+  record(entry, connectionId = null, info = {}) {
+    if (!entry || !entry.sessionId) {
+      return null;
+    }
+
+    // Only session-level fields: entries such as network requests have their
+    // own `url` that must not be mistaken for the page URL
+    const details = {
+      ...info,
+      sessionId: entry.sessionId,
+      tabId: entry.tabId,
+      environment: entry.environment,
+      applicationName: entry.application && entry.application.name,
+    };
+    const session =
+      connectionId && !this.connections.has(connectionId)
+        ? this.connect(connectionId, details)
+        : this._upsert(entry.sessionId, details);
+
+    session.entryCount++;
+    session.lastSeen = new Date().toISOString();
+    return session;
+  }
+
+  /**
+   * Get a session by id
+   */
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? SessionTracker.toJSON(session) : null;
+  }
+
+  /**
+   * List sessions, connected first, then most recently seen
+   */
+  list() {
+    return Array.from(this.sessions.values())
+      .sort(
+        (a, b) =>
+          Number(b.connected) - Number(a.connected) ||
+          String(b.lastSeen).localeCompare(String(a.lastSeen))
+      )
+      .map(session => SessionTracker.toJSON(session));
+  }
+
+  /**
+   * Number of sessions with an open connection
+   */
+  connectedCount() {
+    let count = 0;
+    this.sessions.forEach(session => {
+      if (session.connected) count++;
+    });
+    return count;
+  }
+
+  _upsert(sessionId, info) {
+    let session = this.sessions.get(sessionId);
+    const now = new Date().toISOString();
+
+    if (!session) {
+      this._evictIfNeeded();
+      session = {
+        sessionId,
+        label: SessionTracker.label(info),
+        tabId: null,
+        url: null,
+        userAgent: null,
+        applicationName: null,
+        environment: null,
+        transport: info.transport || 'websocket',
+        connected: false,
+        connectedAt: now,
+        disconnectedAt: null,
+        lastSeen: now,
+        entryCount: 0,
+        connections: new Set(),
+      };
+      this.sessions.set(sessionId, session);
+    }
+
+    ['tabId', 'url', 'userAgent', 'applicationName', 'environment'].forEach(
+      key => {
+        if (info[key]) {
+          session[key] =
+            key === 'url' || key === 'userAgent'
+              ? this.redact(String(info[key]))
+              : info[key];
+        }
+      }
+    );
+    if (info.tabId) {
+      session.label = SessionTracker.label(info);
+    }
+
+    return session;
+  }
+
+  /**
+   * Drop the least recently seen disconnected session when full
+   */
+  _evictIfNeeded() {
+    if (this.sessions.size < this.maxSessions) {
+      return;
+    }
+
+    const candidates = Array.from(this.sessions.values())
+      .filter(session => !session.connected)
+      .sort((a, b) => String(a.lastSeen).localeCompare(String(b.lastSeen)));
+    if (candidates.length > 0) {
+      this.sessions.delete(candidates[0].sessionId);
+    }
+  }
+
+  /**
+   * Short, human-friendly label for a session or entry (tab id preferred).
+   * Client ids look like `clp_<time>_<random>`, so the random part is used.
+   * @param {Object} source - Object with tabId and/or sessionId
+   * @returns {string|null} Label
+   */
+  static label(source) {
+    const id = source && (source.tabId || source.sessionId);
+    if (!id) {
+      return null;
+    }
+
+    const parts = String(id).split('_');
+    return parts[parts.length - 1].slice(0, 8);
+  }
+
+  /**
+   * Public view of a session (without connection bookkeeping)
+   */
+  static toJSON(session) {
+    const { connections, ...rest } = session;
+    return { ...rest, connectionCount: connections.size };
+  }
+}
+
+module.exports = SessionTracker;
@@ -0,0 +1,441 @@
+/**
+ * SourceMapResolver - Maps minified stack frames back to original sources
+ *
+ * Frames of error entries point into bundled files served by the app's dev
+ * server. For each bundle the resolver finds its source map, either in a
+ * local build directory (`--source-map-dir`) or by fetching the bundle and
+ * following its `sourceMappingURL`, and attaches the original file, line,
+ * column, function name and a code snippet to every frame it can map.
+ * Maps are cached per bundle URL for `cacheTtl`, failures included, and the
+ * oldest are evicted once the cached maps add up to `maxCacheBytes`.
+ *
+ * Frame URLs come from clients, so bundles and maps are only fetched from
+ * origins the server trusts (`isTrustedOrigin`, the dev server origins given
+ * on the command line), and never more than `maxMapSize` bytes are read.
+ * Fetching uses the global `fetch` of Node 18+; on older versions only the
+ * local build directory is read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+
+class SourceMapResolver {
+  static cacheTtl = 60 * 1000; // Bundles are rebuilt while developing
+  static maxCacheSize = 100;
+  static maxCacheBytes = 50 * 1024 * 1024; // Source text of the cached maps
+  static fetchTimeout = 3000;
+  static maxMapSize = 20 * 1024 * 1024;
+  static snippetContext = 2; // Lines before and after the mapped line
+
+  /**
+   * @param {Object} [options] - { directory, fetch: false to never fetch,
+   *   fetchImpl, isTrustedOrigin: origin => boolean (without it nothing is
+   *   fetched) }
+   */
+  constructor(options = {}) {
+    this.directory = options.directory ? path.resolve(options.directory) : null;
+    this.fetchEnabled = options.fetch !== false;
+    this.fetchImpl = options.fetchImpl || globalThis.fetch;
+    this.isTrustedOrigin = options.isTrustedOrigin || (() => false);
+    this.cache = new Map(); // bundle URL -> { loadedAt, promise, size }
+    this.cacheBytes = 0;
+  }
+
+  /**
+   * Whether an entry carries a stack worth resolving
+   */
+  static hasStack(entry) {
+    return Boolean(
+      entry &&
+        ((Array.isArray(entry.stackTrace) && entry.stackTrace.length > 0) ||
+          (entry.error && entry.error.stack) ||
+          entry.stack)
+    );
+  }
+
+  /**
+   * Parse V8 (`at fn (file:line:col)`) and Firefox/Safari (`fn@file:line:col`)
+   * stack lines
+   * @param {string} stack - Stack string
+   * @returns {Object[]} Frames: { function, file, line, column }
+   */
+  static parseStack(stack) {
+    return String(stack || '')
+      .split('\n')
+      .map(line => {
+        const v8 = /^\s*at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/.exec(
+          line
+        );
+        const other = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/.exec(line);
+        const match = v8 || other;
+        return match
+          ? {
+              function: match[1] || 'anonymous',
+              file: match[2],
+              line: parseInt(match[3], 10),
+              column: parseInt(match[4], 10),
+            }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve the frames of an entry in place. Never rejects: frames that
+   * cannot be mapped are left as they are.
+   * @param {Object} entry - Entry with `stackTrace`, `error.stack` or `stack`
+   * @returns {Promise<Object>} The same entry
+   */
+  async resolveEntry(entry) {
+    const holder = entry.error && entry.error.stack ? entry.error : entry;
+    const frames =
+      Array.isArray(entry.stackTrace) && entry.stackTrace.length > 0
+        ? entry.stackTrace
+        : SourceMapResolver.parseStack(holder.stack);
+
+    try {
+      const resolved = await Promise.all(
+        frames.map(frame => this.resolveFrame(frame))
+      );
+      if (resolved.some(frame => frame.original)) {
+        entry.stackTrace = resolved;
+        if (holder.stack) {
+          holder.resolvedStack = SourceMapResolver.formatStack(
+            holder.stack,
+            resolved
+          );
+        }
+      }
+    } catch (error) {
+      // Resolution is best effort; keep the entry as sent
+    }
+    return entry;
+  }
+
+  /**
+   * Resolve one frame
+   * @param {Object} frame - { function, file, line, column }
+   * @returns {Promise<Object>} Frame, with `original` when it was mapped
+   */
+  async resolveFrame(frame) {
+    if (!frame || !frame.file || !frame.line) {
+      return frame;
+    }
+
+    const map = await this._getMap(frame.file);
+    if (!map) {
+      return frame;
+    }
+
+    const position = map.consumer.originalPositionFor({
+      line: frame.line,
+      column: Math.max((frame.column || 1) - 1, 0),
+    });
+    if (!position.source) {
+      return frame;
+    }
+
+    return {
+      ...frame,
+      original: {
+        file: SourceMapResolver.cleanSourcePath(position.source),
+        line: position.line,
+        column: position.column + 1,
+        function: position.name || frame.function,
+        snippet: this._snippet(map, position),
+      },
+    };
+  }
+
+  /**
+   * Rebuild a stack string with original locations
+   * @param {string} stack - Original stack
+   * @param {Object[]} frames - Resolved frames
+   * @returns {string} Stack with the message lines and one line per frame
+   */
+  static formatStack(stack, frames) {
+    const header = String(stack)
+      .split('\n')
+      .filter(line => SourceMapResolver.parseStack(line).length === 0)
+      .join('\n');
+    const lines = frames.map(frame => {
+      const target = frame.original || frame;
+      return `    at ${target.function || 'anonymous'} (${target.file}:${
+        target.line
+      }:${target.column})`;
+    });
+    return [header, ...lines].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Drop bundler prefixes from source paths
+   * (`webpack://app/./src/cart.ts` -> `src/cart.ts`)
+   */
+  static cleanSourcePath(source) {
+    return source
+      .replace(/^webpack:\/\/[^/]*\//, '')
+      .replace(/^(?:\.\.?\/)+/, '');
+  }
+
+  _snippet(map, position) {
+    let content = map.consumer.sourceContentFor(position.source, true);
+    if (!content && map.mapFile) {
+      // Maps read from disk may point at sources next to them
+      try {
+        content = fs.readFileSync(
+          path.resolve(path.dirname(map.mapFile), position.source),
+          'utf8'
+        );
+      } catch (error) {
+        content = null;
+      }
+    }
+    if (!content) {
+      return null;
+    }
+
+    const lines = content.split(/\r?\n/);
+    const first = Math.max(position.line - SourceMapResolver.snippetContext, 1);
+    const last = Math.min(
+      position.line + SourceMapResolver.snippetContext,
+      lines.length
+    );
+    const width = String(last).length;
+    const snippet = [];
+    for (let number = first; number <= last; number++) {
+      const marker = number === position.line ? '>' : ' ';
+      snippet.push(
+        `${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`
+      );
+    }
+    return snippet.join('\n');
+  }
+
+  _getMap(fileUrl) {
+    const now = Date.now();
+    const cached = this.cache.get(fileUrl);
+    if (cached && now - cached.loadedAt < SourceMapResolver.cacheTtl) {
+      return cached.promise;
+    }
+
+    const cachedEntry = { loadedAt: now, promise: null, size: 0 };
+    cachedEntry.promise = this._loadMap(fileUrl)
+      .catch(() => null)
+      .then(map => {
+        // Count the map unless it was evicted or replaced while loading
+        if (map && this.cache.get(fileUrl) === cachedEntry) {
+          cachedEntry.size = map.size;
+          this.cacheBytes += map.size;
+          this._evict();
+        }
+        return map;
+      });
+    this._uncache(fileUrl);
+    this.cache.set(fileUrl, cachedEntry);
+    this._evict();
+    return cachedEntry.promise;
+  }
+
+  // Drop the oldest maps while over maxCacheSize or maxCacheBytes
+  _evict() {
+    while (
+      this.cache.size > SourceMapResolver.maxCacheSize ||
+      (this.cacheBytes > SourceMapResolver.maxCacheBytes && this.cache.size > 1)
+    ) {
+      this._uncache(this.cache.keys().next().value);
+    }
+  }
+
+  _uncache(fileUrl) {
+    const cached = this.cache.get(fileUrl);
+    if (cached) {
+      this.cacheBytes -= cached.size;
+      this.cache.delete(fileUrl);
+    }
+  }
+
+  async _loadMap(fileUrl) {
+    if (this.directory) {
+      const local = this._readLocalMap(fileUrl);
+      if (local) {
+        return local;
+      }
+    }
+
+    if (!this.fetchEnabled || !this.fetchImpl || !this._canFetch(fileUrl)) {
+      return null;
+    }
+
+    const bundle = await this._fetch(fileUrl);
+    const mapUrl =
+      bundle.headers.get('sourcemap') ||
+      bundle.headers.get('x-sourcemap') ||
+      SourceMapResolver.findMappingUrl(bundle.text);
+    if (!mapUrl) {
+      return null;
+    }
+
+    let raw;
+    if (mapUrl.startsWith('data:')) {
+      raw = SourceMapResolver.decodeDataUrl(mapUrl);
+    } else {
+      const absoluteMapUrl = new URL(mapUrl, fileUrl).href;
+      if (!this._canFetch(absoluteMapUrl)) {
+        return null;
+      }
+      raw = (await this._fetch(absoluteMapUrl)).text;
+    }
+    return SourceMapResolver.parseMap(raw);
+  }
+
+  // Only http(s) URLs on a trusted origin
+  _canFetch(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    return (
+      ['http:', 'https:'].includes(parsed.protocol) &&
+      Boolean(this.isTrustedOrigin(parsed.origin))
+    );
+  }
+
+  _readLocalMap(fileUrl) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(fileUrl, 'file:///').pathname);
+    } catch (error) {
+      return null;
+    }
+
+    const candidates = [pathname, path.basename(pathname)]
+      .map(relative => path.join(this.directory, relative))
+      .filter(candidate => candidate.startsWith(this.directory + path.sep));
+
+    for (const bundle of candidates) {
+      let mapFile = `${bundle}.map`;
+      try {
+        const mappingUrl = SourceMapResolver.findMappingUrl(
+          fs.readFileSync(bundle, 'utf8')
+        );
+        if (mappingUrl && mappingUrl.startsWith('data:')) {
+          return SourceMapResolver.parseMap(
+            SourceMapResolver.decodeDataUrl(mappingUrl)
+          );
+        }
+        if (mappingUrl) {
+          mapFile = path.resolve(path.dirname(bundle), mappingUrl);
+        }
+      } catch (error) {
+        // No bundle on disk; try `<name>.map` next to where it would be
+      }
+
+      if (fs.existsSync(mapFile)) {
+        return SourceMapResolver.parseMap(
+          fs.readFileSync(mapFile, 'utf8'),
+          mapFile
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch a bundle or map within fetchTimeout and maxMapSize
+   * @returns {Promise<Object>} { headers, text }
+   */
+  async _fetch(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      SourceMapResolver.fetchTimeout
+    );
+    try {
+      const response = await this.fetchImpl(url, {
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+      const length = Number(response.headers.get('content-length'));
+      if (length > SourceMapResolver.maxMapSize) {
+        throw new Error(`${url} is too large`);
+      }
+      return {
+        headers: response.headers,
+        text: await SourceMapResolver.readText(response, url),
+      };
+    } catch (error) {
+      controller.abort(); // Stop downloading
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Read a response body, giving up once it exceeds maxMapSize (the
+   * content-length header is missing from chunked responses)
+   */
+  static async readText(response, url) {
+    const tooLarge = () => new Error(`${url} is too large`);
+    if (!response.body || !response.body[Symbol.asyncIterator]) {
+      const text = await response.text();
+      if (Buffer.byteLength(text) > SourceMapResolver.maxMapSize) {
+        throw tooLarge();
+      }
+      return text;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > SourceMapResolver.maxMapSize) {
+        throw tooLarge();
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Find the last `//# sourceMappingURL=` comment of a bundle
+   */
+  static findMappingUrl(code) {
+    const matches = [
+      ...String(code).matchAll(
+        /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s*'"]+)/g
+      ),
+    ];
+    return matches.length > 0 ? matches[matches.length - 1][1] : null;
+  }
+
+  /**
+   * Parse a source map
+   * @param {string} raw - Map JSON
+   * @param {string} [mapFile] - Path the map was read from
+   * @returns {Object} { consumer, size, mapFile }
+   */
+  static parseMap(raw, mapFile) {
+    return {
+      consumer: new SourceMapConsumer(JSON.parse(raw)),
+      size: raw.length,
+      mapFile,
+    };
+  }
+
+  static decodeDataUrl(url) {
+    const comma = url.indexOf(',');
+    const meta = url.slice(0, comma);
+    const data = url.slice(comma + 1);
+    return meta.endsWith(';base64')
+      ? Buffer.from(data, 'base64').toString('utf8')
+      : decodeURIComponent(data);
+  }
+}
+
+module.exports = SourceMapResolver;
@@ -0,0 +1,130 @@
+/**
+ * HttpClient - Minimal JSON client for a running Console Log Pipe server
+ */
+
+const http = require('http');
+const Auth = require('../server/Auth');
+
+class HttpClient {
+  static defaultTimeout = 5000;
+
+  /**
+   * Perform a request against a Console Log Pipe server
+   * @param {Object} options - Request options
+   * @param {string} [options.host] - Server host (default: localhost)
+   * @param {number} options.port - Server port
+   * @param {string} [options.method] - HTTP method (default: GET)
+   * @param {string} options.path - Request path, e.g. '/api/logs'
+   * @param {Object} [options.query] - Query parameters (empty values are skipped)
+   * @param {Object} [options.body] - JSON request body
+   * @param {string} [options.token] - Bearer token for protected servers
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  static request(options) {
+    const {
+      host = 'localhost',
+      port,
+      method = 'GET',
+      query,
+      body,
+      token,
+      timeout = this.defaultTimeout,
+    } = options;
+    const requestPath = this.buildPath(options.path, query);
+    const payload = body !== undefined ? JSON.stringify(body) : null;
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          host,
+          port,
+          method,
+          path: requestPath,
+          headers: {
+            Accept: 'application/json',
+            ...Auth.headers(token),
+            ...(payload
+              ? {
+                  'Content-Type': 'application/json',
+                  'Content-Length': Buffer.byteLength(payload),
+                }
+              : {}),
+          },
+        },
+        res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            let data = null;
+            try {
+              data = text ? JSON.parse(text) : null;
+            } catch (error) {
+              reject(new Error(`Invalid JSON response from ${requestPath}`));
+              return;
+            }
+
+            if (res.statusCode >= 400) {
+              const message =
+                res.statusCode === 401
+                  ? `Server on ${host}:${port} requires a token (pass --token)`
+                  : (data && data.error) || `HTTP ${res.statusCode} ${method}`;
+              const error = new Error(`${message} (${requestPath})`);
+              error.statusCode = res.statusCode;
+              reject(error);
+              return;
+            }
+
+            resolve(data);
+          });
+        }
+      );
+
+      req.setTimeout(timeout, () => {
+        req.destroy(new Error(`Request to ${host}:${port} timed out`));
+      });
+
+      req.on('error', error => {
+        if (error.code === 'ECONNREFUSED') {
+          reject(
+            new Error(
+              `No Console Log Pipe server on ${host}:${port}. Is "clp start --port ${port}" running?`
+            )
+          );
+          return;
+        }
+        reject(error);
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * GET a JSON resource
+   */
+  static get(options) {
+    return this.request({ ...options, method: 'GET' });
+  }
+
+  /**
+   * Append query parameters to a path, skipping empty values
+   */
+  static buildPath(basePath, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, String(value));
+      }
+    });
+
+    const queryString = params.toString();
+    return queryString ? `${basePath}?${queryString}` : basePath;
+  }
+}
+
+module.exports = HttpClient;
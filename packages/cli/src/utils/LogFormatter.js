@@ -91,9 +91,10 @@ class LogFormatter {
 
     parts.push(message);
 
-    // Stack trace for errors
-    if (logData.stack && logData.level === 'error') {
-      parts.push(`\n${color ? chalk.gray(logData.stack) : logData.stack}`);
+    // Stack trace for errors (source-mapped when the server could)
+    const logStack = logData.resolvedStack || logData.stack;
+    if (logStack && logData.level === 'error') {
+      parts.push(`\n${color ? chalk.gray(logStack) : logStack}`);
     }
 
     return parts.join(' ');
@@ -125,7 +126,15 @@ class LogFormatter {
     }
 
     // Error message
-    const message = errorData.message || errorData.error || 'Unknown error';
+    const nestedError =
+      errorData.error && typeof errorData.error === 'object'
+        ? errorData.error
+        : {};
+    const message =
+      errorData.message ||
+      nestedError.message ||
+      (typeof errorData.error === 'string' ? errorData.error : null) ||
+      'Unknown error';
     parts.push(color ? chalk.red(message) : message);
 
     // Error details
@@ -139,12 +148,28 @@ class LogFormatter {
       );
     }
 
-    // Stack trace
-    if (errorData.stack) {
-      parts.push(`\n${color ? chalk.gray(errorData.stack) : errorData.stack}`);
+    // Stack trace (source-mapped when the server could)
+    const stack =
+      errorData.resolvedStack ||
+      nestedError.resolvedStack ||
+      errorData.stack ||
+      nestedError.stack;
+    if (stack) {
+      parts.push(`\n${color ? chalk.gray(stack) : stack}`);
     }
 
-    // Error category (AI-friendly)
+    // Original code around the first mapped frame
+    const mapped = Array.isArray(errorData.stackTrace)
+      ? errorData.stackTrace.find(
+          frame => frame && frame.original && frame.original.snippet
+        )
+      : null;
+    if (mapped) {
+      const { snippet } = mapped.original;
+      parts.push(`\n${color ? chalk.gray(snippet) : snippet}`);
+    }
+
+    // Error category and severity (AI-friendly)
     if (errorData.category) {
       parts.push(
         color
@@ -153,6 +178,14 @@ class LogFormatter {
       );
     }
 
+    const severity =
+      errorData.severity && typeof errorData.severity === 'object'
+        ? errorData.severity.level
+        : errorData.severity;
+    if (severity) {
+      parts.push(color ? chalk.yellow(`(${severity})`) : `(${severity})`);
+    }
+
     return parts.join(' ');
   }
 
@@ -182,25 +215,37 @@ class LogFormatter {
     }
 
     // HTTP method and URL
-    const method = networkData.method || 'GET';
-    const url = networkData.url || 'unknown';
-    const methodFormatted = color ? this.colorizeHttpMethod(method) : method;
-    parts.push(`${methodFormatted} ${url}`);
+    const summary = this.getNetworkSummary(networkData);
+    const methodFormatted = color
+      ? this.colorizeHttpMethod(summary.method)
+      : summary.method;
+    parts.push(`${methodFormatted} ${summary.url}`);
 
     // Status code
-    if (networkData.status) {
+    if (summary.status) {
       const statusFormatted = color
-        ? this.colorizeStatusCode(networkData.status)
-        : networkData.status;
+        ? this.colorizeStatusCode(summary.status)
+        : summary.status;
       parts.push(statusFormatted);
     }
 
     // Duration
-    if (networkData.duration !== undefined) {
-      const duration = `${networkData.duration}ms`;
+    if (summary.duration !== undefined) {
+      const duration = `${summary.duration}ms`;
       parts.push(color ? chalk.gray(duration) : duration);
     }
 
+    // Network failure
+    if (networkData.subtype === 'error' && networkData.error) {
+      const reason =
+        typeof networkData.error === 'string'
+          ? networkData.error
+          : networkData.error.message;
+      if (reason) {
+        parts.push(color ? chalk.red(reason) : reason);
+      }
+    }
+
     // Size
     if (networkData.size !== undefined) {
       const size = this.formatBytes(networkData.size);
@@ -210,6 +255,42 @@ class LogFormatter {
     return parts.join(' ');
   }
 
+  /**
+   * Extract method, url, status and duration from a network entry. Handles
+   * both flat entries and the nested request/response/timing shape produced
+   * by the browser client.
+   */
+  static getNetworkSummary(networkData) {
+    const request = networkData.request || {};
+    const response = networkData.response || {};
+    const error =
+      networkData.error && typeof networkData.error === 'object'
+        ? networkData.error
+        : {};
+    const timing = networkData.timing || {};
+
+    return {
+      method: (
+        networkData.method ||
+        request.method ||
+        response.method ||
+        error.method ||
+        'GET'
+      ).toUpperCase(),
+      url:
+        networkData.url ||
+        request.url ||
+        response.url ||
+        error.url ||
+        'unknown',
+      status: networkData.status || response.status,
+      duration:
+        networkData.duration !== undefined
+          ? networkData.duration
+          : timing.durationMs,
+    };
+  }
+
   /**
    * Format log as table row
    */
@@ -0,0 +1,144 @@
+/**
+ * ServerRegistry - Tracks running Console Log Pipe server processes on disk
+ *
+ * ConfigManager only lives in the memory of the process that started a
+ * server. The registry writes one small JSON file per port so that other CLI
+ * processes (`clp list`, `clp status`, `clp stop`) can find running servers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ServerRegistry {
+  static registryDir = path.join(
+    process.env.HOME || process.env.USERPROFILE || '.',
+    '.console-log-pipe',
+    'servers'
+  );
+
+  /**
+   * Record a running server
+   * @param {number} port - Server port
+   * @param {Object} info - Server details (host, sessionId, type, ...)
+   * @returns {Object} The stored registry entry
+   */
+  static async register(port, info = {}) {
+    const entry = {
+      port,
+      host: info.host || 'localhost',
+      pid: info.pid || process.pid,
+      sessionId: info.sessionId || null,
+      type: info.type || 'log-server',
+      startTime: info.startTime || new Date().toISOString(),
+    };
+
+    await fs.promises.mkdir(this.registryDir, { recursive: true });
+    await fs.promises.writeFile(
+      this._entryFile(port),
+      JSON.stringify(entry, null, 2)
+    );
+
+    return entry;
+  }
+
+  /**
+   * Remove a server entry. When a pid is given, the entry is only removed if
+   * it still belongs to that process (a newer server may own the port now).
+   * @param {number} port - Server port
+   * @param {number} [pid] - Owning process id
+   */
+  static async unregister(port, pid) {
+    const entry = await this.get(port);
+    if (!entry || (pid && entry.pid !== pid)) {
+      return false;
+    }
+
+    try {
+      await fs.promises.unlink(this._entryFile(port));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Synchronous variant of unregister for use in signal and exit handlers
+   */
+  static unregisterSync(port, pid) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this._entryFile(port), 'utf8'));
+      if (pid && entry.pid !== pid) {
+        return false;
+      }
+      fs.unlinkSync(this._entryFile(port));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the registry entry for a port
+   * @param {number} port - Server port
+   * @returns {Object|null} Registry entry or null if not registered
+   */
+  static async get(port) {
+    try {
+      const content = await fs.promises.readFile(this._entryFile(port), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List all registry entries sorted by port
+   * @returns {Array} Registry entries
+   */
+  static async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.registryDir);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const port = parseInt(path.basename(file, '.json'), 10);
+      const entry = isNaN(port) ? null : await this.get(port);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+
+    return entries.sort((a, b) => a.port - b.port);
+  }
+
+  /**
+   * Check whether a process id is alive
+   * @param {number} pid - Process id
+   * @returns {boolean} True if the process exists
+   */
+  static isProcessAlive(pid) {
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  static _entryFile(port) {
+    return path.join(this.registryDir, `${port}.json`);
+  }
+}
+
+module.exports = ServerRegistry;
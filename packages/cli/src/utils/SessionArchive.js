@@ -0,0 +1,176 @@
+/**
+ * SessionArchive - Portable recordings of what a page emitted
+ *
+ * An archive is one JSON document (gzipped when the file name ends in .gz)
+ * holding the entries of a server with their original timestamps, the
+ * browser sessions that produced them and, when a storage monitor was
+ * running, its storage snapshot and recent changes. `clp export` writes
+ * archives and `clp replay` plays them back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+class SessionArchive {
+  static format = 'console-log-pipe-archive';
+  static version = 1;
+  static maxReplayGap = 5000; // Longest pause (ms) between replayed entries
+
+  // Fields the server assigns when an entry is stored
+  static serverFields = ['id', 'seq', 'fingerprint', 'occurrence'];
+
+  /**
+   * Build an archive
+   * @param {Object} contents - { entries, sessions, storage, source }
+   * @returns {Object} Archive
+   */
+  static create(contents) {
+    const entries = contents.entries || [];
+    // Recorded time span
+    let first = Infinity;
+    let last = -Infinity;
+    entries.forEach(entry => {
+      const time = SessionArchive.entryTime(entry);
+      if (!isNaN(time)) {
+        first = Math.min(first, time);
+        last = Math.max(last, time);
+      }
+    });
+
+    return {
+      format: SessionArchive.format,
+      version: SessionArchive.version,
+      exportedAt: new Date().toISOString(),
+      source: contents.source || {},
+      startTime: isFinite(first) ? new Date(first).toISOString() : null,
+      endTime: isFinite(last) ? new Date(last).toISOString() : null,
+      sessions: contents.sessions || [],
+      storage: contents.storage || null,
+      entries,
+    };
+  }
+
+  /**
+   * Write an archive (or another JSON document such as a HAR file), gzipped
+   * when the file name ends in .gz
+   * @param {string} file - Output file
+   * @param {Object} archive - Archive from create()
+   * @returns {Promise<string>} Absolute path of the written file
+   */
+  static async write(file, archive) {
+    const target = path.resolve(file);
+    const json = JSON.stringify(archive);
+    const content = target.endsWith('.gz') ? await gzip(json) : json;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, content);
+    return target;
+  }
+
+  /**
+   * Read and validate an archive (gzipped or plain JSON)
+   * @param {string} file - Archive file
+   * @returns {Promise<Object>} Archive
+   */
+  static async read(file) {
+    const target = path.resolve(file);
+    let content;
+    try {
+      content = await fs.promises.readFile(target);
+    } catch (error) {
+      throw new Error(`Cannot read archive ${target}: ${error.message}`);
+    }
+
+    let archive;
+    try {
+      // gzip magic number
+      const json =
+        content[0] === 0x1f && content[1] === 0x8b
+          ? await gunzip(content)
+          : content;
+      archive = JSON.parse(json.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Cannot parse archive ${target}: ${error.message}`);
+    }
+
+    SessionArchive.validate(archive, target);
+    return archive;
+  }
+
+  /**
+   * Throw unless the object is an archive this version can replay
+   */
+  static validate(archive, file = 'archive') {
+    if (
+      !archive ||
+      archive.format !== SessionArchive.format ||
+      !Array.isArray(archive.entries)
+    ) {
+      throw new Error(`Not a Console Log Pipe archive: ${file}`);
+    }
+    if (archive.version > SessionArchive.version) {
+      throw new Error(
+        `Unsupported archive version ${archive.version} (this clp reads version ${SessionArchive.version}); update @kansnpms/console-log-pipe-cli`
+      );
+    }
+  }
+
+  /**
+   * Parse a replay speed such as `2x`, `0.5` or `max` (no pauses)
+   * @returns {number|null} Speed factor, Infinity for `max`, null if invalid
+   */
+  static parseSpeed(value) {
+    if (value === undefined || value === null || value === '') {
+      return 1;
+    }
+    if (String(value).trim().toLowerCase() === 'max') {
+      return Infinity;
+    }
+    const match = String(value)
+      .trim()
+      .match(/^(\d+(?:\.\d+)?)x?$/i);
+    const speed = match ? parseFloat(match[1]) : NaN;
+    return speed > 0 ? speed : null;
+  }
+
+  /**
+   * Pauses before each entry that reproduce the recorded pacing
+   * @param {Object[]} entries - Entries in recorded order
+   * @param {number} speed - Speed factor (Infinity for no pauses)
+   * @returns {number[]} Milliseconds to wait before each entry
+   */
+  static delays(entries, speed = 1) {
+    let previous = null;
+    return entries.map(entry => {
+      const time = SessionArchive.entryTime(entry);
+      const gap =
+        previous === null || isNaN(time) || isNaN(previous)
+          ? 0
+          : Math.max(0, time - previous);
+      if (!isNaN(time)) {
+        previous = time;
+      }
+      return Math.round(Math.min(gap, SessionArchive.maxReplayGap) / speed);
+    });
+  }
+
+  /**
+   * Copy of a recorded entry without the fields the server assigns again
+   */
+  static toReplayEntry(entry) {
+    const copy = { ...entry };
+    SessionArchive.serverFields.forEach(field => delete copy[field]);
+    return copy;
+  }
+
+  static entryTime(entry) {
+    return new Date(entry.timestamp || entry.receivedAt).getTime();
+  }
+}
+
+module.exports = SessionArchive;
@@ -129,6 +129,23 @@ class TimeUtils {
     return years === 1 ? '1 year ago' : `${years} years ago`;
   }
 
+  /**
+   * Parse a duration such as `30s`, `2m`, `1h` or `1d` (plain numbers are
+   * milliseconds)
+   * @returns {number|null} Milliseconds, or null when not a duration
+   */
+  static parseDuration(durationStr) {
+    const match = String(durationStr || '')
+      .trim()
+      .match(/^(\d+)(ms|[smhd])?$/);
+    if (!match) {
+      return null;
+    }
+
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return parseInt(match[1], 10) * units[match[2] || 'ms'];
+  }
+
   /**
    * Parse time string to timestamp
    */
@@ -0,0 +1,209 @@
+/**
+ * ExportCommand Tests
+ */
+
+const ExportCommand = require('../../src/commands/ExportCommand');
+const HttpClient = require('../../src/utils/HttpClient');
+const SessionArchive = require('../../src/utils/SessionArchive');
+
+jest.mock('../../src/utils/HttpClient');
+
+describe('ExportCommand', () => {
+  let mockConsoleLog;
+  let mockConsoleWarn;
+  let mockProcessExit;
+
+  const logs = [
+    { type: 'log', message: 'hi', timestamp: '2024-05-01T12:00:00.000Z' },
+    { type: 'error', message: 'boom', timestamp: '2024-05-01T12:00:01.000Z' },
+  ];
+  const responses = {
+    '/api/logs': { logs, total: 2, sessionId: 'clp_server' },
+    '/api/sessions': {
+      sessions: [{ sessionId: 'tab-a' }, { sessionId: 'tab-b' }],
+    },
+    '/api/storage/state': {
+      globalState: { cookies: [{ name: 'sid' }], localStorage: [] },
+    },
+    '/api/storage/changes': { changes: [{ subType: 'cookies' }] },
+    '/api/network.har': {
+      log: { version: '1.2', creator: {}, entries: [{}, {}] },
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    mockConsoleWarn = jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+
+    HttpClient.get.mockImplementation(({ path }) =>
+      Promise.resolve(responses[path])
+    );
+    jest
+      .spyOn(SessionArchive, 'write')
+      .mockImplementation(file => Promise.resolve(`/abs/${file}`));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+  const writtenArchive = () => SessionArchive.write.mock.calls[0][1];
+
+  describe('_prepareSettings', () => {
+    it('should require a valid port', () => {
+      expect(() => ExportCommand._prepareSettings({})).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should reject invalid --since and --storage-port values', () => {
+      expect(() =>
+        ExportCommand._prepareSettings({ port: '3001', since: 'whenever' })
+      ).toThrow('Invalid time format: whenever');
+      expect(() =>
+        ExportCommand._prepareSettings({ port: '3001', storagePort: 'x' })
+      ).toThrow('Invalid --storage-port: x');
+    });
+
+    it('should reject unknown formats and storage in HAR files', () => {
+      expect(() =>
+        ExportCommand._prepareSettings({ port: '3001', format: 'csv' })
+      ).toThrow('Unsupported format: csv (use archive, har)');
+      expect(() =>
+        ExportCommand._prepareSettings({
+          port: '3001',
+          format: 'har',
+          storagePort: '3002',
+        })
+      ).toThrow('--storage-port only applies to archives');
+    });
+
+    it('should name HAR files .har', () => {
+      expect(
+        ExportCommand._prepareSettings({ port: '3001', format: 'har' }).out
+      ).toMatch(/^clp-3001-\d{8}-\d{6}\.har$/);
+    });
+
+    it('should default the archive name', () => {
+      expect(ExportCommand._prepareSettings({ port: '3001' }).out).toMatch(
+        /^clp-3001-\d{8}-\d{6}\.clp\.json\.gz$/
+      );
+      expect(
+        ExportCommand.defaultFileName(
+          3001,
+          new Date('2024-05-01T12:02:03.456Z')
+        )
+      ).toBe('clp-3001-20240501-120203.clp.json.gz');
+    });
+  });
+
+  describe('execute', () => {
+    it('should write entries and sessions to the archive', async () => {
+      await ExportCommand.execute(
+        { port: '3001', out: 'bug.clp.json.gz', token: 'secret' },
+        command
+      );
+
+      expect(HttpClient.get).toHaveBeenCalledWith({
+        host: 'localhost',
+        port: 3001,
+        token: 'secret',
+        path: '/api/logs',
+        query: { since: undefined, sessionId: undefined },
+      });
+      expect(SessionArchive.write.mock.calls[0][0]).toBe('bug.clp.json.gz');
+      expect(writtenArchive()).toMatchObject({
+        format: 'console-log-pipe-archive',
+        source: { host: 'localhost', port: 3001, sessionId: 'clp_server' },
+        sessions: [{ sessionId: 'tab-a' }, { sessionId: 'tab-b' }],
+        storage: null,
+        entries: logs,
+      });
+      expect(mockConsoleLog.mock.calls[0][0]).toContain(
+        'Exported 2 entries (1 errors, 0 network requests) from 2 session(s)'
+      );
+    });
+
+    it('should only keep the requested session', async () => {
+      await ExportCommand.execute(
+        { port: '3001', out: 'a.json', session: 'tab-b' },
+        command
+      );
+
+      expect(HttpClient.get.mock.calls[0][0].query.sessionId).toBe('tab-b');
+      expect(writtenArchive().sessions).toEqual([{ sessionId: 'tab-b' }]);
+    });
+
+    it('should include storage from the storage monitor', async () => {
+      await ExportCommand.execute(
+        { port: '3001', out: 'a.json', storagePort: '3002' },
+        command
+      );
+
+      expect(HttpClient.get).toHaveBeenCalledWith(
+        expect.objectContaining({ port: 3002, path: '/api/storage/state' })
+      );
+      expect(writtenArchive().storage).toEqual({
+        capturedAt: expect.any(String),
+        state: { cookies: [{ name: 'sid' }], localStorage: [] },
+        changes: [{ subType: 'cookies' }],
+      });
+    });
+
+    it('should export without storage when the monitor is down', async () => {
+      HttpClient.get.mockImplementation(({ port, path }) =>
+        port === 3002
+          ? Promise.reject(new Error('connection refused'))
+          : Promise.resolve(responses[path])
+      );
+
+      await ExportCommand.execute(
+        { port: '3001', out: 'a.json', storagePort: '3002' },
+        command
+      );
+
+      expect(mockConsoleWarn.mock.calls[0][0]).toContain(
+        'storage not exported: connection refused'
+      );
+      expect(writtenArchive().storage).toBeNull();
+    });
+
+    it('should save network requests as HAR', async () => {
+      await ExportCommand.execute(
+        { port: '3001', out: 'traffic.har', format: 'har', since: '5m' },
+        command
+      );
+
+      expect(HttpClient.get).toHaveBeenCalledTimes(1);
+      expect(HttpClient.get).toHaveBeenCalledWith(
+        expect.objectContaining({
+          path: '/api/network.har',
+          query: { since: expect.any(String), sessionId: undefined },
+        })
+      );
+      expect(SessionArchive.write).toHaveBeenCalledWith(
+        'traffic.har',
+        responses['/api/network.har']
+      );
+      expect(mockConsoleLog.mock.calls[0][0]).toContain(
+        'Exported 2 network requests as HAR 1.2'
+      );
+    });
+
+    it('should exit with an error when the server is unreachable', async () => {
+      HttpClient.get.mockRejectedValue(new Error('No server'));
+
+      await expect(
+        ExportCommand.execute({ port: '3001' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+      expect(mockProcessExit).toHaveBeenCalledWith(1);
+      expect(SessionArchive.write).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ListCommand Tests
+ */
+
+const ListCommand = require('../../src/commands/ListCommand');
+const ServerManager = require('../../src/server/ServerManager');
+const ServerRegistry = require('../../src/utils/ServerRegistry');
+
+jest.mock('../../src/server/ServerManager');
+jest.mock('../../src/utils/ServerRegistry');
+
+describe('ListCommand', () => {
+  let mockConsoleLog;
+
+  const servers = [
+    {
+      port: 3001,
+      pid: 4242,
+      type: 'log-server',
+      sessionId: 'session-1',
+      startTime: new Date().toISOString(),
+      status: 'running',
+    },
+    {
+      port: 3002,
+      pid: 4343,
+      type: 'log-server',
+      sessionId: 'session-2',
+      startTime: new Date().toISOString(),
+      status: 'stale',
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    ServerManager.getRegisteredServers.mockResolvedValue(servers);
+    ServerRegistry.unregister.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+  const output = () => mockConsoleLog.mock.calls.map(call => call.join(' '));
+
+  it('should print registered servers as a table', async () => {
+    await ListCommand.execute({}, command);
+
+    const text = output().join('\n');
+    expect(text).toContain('session-1');
+    expect(text).toContain('running');
+    expect(text).toContain('1 stale entry');
+  });
+
+  it('should print JSON', async () => {
+    await ListCommand.execute({ json: true }, command);
+
+    expect(JSON.parse(output()[0])).toEqual(servers);
+  });
+
+  it('should prune stale entries', async () => {
+    await ListCommand.execute({ json: true, prune: true }, command);
+
+    expect(ServerRegistry.unregister).toHaveBeenCalledWith(3002, 4343);
+    expect(JSON.parse(output()[0]).map(server => server.port)).toEqual([3001]);
+  });
+
+  it('should explain when nothing is running', async () => {
+    ServerManager.getRegisteredServers.mockResolvedValue([]);
+
+    await ListCommand.execute({}, command);
+
+    expect(output()[0]).toContain('No Console Log Pipe servers are running');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * LogsCommand Tests
+ */
+
+const LogsCommand = require('../../src/commands/LogsCommand');
+const HttpClient = require('../../src/utils/HttpClient');
+
+jest.mock('../../src/utils/HttpClient');
+
+describe('LogsCommand', () => {
+  let mockConsoleLog;
+  let mockConsoleError;
+  let mockProcessExit;
+
+  const sampleLogs = [
+    {
+      type: 'log',
+      level: 'info',
+      message: 'App started',
+      timestamp: '2023-01-01T10:00:00Z',
+    },
+    {
+      type: 'error',
+      level: 'error',
+      message: 'Request failed',
+      timestamp: '2023-01-01T10:01:00Z',
+    },
+    {
+      type: 'network',
+      level: 'info',
+      method: 'POST',
+      url: '/api/checkout',
+      status: 500,
+      timestamp: '2023-01-01T10:02:00Z',
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    mockConsoleError = jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+
+    HttpClient.get.mockResolvedValue({ logs: sampleLogs, total: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const output = () => mockConsoleLog.mock.calls.map(call => call[0]);
+  const command = { opts: () => ({}) };
+
+  describe('_buildQuery', () => {
+    it('should require a valid port', () => {
+      expect(() => LogsCommand._buildQuery({})).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should convert relative since values to ISO timestamps', () => {
+      const before = Date.now();
+      const { params } = LogsCommand._buildQuery({
+        port: '3001',
+        since: '5m',
+      });
+
+      const since = new Date(params.since).getTime();
+      expect(since).toBeLessThanOrEqual(before - 5 * 60 * 1000 + 50);
+      expect(since).toBeGreaterThan(before - 6 * 60 * 1000);
+    });
+
+    it('should pass level, pattern, session and tail through', () => {
+      const { port, params } = LogsCommand._buildQuery({
+        port: '3001',
+        level: 'error',
+        pattern: 'checkout',
+        session: 'tab-a',
+        tail: '20',
+      });
+
+      expect(port).toBe(3001);
+      expect(params).toEqual({
+        since: undefined,
+        level: 'error',
+        pattern: 'checkout',
+        sessionId: 'tab-a',
+        tail: 20,
+      });
+    });
+
+    it('should reject invalid patterns and tail values', () => {
+      expect(() =>
+        LogsCommand._buildQuery({ port: '3001', pattern: '(' })
+      ).toThrow('Invalid --pattern');
+      expect(() =>
+        LogsCommand._buildQuery({ port: '3001', tail: 'abc' })
+      ).toThrow('Invalid --tail value: abc');
+    });
+
+    it('should reject invalid since values', () => {
+      expect(() =>
+        LogsCommand._buildQuery({ port: '3001', since: 'yesterday-ish' })
+      ).toThrow('Invalid time format');
+    });
+  });
+
+  describe('execute', () => {
+    it('should query /api/logs with the built parameters', async () => {
+      await LogsCommand.execute(
+        { port: '3001', level: 'error', format: 'json' },
+        command
+      );
+
+      expect(HttpClient.get).toHaveBeenCalledWith({
+        host: 'localhost',
+        port: 3001,
+        path: '/api/logs',
+        query: expect.objectContaining({ level: 'error' }),
+      });
+    });
+
+    it('should pass the token to the server', async () => {
+      await LogsCommand.execute({ port: '3001', token: 's3cret' }, command);
+
+      expect(HttpClient.get).toHaveBeenCalledWith(
+        expect.objectContaining({ token: 's3cret' })
+      );
+    });
+
+    it('should print a JSON array', async () => {
+      await LogsCommand.execute({ port: '3001', format: 'json' }, command);
+
+      expect(JSON.parse(output()[0])).toEqual(sampleLogs);
+    });
+
+    it('should print one JSON object per line for ndjson', async () => {
+      await LogsCommand.execute({ port: '3001', format: 'ndjson' }, command);
+
+      const lines = output();
+      expect(lines).toHaveLength(3);
+      expect(lines.map(line => JSON.parse(line).type)).toEqual([
+        'log',
+        'error',
+        'network',
+      ]);
+    });
+
+    it('should print text using the formatter for each type', async () => {
+      await LogsCommand.execute({ port: '3001', format: 'text' }, command);
+
+      const lines = output();
+      expect(lines[0]).toContain('App started');
+      expect(lines[1]).toContain('Request failed');
+      expect(lines[2]).toContain('/api/checkout');
+    });
+
+    it('should print a table', async () => {
+      await LogsCommand.execute({ port: '3001', format: 'table' }, command);
+
+      const text = output().join('\n');
+      expect(text).toContain('Message');
+      expect(text).toContain('POST /api/checkout 500');
+    });
+
+    it('should fail on unsupported formats', async () => {
+      await expect(
+        LogsCommand.execute({ port: '3001', format: 'xml' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+
+      expect(HttpClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should report server errors and exit', async () => {
+      HttpClient.get.mockRejectedValue(new Error('No Console Log Pipe server'));
+
+      await expect(
+        LogsCommand.execute({ port: '3001' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+
+      expect(mockProcessExit).toHaveBeenCalledWith(1);
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringContaining('Error:'),
+        'No Console Log Pipe server'
+      );
+    });
+  });
+});
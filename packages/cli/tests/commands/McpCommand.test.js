@@ -0,0 +1,85 @@
+/**
+ * McpCommand Tests
+ */
+
+const McpCommand = require('../../src/commands/McpCommand');
+const McpServer = require('../../src/server/McpServer');
+
+jest.mock('../../src/server/McpServer');
+
+describe('McpCommand', () => {
+  let mockConsoleLog;
+  let mockConsoleError;
+  let mockProcessExit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    mockConsoleError = jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+
+    McpServer.prototype.start.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+
+  describe('_prepareSettings', () => {
+    it('should require a valid port', () => {
+      expect(() => McpCommand._prepareSettings({})).toThrow(
+        'A valid --port is required'
+      );
+      expect(() => McpCommand._prepareSettings({ port: '80' })).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should default host and storage port', () => {
+      expect(McpCommand._prepareSettings({ port: '3001' })).toEqual({
+        host: 'localhost',
+        port: 3001,
+        token: undefined,
+        storagePort: 3002,
+      });
+    });
+
+    it('should reject an invalid storage port', () => {
+      expect(() =>
+        McpCommand._prepareSettings({ port: '3001', storagePort: 'abc' })
+      ).toThrow('Invalid --storage-port: abc');
+    });
+  });
+
+  describe('execute', () => {
+    it('should serve the tools on stdio without writing to stdout', async () => {
+      await McpCommand.execute(
+        { port: '3001', host: '127.0.0.1', token: 'secret' },
+        command
+      );
+
+      const options = McpServer.mock.calls[0][0];
+      expect(options.name).toBe('console-log-pipe');
+      expect(options.instructions).toContain('127.0.0.1:3001');
+      expect(options.tools.map(({ name }) => name)).toContain('get_errors');
+      expect(McpServer.prototype.start).toHaveBeenCalled();
+      expect(mockConsoleLog).not.toHaveBeenCalled();
+      expect(mockConsoleError.mock.calls[0][0]).toContain(
+        'MCP server for 127.0.0.1:3001'
+      );
+    });
+
+    it('should exit with an error for invalid options', async () => {
+      await expect(McpCommand.execute({}, command)).rejects.toThrow(
+        'Process exit with code 1'
+      );
+
+      expect(mockProcessExit).toHaveBeenCalledWith(1);
+      expect(McpServer).not.toHaveBeenCalled();
+    });
+  });
+});
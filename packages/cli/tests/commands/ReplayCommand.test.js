@@ -0,0 +1,176 @@
+/**
+ * ReplayCommand Tests
+ */
+
+const ReplayCommand = require('../../src/commands/ReplayCommand');
+const StartCommand = require('../../src/commands/StartCommand');
+const ServerManager = require('../../src/server/ServerManager');
+const PortManager = require('../../src/utils/PortManager');
+const SessionArchive = require('../../src/utils/SessionArchive');
+
+jest.mock('../../src/server/ServerManager');
+
+describe('ReplayCommand', () => {
+  let mockConsoleLog;
+  let mockProcessExit;
+  let serverInstance;
+
+  const archive = SessionArchive.create({
+    entries: [
+      {
+        id: 'a',
+        seq: 1,
+        type: 'log',
+        message: 'first',
+        timestamp: '2024-05-01T12:00:00.000Z',
+      },
+      {
+        id: 'b',
+        seq: 2,
+        type: 'error',
+        message: 'boom',
+        fingerprint: 'f00',
+        occurrence: 1,
+        timestamp: '2024-05-01T12:00:01.000Z',
+      },
+      { message: 'untyped', timestamp: '2024-05-01T12:00:01.000Z' },
+    ],
+    sessions: [{ sessionId: 'tab-a', url: 'http://localhost:5173/' }],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+
+    serverInstance = {
+      sessions: { connect: jest.fn() },
+      clients: new Map([[{}, { role: 'monitor' }]]),
+      storeEntry: jest.fn(),
+    };
+    ServerManager.startServer.mockResolvedValue(serverInstance);
+    jest.spyOn(PortManager, 'isPortAvailable').mockResolvedValue(true);
+    jest.spyOn(SessionArchive, 'read').mockResolvedValue(archive);
+    jest.spyOn(StartCommand, '_startLogMonitoring').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+
+  describe('_prepareSettings', () => {
+    it('should require a valid port', () => {
+      expect(() => ReplayCommand._prepareSettings({})).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should parse the speed', () => {
+      expect(
+        ReplayCommand._prepareSettings({ port: '4000', speed: '2x' })
+      ).toEqual({ host: 'localhost', port: 4000, speed: 2 });
+      expect(() =>
+        ReplayCommand._prepareSettings({ port: '4000', speed: 'fast' })
+      ).toThrow('Invalid --speed: fast');
+    });
+  });
+
+  describe('execute', () => {
+    it('should replay entries and sessions through a new server', async () => {
+      await ReplayCommand.execute(
+        'bug.clp.json.gz',
+        { port: '4000', speed: 'max' },
+        command
+      );
+
+      expect(SessionArchive.read).toHaveBeenCalledWith('bug.clp.json.gz');
+      expect(ServerManager.startServer).toHaveBeenCalledWith(
+        expect.objectContaining({
+          port: 4000,
+          environment: 'replay',
+          rateLimit: 0,
+          redact: false,
+          sourceMaps: false,
+          persist: false,
+        })
+      );
+      expect(serverInstance.sessions.connect).toHaveBeenCalledWith(null, {
+        sessionId: 'tab-a',
+        url: 'http://localhost:5173/',
+      });
+      expect(StartCommand._startLogMonitoring).toHaveBeenCalledWith(
+        4000,
+        expect.objectContaining({ port: 4000 })
+      );
+      expect(serverInstance.storeEntry.mock.calls).toEqual([
+        [
+          'log',
+          {
+            type: 'log',
+            message: 'first',
+            timestamp: '2024-05-01T12:00:00.000Z',
+          },
+        ],
+        [
+          'error',
+          {
+            type: 'error',
+            message: 'boom',
+            timestamp: '2024-05-01T12:00:01.000Z',
+          },
+        ],
+        ['log', { message: 'untyped', timestamp: '2024-05-01T12:00:01.000Z' }],
+      ]);
+      expect(
+        mockConsoleLog.mock.calls.some(([line]) =>
+          String(line).includes('Replay finished: 3 entries')
+        )
+      ).toBe(true);
+    });
+
+    it('should fail when the port is taken', async () => {
+      PortManager.isPortAvailable.mockResolvedValue(false);
+
+      await expect(
+        ReplayCommand.execute('bug.clp.json.gz', { port: '4000' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+      expect(ServerManager.startServer).not.toHaveBeenCalled();
+    });
+
+    it('should fail for unreadable archives', async () => {
+      SessionArchive.read.mockRejectedValue(
+        new Error('Not a Console Log Pipe archive: x')
+      );
+
+      await expect(
+        ReplayCommand.execute('x', { port: '4000' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+      expect(mockProcessExit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('play', () => {
+    it('should pause between entries according to the speed', async () => {
+      const waits = [];
+      jest.spyOn(ReplayCommand, '_wait').mockImplementation(ms => {
+        waits.push([ms, serverInstance.storeEntry.mock.calls.length]);
+        return Promise.resolve();
+      });
+
+      await ReplayCommand.play(serverInstance, archive.entries, 2);
+
+      // Each pause comes before the entry it delays
+      expect(waits).toEqual([
+        [0, 0],
+        [500, 1],
+        [0, 2],
+      ]);
+      expect(serverInstance.storeEntry).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -89,6 +89,18 @@ describe('StartCommand', () => {
       expect(ConfigManager.saveServerConfig).toHaveBeenCalled();
     });
 
+    it('should print a dashboard URL carrying the token', async () => {
+      await StartCommand.execute(
+        { host: 'localhost', port: '3001', token: 's3cret' },
+        { opts: () => ({}) }
+      );
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        expect.stringContaining('Dashboard:'),
+        expect.stringContaining('http://localhost:3001/?token=s3cret')
+      );
+    });
+
     it('should fail when no port provided', async () => {
       const options = {};
       const command = { opts: () => ({}) };
@@ -142,6 +154,22 @@ describe('StartCommand', () => {
       expect(openBrowser).toHaveBeenCalledWith('http://localhost:3001');
     });
 
+    it('should open the dashboard of an existing server with its token', async () => {
+      ServerManager.getServerInfo.mockResolvedValue({
+        status: 'running',
+        host: 'localhost',
+        port: 3001,
+        sessionId: 'existing-session',
+        token: 's3cret',
+      });
+
+      await StartCommand.execute({ port: '3001' }, { opts: () => ({}) });
+
+      expect(openBrowser).toHaveBeenCalledWith(
+        'http://localhost:3001/?token=s3cret'
+      );
+    });
+
     it('should check port availability for custom port', async () => {
       PortManager.isPortAvailable.mockResolvedValue(false);
 
@@ -344,6 +372,63 @@ describe('StartCommand', () => {
       );
     });
 
+    it('should pass redaction rules to the server', async () => {
+      const fs = require('fs');
+      jest
+        .spyOn(fs, 'readFileSync')
+        .mockReturnValue(
+          JSON.stringify({ rules: ['jwt'], paths: ['request.body.password'] })
+        );
+
+      await StartCommand.execute(
+        {
+          port: '3001',
+          redactConfig: 'redact.json',
+          redactPattern: ['TKT-\\d+'],
+          redactPath: ['args.*.pin'],
+        },
+        { opts: () => ({}) }
+      );
+
+      expect(ServerManager.startServer).toHaveBeenCalledWith(
+        expect.objectContaining({
+          redact: {
+            rules: ['jwt'],
+            patterns: ['TKT-\\d+'],
+            paths: ['request.body.password', 'args.*.pin'],
+          },
+        })
+      );
+    });
+
+    it('should pass the source map directory and origins to the server', async () => {
+      await StartCommand.execute(
+        {
+          port: '3001',
+          sourceMapDir: 'dist',
+          sourceMapOrigins: 'http://localhost:5173',
+        },
+        { opts: () => ({}) }
+      );
+
+      expect(ServerManager.startServer).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourceMaps: { directory: 'dist', origins: 'http://localhost:5173' },
+        })
+      );
+    });
+
+    it('should turn redaction off with --no-redact', async () => {
+      await StartCommand.execute(
+        { port: '3001', redact: false },
+        { opts: () => ({}) }
+      );
+
+      expect(ServerManager.startServer).toHaveBeenCalledWith(
+        expect.objectContaining({ redact: false })
+      );
+    });
+
     it('should handle port availability check failure', async () => {
       PortManager.isPortAvailable.mockRejectedValue(
         new Error('Port check failed')
@@ -436,4 +521,41 @@ describe('StartCommand', () => {
       expect(ServerManager.startServer).toHaveBeenCalled();
     });
   });
+
+  describe('repeated errors', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should print one ×N line per group and interval', () => {
+      const pending = new Map();
+      const repeat = occurrence => ({
+        type: 'error',
+        message: 'Cannot read properties of undefined',
+        fingerprint: 'abc123',
+        occurrence,
+      });
+
+      StartCommand._queueRepeat(pending, repeat(2));
+      StartCommand._queueRepeat(pending, repeat(3));
+      StartCommand._queueRepeat(pending, {
+        ...repeat(2),
+        fingerprint: 'def456',
+      });
+      expect(mockConsoleLog).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(StartCommand.repeatInterval);
+
+      const lines = mockConsoleLog.mock.calls.map(([line]) => line);
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toContain('×3');
+      expect(lines[0]).toContain('Cannot read properties of undefined');
+      expect(lines[1]).toContain('×2');
+      expect(pending.size).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,115 @@
+/**
+ * StatusCommand Tests
+ */
+
+const StatusCommand = require('../../src/commands/StatusCommand');
+const ServerManager = require('../../src/server/ServerManager');
+const HttpClient = require('../../src/utils/HttpClient');
+
+jest.mock('../../src/server/ServerManager');
+jest.mock('../../src/utils/HttpClient');
+
+describe('StatusCommand', () => {
+  let mockConsoleLog;
+  let mockProcessExit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+  const output = () => mockConsoleLog.mock.calls.map(call => call.join(' '));
+
+  it('should combine registry and health information', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue({
+      port: 3001,
+      host: 'localhost',
+      pid: 4242,
+      type: 'log-server',
+      sessionId: 'session-1',
+      startTime: new Date().toISOString(),
+      status: 'running',
+    });
+    HttpClient.get.mockResolvedValue({
+      uptime: 65000,
+      stats: { totalLogs: 12, totalErrors: 2, totalNetworkRequests: 5 },
+    });
+
+    await StatusCommand.execute({ port: '3001', json: true }, command);
+
+    const status = JSON.parse(output()[0]);
+    expect(status).toMatchObject({
+      port: 3001,
+      pid: 4242,
+      status: 'running',
+      uptime: 65000,
+      stats: { totalLogs: 12 },
+    });
+    expect(HttpClient.get).toHaveBeenCalledWith({
+      host: 'localhost',
+      port: 3001,
+      path: '/api/health',
+    });
+    expect(mockProcessExit).not.toHaveBeenCalled();
+  });
+
+  it('should display a readable summary', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue({
+      port: 3001,
+      host: 'localhost',
+      pid: 4242,
+      type: 'log-server',
+      sessionId: 'session-1',
+      startTime: new Date().toISOString(),
+      status: 'running',
+    });
+    HttpClient.get.mockResolvedValue({
+      uptime: 1000,
+      stats: { totalLogs: 3, totalErrors: 0, totalNetworkRequests: 1 },
+    });
+
+    await StatusCommand.execute({ port: '3001' }, command);
+
+    const text = output().join('\n');
+    expect(text).toContain('session-1');
+    expect(text).toContain('4242');
+  });
+
+  it('should exit non-zero when nothing is running', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue(null);
+    ServerManager.isServerRunning.mockResolvedValue(false);
+
+    await expect(
+      StatusCommand.execute({ port: '3001' }, command)
+    ).rejects.toThrow('Process exit with code 1');
+
+    expect(output()[0]).toContain('No server running on port 3001');
+  });
+
+  it('should report stale entries without a health check', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue({
+      port: 3001,
+      host: 'localhost',
+      pid: 4242,
+      type: 'log-server',
+      startTime: new Date().toISOString(),
+      status: 'stale',
+    });
+
+    await expect(
+      StatusCommand.execute({ port: '3001', json: true }, command)
+    ).rejects.toThrow('Process exit with code 1');
+
+    expect(HttpClient.get).not.toHaveBeenCalled();
+    expect(JSON.parse(output()[0]).status).toBe('stale');
+  });
+});
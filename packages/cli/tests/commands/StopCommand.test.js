@@ -0,0 +1,125 @@
+/**
+ * StopCommand Tests
+ */
+
+const StopCommand = require('../../src/commands/StopCommand');
+const ServerManager = require('../../src/server/ServerManager');
+const ServerRegistry = require('../../src/utils/ServerRegistry');
+
+jest.mock('../../src/server/ServerManager');
+jest.mock('../../src/utils/ServerRegistry');
+
+describe('StopCommand', () => {
+  let mockConsoleLog;
+  let mockProcessExit;
+  let mockKill;
+
+  const runningServer = {
+    port: 3001,
+    host: 'localhost',
+    pid: 4242,
+    status: 'running',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+    mockKill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+    StopCommand.pollInterval = 1;
+    ServerRegistry.unregister.mockResolvedValue(true);
+    ServerRegistry.isProcessAlive.mockReturnValue(false);
+    ServerManager.isServerRunning.mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+
+  it('should require --port or --all', async () => {
+    await expect(StopCommand.execute({}, command)).rejects.toThrow(
+      'Process exit with code 1'
+    );
+    expect(mockKill).not.toHaveBeenCalled();
+  });
+
+  it('should fail for unregistered ports', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue(null);
+
+    await expect(
+      StopCommand.execute({ port: '3001' }, command)
+    ).rejects.toThrow('Process exit with code 1');
+  });
+
+  it('should send SIGTERM and unregister once the server exits', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue(runningServer);
+
+    await StopCommand.execute({ port: '3001' }, command);
+
+    expect(mockKill).toHaveBeenCalledWith(4242, 'SIGTERM');
+    expect(ServerRegistry.unregister).toHaveBeenCalledWith(3001, 4242);
+    expect(mockConsoleLog.mock.calls[0][0]).toContain(
+      'Stopped server on port 3001'
+    );
+  });
+
+  it('should only remove the registry entry for stale servers', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue({
+      ...runningServer,
+      status: 'stale',
+    });
+
+    await StopCommand.execute({ port: '3001' }, command);
+
+    expect(mockKill).not.toHaveBeenCalled();
+    expect(ServerRegistry.unregister).toHaveBeenCalledWith(3001, 4242);
+  });
+
+  it('should stop every registered server with --all', async () => {
+    ServerManager.getRegisteredServers.mockResolvedValue([
+      runningServer,
+      { ...runningServer, port: 3002, pid: 4343 },
+    ]);
+
+    await StopCommand.execute({ all: true }, command);
+
+    expect(mockKill).toHaveBeenCalledWith(4242, 'SIGTERM');
+    expect(mockKill).toHaveBeenCalledWith(4343, 'SIGTERM');
+  });
+
+  it('should report servers that do not stop in time', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue(runningServer);
+    ServerRegistry.isProcessAlive.mockReturnValue(true);
+    ServerManager.isServerRunning.mockResolvedValue(true);
+
+    await expect(
+      StopCommand.execute({ port: '3001', timeout: '5' }, command)
+    ).rejects.toThrow('Process exit with code 1');
+
+    expect(mockProcessExit).toHaveBeenCalledWith(1);
+    expect(mockKill).not.toHaveBeenCalledWith(4242, 'SIGKILL');
+    expect(ServerRegistry.unregister).not.toHaveBeenCalled();
+  });
+
+  it('should escalate to SIGKILL with --force', async () => {
+    ServerManager.getRegisteredServer.mockResolvedValue(runningServer);
+    ServerRegistry.isProcessAlive.mockReturnValue(true);
+    ServerManager.isServerRunning
+      .mockResolvedValueOnce(true)
+      .mockResolvedValue(false);
+
+    await StopCommand.execute(
+      { port: '3001', timeout: '5', force: true },
+      command
+    );
+
+    expect(mockKill).toHaveBeenCalledWith(4242, 'SIGTERM');
+    expect(ServerRegistry.unregister).toHaveBeenCalledWith(3001, 4242);
+  });
+});
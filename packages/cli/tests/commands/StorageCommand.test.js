@@ -0,0 +1,137 @@
+/**
+ * StorageCommand Tests
+ */
+
+const { StorageCommand } = require('../../src/commands/StorageCommand');
+
+jest.mock('express', () => {
+  const mockApp = {
+    use: jest.fn(),
+    get: jest.fn(),
+  };
+  return jest.fn(() => mockApp);
+});
+
+jest.mock('http', () => ({
+  createServer: jest.fn(() => ({
+    listen: jest.fn((port, host, callback) => callback()),
+  })),
+}));
+
+jest.mock('ws', () => ({
+  Server: jest.fn(() => ({ on: jest.fn() })),
+}));
+
+describe('StorageCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/storage/changes', () => {
+    const startServer = async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await StorageCommand._startStorageServer({
+        port: 3002,
+        host: 'localhost',
+      });
+      const [, getChanges] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/storage/changes'
+      );
+      const request = (query = {}) => {
+        const res = { json: jest.fn() };
+        getChanges({ query }, res);
+        return res.json.mock.calls[0][0];
+      };
+      return { serverInstance, request };
+    };
+
+    const update = (serverInstance, timestamp, data) =>
+      StorageCommand._handleStorageUpdate(
+        {
+          type: 'storage_update',
+          subType: 'localStorage',
+          sessionId: 'tab-a',
+          timestamp,
+          data,
+        },
+        null,
+        serverInstance.storageState
+      );
+
+    it('should return changes since a time, oldest first', async () => {
+      const { serverInstance, request } = await startServer();
+      update(serverInstance, '2026-01-01T12:00:00.000Z', { added: [] });
+      update(serverInstance, '2026-01-01T12:01:00.000Z', { added: [] });
+      update(serverInstance, '2026-01-01T12:02:00.000Z', { added: [] });
+
+      const all = request();
+      const recent = request({ since: '2026-01-01T12:01:00.000Z' });
+
+      expect(all.total).toBe(3);
+      expect(recent).toMatchObject({ total: 2, port: 3002 });
+      expect(recent.changes.map(change => change.timestamp)).toEqual([
+        '2026-01-01T12:01:00.000Z',
+        '2026-01-01T12:02:00.000Z',
+      ]);
+    });
+
+    it('should keep only the last maxChanges changes', async () => {
+      const maxChanges = StorageCommand.maxChanges;
+      StorageCommand.maxChanges = 2;
+      const { serverInstance, request } = await startServer();
+
+      try {
+        ['a', 'b', 'c'].forEach((key, index) =>
+          update(serverInstance, `2026-01-01T12:0${index}:00.000Z`, {
+            added: [{ key, value: '1' }],
+          })
+        );
+      } finally {
+        StorageCommand.maxChanges = maxChanges;
+      }
+
+      expect(request().changes.map(change => change.added[0].key)).toEqual([
+        'b',
+        'c',
+      ]);
+    });
+
+    it('should report keys without values', async () => {
+      const { serverInstance, request } = await startServer();
+      update(serverInstance, '2026-01-01T12:00:00.000Z', {
+        added: [{ key: 'cart', value: '[1,2]' }],
+        modified: [{ key: 'token', value: 'new-secret', oldValue: 'secret' }],
+        deleted: [{ key: 'coupon', value: 'SAVE10' }],
+        current: [{ key: 'token', value: 'new-secret' }],
+      });
+      StorageCommand._handleStorageUpdate(
+        {
+          subType: 'cookies',
+          sessionId: 'tab-a',
+          data: { added: [{ name: 'sid', value: 'abc', domain: 'localhost' }] },
+        },
+        null,
+        serverInstance.storageState
+      );
+
+      const { changes } = request();
+
+      expect(changes[0]).toEqual({
+        timestamp: '2026-01-01T12:00:00.000Z',
+        sessionId: 'tab-a',
+        subType: 'localStorage',
+        added: [{ key: 'cart' }],
+        modified: [{ key: 'token' }],
+        deleted: [{ key: 'coupon' }],
+      });
+      expect(changes[1].added).toEqual([{ name: 'sid' }]);
+      expect(JSON.stringify(changes)).not.toContain('secret');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * SummaryCommand Tests
+ */
+
+const SummaryCommand = require('../../src/commands/SummaryCommand');
+const IncidentSummary = require('../../src/server/IncidentSummary');
+const HttpClient = require('../../src/utils/HttpClient');
+
+jest.mock('../../src/utils/HttpClient');
+
+describe('SummaryCommand', () => {
+  let mockConsoleLog;
+  let mockProcessExit;
+
+  const summary = IncidentSummary.build(
+    [
+      {
+        type: 'error',
+        level: 'error',
+        message: 'Order failed',
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    {}
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockProcessExit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`Process exit with code ${code}`);
+    });
+
+    HttpClient.get.mockResolvedValue({ ...summary, port: 3001 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const command = { opts: () => ({}) };
+
+  describe('_buildQuery', () => {
+    it('should require a valid port', () => {
+      expect(() => SummaryCommand._buildQuery({})).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should translate options into query parameters', () => {
+      expect(
+        SummaryCommand._buildQuery({
+          port: '3001',
+          window: '5m',
+          session: 'tab-a',
+          budget: '2000',
+          storagePort: '3002',
+        })
+      ).toEqual({
+        port: 3001,
+        params: {
+          window: '5m',
+          sessionId: 'tab-a',
+          budget: 2000,
+          storagePort: 3002,
+        },
+      });
+    });
+
+    it('should reject invalid windows, budgets and storage ports', () => {
+      expect(() =>
+        SummaryCommand._buildQuery({ port: '3001', window: 'later' })
+      ).toThrow('Invalid --window: later');
+      expect(() =>
+        SummaryCommand._buildQuery({ port: '3001', budget: '0' })
+      ).toThrow('Invalid --budget: 0');
+      expect(() =>
+        SummaryCommand._buildQuery({ port: '3001', storagePort: '1' })
+      ).toThrow('Invalid --storage-port: 1');
+    });
+  });
+
+  describe('execute', () => {
+    it('should print the summary as Markdown', async () => {
+      await SummaryCommand.execute(
+        { port: '3001', window: '2m', token: 'secret' },
+        command
+      );
+
+      expect(HttpClient.get).toHaveBeenCalledWith({
+        host: 'localhost',
+        port: 3001,
+        path: '/api/summary',
+        query: {
+          window: '2m',
+          sessionId: undefined,
+          budget: undefined,
+          storagePort: undefined,
+        },
+        token: 'secret',
+      });
+      const output = mockConsoleLog.mock.calls[0][0];
+      expect(output).toContain('# Incident summary');
+      expect(output).toContain('### 1. Error: Order failed (×1)');
+    });
+
+    it('should print JSON', async () => {
+      await SummaryCommand.execute({ port: '3001', format: 'json' }, command);
+
+      expect(JSON.parse(mockConsoleLog.mock.calls[0][0]).counts.errors).toBe(1);
+    });
+
+    it('should exit with an error for unsupported formats', async () => {
+      await expect(
+        SummaryCommand.execute({ port: '3001', format: 'html' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+
+      expect(mockProcessExit).toHaveBeenCalledWith(1);
+      expect(HttpClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should exit with an error when the server is unreachable', async () => {
+      HttpClient.get.mockRejectedValue(
+        new Error('No Console Log Pipe server on localhost:3001')
+      );
+
+      await expect(
+        SummaryCommand.execute({ port: '3001' }, command)
+      ).rejects.toThrow('Process exit with code 1');
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * TailCommand Tests
+ */
+
+const TailCommand = require('../../src/commands/TailCommand');
+
+let mockSocket;
+
+jest.mock('ws', () => {
+  const EventEmitter = require('events');
+  return jest.fn().mockImplementation((url, options) => {
+    mockSocket = new EventEmitter();
+    mockSocket.url = url;
+    mockSocket.options = options;
+    mockSocket.send = jest.fn();
+    mockSocket.close = jest.fn(() => mockSocket.emit('close'));
+    return mockSocket;
+  });
+});
+
+describe('TailCommand', () => {
+  let mockConsoleLog;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    jest.spyOn(process, 'on').mockImplementation(() => process);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const printedLines = () => mockConsoleLog.mock.calls.map(call => call[0]);
+
+  describe('_prepareSettings', () => {
+    it('should require a valid port', () => {
+      expect(() => TailCommand._prepareSettings({})).toThrow(
+        'A valid --port is required'
+      );
+      expect(() => TailCommand._prepareSettings({ port: '80' })).toThrow(
+        'A valid --port is required'
+      );
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() =>
+        TailCommand._prepareSettings({ port: '3001', format: 'xml' })
+      ).toThrow('Unsupported format: xml');
+    });
+
+    it('should build filters from options', () => {
+      const settings = TailCommand._prepareSettings({
+        port: '3001',
+        level: 'ERROR',
+        pattern: 'timeout',
+        since: '5m',
+        lines: '20',
+      });
+
+      expect(settings.port).toBe(3001);
+      expect(settings.host).toBe('localhost');
+      expect(settings.follow).toBe(true);
+      expect(settings.filters.level).toBe('error');
+      expect(settings.filters.pattern.test('Request TIMEOUT')).toBe(true);
+      expect(settings.filters.tail).toBe(20);
+      expect(
+        Date.now() - new Date(settings.filters.since).getTime()
+      ).toBeGreaterThanOrEqual(5 * 60 * 1000);
+    });
+  });
+
+  describe('_matchesFilters', () => {
+    const entry = {
+      level: 'error',
+      message: 'Request timeout',
+      timestamp: '2023-01-01T10:00:00Z',
+    };
+
+    it('should match when no filters are set', () => {
+      expect(TailCommand._matchesFilters(entry, {})).toBe(true);
+    });
+
+    it('should filter by level', () => {
+      expect(TailCommand._matchesFilters(entry, { level: 'error' })).toBe(true);
+      expect(TailCommand._matchesFilters(entry, { level: 'info' })).toBe(false);
+    });
+
+    it('should filter by pattern', () => {
+      expect(TailCommand._matchesFilters(entry, { pattern: /timeout/i })).toBe(
+        true
+      );
+      expect(TailCommand._matchesFilters(entry, { pattern: /crash/i })).toBe(
+        false
+      );
+    });
+
+    it('should filter by session', () => {
+      const tagged = { ...entry, sessionId: 'tab-a' };
+      expect(TailCommand._matchesFilters(tagged, { sessionId: 'tab-a' })).toBe(
+        true
+      );
+      expect(TailCommand._matchesFilters(tagged, { sessionId: 'tab-b' })).toBe(
+        false
+      );
+    });
+
+    it('should filter by since', () => {
+      expect(
+        TailCommand._matchesFilters(entry, { since: '2023-01-01T09:00:00Z' })
+      ).toBe(true);
+      expect(
+        TailCommand._matchesFilters(entry, { since: '2023-01-01T11:00:00Z' })
+      ).toBe(false);
+    });
+  });
+
+  describe('_follow', () => {
+    it('should request history with the configured filters', async () => {
+      const settings = TailCommand._prepareSettings({
+        port: '3001',
+        level: 'warn',
+        lines: '10',
+        follow: false,
+      });
+
+      const done = TailCommand._follow(settings);
+      mockSocket.emit('open');
+
+      expect(mockSocket.url).toBe('ws://localhost:3001');
+      const [hello, request] = mockSocket.send.mock.calls.map(([raw]) =>
+        JSON.parse(raw)
+      );
+      expect(hello).toEqual({ type: 'hello', role: 'monitor' });
+      expect(request).toEqual({
+        type: 'request_logs',
+        filter: { since: null, level: 'warn', tail: 10 },
+      });
+
+      mockSocket.emit(
+        'message',
+        Buffer.from(
+          JSON.stringify({
+            type: 'historical_logs',
+            logs: [{ type: 'log', level: 'warn', message: 'from history' }],
+          })
+        )
+      );
+
+      await done;
+      expect(mockSocket.close).toHaveBeenCalled();
+      expect(printedLines().some(line => line.includes('from history'))).toBe(
+        true
+      );
+    });
+
+    it('should stream live entries that match the filters', () => {
+      const settings = TailCommand._prepareSettings({
+        port: '3001',
+        level: 'error',
+        format: 'json',
+      });
+
+      TailCommand._follow(settings);
+      mockSocket.emit('open');
+      mockSocket.emit(
+        'message',
+        JSON.stringify({ type: 'historical_logs', logs: [] })
+      );
+      mockSocket.emit(
+        'message',
+        JSON.stringify({
+          type: 'error',
+          data: { level: 'error', message: 'boom' },
+        })
+      );
+      mockSocket.emit(
+        'message',
+        JSON.stringify({
+          type: 'log',
+          data: { level: 'info', message: 'ignored' },
+        })
+      );
+
+      const lines = printedLines();
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toEqual({
+        type: 'error',
+        level: 'error',
+        message: 'boom',
+      });
+    });
+
+    it('should print live entries after the history without repeats', () => {
+      const settings = TailCommand._prepareSettings({
+        port: '3001',
+        format: 'json',
+      });
+      const entry = (seq, message) => ({
+        type: 'log',
+        level: 'info',
+        seq,
+        message,
+      });
+      const live = data => JSON.stringify({ type: 'log', data });
+
+      TailCommand._follow(settings);
+      mockSocket.emit('open');
+      mockSocket.emit('message', live(entry(3, 'third')));
+      expect(printedLines()).toHaveLength(0);
+      mockSocket.emit(
+        'message',
+        JSON.stringify({
+          type: 'historical_logs',
+          logs: [entry(2, 'second'), entry(3, 'third')],
+        })
+      );
+      mockSocket.emit('message', live(entry(4, 'fourth')));
+      mockSocket.emit('message', live(entry(4, 'fourth')));
+
+      expect(printedLines().map(line => JSON.parse(line).seq)).toEqual([
+        2, 3, 4,
+      ]);
+    });
+
+    it('should reject when the server is not reachable', async () => {
+      const settings = TailCommand._prepareSettings({ port: '3001' });
+
+      const done = TailCommand._follow(settings);
+      mockSocket.emit('error', new Error('ECONNREFUSED'));
+
+      await expect(done).rejects.toThrow(
+        'Could not connect to server on localhost:3001'
+      );
+    });
+
+    it('should send the token and explain rejected handshakes', async () => {
+      const settings = TailCommand._prepareSettings({
+        port: '3001',
+        token: 's3cret',
+      });
+
+      const done = TailCommand._follow(settings);
+      mockSocket.emit('error', new Error('Unexpected server response: 401'));
+
+      expect(mockSocket.options).toEqual({
+        headers: { Authorization: 'Bearer s3cret' },
+      });
+      await expect(done).rejects.toThrow(
+        'Server on localhost:3001 requires a token (pass --token)'
+      );
+    });
+  });
+
+  describe('_print', () => {
+    it('should use the network formatter for network entries', () => {
+      TailCommand._print(
+        { method: 'GET', url: '/api/users', status: 200 },
+        'network',
+        { format: 'text', color: false }
+      );
+
+      expect(printedLines()[0]).toContain('[NET] GET /api/users 200');
+    });
+
+    it('should use the error formatter for error entries', () => {
+      TailCommand._print({ message: 'Boom' }, 'error', {
+        format: 'text',
+        color: false,
+      });
+
+      expect(printedLines()[0]).toContain('[ERROR] Boom');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Auth Tests
+ */
+
+const Auth = require('../../src/server/Auth');
+
+describe('Auth', () => {
+  const createRes = () => {
+    const res = {
+      set: jest.fn(),
+      json: jest.fn(),
+      status: jest.fn(() => res),
+    };
+    return res;
+  };
+
+  describe('generateToken', () => {
+    it('should generate distinct hex tokens', () => {
+      const token = Auth.generateToken();
+
+      expect(token).toMatch(/^[0-9a-f]{32}$/);
+      expect(Auth.generateToken()).not.toBe(token);
+    });
+  });
+
+  describe('dashboardUrl', () => {
+    it('should add the token only when there is one', () => {
+      expect(Auth.dashboardUrl('http://localhost:3001', 'a b')).toBe(
+        'http://localhost:3001/?token=a%20b'
+      );
+      expect(Auth.dashboardUrl('http://localhost:3001', null)).toBe(
+        'http://localhost:3001'
+      );
+    });
+  });
+
+  describe('isAuthorized', () => {
+    it('should accept a matching bearer header', () => {
+      const req = { headers: { authorization: 'Bearer s3cret' }, url: '/' };
+
+      expect(Auth.isAuthorized(req, 's3cret')).toBe(true);
+    });
+
+    it('should accept a matching token query parameter', () => {
+      const req = { headers: {}, url: '/api/events?level=error&token=s3cret' };
+
+      expect(Auth.isAuthorized(req, 's3cret')).toBe(true);
+    });
+
+    it.each([
+      ['no token', { headers: {}, url: '/api/logs' }],
+      ['a wrong token', { headers: { authorization: 'Bearer nope' } }],
+      ['a longer token', { headers: { authorization: 'Bearer s3cret!' } }],
+      ['another scheme', { headers: { authorization: 'Basic s3cret' } }],
+    ])('should reject %s', (label, req) => {
+      expect(Auth.isAuthorized(req, 's3cret')).toBe(false);
+    });
+  });
+
+  describe('middleware', () => {
+    const middleware = Auth.middleware('s3cret');
+
+    it('should reject requests without the token', () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      middleware(
+        { path: '/api/logs', method: 'POST', headers: {}, url: '/api/logs' },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.set).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer');
+      expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+    });
+
+    it('should let health checks and CORS preflights through', () => {
+      const next = jest.fn();
+
+      middleware(
+        { path: '/api/health', method: 'GET', headers: {}, url: '/' },
+        createRes(),
+        next
+      );
+      middleware(
+        { path: '/api/logs', method: 'OPTIONS', headers: {}, url: '/' },
+        createRes(),
+        next
+      );
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only serve the dashboard when opened with the token', () => {
+      const next = jest.fn();
+      const res = createRes();
+
+      middleware(
+        { path: '/', method: 'GET', headers: {}, url: '/' },
+        res,
+        next
+      );
+      middleware(
+        {
+          path: '/',
+          method: 'GET',
+          headers: {},
+          url: Auth.dashboardUrl('', 's3cret'),
+        },
+        createRes(),
+        next
+      );
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass authorized requests on', () => {
+      const next = jest.fn();
+
+      middleware(
+        {
+          path: '/api/logs',
+          method: 'GET',
+          headers: { authorization: 'Bearer s3cret' },
+        },
+        createRes(),
+        next
+      );
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyClient', () => {
+    it('should accept or reject WebSocket handshakes', () => {
+      const verify = Auth.verifyClient('s3cret');
+      const callback = jest.fn();
+
+      verify({ req: { headers: {}, url: '/?token=s3cret' } }, callback);
+      verify({ req: { headers: {}, url: '/' } }, callback);
+
+      expect(callback.mock.calls).toEqual([
+        [true],
+        [false, 401, 'Unauthorized'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Dashboard Tests
+ */
+
+const Dashboard = require('../../src/server/Dashboard');
+
+describe('Dashboard', () => {
+  const config = {
+    port: 3001,
+    sessionId: 'session-<b>',
+    environment: 'development',
+  };
+  const stats = { totalLogs: 4, totalErrors: 2, totalNetworkRequests: 1 };
+
+  const extractScript = html => html.match(/<script>([\s\S]*)<\/script>/)[1];
+
+  describe('render', () => {
+    it('should render filter, pause and clear controls', () => {
+      const html = Dashboard.render(config, stats, 7);
+
+      expect(html).toContain('id="filter-text"');
+      expect(html).toContain('id="filter-level"');
+      expect(html).toContain('id="filter-type"');
+      expect(html).toContain('id="filter-session"');
+      expect(html).toContain('id="pause"');
+      expect(html).toContain('id="clear"');
+      expect(html).toContain('7 stored entries');
+    });
+
+    it('should escape config values in markup and script', () => {
+      const html = Dashboard.render(
+        { ...config, sessionId: '</script><script>alert(1)</script>' },
+        stats,
+        0
+      );
+
+      expect(html).not.toContain('<script>alert(1)');
+      expect(html).toContain('&lt;/script&gt;');
+      expect(extractScript(html)).toContain('\\u003c/script>');
+    });
+
+    it('should embed a syntactically valid client script', () => {
+      const script = extractScript(Dashboard.render(config, stats, 0));
+
+      expect(() => new Function(script)).not.toThrow();
+      expect(script).toContain('"totalErrors":2');
+      expect(script).toContain("type: 'request_logs'");
+    });
+  });
+
+  describe('client script', () => {
+    let socket;
+
+    // Run the page script against a mocked WebSocket
+    const open = () => {
+      const html = Dashboard.render(config, stats, 0);
+      document.body.innerHTML = html.match(/<body>([\s\S]*)<\/body>/)[1];
+      global.WebSocket = jest.fn(function () {
+        socket = this;
+        this.send = jest.fn();
+      });
+      new Function(extractScript(html))();
+      socket.onopen();
+    };
+    const receive = message =>
+      socket.onmessage({ data: JSON.stringify(message) });
+    const rows = () => document.querySelectorAll('#entries .entry');
+    const log = (seq, message) => ({
+      type: 'log',
+      level: 'info',
+      seq,
+      message,
+    });
+
+    afterEach(() => {
+      delete global.WebSocket;
+      document.body.innerHTML = '';
+    });
+
+    it('should append live entries without rebuilding open rows', () => {
+      open();
+      receive({ type: 'historical_logs', logs: [log(1, 'first')] });
+      const [firstRow] = rows();
+      firstRow.querySelector('.line').click();
+
+      receive({ type: 'log', data: log(2, 'second') });
+
+      expect(rows()).toHaveLength(2);
+      expect(rows()[0]).toBe(firstRow);
+      expect(firstRow.querySelector('pre')).not.toBeNull();
+      expect(document.getElementById('count-shown').textContent).toBe('2');
+      expect(document.querySelector('#entries .empty')).toBeNull();
+    });
+
+    it('should drop the oldest rows beyond maxRows', () => {
+      const maxRows = Dashboard.maxRows;
+      Dashboard.maxRows = 2;
+      try {
+        open();
+      } finally {
+        Dashboard.maxRows = maxRows;
+      }
+      receive({
+        type: 'historical_logs',
+        logs: [log(1, 'one'), log(2, 'two')],
+      });
+
+      receive({ type: 'log', data: log(3, 'three') });
+
+      expect(
+        Array.from(rows(), row => row.querySelector('.message').textContent)
+      ).toEqual(['two', 'three']);
+    });
+
+    it('should show the source-mapped stack in details', () => {
+      open();
+      receive({
+        type: 'error',
+        data: {
+          level: 'error',
+          message: 'boom',
+          error: {
+            stack:
+              'TypeError: boom\n    at a (http://localhost:5173/index.js:1:15)',
+            resolvedStack:
+              'TypeError: boom\n    at checkout (src/cart.ts:3:10)',
+          },
+        },
+      });
+
+      rows()[0].querySelector('.line').click();
+
+      const text = rows()[0].querySelector('pre').textContent;
+      expect(text).toMatch(
+        /^TypeError: boom\n {4}at checkout \(src\/cart.ts:3:10\)/
+      );
+      expect(text).toContain('Minified stack:');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(Dashboard.escapeHtml(`<a href="x">'&'</a>`)).toBe(
+        '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;'
+      );
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * ErrorGroups Tests
+ */
+
+const ErrorGroups = require('../../src/server/ErrorGroups');
+
+const errorEntry = (overrides = {}) => ({
+  type: 'error',
+  level: 'error',
+  message: 'Cannot read properties of undefined (reading "id")',
+  timestamp: '2025-01-01T10:00:00.000Z',
+  sessionId: 'tab-a',
+  error: { name: 'TypeError' },
+  stackTrace: [
+    {
+      function: 'renderRow',
+      file: 'http://localhost:5173/src/List.jsx?t=1700000000',
+      line: 12,
+      column: 7,
+      inApp: true,
+    },
+    {
+      function: 'List',
+      file: 'http://localhost:5173/src/List.jsx?t=1700000000',
+      line: 30,
+      column: 3,
+      inApp: true,
+    },
+  ],
+  ...overrides,
+});
+
+describe('ErrorGroups', () => {
+  let groups;
+
+  beforeEach(() => {
+    groups = new ErrorGroups();
+  });
+
+  describe('normalizeMessage', () => {
+    it('should replace numbers, ids and URLs', () => {
+      expect(
+        ErrorGroups.normalizeMessage(
+          'Uncaught Error: Item 42 not found at https://api.test/items/42?x=1'
+        )
+      ).toBe('Error: Item <n> not found at <url>');
+      expect(
+        ErrorGroups.normalizeMessage(
+          'Order 3f2504e0-4f89-11d3-9a0c-0305e82c3301 failed (0x1f)'
+        )
+      ).toBe('Order <uuid> failed (<hex>)');
+      expect(
+        ErrorGroups.normalizeMessage('Session 5f1a2b3c4d5e6f70 expired')
+      ).toBe('Session <hex> expired');
+    });
+
+    it('should keep words that look like hex', () => {
+      expect(ErrorGroups.normalizeMessage('deadbeefcafe is fine')).toBe(
+        'deadbeefcafe is fine'
+      );
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('should ignore volatile message parts, line numbers and queries', () => {
+      const first = errorEntry({ message: 'Row 1 failed' });
+      const second = errorEntry({
+        message: 'Row 2 failed',
+        stackTrace: first.stackTrace.map(frame => ({
+          ...frame,
+          file: frame.file.replace('1700000000', '1700000099'),
+          line: frame.line + 5,
+        })),
+      });
+
+      expect(ErrorGroups.fingerprint(second)).toBe(
+        ErrorGroups.fingerprint(first)
+      );
+      expect(ErrorGroups.fingerprint(first)).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should tell apart errors thrown from different functions', () => {
+      const other = errorEntry();
+      other.stackTrace = [{ ...other.stackTrace[0], function: 'renderCell' }];
+
+      expect(ErrorGroups.fingerprint(other)).not.toBe(
+        ErrorGroups.fingerprint(errorEntry())
+      );
+    });
+
+    it('should tell apart error names', () => {
+      expect(
+        ErrorGroups.fingerprint(errorEntry({ error: { name: 'RangeError' } }))
+      ).not.toBe(ErrorGroups.fingerprint(errorEntry()));
+    });
+
+    it('should skip library frames', () => {
+      const withLibrary = errorEntry();
+      withLibrary.stackTrace = [
+        {
+          function: 'commitRoot',
+          file: 'http://localhost:5173/node_modules/.vite/deps/react-dom.js',
+          line: 100,
+          column: 1,
+          inApp: false,
+        },
+        ...withLibrary.stackTrace,
+      ];
+
+      expect(ErrorGroups.fingerprint(withLibrary)).toBe(
+        ErrorGroups.fingerprint(errorEntry())
+      );
+    });
+
+    it('should use source-mapped locations', () => {
+      const minified = frame => ({
+        function: 'a',
+        file: 'http://localhost:5173/assets/index-abc123.js',
+        line: 1,
+        column: frame,
+        original: { function: 'renderRow', file: 'src/List.jsx', line: 12 },
+      });
+
+      expect(
+        ErrorGroups.fingerprint(errorEntry({ stackTrace: [minified(100)] }))
+      ).toBe(
+        ErrorGroups.fingerprint(errorEntry({ stackTrace: [minified(200)] }))
+      );
+    });
+
+    it('should parse the stack string when there are no frames', () => {
+      const entry = errorEntry({ stackTrace: [] });
+      entry.error.stack =
+        'TypeError: x\n    at renderRow (http://localhost:5173/src/List.jsx:12:7)';
+
+      expect(ErrorGroups.topFrames(entry)).toEqual([
+        expect.objectContaining({ function: 'renderRow', line: 12 }),
+      ]);
+    });
+  });
+
+  describe('record', () => {
+    it('should count occurrences and sessions', () => {
+      const first = errorEntry();
+      groups.record(first);
+      const group = groups.record(
+        errorEntry({
+          sessionId: 'tab-b',
+          timestamp: '2025-01-01T10:05:00.000Z',
+        })
+      );
+
+      expect(group.count).toBe(2);
+      expect(groups.get(group.fingerprint)).toMatchObject({
+        name: 'TypeError',
+        message: 'Cannot read properties of undefined (reading "id")',
+        culprit:
+          'renderRow (http://localhost:5173/src/List.jsx?t=1700000000:12)',
+        count: 2,
+        firstSeen: '2025-01-01T10:00:00.000Z',
+        lastSeen: '2025-01-01T10:05:00.000Z',
+        sessions: ['tab-a', 'tab-b'],
+        sessionCount: 2,
+        sample: first,
+      });
+    });
+
+    it('should evict the least recently seen group when full', () => {
+      groups = new ErrorGroups({ maxGroups: 2 });
+      const a = groups.record(errorEntry({ message: 'a' }));
+      const b = groups.record(errorEntry({ message: 'b' }));
+      groups.record(errorEntry({ message: 'a' }));
+      groups.record(errorEntry({ message: 'c' }));
+
+      expect(groups.size).toBe(2);
+      expect(groups.get(a.fingerprint)).not.toBeNull();
+      expect(groups.get(b.fingerprint)).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(() => {
+      groups.record(
+        errorEntry({ message: 'a', timestamp: '2025-01-01T10:00:00.000Z' })
+      );
+      groups.record(
+        errorEntry({ message: 'a', timestamp: '2025-01-01T10:01:00.000Z' })
+      );
+      groups.record(
+        errorEntry({
+          message: 'b',
+          sessionId: 'tab-b',
+          timestamp: '2025-01-01T10:02:00.000Z',
+        })
+      );
+    });
+
+    it('should list the most recently seen first', () => {
+      expect(groups.list().map(group => group.message)).toEqual(['b', 'a']);
+    });
+
+    it('should sort by count', () => {
+      expect(groups.list({ sort: 'count' }).map(group => group.count)).toEqual([
+        2, 1,
+      ]);
+    });
+
+    it('should filter by session and limit', () => {
+      expect(groups.list({ sessionId: 'tab-a' })).toHaveLength(1);
+      expect(groups.list({ limit: 1 })).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * HarExport Tests
+ */
+
+const HarExport = require('../../src/server/HarExport');
+const pkg = require('../../package.json');
+
+describe('HarExport', () => {
+  const request = (id, timestamp, details = {}) => ({
+    type: 'network',
+    subtype: 'request',
+    sessionId: 'tab-a',
+    clientId: id,
+    timestamp,
+    request: { id, method: 'GET', url: '/api/items', ...details },
+  });
+  const response = (requestId, timestamp, details = {}, durationMs = 50) => ({
+    type: 'network',
+    subtype: 'response',
+    sessionId: 'tab-a',
+    clientId: `${requestId}_response`,
+    timestamp,
+    response: { requestId, status: 200, statusText: 'OK', ...details },
+    timing: { start: 1000, end: 1000 + durationMs, durationMs },
+  });
+
+  describe('build', () => {
+    it('should describe the document and its creator', () => {
+      expect(HarExport.build([])).toEqual({
+        log: {
+          version: '1.2',
+          creator: { name: 'Console Log Pipe', version: pkg.version },
+          entries: [],
+        },
+      });
+    });
+
+    it('should pair requests with their responses', () => {
+      const har = HarExport.build(
+        [
+          request('req_1', '2024-05-01T12:00:00.000Z', {
+            method: 'POST',
+            url: 'https://shop.test/api/orders?draft=1&page=2',
+            headers: { 'Content-Type': 'application/json', 'X-Trace': 7 },
+            body: '{"sku":"A1"}',
+          }),
+          { type: 'log', message: 'between' },
+          response(
+            'req_1',
+            '2024-05-01T12:00:00.250Z',
+            {
+              status: 201,
+              statusText: 'Created',
+              headers: { 'content-type': 'application/json; charset=utf-8' },
+              body: '{"id":"é"}',
+            },
+            250
+          ),
+        ],
+        {}
+      );
+
+      expect(har.log.entries).toEqual([
+        {
+          startedDateTime: '2024-05-01T12:00:00.000Z',
+          time: 250,
+          request: {
+            method: 'POST',
+            url: 'https://shop.test/api/orders?draft=1&page=2',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [
+              { name: 'Content-Type', value: 'application/json' },
+              { name: 'X-Trace', value: '7' },
+            ],
+            queryString: [
+              { name: 'draft', value: '1' },
+              { name: 'page', value: '2' },
+            ],
+            headersSize: -1,
+            bodySize: 12,
+            postData: { mimeType: 'application/json', text: '{"sku":"A1"}' },
+          },
+          response: {
+            status: 201,
+            statusText: 'Created',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [
+              {
+                name: 'content-type',
+                value: 'application/json; charset=utf-8',
+              },
+            ],
+            content: {
+              size: 11,
+              mimeType: 'application/json; charset=utf-8',
+              text: '{"id":"é"}',
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: 11,
+          },
+          cache: {},
+          timings: { send: 0, wait: 250, receive: 0 },
+        },
+      ]);
+    });
+
+    it('should resolve relative URLs against the page of the session', () => {
+      const har = HarExport.build(
+        [
+          request('req_1', '2024-05-01T12:00:00.000Z'),
+          response('req_1', '2024-05-01T12:00:00.050Z'),
+        ],
+        {
+          sessions: [{ sessionId: 'tab-a', url: 'http://localhost:5173/cart' }],
+        }
+      );
+
+      expect(har.log.entries[0].request.url).toBe(
+        'http://localhost:5173/api/items'
+      );
+    });
+
+    it('should record failed and unanswered requests', () => {
+      const har = HarExport.build([
+        request('req_1', '2024-05-01T12:00:00.000Z'),
+        {
+          type: 'network',
+          subtype: 'error',
+          timestamp: '2024-05-01T12:00:01.000Z',
+          error: {
+            requestId: 'req_1',
+            name: 'TypeError',
+            message: 'Failed to fetch',
+          },
+          timing: { durationMs: 1000 },
+        },
+        request('req_2', '2024-05-01T12:00:02.000Z'),
+      ]);
+
+      const [failed, pending] = har.log.entries;
+      expect(failed.response).toMatchObject({
+        status: 0,
+        httpVersion: '',
+        _error: 'Failed to fetch',
+      });
+      expect(failed.time).toBe(1000);
+      expect(pending.response.status).toBe(0);
+      expect(pending.comment).toBe('No response captured');
+    });
+
+    it('should convert flat entries and sort by start time', () => {
+      const har = HarExport.build([
+        response('req_9', '2024-05-01T12:00:05.000Z', {}, 2000),
+        {
+          type: 'network',
+          method: 'delete',
+          url: 'https://shop.test/api/cart',
+          status: 204,
+          duration: 30,
+          timestamp: '2024-05-01T12:00:04.000Z',
+        },
+      ]);
+
+      expect(
+        har.log.entries.map(entry => [
+          entry.startedDateTime,
+          entry.request.method,
+          entry.response.status,
+        ])
+      ).toEqual([
+        ['2024-05-01T12:00:03.000Z', 'GET', 200],
+        ['2024-05-01T12:00:03.970Z', 'DELETE', 204],
+      ]);
+    });
+  });
+});
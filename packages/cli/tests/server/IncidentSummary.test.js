@@ -0,0 +1,336 @@
+/**
+ * IncidentSummary Tests
+ */
+
+const IncidentSummary = require('../../src/server/IncidentSummary');
+
+describe('IncidentSummary', () => {
+  const now = Date.parse('2024-05-01T12:02:00.000Z');
+  const at = seconds => new Date(now - seconds * 1000).toISOString();
+
+  const error = (message, seconds, extra = {}) => ({
+    type: 'error',
+    level: 'error',
+    message,
+    timestamp: at(seconds),
+    sessionId: 'tab-a',
+    error: {
+      name: 'TypeError',
+      stack: `TypeError: ${message}\n    at renderCart (http://localhost:5173/src/Cart.jsx:12:7)\n    at App (http://localhost:5173/src/App.jsx:5:3)`,
+    },
+    ...extra,
+  });
+
+  const entries = [
+    { type: 'log', level: 'info', message: 'too old', timestamp: at(600) },
+    {
+      type: 'log',
+      level: 'info',
+      message: 'Loading cart',
+      timestamp: at(90),
+      sessionId: 'tab-a',
+      application: { name: 'shop', environment: 'development' },
+      context: {
+        url: { href: 'http://localhost:5173/cart' },
+        browser: { userAgent: 'Mozilla/5.0', language: 'en-US' },
+        viewport: { width: 1280, height: 720, devicePixelRatio: 2 },
+        document: { title: 'Cart' },
+      },
+    },
+    {
+      type: 'network',
+      method: 'GET',
+      url: '/api/cart',
+      status: 200,
+      duration: 3500,
+      timestamp: at(80),
+      sessionId: 'tab-a',
+    },
+    {
+      type: 'network',
+      method: 'POST',
+      url: '/api/cart/items',
+      status: 503,
+      duration: 40,
+      timestamp: at(70),
+      sessionId: 'tab-a',
+      severity: { level: 'critical', score: 9 },
+    },
+    {
+      type: 'network',
+      subtype: 'error',
+      url: '/api/prices',
+      error: { message: 'Failed to fetch' },
+      timestamp: at(65),
+      sessionId: 'tab-a',
+    },
+    { type: 'network', url: '/api/user', status: 200, timestamp: at(64) },
+    { type: 'log', level: 'warn', message: 'Cart empty', timestamp: at(62) },
+    error('Cannot read properties of undefined (item 17)', 60, {
+      category: 'type-error',
+    }),
+    error('Cannot read properties of undefined (item 18)', 30),
+    error('Other failure', 20, { sessionId: 'tab-b' }),
+  ];
+
+  describe('build', () => {
+    it('should only include entries inside the window', () => {
+      const summary = IncidentSummary.build(entries, { now });
+
+      expect(summary.window).toEqual({
+        from: '2024-05-01T12:00:00.000Z',
+        to: '2024-05-01T12:02:00.000Z',
+        durationMs: 120000,
+      });
+      expect(summary.counts).toEqual({
+        entries: 9,
+        errors: 3,
+        errorGroups: 2,
+        warnings: 1,
+        network: 4,
+        failedRequests: 2,
+        slowRequests: 1,
+        storageChanges: null,
+      });
+      expect(summary.truncated).toBe(false);
+    });
+
+    it('should group errors with their stacks and preceding entries', () => {
+      const [cart, other] = IncidentSummary.build(entries, { now }).errors;
+
+      expect(cart).toMatchObject({
+        name: 'TypeError',
+        message: 'Cannot read properties of undefined (item 17)',
+        count: 2,
+        firstSeen: at(60),
+        lastSeen: at(30),
+        sessions: 1,
+        category: 'type-error',
+        stack: [
+          'renderCart (http://localhost:5173/src/Cart.jsx:12:7)',
+          'App (http://localhost:5173/src/App.jsx:5:3)',
+        ],
+      });
+      expect(cart.preceding).toEqual([
+        { time: at(80), level: 'network', text: 'GET /api/cart 200' },
+        { time: at(70), level: 'network', text: 'POST /api/cart/items 503' },
+        { time: at(65), level: 'network', text: 'GET /api/prices' },
+        { time: at(64), level: 'network', text: 'GET /api/user 200' },
+        { time: at(62), level: 'warn', text: 'Cart empty' },
+      ]);
+      expect(other.count).toBe(1);
+    });
+
+    it('should list failed and slow requests', () => {
+      const { network } = IncidentSummary.build(entries, { now });
+
+      expect(network).toEqual([
+        {
+          time: at(80),
+          method: 'GET',
+          url: '/api/cart',
+          status: 200,
+          durationMs: 3500,
+          problem: 'slow',
+          error: null,
+          severity: null,
+        },
+        {
+          time: at(70),
+          method: 'POST',
+          url: '/api/cart/items',
+          status: 503,
+          durationMs: 40,
+          problem: 'failed',
+          error: null,
+          severity: 'critical',
+        },
+        {
+          time: at(65),
+          method: 'GET',
+          url: '/api/prices',
+          status: null,
+          durationMs: null,
+          problem: 'failed',
+          error: 'Failed to fetch',
+          severity: null,
+        },
+      ]);
+    });
+
+    it('should describe the environment from client metadata', () => {
+      const { environment } = IncidentSummary.build(entries, { now });
+
+      expect(environment).toEqual({
+        url: 'http://localhost:5173/cart',
+        title: 'Cart',
+        userAgent: 'Mozilla/5.0',
+        language: 'en-US',
+        viewport: '1280x720 @2x',
+        application: 'shop',
+        environment: 'development',
+        sessions: 2,
+      });
+    });
+
+    it('should fall back to session records for the environment', () => {
+      const { environment } = IncidentSummary.build([error('boom', 10)], {
+        now,
+        sessions: [
+          {
+            sessionId: 'tab-a',
+            url: 'http://localhost:3000/',
+            userAgent: 'Safari',
+          },
+        ],
+      });
+
+      expect(environment).toEqual({
+        url: 'http://localhost:3000/',
+        userAgent: 'Safari',
+        sessions: 1,
+      });
+    });
+
+    it('should leave out details a session never reported', () => {
+      const session = {
+        sessionId: 'tab-a',
+        url: null,
+        userAgent: null,
+        applicationName: null,
+        environment: null,
+      };
+      const summary = IncidentSummary.build([error('boom', 10)], {
+        now,
+        sessions: [session],
+      });
+
+      expect(summary.environment).toEqual({ sessions: 1 });
+      const markdown = IncidentSummary.toMarkdown(summary);
+      expect(markdown).not.toContain('null');
+      expect(markdown).toContain('- **Sessions:** 1');
+    });
+
+    it('should filter by session', () => {
+      const summary = IncidentSummary.build(entries, {
+        now,
+        sessionId: 'tab-b',
+      });
+
+      expect(summary.counts.entries).toBe(1);
+      expect(summary.errors[0].message).toBe('Other failure');
+    });
+
+    it('should keep storage change keys without values', () => {
+      const { storage, counts } = IncidentSummary.build(entries, {
+        now,
+        storageChanges: [
+          { timestamp: at(300), subType: 'cookies', added: [{ name: 'old' }] },
+          {
+            timestamp: at(61),
+            subType: 'localStorage',
+            added: [{ key: 'cart', value: '[]' }],
+            modified: [{ key: 'token', value: 'b', oldValue: 'a' }],
+            deleted: [],
+          },
+        ],
+      });
+
+      expect(storage).toEqual([
+        {
+          time: at(61),
+          area: 'localStorage',
+          added: ['cart'],
+          modified: ['token'],
+          deleted: [],
+        },
+      ]);
+      expect(counts.storageChanges).toBe(1);
+    });
+  });
+
+  describe('fit', () => {
+    it('should trim details until the summary fits the budget', () => {
+      const noisy = Array.from({ length: 40 }, (_, index) =>
+        error(`Failure ${'x'.repeat(index)} in module ${index}`, 50, {
+          error: {
+            name: `Error${index}`,
+            stack: `Error\n    at handler${index} (http://localhost/src/m${index}.js:1:1)`,
+          },
+        })
+      );
+      const summary = IncidentSummary.build([...entries, ...noisy], {
+        now,
+        budget: 500,
+      });
+
+      expect(summary.truncated).toBe(true);
+      expect(summary.errors.length).toBeLessThanOrEqual(5);
+      expect(summary.counts.errorGroups).toBe(42);
+      summary.errors.forEach(group => expect(group.preceding).toEqual([]));
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should render every section', () => {
+      const summary = IncidentSummary.build(entries, {
+        now,
+        storageChanges: [
+          {
+            timestamp: at(61),
+            subType: 'localStorage',
+            added: [{ key: 'cart' }],
+            modified: [],
+            deleted: [{ key: 'coupon' }],
+          },
+        ],
+        notes: ['Storage monitor was restarted'],
+      });
+
+      const markdown = IncidentSummary.toMarkdown(summary);
+
+      expect(markdown).toContain(
+        '12:00:00–12:02:00 UTC (2m): 9 entries, 3 errors in 2 groups, 2 failed and 1 slow request'
+      );
+      expect(markdown).toContain('- **URL:** http://localhost:5173/cart');
+      expect(markdown).toContain(
+        '### 1. TypeError: Cannot read properties of undefined (item 17) (×2)'
+      );
+      expect(markdown).toContain(
+        '```\nat renderCart (http://localhost:5173/src/Cart.jsx:12:7)'
+      );
+      expect(markdown).toContain('- 12:00:58 [warn] Cart empty');
+      expect(markdown).toContain(
+        '- 12:00:40 GET /api/cart → 200 (3500ms), slow'
+      );
+      expect(markdown).toContain(
+        '- 12:00:55 GET /api/prices → Failed to fetch'
+      );
+      expect(markdown).toContain(
+        '- 12:00:59 localStorage: added cart; deleted coupon'
+      );
+      expect(markdown).toContain('> Storage monitor was restarted');
+      expect(markdown).not.toMatch(/\n{3}/);
+    });
+
+    it('should say when nothing went wrong', () => {
+      const markdown = IncidentSummary.toMarkdown(
+        IncidentSummary.build([], { now })
+      );
+
+      expect(markdown).toContain('No errors in this window.');
+      expect(markdown).toContain('No failed or slow requests.');
+      expect(markdown).not.toContain('## Storage changes');
+    });
+
+    it('should skip missing environment fields', () => {
+      const summary = IncidentSummary.build([], { now });
+      summary.environment = { url: null, userAgent: 'Safari' };
+
+      const markdown = IncidentSummary.toMarkdown(summary);
+
+      expect(markdown).not.toContain('**URL:**');
+      expect(markdown).toContain('- **User agent:** Safari');
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * LogStore Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogStore = require('../../src/server/LogStore');
+
+describe('LogStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clp-logstore-'));
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const createEntry = (message, timestamp = new Date().toISOString()) => ({
+    level: 'info',
+    message,
+    timestamp,
+  });
+
+  describe('in-memory buffer', () => {
+    it('should keep at most maxLogs entries', () => {
+      const store = new LogStore({ maxLogs: 2 });
+      store.open();
+
+      store.add(createEntry('one'));
+      store.add(createEntry('two'));
+      store.add(createEntry('three'));
+
+      expect(store.entries).toHaveLength(2);
+      expect(store.entries[0].message).toBe('two');
+      expect(store.entries[1].message).toBe('three');
+    });
+
+    it('should not touch the file system when persistence is disabled', () => {
+      const store = new LogStore({ directory });
+      store.open();
+      store.add(createEntry('memory only'));
+
+      expect(fs.readdirSync(directory)).toHaveLength(0);
+      expect(store.listSegments()).toEqual([]);
+    });
+
+    it('should clear the in-memory buffer', () => {
+      const store = new LogStore();
+      store.add(createEntry('one'));
+      store.clear();
+
+      expect(store.entries).toHaveLength(0);
+      expect(store.oldestTimestamp()).toBeNull();
+    });
+
+    it('should stamp entries with increasing sequence numbers', () => {
+      const store = new LogStore({ maxLogs: 2 });
+      store.add(createEntry('one'));
+      store.add(createEntry('two'));
+      store.add(createEntry('three'));
+
+      expect(store.entries.map(entry => entry.seq)).toEqual([2, 3]);
+      expect(store.getEntriesAfter(2).map(entry => entry.message)).toEqual([
+        'three',
+      ]);
+      expect(store.getEntriesAfter('not-a-number')).toEqual([]);
+    });
+
+    it('should give every entry a unique id and keep client ids', () => {
+      const store = new LogStore();
+      store.add(createEntry('one'));
+      store.add({ ...createEntry('two'), id: 'err_1' });
+
+      const [first, second] = store.entries;
+      expect(first.id).toEqual(expect.any(String));
+      expect(second.id).not.toBe(first.id);
+      expect(second.clientId).toBe('err_1');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should append entries as NDJSON lines', async () => {
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+      store.add(createEntry('first'));
+      store.add(createEntry('second'));
+      await store.close();
+
+      const segments = store.listSegments();
+      expect(segments).toHaveLength(1);
+
+      const lines = fs
+        .readFileSync(segments[0].file, 'utf8')
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+      expect(lines.map(line => line.message)).toEqual(['first', 'second']);
+    });
+
+    it('should restore the most recent entries after a restart', async () => {
+      const first = new LogStore({ persist: true, directory, maxLogs: 10 });
+      first.open();
+      for (let i = 0; i < 5; i++) {
+        first.add(createEntry(`entry-${i}`));
+      }
+      await first.close();
+
+      const second = new LogStore({ persist: true, directory, maxLogs: 3 });
+      const restored = second.open();
+
+      expect(restored).toBe(3);
+      expect(second.entries.map(entry => entry.message)).toEqual([
+        'entry-2',
+        'entry-3',
+        'entry-4',
+      ]);
+
+      second.add(createEntry('entry-5'));
+      expect(second.entries[second.entries.length - 1].seq).toBe(6);
+    });
+
+    it('should rotate segments by size', async () => {
+      const store = new LogStore({
+        persist: true,
+        directory,
+        maxSegmentSize: 10,
+      });
+      store.open();
+      store.add(createEntry('one'));
+      store.add(createEntry('two'));
+      store.add(createEntry('three'));
+      await store.close();
+
+      expect(store.listSegments()).toHaveLength(3);
+    });
+
+    it('should rotate segments by age', async () => {
+      const store = new LogStore({
+        persist: true,
+        directory,
+        maxSegmentAge: 1000,
+      });
+      store.open();
+      store.add(createEntry('one'));
+
+      store.currentSegment.createdAt -= 2000;
+      store.add(createEntry('two'));
+      await store.close();
+
+      expect(store.listSegments()).toHaveLength(2);
+    });
+
+    it('should prune segments older than the retention period', () => {
+      const stale = path.join(directory, 'segment-1000.ndjson');
+      fs.writeFileSync(stale, `${JSON.stringify(createEntry('old'))}\n`);
+      const past = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      fs.utimesSync(stale, past, past);
+
+      const store = new LogStore({
+        persist: true,
+        directory,
+        retention: 24 * 60 * 60 * 1000,
+      });
+      store.open();
+
+      expect(fs.existsSync(stale)).toBe(false);
+      expect(store.entries).toHaveLength(0);
+    });
+
+    it('should skip partially written lines', () => {
+      fs.writeFileSync(
+        path.join(directory, `segment-${Date.now()}.ndjson`),
+        `${JSON.stringify(createEntry('valid'))}\n{"level":"info","mess`
+      );
+
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+
+      expect(store.entries).toHaveLength(1);
+      expect(store.entries[0].message).toBe('valid');
+    });
+
+    it('should ignore unrelated files in the store directory', () => {
+      fs.writeFileSync(path.join(directory, 'notes.txt'), 'hello');
+
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+
+      expect(store.listSegments()).toEqual([]);
+    });
+  });
+
+  describe('getEntries', () => {
+    it('should return the in-memory buffer without a since bound', async () => {
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+      store.add(createEntry('one'));
+
+      expect(await store.getEntries()).toBe(store.entries);
+      await store.close();
+    });
+
+    it('should read persisted history older than the memory buffer', async () => {
+      const store = new LogStore({ persist: true, directory, maxLogs: 1 });
+      store.open();
+      store.add(createEntry('yesterday', '2023-01-01T10:00:00Z'));
+      store.add(createEntry('today', '2023-01-02T10:00:00Z'));
+
+      expect(store.entries).toHaveLength(1);
+      await store.close();
+
+      const history = await store.getEntries('2023-01-01T00:00:00Z');
+      expect(history.map(entry => entry.message)).toEqual([
+        'yesterday',
+        'today',
+      ]);
+    });
+
+    it('should take entries still in memory from there', async () => {
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+      store.add(createEntry('one', '2023-01-01T10:00:00Z'));
+      store.add(createEntry('two', '2023-01-02T10:00:00Z'));
+      await store.close();
+      // Not flushed to its segment yet
+      store.add(createEntry('three', '2023-01-03T10:00:00Z'));
+
+      const history = await store.getEntries('2023-01-01T00:00:00Z');
+
+      expect(history.map(entry => entry.seq)).toEqual([1, 2, 3]);
+      await store.close();
+    });
+
+    it('should use memory when since falls inside the buffer', async () => {
+      const store = new LogStore({ persist: true, directory });
+      store.open();
+      store.add(createEntry('one', '2023-01-01T10:00:00Z'));
+
+      expect(await store.getEntries('2023-01-01T11:00:00Z')).toBe(
+        store.entries
+      );
+      await store.close();
+    });
+
+    it('should not return history after clear', async () => {
+      const store = new LogStore({ persist: true, directory, maxLogs: 1 });
+      store.open();
+      store.add(createEntry('yesterday', '2023-01-01T10:00:00Z'));
+      store.add(createEntry('today', '2023-01-02T10:00:00Z'));
+
+      await store.clear();
+      store.add(createEntry('after', '2023-01-03T10:00:00Z'));
+      await store.close();
+
+      expect(store.listSegments()).toHaveLength(1);
+      const history = await store.getEntries('2023-01-01T00:00:00Z');
+      expect(history.map(entry => entry.message)).toEqual(['after']);
+    });
+  });
+});
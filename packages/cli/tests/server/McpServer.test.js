@@ -0,0 +1,185 @@
+/**
+ * McpServer Tests
+ */
+
+const { PassThrough } = require('stream');
+const McpServer = require('../../src/server/McpServer');
+
+// Stub MCP client talking to the server over in-memory stdio streams
+const createClient = (options = {}) => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const server = new McpServer({
+    name: 'console-log-pipe',
+    version: '1.2.3',
+    input,
+    output,
+    ...options,
+  });
+  const done = server.start();
+
+  const responses = [];
+  let buffer = '';
+  output.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => responses.push(JSON.parse(line)));
+  });
+
+  let nextId = 1;
+  return {
+    responses,
+    sendRaw: line => input.write(`${line}\n`),
+    notify: (method, params) =>
+      input.write(`${JSON.stringify({ jsonrpc: '2.0', method, params })}\n`),
+    request: (method, params) => {
+      const id = nextId++;
+      input.write(
+        `${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`
+      );
+      return id;
+    },
+    // Close stdin and wait for every reply
+    close: async () => {
+      input.end();
+      await done;
+      return responses;
+    },
+  };
+};
+
+describe('McpServer', () => {
+  const tools = [
+    {
+      name: 'echo',
+      description: 'Echo the arguments',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+      handler: args => args,
+    },
+    {
+      name: 'fail',
+      description: 'Always fails',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => {
+        throw new Error('No Console Log Pipe server on localhost:3001');
+      },
+    },
+  ];
+
+  it('should negotiate the protocol version on initialize', async () => {
+    const client = createClient({ tools, instructions: 'Use get_errors' });
+    client.request('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'stub', version: '0.0.0' },
+    });
+    client.notify('notifications/initialized');
+    client.request('initialize', { protocolVersion: '1999-01-01' });
+
+    const [first, second] = await client.close();
+
+    expect(first).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: {
+        protocolVersion: '2025-03-26',
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: 'console-log-pipe', version: '1.2.3' },
+        instructions: 'Use get_errors',
+      },
+    });
+    expect(second.result.protocolVersion).toBe(McpServer.protocolVersions[0]);
+  });
+
+  it('should list tools without their handlers', async () => {
+    const client = createClient({ tools });
+    client.request('tools/list');
+
+    const [response] = await client.close();
+
+    expect(response.result.tools).toEqual([
+      {
+        name: 'echo',
+        description: 'Echo the arguments',
+        inputSchema: {
+          type: 'object',
+          properties: { text: { type: 'string' } },
+        },
+      },
+      {
+        name: 'fail',
+        description: 'Always fails',
+        inputSchema: { type: 'object', properties: {} },
+      },
+    ]);
+  });
+
+  it('should call tools and return JSON text content', async () => {
+    const client = createClient({ tools });
+    client.request('tools/call', {
+      name: 'echo',
+      arguments: { text: 'hi' },
+    });
+
+    const [response] = await client.close();
+
+    expect(response.result).toEqual({
+      content: [{ type: 'text', text: '{\n  "text": "hi"\n}' }],
+    });
+  });
+
+  it('should report tool failures as error results', async () => {
+    const client = createClient({ tools });
+    client.request('tools/call', { name: 'fail' });
+
+    const [response] = await client.close();
+
+    expect(response.result).toEqual({
+      content: [
+        { type: 'text', text: 'No Console Log Pipe server on localhost:3001' },
+      ],
+      isError: true,
+    });
+  });
+
+  it('should answer protocol errors with JSON-RPC error codes', async () => {
+    const client = createClient({ tools });
+    client.sendRaw('{not json');
+    client.sendRaw(JSON.stringify({ id: 7, method: 'ping' }));
+    client.request('resources/list');
+    client.request('tools/call', { name: 'missing' });
+    client.request('ping');
+
+    const responses = await client.close();
+
+    expect(
+      responses.map(response => response.error && response.error.code)
+    ).toEqual([-32700, -32600, -32601, -32602, undefined]);
+    expect(responses[3].error.message).toBe('Unknown tool: missing');
+    expect(responses[4]).toEqual({ jsonrpc: '2.0', id: 3, result: {} });
+  });
+
+  it('should reply in request order', async () => {
+    let release;
+    const slow = {
+      name: 'slow',
+      description: 'Waits',
+      inputSchema: { type: 'object', properties: {} },
+      handler: () =>
+        new Promise(resolve => {
+          release = () => resolve('slow done');
+        }),
+    };
+    const client = createClient({ tools: [slow] });
+    client.request('tools/call', { name: 'slow' });
+    client.request('ping');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(client.responses).toHaveLength(0);
+    release();
+
+    const responses = await client.close();
+    expect(responses.map(response => response.id)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * McpTools Tests
+ */
+
+const McpTools = require('../../src/server/McpTools');
+const HttpClient = require('../../src/utils/HttpClient');
+
+jest.mock('../../src/utils/HttpClient');
+
+describe('McpTools', () => {
+  const settings = {
+    host: 'localhost',
+    port: 3001,
+    token: 'secret',
+    storagePort: 3002,
+  };
+  const tool = name =>
+    McpTools.create(settings).find(candidate => candidate.name === name);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should describe every tool with an object input schema', () => {
+    const tools = McpTools.create(settings);
+
+    expect(tools.map(({ name }) => name)).toEqual([
+      'get_recent_logs',
+      'get_errors',
+      'get_network_failures',
+      'search_logs',
+      'get_storage_state',
+      'clear_logs',
+    ]);
+    tools.forEach(({ description, inputSchema, handler }) => {
+      expect(description).toEqual(expect.any(String));
+      expect(inputSchema.type).toBe('object');
+      expect(handler).toEqual(expect.any(Function));
+    });
+  });
+
+  it('should fetch recent logs with filters', async () => {
+    HttpClient.request.mockResolvedValue({
+      logs: [{ message: 'hi' }],
+      total: 1,
+      port: 3001,
+    });
+
+    const result = await tool('get_recent_logs').handler({
+      level: 'error',
+      since: '2023-01-01T00:00:00Z',
+      limit: 5,
+    });
+
+    expect(HttpClient.request).toHaveBeenCalledWith({
+      host: 'localhost',
+      port: 3001,
+      token: 'secret',
+      path: '/api/logs',
+      query: {
+        level: 'error',
+        pattern: undefined,
+        since: '2023-01-01T00:00:00Z',
+        sessionId: undefined,
+        tail: 5,
+      },
+    });
+    expect(result).toEqual({ logs: [{ message: 'hi' }], total: 1 });
+  });
+
+  it('should fetch error groups', async () => {
+    HttpClient.request.mockResolvedValue({
+      groups: [{ fingerprint: 'abc', count: 3 }],
+      total: 1,
+    });
+
+    const result = await tool('get_errors').handler({ sort: 'count' });
+
+    expect(HttpClient.request).toHaveBeenCalledWith(
+      expect.objectContaining({
+        path: '/api/errors/groups',
+        query: { sort: 'count', sessionId: undefined, limit: 50 },
+      })
+    );
+    expect(result).toEqual({
+      groups: [{ fingerprint: 'abc', count: 3 }],
+      total: 1,
+    });
+  });
+
+  it('should return only failed network requests', async () => {
+    HttpClient.request.mockResolvedValue({
+      logs: [
+        { type: 'network', url: '/ok', status: 200 },
+        { type: 'network', url: '/missing', status: 404 },
+        { type: 'network', url: '/boom', response: { status: 502 } },
+        { type: 'network', url: '/cors', subtype: 'error', error: 'CORS' },
+        { type: 'error', message: 'status 500' },
+      ],
+    });
+
+    const result = await tool('get_network_failures').handler({
+      minStatus: 500,
+    });
+
+    expect(result.total).toBe(2);
+    expect(result.requests.map(({ url }) => url)).toEqual(['/boom', '/cors']);
+  });
+
+  it('should require a search query', async () => {
+    await expect(tool('search_logs').handler({})).rejects.toThrow(
+      'query is required'
+    );
+    expect(HttpClient.request).not.toHaveBeenCalled();
+  });
+
+  it('should run ranked searches', async () => {
+    HttpClient.request.mockResolvedValue({ results: [], total: 0 });
+
+    await tool('search_logs').handler({ query: 'status:>=500', limit: 5000 });
+
+    expect(HttpClient.request).toHaveBeenCalledWith(
+      expect.objectContaining({
+        path: '/api/logs/search',
+        query: { q: 'status:>=500', limit: 1000 },
+      })
+    );
+  });
+
+  it('should read storage state from the storage monitor', async () => {
+    HttpClient.request.mockResolvedValue({ cookies: [] });
+
+    const result = await tool('get_storage_state').handler({});
+
+    expect(HttpClient.request).toHaveBeenCalledWith({
+      host: 'localhost',
+      port: 3002,
+      path: '/api/storage/state',
+    });
+    expect(result).toEqual({ cookies: [] });
+  });
+
+  it('should point at clp storage when the monitor is not running', async () => {
+    HttpClient.request.mockRejectedValue(
+      new Error(
+        'No Console Log Pipe server on localhost:3002. Is "clp start --port 3002" running?'
+      )
+    );
+
+    await expect(tool('get_storage_state').handler({})).rejects.toThrow(
+      'Is "clp storage --port 3002" running?'
+    );
+  });
+
+  it('should clear logs on the server', async () => {
+    HttpClient.request.mockResolvedValue({ success: true, cleared: 4 });
+
+    const result = await tool('clear_logs').handler({});
+
+    expect(HttpClient.request).toHaveBeenCalledWith(
+      expect.objectContaining({ path: '/api/logs', method: 'DELETE' })
+    );
+    expect(result).toEqual({ success: true, cleared: 4 });
+  });
+
+  describe('_limit', () => {
+    it('should default and clamp limits', () => {
+      expect(McpTools._limit(undefined)).toBe(50);
+      expect(McpTools._limit(0)).toBe(50);
+      expect(McpTools._limit('20')).toBe(20);
+      expect(McpTools._limit(99999)).toBe(1000);
+    });
+  });
+});
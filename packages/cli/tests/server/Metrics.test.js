@@ -0,0 +1,137 @@
+/**
+ * Metrics Tests
+ */
+
+const Metrics = require('../../src/server/Metrics');
+
+describe('Metrics', () => {
+  let metrics;
+
+  const state = {
+    buffer: { size: 250, capacity: 1000 },
+    clients: { producer: 2, monitor: 1, unknown: 0 },
+    sessions: [
+      { sessionId: 'clp_1_a', connected: true, entryCount: 3 },
+      { sessionId: 'clp_2_b', connected: false, entryCount: 1 },
+    ],
+    streams: 1,
+    uptime: 90500,
+  };
+  const sample = (text, line) =>
+    text.split('\n').find(candidate => candidate.startsWith(`${line} `));
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  it('should count entries by type and level', () => {
+    metrics.record({ type: 'log', level: 'info' });
+    metrics.record({ type: 'log', level: 'INFO' });
+    metrics.record({ type: 'error', level: 'error' });
+    metrics.record({ type: 'log', level: 'verbose' });
+    metrics.record({ type: 'x'.repeat(40), level: 'info' });
+
+    const text = metrics.render(state);
+
+    expect(sample(text, 'clp_entries_received_total{type="log"}')).toBe(
+      'clp_entries_received_total{type="log"} 3'
+    );
+    expect(sample(text, 'clp_entries_received_total{type="other"}')).toMatch(
+      / 1$/
+    );
+    expect(text).not.toContain('xxxx');
+    expect(sample(text, 'clp_entries_by_level_total{level="info"}')).toMatch(
+      / 3$/
+    );
+    expect(sample(text, 'clp_entries_by_level_total{level="other"}')).toMatch(
+      / 1$/
+    );
+  });
+
+  it('should include help and type lines for every family', () => {
+    const text = metrics.render(state);
+
+    expect(text).toContain(
+      '# HELP clp_buffer_utilization_ratio Buffer occupancy against maxLogs\n' +
+        '# TYPE clp_buffer_utilization_ratio gauge\n' +
+        'clp_buffer_utilization_ratio 0.25'
+    );
+    expect(text).toContain(
+      '# TYPE clp_network_request_duration_seconds histogram'
+    );
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('should report server state gauges', () => {
+    const text = metrics.render(state);
+
+    expect(sample(text, 'clp_buffer_entries')).toBe('clp_buffer_entries 250');
+    expect(sample(text, 'clp_websocket_clients{role="producer"}')).toMatch(
+      / 2$/
+    );
+    expect(sample(text, 'clp_sessions{state="connected"}')).toMatch(/ 1$/);
+    expect(
+      sample(text, 'clp_session_entries_total{session="clp_1_a"}')
+    ).toMatch(/ 3$/);
+    expect(sample(text, 'clp_event_streams')).toBe('clp_event_streams 1');
+    expect(sample(text, 'clp_uptime_seconds')).toBe('clp_uptime_seconds 91');
+  });
+
+  it('should count evicted, dropped, rate limited and redacted entries', () => {
+    metrics.recordEvicted();
+    metrics.recordDropped(2);
+    metrics.recordRateLimited();
+    metrics.recordRedactions('email', 3);
+
+    const text = metrics.render(state);
+
+    expect(sample(text, 'clp_entries_evicted_total')).toMatch(/ 1$/);
+    expect(sample(text, 'clp_entries_dropped_total')).toMatch(/ 2$/);
+    expect(sample(text, 'clp_entries_rate_limited_total')).toMatch(/ 1$/);
+    expect(sample(text, 'clp_redactions_total{rule="email"}')).toMatch(/ 3$/);
+  });
+
+  it('should build a cumulative latency histogram from network entries', () => {
+    metrics.record({
+      type: 'network',
+      response: { status: 200 },
+      timing: { durationMs: 80 },
+    });
+    metrics.record({ type: 'network', status: 503, duration: 3000 });
+    metrics.record({ type: 'network', error: { message: 'Failed to fetch' } });
+
+    const text = metrics.render(state);
+    const name = 'clp_network_request_duration_seconds';
+
+    expect(sample(text, `${name}_bucket{le="0.05"}`)).toMatch(/ 0$/);
+    expect(sample(text, `${name}_bucket{le="0.1"}`)).toMatch(/ 1$/);
+    expect(sample(text, `${name}_bucket{le="5"}`)).toMatch(/ 2$/);
+    expect(sample(text, `${name}_bucket{le="+Inf"}`)).toMatch(/ 2$/);
+    expect(sample(text, `${name}_sum`)).toBe(`${name}_sum 3.08`);
+    expect(sample(text, `${name}_count`)).toBe(`${name}_count 2`);
+    expect(sample(text, 'clp_network_requests_total{status="failed"}')).toMatch(
+      / 1$/
+    );
+    expect(sample(text, 'clp_network_requests_total{status="5xx"}')).toMatch(
+      / 1$/
+    );
+  });
+
+  it('should average the ingestion rate over the last minute', () => {
+    const now = 1700000000000;
+    for (let i = 0; i < 30; i++) {
+      metrics.record({ type: 'log' }, now - 120000);
+    }
+    for (let i = 0; i < 30; i++) {
+      metrics.record({ type: 'log' }, now - 1000);
+    }
+
+    expect(metrics.ingestionRate(now)).toBe(0.5);
+  });
+
+  it('should escape label values', () => {
+    expect(Metrics.formatLabels({ session: 'a"b\\c\nd' })).toBe(
+      '{session="a\\"b\\\\c\\nd"}'
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * OriginPolicy Tests
+ */
+
+const OriginPolicy = require('../../src/server/OriginPolicy');
+
+describe('OriginPolicy', () => {
+  describe('parse', () => {
+    it('should allow every origin without a list or with *', () => {
+      expect(OriginPolicy.parse(undefined)).toBeNull();
+      expect(OriginPolicy.parse(' , ')).toBeNull();
+      expect(OriginPolicy.parse('http://localhost:3000,*')).toBeNull();
+    });
+
+    it('should match listed origins and wildcards', () => {
+      const allowed = OriginPolicy.parse(
+        'http://localhost:3000/, https://*.example.test'
+      );
+
+      expect(OriginPolicy.isAllowed('http://localhost:3000', allowed)).toBe(
+        true
+      );
+      expect(OriginPolicy.isAllowed('https://app.example.test', allowed)).toBe(
+        true
+      );
+      expect(OriginPolicy.isAllowed('http://localhost:3001', allowed)).toBe(
+        false
+      );
+      expect(
+        OriginPolicy.isAllowed('https://example.test.evil.test', allowed)
+      ).toBe(false);
+    });
+  });
+
+  describe('isAllowed', () => {
+    const allowed = OriginPolicy.parse('http://localhost:3000');
+
+    it('should allow requests without an Origin header', () => {
+      expect(OriginPolicy.isAllowed(undefined, allowed)).toBe(true);
+    });
+
+    it('should allow the server own origin', () => {
+      expect(
+        OriginPolicy.isAllowed(
+          'http://localhost:3001',
+          allowed,
+          'localhost:3001'
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should reject other origins with 403', () => {
+      const middleware = OriginPolicy.middleware(
+        OriginPolicy.parse('http://localhost:3000')
+      );
+      const next = jest.fn();
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+      middleware({ headers: { origin: 'https://evil.test' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Origin not allowed: https://evil.test',
+      });
+    });
+  });
+
+  describe('sameOrigin', () => {
+    it('should only accept the own origin without an allowlist', () => {
+      const middleware = OriginPolicy.sameOrigin(OriginPolicy.parse(''));
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+      const next = jest.fn();
+      const host = 'localhost:3001';
+
+      middleware({ headers: { origin: 'https://evil.test', host } }, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+
+      middleware(
+        { headers: { origin: 'http://localhost:3001', host } },
+        res,
+        next
+      );
+      middleware({ headers: { host } }, res, next);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('verifyClient', () => {
+    it('should accept or reject WebSocket handshakes', () => {
+      const verify = OriginPolicy.verifyClient(
+        OriginPolicy.parse('http://localhost:3000')
+      );
+      const callback = jest.fn();
+      const req = { headers: { host: 'localhost:3001' } };
+
+      verify({ origin: 'http://localhost:3000', req }, callback);
+      verify({ origin: 'https://evil.test', req }, callback);
+
+      expect(callback.mock.calls).toEqual([
+        [true],
+        [false, 403, 'Origin not allowed'],
+      ]);
+    });
+  });
+});
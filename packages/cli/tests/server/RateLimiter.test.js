@@ -0,0 +1,104 @@
+/**
+ * RateLimiter Tests
+ */
+
+const RateLimiter = require('../../src/server/RateLimiter');
+
+describe('RateLimiter', () => {
+  const now = 1700000000000;
+  const takeMany = (limiter, key, count, at) =>
+    Array.from({ length: count }, () => limiter.take(key, at));
+
+  it('should allow a burst and then drop entries', () => {
+    const limiter = new RateLimiter({ rate: 10, burst: 3 });
+
+    const results = takeMany(limiter, 'a', 5, now);
+
+    expect(results.map(result => result.allowed)).toEqual([
+      true,
+      true,
+      true,
+      false,
+      false,
+    ]);
+    expect(limiter.getDropped('a')).toBe(2);
+    expect(limiter.totalDropped).toBe(2);
+  });
+
+  it('should refill tokens at the configured rate', () => {
+    const limiter = new RateLimiter({ rate: 10, burst: 1 });
+
+    limiter.take('a', now);
+    expect(limiter.take('a', now + 50).allowed).toBe(false);
+    expect(limiter.take('a', now + 100).allowed).toBe(true);
+  });
+
+  it('should keep separate buckets per key', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 });
+
+    expect(limiter.take('a', now).allowed).toBe(true);
+    expect(limiter.take('a', now).allowed).toBe(false);
+    expect(limiter.take('b', now).allowed).toBe(true);
+  });
+
+  it('should report drops once per summary interval', () => {
+    const limiter = new RateLimiter({
+      rate: 1,
+      burst: 1,
+      summaryInterval: 5000,
+    });
+
+    takeMany(limiter, 'a', 4, now);
+    expect(limiter.take('a', now + 1000)).toEqual({
+      allowed: true,
+      dropped: 3,
+    });
+
+    takeMany(limiter, 'a', 2, now + 1000);
+    expect(limiter.take('a', now + 2000)).toEqual({
+      allowed: true,
+      dropped: 0,
+    });
+    expect(limiter.take('a', now + 7000)).toEqual({
+      allowed: true,
+      dropped: 2,
+    });
+  });
+
+  it('should flush drops of clients that stopped sending', () => {
+    const limiter = new RateLimiter({
+      rate: 1,
+      burst: 1,
+      summaryInterval: 5000,
+    });
+
+    takeMany(limiter, 'a', 3, now);
+    takeMany(limiter, 'b', 1, now);
+
+    expect(limiter.flush(now + 5000)).toEqual([{ key: 'a', dropped: 2 }]);
+    expect(limiter.flush(now + 6000)).toEqual([]);
+    takeMany(limiter, 'a', 3, now + 6000);
+    expect(limiter.flush(now + 7000)).toEqual([]);
+    expect(limiter.flush(now + 10000)).toEqual([{ key: 'a', dropped: 2 }]);
+  });
+
+  it('should hand back unreported drops when forgetting a client', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 });
+
+    takeMany(limiter, 'a', 4, now);
+
+    expect(limiter.forget('a')).toBe(3);
+    expect(limiter.forget('a')).toBe(0);
+  });
+
+  it('should forget idle and closed clients', () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 1 });
+
+    limiter.take('idle', now);
+    limiter.take('closed', now);
+    limiter.forget('closed');
+    limiter.take('new', now + RateLimiter.defaults.maxIdle + 1);
+
+    expect([...limiter.buckets.keys()]).toEqual(['new']);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * SearchIndex Tests
+ */
+
+const SearchIndex = require('../../src/server/SearchIndex');
+
+describe('SearchIndex', () => {
+  let index;
+  let seq;
+
+  const add = entry => {
+    const stored = { seq: ++seq, ...entry };
+    index.add(stored);
+    return stored;
+  };
+  const search = (query, options) =>
+    index.search(query, options).results.map(result => result.entry.message);
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    seq = 0;
+  });
+
+  describe('parse', () => {
+    it('should parse free text, phrases, fields, comparisons and negation', () => {
+      const terms = SearchIndex.parse(
+        'checkout "payment failed" level:error status:>=500 -type:network'
+      );
+
+      expect(terms).toEqual([
+        expect.objectContaining({ field: null, value: 'checkout' }),
+        expect.objectContaining({
+          field: null,
+          phrase: true,
+          value: 'payment failed',
+        }),
+        expect.objectContaining({ field: 'level', op: 'contains' }),
+        expect.objectContaining({ field: 'status', op: '>=', value: 500 }),
+        expect.objectContaining({ field: 'type', negate: true }),
+      ]);
+    });
+
+    it('should keep unknown prefixes such as URLs as free text', () => {
+      const [term] = SearchIndex.parse('http://localhost/api');
+
+      expect(term).toMatchObject({
+        field: null,
+        value: 'http://localhost/api',
+      });
+    });
+
+    it('should tolerate unterminated quotes', () => {
+      const [term] = SearchIndex.parse('message:"time out');
+
+      expect(term).toMatchObject({ field: 'message', value: 'time out' });
+    });
+
+    it.each([
+      ['', 'Missing search query'],
+      [undefined, 'Missing search query'],
+      ['status:>=abc', '"status:>=abc" expects a number'],
+      ['status:>', 'Missing value in "status:>"'],
+      ['- ...', 'Search query has no searchable terms'],
+      ['x'.repeat(501), 'Search query is too long (max 500 characters)'],
+    ])('should reject %p', (query, message) => {
+      expect(() => SearchIndex.parse(query)).toThrow(message);
+    });
+
+    it('should not treat regex syntax specially', () => {
+      expect(() => SearchIndex.parse('([a-z')).not.toThrow();
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      add({ type: 'log', level: 'info', message: 'Loaded checkout page' });
+      add({
+        type: 'error',
+        level: 'error',
+        message: 'Checkout timeout while paying',
+        stack: 'Error: Checkout timeout\n    at pay (app.js:10:5)',
+      });
+      add({
+        type: 'network',
+        message: 'POST /api/checkout',
+        request: { method: 'POST', url: 'http://localhost/api/checkout' },
+        response: { status: 503 },
+        timing: { durationMs: 1200 },
+      });
+      add({
+        type: 'network',
+        message: 'GET /api/users',
+        request: { method: 'GET', url: 'http://localhost/api/users' },
+        response: { status: 200 },
+      });
+    });
+
+    it('should match token prefixes in free text', () => {
+      expect(search('time')).toEqual(['Checkout timeout while paying']);
+    });
+
+    it('should rank by relevance, then recency', () => {
+      // Two mentions each (message + stack / url); the newer entry wins
+      expect(search('checkout')).toEqual([
+        'POST /api/checkout',
+        'Checkout timeout while paying',
+        'Loaded checkout page',
+      ]);
+    });
+
+    it('should filter by fields', () => {
+      expect(search('level:error')).toEqual(['Checkout timeout while paying']);
+      expect(search('url:/checkout status:>=500')).toEqual([
+        'POST /api/checkout',
+      ]);
+      expect(search('method:get')).toEqual(['GET /api/users']);
+      expect(search('duration:>1000')).toEqual(['POST /api/checkout']);
+      expect(search('status:200')).toEqual(['GET /api/users']);
+    });
+
+    it('should support phrases and negation', () => {
+      expect(search('"checkout page"')).toEqual(['Loaded checkout page']);
+      expect(search('checkout -type:network -level:error')).toEqual([
+        'Loaded checkout page',
+      ]);
+    });
+
+    it('should report the total and apply the limit', () => {
+      const found = index.search('checkout', { limit: 1 });
+
+      expect(found.total).toBe(3);
+      expect(found.results).toHaveLength(1);
+      expect(found.results[0].score).toBeGreaterThan(0);
+    });
+
+    it('should forget removed entries', () => {
+      const [entry] = index
+        .search('timeout')
+        .results.map(result => result.entry);
+
+      index.remove(entry);
+
+      expect(search('timeout')).toEqual([]);
+      expect(index.size).toBe(3);
+      expect(index.postings.has('paying')).toBe(false);
+      expect(index.vocabulary).not.toContain('paying');
+      expect(index.values.get('level').has('error')).toBe(false);
+    });
+
+    it('should keep the vocabulary sorted', () => {
+      expect(index.vocabulary).toEqual([...index.postings.keys()].sort());
+    });
+
+    it('should only check the documents of the most selective term', () => {
+      const matches = jest.spyOn(SearchIndex, '_matches');
+
+      expect(search('level:error checkout')).toEqual([
+        'Checkout timeout while paying',
+      ]);
+      expect(search('-type:log method:get')).toEqual(['GET /api/users']);
+
+      // One candidate per query, two terms each
+      expect(matches).toHaveBeenCalledTimes(4);
+      matches.mockRestore();
+    });
+
+    it('should match phrases inside words', () => {
+      expect(search('"kout timeout"')).toEqual([
+        'Checkout timeout while paying',
+      ]);
+      expect(search('"ckout"')).toHaveLength(3);
+    });
+  });
+});
@@ -4,14 +4,20 @@
 
 const ServerManager = require('../../src/server/ServerManager');
 const ConfigManager = require('../../src/utils/ConfigManager');
+const ServerRegistry = require('../../src/utils/ServerRegistry');
+const HttpClient = require('../../src/utils/HttpClient');
+const IncidentSummary = require('../../src/server/IncidentSummary');
+const RateLimiter = require('../../src/server/RateLimiter');
 
 // Mock dependencies
 jest.mock('../../src/utils/ConfigManager');
+jest.mock('../../src/utils/ServerRegistry');
 jest.mock('express', () => {
   const mockApp = {
     use: jest.fn(),
     get: jest.fn(),
     post: jest.fn(),
+    delete: jest.fn(),
     listen: jest.fn(),
   };
   const express = jest.fn(() => mockApp);
@@ -38,6 +44,33 @@ jest.mock('ws', () => ({
   OPEN: 1,
 }));
 
+// Simulate a WebSocket connection on a started server
+const connectClient = (serverInstance, req = {}) => {
+  const [, onConnection] = serverInstance.wss.on.mock.calls.find(
+    ([event]) => event === 'connection'
+  );
+  const handlers = {};
+  const ws = {
+    readyState: 1,
+    send: jest.fn(),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+  };
+  serverInstance.wss.clients.add(ws);
+  onConnection(ws, req);
+
+  return {
+    ws,
+    send: message =>
+      handlers.message(Buffer.from(JSON.stringify(message), 'utf8')),
+    close: () => {
+      serverInstance.wss.clients.delete(ws);
+      handlers.close();
+    },
+  };
+};
+
 describe('ServerManager', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -49,6 +82,8 @@ describe('ServerManager', () => {
 
     // Ensure ConfigManager.saveServerConfig returns a promise
     ConfigManager.saveServerConfig.mockResolvedValue();
+    ServerRegistry.register.mockResolvedValue();
+    ServerRegistry.unregister.mockResolvedValue(true);
   });
 
   afterEach(() => {
@@ -112,6 +147,29 @@ describe('ServerManager', () => {
       expect(mockApp.use).toHaveBeenCalledWith(expect.any(Function)); // express.json
     });
 
+    it('should require the token when one is configured', async () => {
+      const WebSocket = require('ws');
+      const Auth = require('../../src/server/Auth');
+      jest.spyOn(Auth, 'middleware');
+
+      await ServerManager.startServer({ ...mockConfig, token: 's3cret' });
+
+      expect(Auth.middleware).toHaveBeenCalledWith('s3cret');
+      expect(WebSocket.Server).toHaveBeenCalledWith(
+        expect.objectContaining({ verifyClient: expect.any(Function) })
+      );
+    });
+
+    it('should not require a token by default', async () => {
+      const WebSocket = require('ws');
+
+      await ServerManager.startServer(mockConfig);
+
+      expect(WebSocket.Server).toHaveBeenCalledWith(
+        expect.not.objectContaining({ verifyClient: expect.anything() })
+      );
+    });
+
     it('should set up API routes', async () => {
       const express = require('express');
       const mockApp = express();
@@ -336,6 +394,1466 @@ describe('ServerManager', () => {
     });
   });
 
+  describe('http ingestion', () => {
+    it('should accept text/plain bodies sent with sendBeacon', async () => {
+      const express = require('express');
+
+      await ServerManager.startServer({ host: 'localhost', port: 3001 });
+
+      expect(express.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: ['application/json', 'text/plain'],
+        })
+      );
+    });
+
+    it('should keep the session id sent with each entry', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sessionId: 'server-session',
+      });
+      const [, postLogs] = mockApp.post.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+      postLogs(
+        {
+          body: {
+            logs: [
+              { type: 'log', message: 'tagged', sessionId: 'browser-session' },
+              { type: 'error', message: 'untagged' },
+            ],
+          },
+        },
+        res
+      );
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, received: 2 })
+      );
+      expect(
+        serverInstance.logs.map(entry => [entry.type, entry.sessionId])
+      ).toEqual([
+        ['log', 'browser-session'],
+        ['error', 'server-session'],
+      ]);
+    });
+
+    it('should return the id and sequence number of each stored entry', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const [, postLogs] = mockApp.post.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+      postLogs(
+        { body: { logs: [{ message: 'one' }, { message: 'two', id: 'e1' }] } },
+        res
+      );
+
+      const [stored] = res.json.mock.calls[0];
+      expect(stored.entries).toEqual(
+        serverInstance.logs.map(({ id, seq }) => ({ id, seq }))
+      );
+      expect(stored.entries.map(entry => entry.seq)).toEqual([1, 2]);
+      expect(new Set(stored.entries.map(entry => entry.id)).size).toBe(2);
+      expect(serverInstance.logs[1].clientId).toBe('e1');
+    });
+  });
+
+  describe('allowed origins', () => {
+    const startWithOrigins = () =>
+      ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        allowedOrigins: 'http://localhost:*',
+      });
+
+    it('should reject requests from other origins', async () => {
+      const OriginPolicy = require('../../src/server/OriginPolicy');
+      jest.spyOn(OriginPolicy, 'middleware');
+      await startWithOrigins();
+      const [{ value: policy }] = OriginPolicy.middleware.mock.results;
+      const next = jest.fn();
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+      policy({ headers: { origin: 'http://localhost:5173' } }, res, next);
+      policy({ headers: { origin: 'https://evil.test' } }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject WebSocket upgrades from other origins', async () => {
+      const WebSocket = require('ws');
+      await startWithOrigins();
+      const [[{ verifyClient }]] = WebSocket.Server.mock.calls;
+      const callback = jest.fn();
+      const info = origin => ({
+        origin,
+        req: { headers: { host: 'localhost:3001' }, url: '/' },
+      });
+
+      verifyClient(info('http://localhost:3000'), callback);
+      verifyClient(info('http://localhost:3001'), callback);
+      verifyClient(info(undefined), callback);
+      verifyClient(info('https://evil.test'), callback);
+
+      expect(callback.mock.calls).toEqual([
+        [true],
+        [true],
+        [true],
+        [false, 403, 'Origin not allowed'],
+      ]);
+    });
+
+    it('should check the token after the origin', async () => {
+      const WebSocket = require('ws');
+      await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        allowedOrigins: 'http://localhost:3000',
+        token: 's3cret',
+      });
+      const [[{ verifyClient }]] = WebSocket.Server.mock.calls;
+      const callback = jest.fn();
+      const req = url => ({ headers: { host: 'localhost:3001' }, url });
+
+      verifyClient(
+        { origin: 'http://localhost:3000', req: req('/?token=s3cret') },
+        callback
+      );
+      verifyClient(
+        { origin: 'http://localhost:3000', req: req('/') },
+        callback
+      );
+
+      expect(callback.mock.calls).toEqual([
+        [true],
+        [false, 401, 'Unauthorized'],
+      ]);
+    });
+  });
+
+  describe('rate limiting', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 1700000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    const startLimited = () =>
+      ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sessionId: 'server-session',
+        rateLimit: 1,
+        rateBurst: 2,
+      });
+
+    it('should drop entries over the limit and summarize them', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await startLimited();
+      const [, postLogs] = mockApp.post.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+      const post = count =>
+        postLogs(
+          {
+            ip: '127.0.0.1',
+            body: {
+              logs: Array.from({ length: count }, (_, index) => ({
+                message: `entry ${index}`,
+                sessionId: 'clp_1_a',
+              })),
+            },
+          },
+          res
+        );
+
+      post(5);
+      expect(res.json).toHaveBeenLastCalledWith(
+        expect.objectContaining({ received: 5, dropped: 3 })
+      );
+
+      now += 10000;
+      post(1);
+
+      const summary = serverInstance.logs.find(entry => entry.rateLimit);
+      expect(summary).toMatchObject({
+        level: 'warn',
+        message:
+          '3 entries dropped from session clp_1_a (rate limit 1/s, burst 2)',
+        sessionId: 'clp_1_a',
+        rateLimit: { client: 'session clp_1_a', dropped: 3 },
+      });
+      expect(serverInstance.stats.rateLimited).toBe(3);
+      expect(serverInstance.metrics.rateLimited).toBe(3);
+      expect(
+        serverInstance.logs.filter(entry => !entry.rateLimit)
+      ).toHaveLength(3);
+    });
+
+    it('should limit WebSocket connections without a session', async () => {
+      const serverInstance = await startLimited();
+      const client = connectClient(serverInstance);
+      client.send({ type: 'hello', role: 'producer', capabilities: ['ack'] });
+
+      client.send({
+        type: 'batch',
+        messages: [1, 2, 3].map(index => ({
+          type: 'log',
+          data: { message: `entry ${index}` },
+        })),
+      });
+
+      const ack = JSON.parse(client.ws.send.mock.calls.pop()[0]);
+      expect(ack).toMatchObject({ type: 'ack', received: 2, dropped: 1 });
+    });
+
+    it('should summarize drops once a flood stops', async () => {
+      jest.spyOn(global, 'setInterval');
+      const serverInstance = await startLimited();
+      const client = connectClient(serverInstance);
+      client.send({ type: 'hello', role: 'producer' });
+      [1, 2, 3, 4].forEach(index =>
+        client.send({ type: 'log', data: { message: `entry ${index}` } })
+      );
+      const [flushDrops] = setInterval.mock.calls.find(
+        ([, delay]) => delay === RateLimiter.defaults.summaryInterval
+      );
+
+      now += 10000;
+      flushDrops();
+      flushDrops();
+
+      const summaries = serverInstance.logs.filter(entry => entry.rateLimit);
+      expect(summaries).toHaveLength(1);
+      expect(summaries[0].rateLimit).toMatchObject({ dropped: 2 });
+    });
+
+    it('should summarize drops when a connection closes', async () => {
+      const serverInstance = await startLimited();
+      const client = connectClient(serverInstance);
+      [1, 2, 3].forEach(index =>
+        client.send({ type: 'log', data: { message: `entry ${index}` } })
+      );
+
+      client.close();
+
+      const summary = serverInstance.logs.find(entry => entry.rateLimit);
+      expect(summary.rateLimit).toMatchObject({
+        dropped: 1,
+        totalDropped: 1,
+      });
+    });
+
+    it('should not limit when rateLimit is 0', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        rateLimit: 0,
+      });
+      const client = connectClient(serverInstance);
+
+      for (let i = 0; i < 1500; i++) {
+        client.send({ type: 'log', data: { message: `entry ${i}` } });
+      }
+
+      expect(serverInstance.stats.rateLimited).toBe(0);
+      expect(serverInstance.logs).toHaveLength(1000);
+    });
+  });
+
+  describe('redaction', () => {
+    it('should redact entries before they are stored or broadcast', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        redact: { paths: ['request.body.password'] },
+      });
+      const monitor = connectClient(serverInstance);
+      monitor.send({ type: 'hello', role: 'monitor' });
+      const producer = connectClient(serverInstance);
+
+      producer.send({
+        type: 'network',
+        data: {
+          request: {
+            url: 'https://api.test/login?token=abc',
+            body: '{"user":"ada","password":"hunter2"}',
+          },
+        },
+      });
+
+      const [stored] = serverInstance.logs;
+      expect(stored.request).toEqual({
+        url: 'https://api.test/login?token=[REDACTED:urlSecret]',
+        body: '{"user":"ada","password":"[REDACTED:path]"}',
+      });
+      expect(stored.redactions).toEqual({ path: 1, urlSecret: 1 });
+      expect(serverInstance.stats.redacted).toBe(2);
+      expect(serverInstance.metrics.redactions).toEqual({
+        path: 1,
+        urlSecret: 1,
+      });
+      expect(monitor.ws.send.mock.calls.pop()[0]).not.toContain('hunter2');
+    });
+
+    it('should store entries verbatim with redact: false', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        redact: false,
+      });
+      const { send } = connectClient(serverInstance);
+
+      send({ type: 'log', data: { message: 'ada@example.com' } });
+
+      expect(serverInstance.logs[0].message).toBe('ada@example.com');
+      expect(serverInstance.logs[0].redactions).toBeUndefined();
+    });
+  });
+
+  describe('source maps', () => {
+    const bundleUrl = 'http://localhost:5173/assets/index.js';
+    const createMap = () => {
+      const { SourceMapGenerator } = require('source-map');
+      const generator = new SourceMapGenerator({ file: 'index.js' });
+      generator.addMapping({
+        generated: { line: 1, column: 14 },
+        original: { line: 3, column: 9 },
+        source: 'src/cart.ts',
+        name: 'checkout',
+      });
+      return generator.toString();
+    };
+    const fetchImpl = jest.fn(async url => ({
+      ok: true,
+      headers: { get: () => null },
+      text: async () =>
+        url.endsWith('.map')
+          ? createMap()
+          : '//# sourceMappingURL=index.js.map',
+    }));
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('should resolve stack frames before storing and broadcasting', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: { fetchImpl, origins: 'http://localhost:5173' },
+      });
+      const monitor = connectClient(serverInstance);
+      monitor.send({ type: 'hello', role: 'monitor' });
+      const producer = connectClient(serverInstance);
+      producer.send({
+        type: 'session',
+        data: { sessionId: 'tab-a', url: 'http://localhost:5173/cart' },
+      });
+
+      producer.send({
+        type: 'error',
+        data: {
+          message: 'total is undefined',
+          stackTrace: [{ function: 'a', file: bundleUrl, line: 1, column: 15 }],
+        },
+      });
+      expect(serverInstance.logs).toHaveLength(0);
+      await flush();
+
+      const [stored] = serverInstance.logs;
+      expect(stored.stackTrace[0].original).toMatchObject({
+        file: 'src/cart.ts',
+        line: 3,
+        column: 10,
+        function: 'checkout',
+      });
+      const broadcast = JSON.parse(monitor.ws.send.mock.calls.pop()[0]);
+      expect(broadcast.data.stackTrace[0].original.file).toBe('src/cart.ts');
+    });
+
+    it('should keep the order of a batch while resolving', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: { fetchImpl, origins: 'http://localhost:5173' },
+      });
+      const [, postLogs] = mockApp.post.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const res = { json: jest.fn(), status: jest.fn(() => res) };
+
+      await postLogs(
+        {
+          body: {
+            logs: [
+              {
+                type: 'error',
+                message: 'first',
+                sessionId: 'tab-a',
+                stack: `TypeError: first\n    at a (${bundleUrl}:1:15)`,
+              },
+              { type: 'log', message: 'second' },
+            ],
+          },
+        },
+        res
+      );
+
+      expect(serverInstance.logs.map(entry => entry.message)).toEqual([
+        'first',
+        'second',
+      ]);
+      expect(serverInstance.logs[0].resolvedStack).toContain(
+        'at checkout (src/cart.ts:3:10)'
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ received: 2 })
+      );
+    });
+
+    it('should store batches in arrival order while earlier ones resolve', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        allowedOrigins: 'http://localhost:5173',
+        sourceMaps: { fetchImpl },
+      });
+      const [, postLogs] = mockApp.post.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const post = logs => {
+        const res = { json: jest.fn(), status: jest.fn(() => res) };
+        return postLogs({ body: { logs } }, res);
+      };
+
+      const first = post([
+        {
+          type: 'error',
+          message: 'first',
+          stack: `TypeError: first\n    at a (${bundleUrl}:1:15)`,
+        },
+      ]);
+      const second = post([{ type: 'log', message: 'second' }]);
+      expect(serverInstance.logs).toHaveLength(0);
+      await Promise.all([first, second]);
+
+      expect(
+        serverInstance.logs.map(entry => `${entry.seq}:${entry.message}`)
+      ).toEqual(['1:first', '2:second']);
+      expect(serverInstance.logs[0].resolvedStack).toContain('checkout');
+    });
+
+    it('should not fetch bundles from origins announced by clients', async () => {
+      fetchImpl.mockClear();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: { fetchImpl, origins: 'http://localhost:5173' },
+      });
+      const { send } = connectClient(serverInstance);
+      send({
+        type: 'session',
+        data: { sessionId: 'tab-a', url: 'http://169.254.169.254/' },
+      });
+
+      send({
+        type: 'error',
+        data: {
+          message: 'x',
+          stack: 'Error: x\n    at http://169.254.169.254/latest/a.js:1:15',
+        },
+      });
+      await flush();
+
+      expect(fetchImpl).not.toHaveBeenCalled();
+      expect(serverInstance.logs[0].resolvedStack).toBeUndefined();
+    });
+
+    it('should store entries as sent with sourceMaps: false', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: false,
+      });
+      const { send } = connectClient(serverInstance);
+
+      send({
+        type: 'error',
+        data: { message: 'x', stack: `Error: x\n    at ${bundleUrl}:1:15` },
+      });
+
+      expect(serverInstance.logs[0].resolvedStack).toBeUndefined();
+    });
+  });
+
+  describe('search', () => {
+    const startSearch = async config => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        ...config,
+      });
+      const [, searchLogs] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/logs/search'
+      );
+      const query = params => {
+        const res = { json: jest.fn(), status: jest.fn(() => res) };
+        searchLogs({ query: params }, res);
+        return res;
+      };
+      return { producer: connectClient(serverInstance), query };
+    };
+
+    it('should return ranked results for field-scoped queries', async () => {
+      const { producer, query } = await startSearch();
+      producer.send({ type: 'log', data: { level: 'info', message: 'ok' } });
+      producer.send({
+        type: 'error',
+        data: { level: 'error', message: 'Checkout timeout' },
+      });
+
+      const res = query({ q: 'level:error timeout' });
+
+      expect(res.json).toHaveBeenCalledWith({
+        query: 'level:error timeout',
+        results: [
+          {
+            score: expect.any(Number),
+            entry: expect.objectContaining({ message: 'Checkout timeout' }),
+          },
+        ],
+        total: 1,
+        port: 3001,
+      });
+    });
+
+    it('should reject bad queries with 400', async () => {
+      const { query } = await startSearch();
+
+      const res = query({ q: 'status:>=abc' });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Invalid query: "status:>=abc" expects a number',
+      });
+    });
+
+    it('should drop entries evicted from the store', async () => {
+      const { producer, query } = await startSearch({ maxLogs: 1 });
+      producer.send({ type: 'log', data: { message: 'first' } });
+      producer.send({ type: 'log', data: { message: 'second' } });
+
+      expect(query({ q: 'first' }).json.mock.calls[0][0].total).toBe(0);
+      expect(query({ q: 'second' }).json.mock.calls[0][0].total).toBe(1);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should serve Prometheus metrics for stored entries and clients', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        maxLogs: 1,
+      });
+      const producer = connectClient(serverInstance);
+      producer.send({ type: 'hello', role: 'producer' });
+      producer.send({ type: 'log', data: { level: 'warn', message: 'a' } });
+      producer.send({ type: 'log', data: { level: 'warn', message: 'b' } });
+      producer.send({ type: 'bogus', data: {} });
+
+      const [, getMetrics] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/metrics'
+      );
+      const res = { set: jest.fn(), send: jest.fn() };
+      getMetrics({}, res);
+
+      const text = res.send.mock.calls[0][0];
+      expect(res.set).toHaveBeenCalledWith(
+        'Content-Type',
+        'text/plain; version=0.0.4; charset=utf-8'
+      );
+      expect(text).toContain('clp_entries_by_level_total{level="warn"} 2');
+      expect(text).toContain('clp_entries_evicted_total 1');
+      expect(text).toContain('clp_entries_dropped_total 1');
+      expect(text).toContain('clp_buffer_utilization_ratio 1');
+      expect(text).toContain('clp_websocket_clients{role="producer"} 1');
+    });
+  });
+
+  describe('pagination', () => {
+    const startWithLogs = async count => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const producer = connectClient(serverInstance);
+      for (let i = 1; i <= count; i++) {
+        producer.send({ type: 'log', data: { message: `entry-${i}` } });
+      }
+      const [, getLogs] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const query = async params => {
+        const res = { json: jest.fn(), status: jest.fn(() => res) };
+        await getLogs({ query: params }, res);
+        return { res, body: res.json.mock.calls[0][0] };
+      };
+      return { serverInstance, query };
+    };
+    const messages = body => body.logs.map(log => log.message);
+
+    it('should page forward from afterId', async () => {
+      const { serverInstance, query } = await startWithLogs(5);
+
+      const { body } = await query({
+        afterId: serverInstance.logs[1].id,
+        limit: '2',
+      });
+
+      expect(messages(body)).toEqual(['entry-3', 'entry-4']);
+    });
+
+    it('should page backward from beforeId', async () => {
+      const { serverInstance, query } = await startWithLogs(5);
+
+      const { body } = await query({
+        beforeId: serverInstance.logs[3].id,
+        limit: '2',
+      });
+
+      expect(messages(body)).toEqual(['entry-2', 'entry-3']);
+    });
+
+    it('should accept sequence numbers as cursors', async () => {
+      const { query } = await startWithLogs(3);
+
+      const { body } = await query({ afterId: '1', beforeId: '3' });
+
+      expect(messages(body)).toEqual(['entry-2']);
+    });
+
+    it('should reject unknown cursors', async () => {
+      const { query } = await startWithLogs(1);
+
+      const { res } = await query({ afterId: 'missing' });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Unknown afterId: missing',
+      });
+    });
+
+    it('should page request_logs history', async () => {
+      const { serverInstance } = await startWithLogs(3);
+      const monitor = connectClient(serverInstance);
+
+      monitor.send({ type: 'request_logs', filter: { afterId: '2' } });
+      monitor.send({ type: 'request_logs', filter: { beforeId: 'missing' } });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const [history, error] = monitor.ws.send.mock.calls
+        .slice(-2)
+        .map(([raw]) => JSON.parse(raw));
+      expect(history.logs.map(log => log.message)).toEqual(['entry-3']);
+      expect(error).toEqual({
+        type: 'error',
+        error: 'Unknown beforeId: missing',
+      });
+    });
+  });
+
+  describe('websocket ingestion', () => {
+    it('should store each entry of a batch frame', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sessionId: 'test-session',
+      });
+      const { send: sendMessage } = connectClient(serverInstance);
+
+      sendMessage({
+        type: 'batch',
+        messages: [
+          { type: 'log', data: { level: 'info', message: 'first' } },
+          { type: 'network', data: { request: { url: '/api' } } },
+          { type: 'unknown', data: { message: 'ignored' } },
+        ],
+      });
+      sendMessage({ type: 'error', data: { message: 'single' } });
+
+      expect(
+        serverInstance.logs.map(entry => [entry.type, entry.sessionId])
+      ).toEqual([
+        ['log', 'test-session'],
+        ['network', 'test-session'],
+        ['error', 'test-session'],
+      ]);
+    });
+  });
+
+  describe('error groups', () => {
+    const error = (message, sessionId) => ({
+      type: 'error',
+      data: {
+        level: 'error',
+        message,
+        sessionId,
+        error: {
+          name: 'TypeError',
+          stack: `TypeError: ${message}\n    at render (http://localhost:5173/src/List.jsx:12:7)`,
+        },
+      },
+    });
+
+    it('should group repeated errors and serve them from /api/errors/groups', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: false, // Nothing to fetch the bundles from
+      });
+      const monitor = connectClient(serverInstance);
+      monitor.send({ type: 'hello', role: 'monitor' });
+      const { send } = connectClient(serverInstance);
+
+      send(error('Cannot read properties of undefined (item 1)', 'tab-a'));
+      send(error('Cannot read properties of undefined (item 2)', 'tab-b'));
+      send(error('Network down', 'tab-a'));
+
+      const [first, repeat, other] = serverInstance.logs;
+      expect(repeat.fingerprint).toBe(first.fingerprint);
+      expect(repeat.occurrence).toBe(2);
+      expect(other.fingerprint).not.toBe(first.fingerprint);
+      expect(other.occurrence).toBe(1);
+      const broadcasts = monitor.ws.send.mock.calls
+        .map(([message]) => JSON.parse(message))
+        .filter(message => message.type === 'error');
+      expect(broadcasts.map(message => message.data.occurrence)).toEqual([
+        1, 2, 1,
+      ]);
+
+      const [, getGroups] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/errors/groups'
+      );
+      const res = { json: jest.fn() };
+      getGroups({ query: { sort: 'count' } }, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.total).toBe(2);
+      expect(body.groups[0]).toMatchObject({
+        fingerprint: first.fingerprint,
+        name: 'TypeError',
+        count: 2,
+        sessions: ['tab-a', 'tab-b'],
+        sessionCount: 2,
+        culprit: 'render (http://localhost:5173/src/List.jsx:12)',
+      });
+      expect(body.groups[0].sample.id).toBe(first.id);
+
+      const filtered = { json: jest.fn() };
+      getGroups({ query: { sessionId: 'tab-b' } }, filtered);
+      expect(filtered.json.mock.calls[0][0].groups).toHaveLength(1);
+    });
+
+    it('should reject unknown sort orders', async () => {
+      const express = require('express');
+      const mockApp = express();
+      await ServerManager.startServer({ host: 'localhost', port: 3001 });
+
+      const [, getGroups] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/errors/groups'
+      );
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      getGroups({ query: { sort: 'name' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should not group other entries', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const { send } = connectClient(serverInstance);
+
+      send({ type: 'log', data: { level: 'error', message: 'failed' } });
+
+      expect(serverInstance.logs[0].fingerprint).toBeUndefined();
+      expect(serverInstance.errorGroups.size).toBe(0);
+    });
+  });
+
+  describe('clearing logs', () => {
+    it('should empty the buffer, search index and error groups', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const { send } = connectClient(serverInstance);
+      send({ type: 'log', data: { level: 'info', message: 'checkout' } });
+      send({ type: 'error', data: { level: 'error', message: 'failed' } });
+
+      const clearLogs = mockApp.delete.mock.calls
+        .find(([route]) => route === '/api/logs')
+        .pop();
+      const res = { json: jest.fn() };
+      await clearLogs({}, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        cleared: 2,
+        port: 3001,
+      });
+      expect(serverInstance.logs).toHaveLength(0);
+      expect(serverInstance.searchIndex.search('checkout').total).toBe(0);
+      expect(serverInstance.errorGroups.size).toBe(0);
+    });
+
+    it('should reject other origins when no token is set', async () => {
+      const express = require('express');
+      const mockApp = express();
+      await ServerManager.startServer({ host: 'localhost', port: 3001 });
+      const [, checkOrigin] = mockApp.delete.mock.calls.find(
+        ([route]) => route === '/api/logs'
+      );
+      const call = headers => {
+        const res = { json: jest.fn(), status: jest.fn(() => res) };
+        const next = jest.fn();
+        checkOrigin({ headers }, res, next);
+        return { res, next };
+      };
+
+      const crossSite = call({
+        origin: 'https://evil.example',
+        host: 'localhost:3001',
+      });
+      expect(crossSite.next).not.toHaveBeenCalled();
+      expect(crossSite.res.status).toHaveBeenCalledWith(403);
+      expect(
+        call({ origin: 'http://localhost:3001', host: 'localhost:3001' }).next
+      ).toHaveBeenCalled();
+      expect(call({ host: 'localhost:3001' }).next).toHaveBeenCalled();
+    });
+
+    it('should leave the check to the token when one is set', async () => {
+      const express = require('express');
+      const mockApp = express();
+      await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        token: 'secret',
+      });
+
+      const route = mockApp.delete.mock.calls.find(
+        ([path]) => path === '/api/logs'
+      );
+      expect(route).toHaveLength(2);
+    });
+  });
+
+  describe('incident summary', () => {
+    const startWithIncident = async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sourceMaps: false,
+      });
+      const { send } = connectClient(serverInstance);
+      const timestamp = new Date().toISOString();
+      send({
+        type: 'log',
+        data: { level: 'info', message: 'Submitting order', timestamp },
+      });
+      send({
+        type: 'network',
+        data: { method: 'POST', url: '/api/orders', status: 500, timestamp },
+      });
+      send({
+        type: 'error',
+        data: {
+          level: 'error',
+          message: 'Order failed',
+          timestamp,
+          error: {
+            name: 'Error',
+            stack:
+              'Error: Order failed\n    at submit (http://localhost:5173/src/Checkout.jsx:40:9)',
+          },
+        },
+      });
+
+      const [, getSummary] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/summary'
+      );
+      return getSummary;
+    };
+
+    it('should summarize errors, their context and failed requests', async () => {
+      const getSummary = await startWithIncident();
+      const res = { json: jest.fn() };
+
+      await getSummary({ query: { window: '2m' } }, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.window.durationMs).toBe(120000);
+      expect(body.counts).toMatchObject({
+        entries: 3,
+        errors: 1,
+        failedRequests: 1,
+      });
+      expect(body.errors[0]).toMatchObject({
+        message: 'Order failed',
+        stack: ['submit (http://localhost:5173/src/Checkout.jsx:40:9)'],
+      });
+      expect(body.errors[0].preceding.map(entry => entry.text)).toEqual([
+        'Submitting order',
+        'POST /api/orders 500',
+      ]);
+      expect(body.network[0]).toMatchObject({
+        url: '/api/orders',
+        status: 500,
+      });
+      expect(body.storage).toBeNull();
+      expect(body.port).toBe(3001);
+    });
+
+    it('should render Markdown and include storage changes', async () => {
+      const getSummary = await startWithIncident();
+      jest.spyOn(HttpClient, 'request').mockResolvedValue({
+        changes: [
+          {
+            timestamp: new Date().toISOString(),
+            subType: 'localStorage',
+            added: [{ key: 'cart' }],
+            modified: [],
+            deleted: [],
+          },
+        ],
+      });
+      const res = { type: jest.fn().mockReturnThis(), send: jest.fn() };
+
+      await getSummary(
+        { query: { format: 'markdown', storagePort: '3002' } },
+        res
+      );
+
+      expect(HttpClient.request).toHaveBeenCalledWith(
+        expect.objectContaining({ port: 3002, path: '/api/storage/changes' })
+      );
+      expect(res.type).toHaveBeenCalledWith('text/markdown');
+      const markdown = res.send.mock.calls[0][0];
+      expect(markdown).toContain('### 1. Error: Order failed (×1)');
+      expect(markdown).toContain('POST /api/orders → 500');
+      expect(markdown).toContain('localStorage: added cart');
+    });
+
+    it('should note an unreachable storage monitor', async () => {
+      const getSummary = await startWithIncident();
+      jest
+        .spyOn(HttpClient, 'request')
+        .mockRejectedValue(new Error('connection refused'));
+      const res = { json: jest.fn() };
+
+      await getSummary({ query: { storagePort: '3002' } }, res);
+
+      expect(res.json.mock.calls[0][0].notes).toEqual([
+        'Storage changes unavailable: connection refused',
+      ]);
+    });
+
+    it('should reject invalid windows and formats', async () => {
+      const getSummary = await startWithIncident();
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      getSummary({ query: { window: 'soon' } }, res);
+      getSummary({ query: { format: 'html' } }, res);
+
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should respond 500 when the summary cannot be built', async () => {
+      const getSummary = await startWithIncident();
+      jest.spyOn(IncidentSummary, 'build').mockImplementation(() => {
+        throw new Error('boom');
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await getSummary({ query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Internal server error',
+      });
+    });
+  });
+
+  describe('HAR export', () => {
+    it('should serve paired network entries as HAR 1.2', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const client = connectClient(serverInstance);
+      client.send({
+        type: 'session',
+        data: { sessionId: 'tab-a', url: 'http://localhost:5173/cart' },
+      });
+      client.send({
+        type: 'network',
+        data: {
+          id: 'req_1',
+          subtype: 'request',
+          sessionId: 'tab-a',
+          timestamp: '2024-05-01T12:00:00.000Z',
+          request: { id: 'req_1', url: '/api/cart?id=7', method: 'GET' },
+        },
+      });
+      client.send({
+        type: 'network',
+        data: {
+          id: 'req_1_response',
+          subtype: 'response',
+          sessionId: 'tab-a',
+          timestamp: '2024-05-01T12:00:00.120Z',
+          response: {
+            requestId: 'req_1',
+            status: 404,
+            statusText: 'Not Found',
+          },
+          timing: { durationMs: 120 },
+        },
+      });
+      client.send({ type: 'log', data: { level: 'info', message: 'hi' } });
+
+      const [, getHar] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/network.har'
+      );
+      const res = { set: jest.fn(), json: jest.fn() };
+      await getHar({ query: {} }, res);
+
+      expect(res.set).toHaveBeenCalledWith(
+        'Content-Disposition',
+        'attachment; filename="clp-3001.har"'
+      );
+      const { log } = res.json.mock.calls[0][0];
+      expect(log.version).toBe('1.2');
+      expect(log.entries).toHaveLength(1);
+      expect(log.entries[0]).toMatchObject({
+        startedDateTime: '2024-05-01T12:00:00.000Z',
+        time: 120,
+        request: {
+          method: 'GET',
+          url: 'http://localhost:5173/api/cart?id=7',
+          queryString: [{ name: 'id', value: '7' }],
+        },
+        response: { status: 404, statusText: 'Not Found' },
+      });
+    });
+
+    it('should reject an invalid since', async () => {
+      const express = require('express');
+      const mockApp = express();
+      await ServerManager.startServer({ host: 'localhost', port: 3001 });
+      const [, getHar] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/network.har'
+      );
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      getHar({ query: { since: 'yesterday-ish' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should track announced sessions and serve them from /api/sessions', async () => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const client = connectClient(serverInstance, {
+        headers: { 'user-agent': 'Mozilla/5.0' },
+      });
+
+      client.send({
+        type: 'session',
+        data: { sessionId: 'tab-a', url: 'http://localhost:5173/' },
+      });
+      client.send({
+        type: 'log',
+        data: { level: 'info', message: 'hi', sessionId: 'tab-a' },
+      });
+
+      const [, getSessions] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/sessions'
+      );
+      const res = { json: jest.fn() };
+      getSessions({}, res);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ total: 1, connected: 1 })
+      );
+      expect(res.json.mock.calls[0][0].sessions[0]).toMatchObject({
+        sessionId: 'tab-a',
+        url: 'http://localhost:5173/',
+        userAgent: 'Mozilla/5.0',
+        entryCount: 1,
+        connected: true,
+      });
+
+      client.close();
+      expect(serverInstance.sessions.get('tab-a').connected).toBe(false);
+    });
+
+    it('should redact secrets in session URLs', async () => {
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const client = connectClient(serverInstance);
+
+      client.send({
+        type: 'session',
+        data: {
+          sessionId: 'tab-a',
+          url: 'http://localhost:5173/callback?access_token=abc123&page=2',
+        },
+      });
+
+      expect(serverInstance.sessions.get('tab-a').url).toBe(
+        'http://localhost:5173/callback?access_token=[REDACTED:urlSecret]&page=2'
+      );
+    });
+  });
+
+  describe('event stream', () => {
+    const openStream = async (query = {}, headers = {}) => {
+      const express = require('express');
+      const mockApp = express();
+      const serverInstance = await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+      });
+      const [, getEvents] = mockApp.get.mock.calls.find(
+        ([route]) => route === '/api/events'
+      );
+      return { serverInstance, getEvents, query, headers };
+    };
+    const subscribe = ({ getEvents, query, headers }) => {
+      const handlers = {};
+      const req = {
+        query,
+        headers,
+        on: jest.fn((event, handler) => {
+          handlers[event] = handler;
+        }),
+      };
+      const res = {
+        writeHead: jest.fn(),
+        write: jest.fn(),
+        flush: jest.fn(),
+        end: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      getEvents(req, res);
+      return {
+        res,
+        close: () => handlers.close(),
+        events: () =>
+          res.write.mock.calls
+            .map(([chunk]) => chunk)
+            .filter(chunk => chunk.startsWith('id:'))
+            .map(chunk => {
+              const [id, event, data] = chunk.trim().split('\n');
+              return {
+                id: id.slice(4),
+                event: event.slice(7),
+                data: JSON.parse(data.slice(6)),
+              };
+            }),
+      };
+    };
+
+    it('should stream new entries matching the filters', async () => {
+      const setup = await openStream({ level: 'error' });
+      const stream = subscribe(setup);
+      const producer = connectClient(setup.serverInstance);
+
+      producer.send({ type: 'log', data: { level: 'info', message: 'skip' } });
+      producer.send({
+        type: 'error',
+        data: { level: 'error', message: 'boom' },
+      });
+
+      expect(stream.res.writeHead).toHaveBeenCalledWith(
+        200,
+        expect.objectContaining({ 'Content-Type': 'text/event-stream' })
+      );
+      expect(stream.res.flush).toHaveBeenCalledTimes(
+        stream.res.write.mock.calls.length
+      );
+      expect(stream.events()).toEqual([
+        {
+          id: '2',
+          event: 'error',
+          data: expect.objectContaining({ message: 'boom', seq: 2 }),
+        },
+      ]);
+
+      stream.close();
+      expect(stream.res.end).toHaveBeenCalled();
+      expect(setup.serverInstance.streams.size).toBe(0);
+    });
+
+    it('should resume after Last-Event-ID', async () => {
+      const setup = await openStream({}, { 'last-event-id': '1' });
+      const producer = connectClient(setup.serverInstance);
+      ['one', 'two', 'three'].forEach(message =>
+        producer.send({ type: 'log', data: { level: 'info', message } })
+      );
+
+      const stream = subscribe(setup);
+
+      expect(stream.events().map(event => event.data.message)).toEqual([
+        'two',
+        'three',
+      ]);
+      stream.close();
+    });
+
+    it('should replay history when since is given', async () => {
+      const setup = await openStream({ since: '2000-01-01T00:00:00Z' });
+      const producer = connectClient(setup.serverInstance);
+      producer.send({
+        type: 'log',
+        data: { level: 'info', message: 'earlier' },
+      });
+
+      const stream = subscribe(setup);
+      producer.send({ type: 'log', data: { level: 'info', message: 'live' } });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(stream.events().map(event => event.id)).toEqual(['1', '2']);
+      stream.close();
+    });
+
+    it('should reject invalid patterns', async () => {
+      const stream = subscribe(await openStream({ pattern: '(' }));
+
+      expect(stream.res.status).toHaveBeenCalledWith(400);
+      expect(stream.res.writeHead).not.toHaveBeenCalled();
+    });
+
+    it('should end open streams when the server stops', async () => {
+      const setup = await openStream();
+      const stream = subscribe(setup);
+
+      await ServerManager.stopServer(3001);
+
+      expect(stream.res.end).toHaveBeenCalled();
+    });
+  });
+
+  describe('client roles', () => {
+    const startServer = () =>
+      ServerManager.startServer({ host: 'localhost', port: 3001 });
+    const received = client =>
+      client.ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+    it('should acknowledge hello and report role counts', async () => {
+      const serverInstance = await startServer();
+      const monitor = connectClient(serverInstance);
+      const producer = connectClient(serverInstance);
+
+      monitor.send({ type: 'hello', role: 'monitor' });
+      producer.send({
+        type: 'hello',
+        role: 'producer',
+        capabilities: ['ack'],
+        session: { sessionId: 'tab-a' },
+      });
+
+      expect(received(producer).pop()).toEqual({
+        type: 'hello_ack',
+        data: expect.objectContaining({
+          role: 'producer',
+          capabilities: ServerManager.serverCapabilities,
+          clients: { producer: 1, monitor: 1, unknown: 0 },
+        }),
+      });
+      expect(serverInstance.sessions.get('tab-a').connected).toBe(true);
+
+      const third = connectClient(serverInstance);
+      expect(received(third)[0].data.clients).toEqual({
+        producer: 1,
+        monitor: 1,
+        unknown: 1,
+      });
+    });
+
+    it('should reject unknown roles', async () => {
+      const client = connectClient(await startServer());
+
+      client.send({ type: 'hello', role: 'admin' });
+
+      expect(received(client).pop()).toEqual({
+        type: 'error',
+        error: 'Unknown client role: admin',
+      });
+    });
+
+    it('should only broadcast entries to monitors and unidentified clients', async () => {
+      const serverInstance = await startServer();
+      const monitor = connectClient(serverInstance);
+      const legacy = connectClient(serverInstance);
+      const producer = connectClient(serverInstance);
+      monitor.send({ type: 'hello', role: 'monitor' });
+      producer.send({ type: 'hello', role: 'producer' });
+      [monitor, legacy, producer].forEach(client => client.ws.send.mockClear());
+
+      producer.send({ type: 'log', data: { level: 'info', message: 'hi' } });
+
+      expect(received(monitor)).toEqual([
+        expect.objectContaining({ type: 'log' }),
+      ]);
+      expect(received(legacy)).toHaveLength(1);
+      expect(received(producer)).toEqual([]);
+    });
+
+    it('should treat clients sending entries without hello as producers', async () => {
+      const serverInstance = await startServer();
+      const client = connectClient(serverInstance);
+
+      client.send({ type: 'log', data: { level: 'info', message: 'hi' } });
+
+      expect(serverInstance.clients.get(client.ws).role).toBe('producer');
+    });
+
+    it('should ack entries for producers that asked for acks', async () => {
+      const client = connectClient(await startServer());
+      client.send({ type: 'hello', role: 'producer', capabilities: ['ack'] });
+
+      client.send({
+        type: 'batch',
+        messages: [
+          { type: 'log', data: { message: 'one' } },
+          { type: 'log', data: { message: 'two' } },
+        ],
+      });
+
+      expect(received(client).pop()).toEqual({
+        type: 'ack',
+        received: 2,
+        dropped: 0,
+        entries: [
+          { id: expect.any(String), seq: 1 },
+          { id: expect.any(String), seq: 2 },
+        ],
+      });
+    });
+
+    it('should send commands to producers only', async () => {
+      const serverInstance = await startServer();
+      const monitor = connectClient(serverInstance);
+      const producer = connectClient(serverInstance);
+      monitor.send({ type: 'hello', role: 'monitor' });
+      producer.send({ type: 'hello', role: 'producer' });
+
+      expect(ServerManager.sendCommand(3001, 'flush')).toBe(1);
+      expect(received(producer).pop()).toEqual({
+        type: 'command',
+        command: 'flush',
+        data: {},
+      });
+      expect(received(monitor).pop().type).toBe('hello_ack');
+    });
+  });
+
+  describe('registry', () => {
+    it('should register started servers and unregister stopped ones', async () => {
+      await ServerManager.startServer({
+        host: 'localhost',
+        port: 3001,
+        sessionId: 'test-session',
+      });
+
+      expect(ServerRegistry.register).toHaveBeenCalledWith(
+        3001,
+        expect.objectContaining({
+          host: 'localhost',
+          sessionId: 'test-session',
+          pid: process.pid,
+        })
+      );
+
+      await ServerManager.stopServer(3001);
+
+      expect(ServerRegistry.unregister).toHaveBeenCalledWith(3001, process.pid);
+    });
+
+    it('should mark registry entries as running or stale', async () => {
+      ServerRegistry.list.mockResolvedValue([
+        { port: 3001, host: 'localhost', pid: 101 },
+        { port: 3002, host: 'localhost', pid: 102 },
+        { port: 3003, host: 'localhost', pid: 103 },
+      ]);
+      ServerRegistry.isProcessAlive.mockImplementation(pid => pid !== 103);
+      jest
+        .spyOn(ServerManager, 'isServerRunning')
+        .mockImplementation(async (host, port) => port === 3001);
+
+      const servers = await ServerManager.getRegisteredServers();
+
+      expect(servers.map(server => server.status)).toEqual([
+        'running',
+        'stale',
+        'stale',
+      ]);
+    });
+
+    it('should return null for unregistered ports', async () => {
+      ServerRegistry.get.mockResolvedValue(null);
+
+      await expect(ServerManager.getRegisteredServer(3009)).resolves.toBeNull();
+    });
+  });
+
   describe('filterLogs', () => {
     const mockLogs = [
       {
@@ -379,6 +1897,17 @@ describe('ServerManager', () => {
       expect(filtered[1].level).toBe('debug');
     });
 
+    it('should filter by session', () => {
+      const filtered = ServerManager.filterLogs(
+        [
+          { message: 'a', sessionId: 'tab-a' },
+          { message: 'b', sessionId: 'tab-b' },
+        ],
+        { sessionId: 'tab-b' }
+      );
+      expect(filtered).toEqual([{ message: 'b', sessionId: 'tab-b' }]);
+    });
+
     it('should filter by since time', () => {
       const filtered = ServerManager.filterLogs(mockLogs, {
         since: new Date('2023-01-01T10:30:00Z'),
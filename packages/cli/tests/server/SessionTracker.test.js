@@ -0,0 +1,143 @@
+/**
+ * SessionTracker Tests
+ */
+
+const SessionTracker = require('../../src/server/SessionTracker');
+
+describe('SessionTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new SessionTracker();
+  });
+
+  describe('connect and disconnect', () => {
+    it('should track announced sessions per connection', () => {
+      tracker.connect(1, {
+        sessionId: 'clp_1_abc123',
+        tabId: 'tab_k3j2h1g9a',
+        url: 'http://localhost:5173/',
+        userAgent: 'Mozilla/5.0',
+      });
+
+      expect(tracker.get('clp_1_abc123')).toMatchObject({
+        sessionId: 'clp_1_abc123',
+        tabId: 'tab_k3j2h1g9a',
+        label: 'k3j2h1g9',
+        url: 'http://localhost:5173/',
+        userAgent: 'Mozilla/5.0',
+        connected: true,
+        connectionCount: 1,
+        disconnectedAt: null,
+      });
+      expect(tracker.connectedCount()).toBe(1);
+    });
+
+    it('should disconnect a session once its last connection closes', () => {
+      tracker.connect(1, { sessionId: 'shared' });
+      tracker.connect(2, { sessionId: 'shared' });
+
+      tracker.disconnect(1);
+      expect(tracker.get('shared').connected).toBe(true);
+
+      tracker.disconnect(2);
+      expect(tracker.get('shared')).toMatchObject({
+        connected: false,
+        disconnectedAt: expect.any(String),
+      });
+    });
+
+    it('should ignore announcements without a session id', () => {
+      expect(tracker.connect(1, { url: 'http://localhost/' })).toBeNull();
+      expect(tracker.list()).toEqual([]);
+    });
+  });
+
+  describe('record', () => {
+    it('should count entries and attach unknown connections', () => {
+      tracker.record({ sessionId: 'a', tabId: 'tab_one' }, 7);
+      tracker.record({ sessionId: 'a', url: 'https://api.example.com' }, 7);
+
+      expect(tracker.get('a')).toMatchObject({
+        entryCount: 2,
+        connected: true,
+        url: null,
+      });
+
+      tracker.disconnect(7);
+      expect(tracker.get('a').connected).toBe(false);
+    });
+
+    it('should record HTTP sessions from request details', () => {
+      tracker.record({ sessionId: 'b' }, null, {
+        transport: 'http',
+        userAgent: 'curl/8',
+      });
+
+      expect(tracker.get('b')).toMatchObject({
+        transport: 'http',
+        userAgent: 'curl/8',
+        connected: false,
+      });
+    });
+
+    it('should redact page URLs and user agents', () => {
+      const redacting = new SessionTracker({
+        redact: value => value.replace(/token=\w+/, 'token=[REDACTED]'),
+      });
+
+      redacting.connect(1, {
+        sessionId: 'c',
+        url: 'https://app.example.com/?token=abc',
+        userAgent: 'bot token=xyz',
+      });
+
+      expect(redacting.get('c')).toMatchObject({
+        url: 'https://app.example.com/?token=[REDACTED]',
+        userAgent: 'bot token=[REDACTED]',
+      });
+    });
+
+    it('should skip entries without a session id', () => {
+      expect(tracker.record({ message: 'x' })).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    it('should list connected sessions first', () => {
+      tracker.record({ sessionId: 'old' });
+      tracker.connect(1, { sessionId: 'live' });
+
+      expect(tracker.list().map(session => session.sessionId)).toEqual([
+        'live',
+        'old',
+      ]);
+    });
+
+    it('should evict the oldest disconnected session when full', () => {
+      tracker = new SessionTracker({ maxSessions: 2 });
+      tracker.record({ sessionId: 'first' });
+      tracker.connect(1, { sessionId: 'second' });
+      tracker.record({ sessionId: 'third' });
+
+      expect(tracker.get('first')).toBeNull();
+      expect(tracker.list()).toHaveLength(2);
+    });
+  });
+
+  describe('label', () => {
+    it('should prefer the tab id and shorten generated ids', () => {
+      expect(
+        SessionTracker.label({
+          sessionId: 'clp_1_abc',
+          tabId: 'tab_xyz12345678',
+        })
+      ).toBe('xyz12345');
+      expect(SessionTracker.label({ sessionId: 'clp_171_q1w2e3r4t' })).toBe(
+        'q1w2e3r4'
+      );
+      expect(SessionTracker.label({ sessionId: 'checkout' })).toBe('checkout');
+      expect(SessionTracker.label({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * SourceMapResolver Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceMapGenerator } = require('source-map');
+const SourceMapResolver = require('../../src/server/SourceMapResolver');
+
+// A one-line bundle whose column 15 maps to src/cart.ts:3:10 (`checkout`)
+const createMap = () => {
+  const generator = new SourceMapGenerator({ file: 'index.js' });
+  generator.addMapping({
+    generated: { line: 1, column: 14 },
+    original: { line: 3, column: 9 },
+    source: 'webpack://shop/./src/cart.ts',
+    name: 'checkout',
+  });
+  generator.setSourceContent(
+    'webpack://shop/./src/cart.ts',
+    [
+      'export function checkout(cart) {',
+      '  const total = sum(cart);',
+      '  return total.toFixed(2);',
+      '}',
+    ].join('\n')
+  );
+  return generator.toString();
+};
+
+const response = (body, headers = {}) => ({
+  ok: true,
+  status: 200,
+  headers: { get: name => headers[name.toLowerCase()] || null },
+  text: async () => body,
+});
+
+describe('SourceMapResolver', () => {
+  const bundleUrl = 'http://localhost:5173/assets/index.js';
+  const frame = { function: 'a', file: bundleUrl, line: 1, column: 15 };
+  const isTrustedOrigin = origin => origin === 'http://localhost:5173';
+
+  describe('parseStack', () => {
+    it('should parse V8 and Firefox/Safari frames', () => {
+      const frames = SourceMapResolver.parseStack(
+        [
+          'TypeError: total is undefined',
+          '    at a (http://localhost:5173/assets/index.js:1:15)',
+          '    at http://localhost:5173/assets/index.js:1:99',
+          'b@http://localhost:5173/assets/index.js:2:7',
+        ].join('\n')
+      );
+
+      expect(frames).toEqual([
+        { function: 'a', file: bundleUrl, line: 1, column: 15 },
+        { function: 'anonymous', file: bundleUrl, line: 1, column: 99 },
+        { function: 'b', file: bundleUrl, line: 2, column: 7 },
+      ]);
+    });
+  });
+
+  describe('fetching from the dev server', () => {
+    it('should follow sourceMappingURL and resolve frames', async () => {
+      const fetchImpl = jest.fn(async url =>
+        url.endsWith('.map')
+          ? response(createMap())
+          : response('!function(){}()\n//# sourceMappingURL=index.js.map')
+      );
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+
+      const resolved = await resolver.resolveFrame(frame);
+
+      expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([
+        bundleUrl,
+        `${bundleUrl}.map`,
+      ]);
+      expect(resolved.original).toEqual({
+        file: 'src/cart.ts',
+        line: 3,
+        column: 10,
+        function: 'checkout',
+        snippet: [
+          '  1 | export function checkout(cart) {',
+          '  2 |   const total = sum(cart);',
+          '> 3 |   return total.toFixed(2);',
+          '  4 | }',
+        ].join('\n'),
+      });
+    });
+
+    it('should read inline data URL maps and the SourceMap header', async () => {
+      const inline = `data:application/json;base64,${Buffer.from(
+        createMap()
+      ).toString('base64')}`;
+      const resolver = new SourceMapResolver({
+        fetchImpl: async () => response('', { sourcemap: inline }),
+        isTrustedOrigin,
+      });
+
+      const resolved = await resolver.resolveFrame(frame);
+
+      expect(resolved.original.file).toBe('src/cart.ts');
+    });
+
+    it('should cache maps, including failures', async () => {
+      const fetchImpl = jest.fn(async () => {
+        throw new Error('ECONNREFUSED');
+      });
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+
+      expect(await resolver.resolveFrame(frame)).toBe(frame);
+      expect(await resolver.resolveFrame(frame)).toBe(frame);
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('should evict the oldest maps over maxCacheBytes', async () => {
+      const maxCacheBytes = SourceMapResolver.maxCacheBytes;
+      SourceMapResolver.maxCacheBytes = createMap().length * 1.5;
+      const fetchImpl = jest.fn(async url =>
+        url.endsWith('.map')
+          ? response(createMap())
+          : response('//# sourceMappingURL=index.js.map')
+      );
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+      const other = { ...frame, file: 'http://localhost:5173/assets/b.js' };
+
+      try {
+        await resolver.resolveFrame(frame);
+        await resolver.resolveFrame(other);
+      } finally {
+        SourceMapResolver.maxCacheBytes = maxCacheBytes;
+      }
+
+      expect([...resolver.cache.keys()]).toEqual([other.file]);
+      expect(resolver.cacheBytes).toBe(createMap().length);
+    });
+
+    it('should not fetch when fetching is disabled', async () => {
+      const fetchImpl = jest.fn();
+      const resolver = new SourceMapResolver({ fetch: false, fetchImpl });
+
+      expect(await resolver.resolveFrame(frame)).toBe(frame);
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    it('should only fetch from trusted origins', async () => {
+      const fetchImpl = jest.fn(async () => response(''));
+
+      const untrusted = new SourceMapResolver({ fetchImpl });
+      expect(await untrusted.resolveFrame(frame)).toBe(frame);
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+      const internal = { ...frame, file: 'http://169.254.169.254/latest.js' };
+      expect(await resolver.resolveFrame(internal)).toBe(internal);
+
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    it('should not follow a sourceMappingURL to an untrusted origin', async () => {
+      const fetchImpl = jest.fn(async () =>
+        response('//# sourceMappingURL=http://10.0.0.1/admin.map')
+      );
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+
+      expect(await resolver.resolveFrame(frame)).toBe(frame);
+      expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([bundleUrl]);
+    });
+
+    it('should stop reading bodies larger than maxMapSize', async () => {
+      const maxMapSize = SourceMapResolver.maxMapSize;
+      SourceMapResolver.maxMapSize = 10;
+      const chunks = [Buffer.from('//# source'), Buffer.from('MappingURL=a')];
+      const read = jest.fn();
+      const body = {
+        async *[Symbol.asyncIterator]() {
+          for (const chunk of chunks) {
+            read(chunk);
+            yield chunk;
+          }
+        },
+      };
+      const fetchImpl = jest.fn(async () => ({ ...response(''), body }));
+      const resolver = new SourceMapResolver({ fetchImpl, isTrustedOrigin });
+
+      try {
+        expect(await resolver.resolveFrame(frame)).toBe(frame);
+      } finally {
+        SourceMapResolver.maxMapSize = maxMapSize;
+      }
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('local build directory', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clp-maps-'));
+      fs.mkdirSync(path.join(directory, 'assets'));
+      fs.writeFileSync(
+        path.join(directory, 'assets', 'index.js.map'),
+        createMap()
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should read maps next to the bundle path', async () => {
+      const fetchImpl = jest.fn();
+      const resolver = new SourceMapResolver({ directory, fetchImpl });
+
+      const resolved = await resolver.resolveFrame(frame);
+
+      expect(resolved.original.line).toBe(3);
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    it('should not read outside the directory', async () => {
+      const resolver = new SourceMapResolver({ directory, fetch: false });
+
+      const resolved = await resolver.resolveFrame({
+        ...frame,
+        file: 'http://localhost:5173/../../etc/passwd',
+      });
+
+      expect(resolved.original).toBeUndefined();
+    });
+  });
+
+  describe('resolveEntry', () => {
+    it('should map parsed stacks and rebuild the stack string', async () => {
+      const resolver = new SourceMapResolver({
+        isTrustedOrigin,
+        fetchImpl: async url =>
+          url.endsWith('.map')
+            ? response(createMap())
+            : response('//# sourceMappingURL=index.js.map'),
+      });
+      const entry = {
+        type: 'error',
+        error: {
+          stack: `TypeError: total is undefined\n    at a (${bundleUrl}:1:15)`,
+        },
+      };
+
+      await resolver.resolveEntry(entry);
+
+      expect(entry.stackTrace[0].original.file).toBe('src/cart.ts');
+      expect(entry.error.resolvedStack).toBe(
+        'TypeError: total is undefined\n    at checkout (src/cart.ts:3:10)'
+      );
+      expect(entry.error.stack).toContain(bundleUrl);
+    });
+
+    it('should leave entries it cannot map untouched', async () => {
+      const resolver = new SourceMapResolver({ fetch: false });
+      const entry = { stackTrace: [frame] };
+
+      await resolver.resolveEntry(entry);
+
+      expect(entry).toEqual({ stackTrace: [frame] });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * HttpClient Tests
+ */
+
+const http = require('http');
+const HttpClient = require('../../src/utils/HttpClient');
+
+describe('HttpClient', () => {
+  let server;
+  let port;
+  let lastRequest;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        lastRequest = {
+          method: req.method,
+          url: req.url,
+          body: Buffer.concat(chunks).toString('utf8'),
+        };
+
+        if (
+          req.url.startsWith('/protected') &&
+          req.headers.authorization !== 'Bearer s3cret'
+        ) {
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unauthorized' }));
+          return;
+        }
+
+        if (req.url.startsWith('/missing')) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Not found' }));
+          return;
+        }
+
+        if (req.url.startsWith('/broken')) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html></html>');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  describe('buildPath', () => {
+    it('should append non-empty query parameters', () => {
+      expect(
+        HttpClient.buildPath('/api/logs', {
+          level: 'error',
+          tail: 10,
+          since: undefined,
+          pattern: '',
+        })
+      ).toBe('/api/logs?level=error&tail=10');
+    });
+
+    it('should return the base path without parameters', () => {
+      expect(HttpClient.buildPath('/api/logs')).toBe('/api/logs');
+    });
+  });
+
+  describe('request', () => {
+    it('should GET and parse JSON', async () => {
+      const data = await HttpClient.get({
+        host: '127.0.0.1',
+        port,
+        path: '/api/logs',
+        query: { level: 'info' },
+      });
+
+      expect(data).toEqual({ ok: true });
+      expect(lastRequest.url).toBe('/api/logs?level=info');
+    });
+
+    it('should send JSON bodies', async () => {
+      await HttpClient.request({
+        host: '127.0.0.1',
+        port,
+        method: 'POST',
+        path: '/api/logs',
+        body: { logs: [] },
+      });
+
+      expect(lastRequest.method).toBe('POST');
+      expect(JSON.parse(lastRequest.body)).toEqual({ logs: [] });
+    });
+
+    it('should reject with the server error message', async () => {
+      await expect(
+        HttpClient.get({ host: '127.0.0.1', port, path: '/missing' })
+      ).rejects.toMatchObject({
+        message: 'Not found (/missing)',
+        statusCode: 404,
+      });
+    });
+
+    it('should send a bearer token when given', async () => {
+      await expect(
+        HttpClient.get({
+          host: '127.0.0.1',
+          port,
+          path: '/protected',
+          token: 's3cret',
+        })
+      ).resolves.toEqual({ ok: true });
+
+      await expect(
+        HttpClient.get({ host: '127.0.0.1', port, path: '/protected' })
+      ).rejects.toMatchObject({
+        message: `Server on 127.0.0.1:${port} requires a token (pass --token) (/protected)`,
+        statusCode: 401,
+      });
+    });
+
+    it('should reject non-JSON responses', async () => {
+      await expect(
+        HttpClient.get({ host: '127.0.0.1', port, path: '/broken' })
+      ).rejects.toThrow('Invalid JSON response from /broken');
+    });
+
+    it('should explain when no server is listening', async () => {
+      await expect(
+        HttpClient.get({ host: '127.0.0.1', port: 1, path: '/api/logs' })
+      ).rejects.toThrow('No Console Log Pipe server on 127.0.0.1:1');
+    });
+  });
+});
@@ -107,6 +107,58 @@ describe('LogFormatter', () => {
       expect(result).toBe(JSON.stringify(mockErrorData, null, 2));
     });
 
+    it('should read stack and severity from nested browser errors', () => {
+      const result = LogFormatter.formatError(
+        {
+          type: 'error',
+          message: 'x is not defined',
+          error: {
+            name: 'ReferenceError',
+            stack: 'ReferenceError at app.js:1',
+          },
+          category: 'reference',
+          severity: { level: 'high', score: 7 },
+        },
+        { color: false }
+      );
+
+      expect(result).toContain('[ERROR] x is not defined');
+      expect(result).toContain('ReferenceError at app.js:1');
+      expect(result).toContain('[reference] (high)');
+    });
+
+    it('should prefer source-mapped stacks and show the original code', () => {
+      const result = LogFormatter.formatError(
+        {
+          type: 'error',
+          message: 'total is undefined',
+          error: {
+            stack: 'TypeError: total is undefined\n    at a (index.js:1:120)',
+            resolvedStack:
+              'TypeError: total is undefined\n    at checkout (src/cart.ts:42:11)',
+          },
+          stackTrace: [
+            {
+              file: 'index.js',
+              line: 1,
+              column: 120,
+              original: {
+                file: 'src/cart.ts',
+                line: 42,
+                column: 11,
+                snippet: '> 42 |   return total.toFixed(2);',
+              },
+            },
+          ],
+        },
+        { color: false }
+      );
+
+      expect(result).toContain('at checkout (src/cart.ts:42:11)');
+      expect(result).not.toContain('index.js:1:120');
+      expect(result).toContain('> 42 |   return total.toFixed(2);');
+    });
+
     it('should handle error without stack trace', () => {
       const errorWithoutStack = { ...mockErrorData };
       delete errorWithoutStack.stack;
@@ -156,6 +208,38 @@ describe('LogFormatter', () => {
       expect(result).toContain('500');
       expect(result).toContain('RED_BOLD');
     });
+
+    it('should read nested request, response and timing from browser entries', () => {
+      const result = LogFormatter.formatNetwork(
+        {
+          type: 'network',
+          subtype: 'response',
+          request: { url: '/api/users', method: 'post' },
+          response: { status: 201 },
+          timing: { durationMs: 42 },
+        },
+        { color: false }
+      );
+
+      expect(result).toContain('[NET] POST /api/users 201 42ms');
+    });
+
+    it('should show the failure reason of network errors', () => {
+      const result = LogFormatter.formatNetwork(
+        {
+          type: 'network',
+          subtype: 'error',
+          error: {
+            url: '/api/users',
+            method: 'GET',
+            message: 'Failed to fetch',
+          },
+        },
+        { color: false }
+      );
+
+      expect(result).toContain('GET /api/users Failed to fetch');
+    });
   });
 
   describe('formatLogAsText', () => {
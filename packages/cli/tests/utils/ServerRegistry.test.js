@@ -0,0 +1,84 @@
+/**
+ * ServerRegistry Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ServerRegistry = require('../../src/utils/ServerRegistry');
+
+describe('ServerRegistry', () => {
+  const originalDir = ServerRegistry.registryDir;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clp-registry-'));
+    ServerRegistry.registryDir = path.join(tempDir, 'servers');
+  });
+
+  afterEach(() => {
+    ServerRegistry.registryDir = originalDir;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should register and read back a server entry', async () => {
+    const entry = await ServerRegistry.register(3001, {
+      host: 'localhost',
+      sessionId: 'session-1',
+    });
+
+    expect(entry).toMatchObject({
+      port: 3001,
+      host: 'localhost',
+      pid: process.pid,
+      sessionId: 'session-1',
+      type: 'log-server',
+    });
+    expect(entry.startTime).toBeDefined();
+    await expect(ServerRegistry.get(3001)).resolves.toEqual(entry);
+  });
+
+  it('should list entries sorted by port and skip unrelated files', async () => {
+    await ServerRegistry.register(3005, {});
+    await ServerRegistry.register(3001, {});
+    fs.writeFileSync(path.join(ServerRegistry.registryDir, 'notes.txt'), '');
+    fs.writeFileSync(path.join(ServerRegistry.registryDir, '3009.json'), '{');
+
+    const entries = await ServerRegistry.list();
+
+    expect(entries.map(entry => entry.port)).toEqual([3001, 3005]);
+  });
+
+  it('should return an empty list when the registry does not exist', async () => {
+    await expect(ServerRegistry.list()).resolves.toEqual([]);
+  });
+
+  it('should only unregister entries owned by the given pid', async () => {
+    await ServerRegistry.register(3001, { pid: 12345 });
+
+    await expect(ServerRegistry.unregister(3001, 999)).resolves.toBe(false);
+    await expect(ServerRegistry.get(3001)).resolves.not.toBeNull();
+
+    await expect(ServerRegistry.unregister(3001, 12345)).resolves.toBe(true);
+    await expect(ServerRegistry.get(3001)).resolves.toBeNull();
+  });
+
+  it('should unregister synchronously', async () => {
+    await ServerRegistry.register(3001, {});
+
+    expect(ServerRegistry.unregisterSync(3001, process.pid)).toBe(true);
+    expect(ServerRegistry.unregisterSync(3001, process.pid)).toBe(false);
+  });
+
+  it('should detect whether a process is alive', () => {
+    expect(ServerRegistry.isProcessAlive(process.pid)).toBe(true);
+    expect(ServerRegistry.isProcessAlive(null)).toBe(false);
+
+    jest.spyOn(process, 'kill').mockImplementationOnce(() => {
+      const error = new Error('No such process');
+      error.code = 'ESRCH';
+      throw error;
+    });
+    expect(ServerRegistry.isProcessAlive(999999)).toBe(false);
+  });
+});
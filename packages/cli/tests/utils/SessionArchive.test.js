@@ -0,0 +1,169 @@
+/**
+ * SessionArchive Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const SessionArchive = require('../../src/utils/SessionArchive');
+
+describe('SessionArchive', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clp-archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const entries = [
+    {
+      type: 'log',
+      level: 'info',
+      message: 'first',
+      timestamp: '2024-05-01T12:00:00.000Z',
+    },
+    {
+      type: 'error',
+      level: 'error',
+      message: 'boom',
+      receivedAt: '2024-05-01T12:00:02.000Z',
+    },
+    {
+      type: 'network',
+      url: '/api/cart',
+      status: 500,
+      timestamp: '2024-05-01T12:01:00.000Z',
+    },
+  ];
+
+  describe('create', () => {
+    it('should record the time span and contents', () => {
+      const archive = SessionArchive.create({
+        entries,
+        sessions: [{ sessionId: 'tab-a' }],
+        source: { port: 3001 },
+      });
+
+      expect(archive).toMatchObject({
+        format: 'console-log-pipe-archive',
+        version: 1,
+        exportedAt: expect.any(String),
+        source: { port: 3001 },
+        startTime: '2024-05-01T12:00:00.000Z',
+        endTime: '2024-05-01T12:01:00.000Z',
+        sessions: [{ sessionId: 'tab-a' }],
+        storage: null,
+        entries,
+      });
+    });
+
+    it('should handle empty recordings', () => {
+      const archive = SessionArchive.create({});
+
+      expect(archive.startTime).toBeNull();
+      expect(archive.endTime).toBeNull();
+      expect(archive.entries).toEqual([]);
+    });
+  });
+
+  describe('write and read', () => {
+    it('should gzip .gz files and read them back', async () => {
+      const archive = SessionArchive.create({ entries });
+      const file = await SessionArchive.write(
+        path.join(directory, 'nested', 'session.clp.json.gz'),
+        archive
+      );
+
+      const content = fs.readFileSync(file);
+      expect(JSON.parse(zlib.gunzipSync(content)).entries).toHaveLength(3);
+      expect(await SessionArchive.read(file)).toEqual(archive);
+    });
+
+    it('should write plain JSON otherwise', async () => {
+      const archive = SessionArchive.create({ entries });
+      const file = await SessionArchive.write(
+        path.join(directory, 'session.json'),
+        archive
+      );
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(archive);
+      expect(await SessionArchive.read(file)).toEqual(archive);
+    });
+
+    it('should reject missing, malformed and foreign files', async () => {
+      const foreign = path.join(directory, 'other.json');
+      const broken = path.join(directory, 'broken.json');
+      fs.writeFileSync(foreign, JSON.stringify({ logs: [] }));
+      fs.writeFileSync(broken, '{');
+
+      await expect(
+        SessionArchive.read(path.join(directory, 'missing.json'))
+      ).rejects.toThrow('Cannot read archive');
+      await expect(SessionArchive.read(broken)).rejects.toThrow(
+        'Cannot parse archive'
+      );
+      await expect(SessionArchive.read(foreign)).rejects.toThrow(
+        'Not a Console Log Pipe archive'
+      );
+    });
+
+    it('should reject archives from newer versions', () => {
+      expect(() =>
+        SessionArchive.validate({
+          ...SessionArchive.create({ entries }),
+          version: 99,
+        })
+      ).toThrow('Unsupported archive version 99');
+    });
+  });
+
+  describe('parseSpeed', () => {
+    it('should parse speed factors', () => {
+      expect(SessionArchive.parseSpeed(undefined)).toBe(1);
+      expect(SessionArchive.parseSpeed('2x')).toBe(2);
+      expect(SessionArchive.parseSpeed('0.5')).toBe(0.5);
+      expect(SessionArchive.parseSpeed('MAX')).toBe(Infinity);
+      expect(SessionArchive.parseSpeed('0')).toBeNull();
+      expect(SessionArchive.parseSpeed('fast')).toBeNull();
+    });
+  });
+
+  describe('delays', () => {
+    it('should reproduce the recorded pacing with long gaps capped', () => {
+      expect(SessionArchive.delays(entries)).toEqual([0, 2000, 5000]);
+      expect(SessionArchive.delays(entries, 2)).toEqual([0, 1000, 2500]);
+      expect(SessionArchive.delays(entries, Infinity)).toEqual([0, 0, 0]);
+    });
+
+    it('should not pause for entries without a time', () => {
+      expect(
+        SessionArchive.delays([entries[0], { message: 'undated' }, entries[1]])
+      ).toEqual([0, 0, 2000]);
+    });
+  });
+
+  describe('toReplayEntry', () => {
+    it('should drop the fields the server assigns', () => {
+      const entry = {
+        id: 'abc',
+        seq: 4,
+        clientId: 'client-1',
+        fingerprint: 'f00',
+        occurrence: 2,
+        type: 'error',
+        message: 'boom',
+      };
+
+      expect(SessionArchive.toReplayEntry(entry)).toEqual({
+        clientId: 'client-1',
+        type: 'error',
+        message: 'boom',
+      });
+      expect(entry.id).toBe('abc');
+    });
+  });
+});
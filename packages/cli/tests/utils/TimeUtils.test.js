@@ -214,6 +214,24 @@ describe('TimeUtils', () => {
     });
   });
 
+  describe('parseDuration', () => {
+    it('should parse durations with units', () => {
+      expect(TimeUtils.parseDuration('30s')).toBe(30000);
+      expect(TimeUtils.parseDuration('2m')).toBe(120000);
+      expect(TimeUtils.parseDuration('1h')).toBe(3600000);
+      expect(TimeUtils.parseDuration('1d')).toBe(86400000);
+      expect(TimeUtils.parseDuration('250ms')).toBe(250);
+      expect(TimeUtils.parseDuration('1500')).toBe(1500);
+    });
+
+    it('should return null for anything else', () => {
+      expect(TimeUtils.parseDuration(undefined)).toBeNull();
+      expect(TimeUtils.parseDuration('soon')).toBeNull();
+      expect(TimeUtils.parseDuration('-5m')).toBeNull();
+      expect(TimeUtils.parseDuration('2w')).toBeNull();
+    });
+  });
+
   describe('parseTimeString', () => {
     it('should parse relative time strings', () => {
       const now = Date.now();
@@ -26,6 +26,7 @@ class ConsoleLogPipe {
     this.config = {
       // Application context (optional, for backwards compatibility only)
       sessionId: options.sessionId || this._generateSessionId(),
+      tabId: options.tabId || this._getTabId(),
       environment: options.environment || this._detectEnvironment(),
       developer: options.developer || this._detectDeveloper(),
       branch: options.branch || this._detectBranch(),
@@ -34,6 +35,7 @@ class ConsoleLogPipe {
       serverHost: options.serverHost || 'localhost',
       serverPort: options.serverPort || 3001,
       serverPath: options.serverPath || '/api/logs',
+      authToken: options.authToken || null, // for servers started with --token
       enableRemoteLogging: options.enableRemoteLogging !== false,
 
       // Feature toggles
@@ -62,8 +64,10 @@ class ConsoleLogPipe {
       batchTimeout: options.batchTimeout || 1000,
 
       // Transport options
+      transport: options.transport || 'auto', // 'auto' | 'websocket' | 'http'
       maxRetries: options.maxRetries || 3,
       retryDelay: options.retryDelay || 1000,
+      maxRetryDelay: options.maxRetryDelay || 10000,
       enableCompression: options.enableCompression !== false,
       enableAutoDiscovery: options.enableAutoDiscovery !== false,
 
@@ -202,10 +206,9 @@ class ConsoleLogPipe {
     }
 
     try {
-      // Initialize WebSocket transport layer
+      // Initialize transport layer (WebSocket with HTTP fallback)
       if (this.config.enableRemoteLogging) {
-        this.components.transport = this._createWebSocketTransport();
-        await this.components.transport.initialize();
+        this.components.transport = await this._initializeTransport();
       }
 
       // Initialize log capture
@@ -228,6 +231,11 @@ class ConsoleLogPipe {
       if (this.config.enableNetworkCapture) {
         this.components.networkCapture = new NetworkCapture({
           ...this.config,
+          // Never capture the transport's own requests to the CLI server
+          excludeUrls: [
+            ...this.config.excludeUrls,
+            `${this._getServerUrl('http')}${this.config.serverPath}`,
+          ],
           onNetworkData: this._handleNetworkData,
         });
       }
@@ -384,6 +392,7 @@ class ConsoleLogPipe {
   getSession() {
     return {
       sessionId: this.config.sessionId,
+      tabId: this.config.tabId,
       environment: this.config.environment,
       developer: this.config.developer,
       branch: this.config.branch,
@@ -403,78 +412,283 @@ class ConsoleLogPipe {
   }
 
   /**
-   * Create WebSocket transport
+   * Create the transport for the configured mode. In 'auto' mode WebSocket is
+   * preferred; when it cannot connect but the server answers over HTTP (e.g.
+   * WebSocket blocked by a proxy or CSP) the HTTP transport is used instead.
    */
-  _createWebSocketTransport() {
-    const wsUrl = `ws://${this.config.serverHost}:${this.config.serverPort}`;
+  async _initializeTransport() {
+    const mode = this.config.transport;
+
+    if (mode !== 'http' && typeof WebSocket !== 'undefined') {
+      const wsTransport = this._createWebSocketTransport();
+      await wsTransport.initialize();
+
+      if (
+        mode === 'websocket' ||
+        wsTransport.isConnected ||
+        !(await this._isServerReachable())
+      ) {
+        return wsTransport;
+      }
+
+      wsTransport.destroy();
+    }
+
+    const httpTransport = this._createHttpTransport();
+    await httpTransport.initialize();
+    return httpTransport;
+  }
+
+  /**
+   * Check whether the CLI server answers plain HTTP requests
+   */
+  async _isServerReachable() {
+    if (typeof fetch !== 'function') {
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${this._getServerUrl('http')}/api/health`);
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the CLI server base URL for a protocol ('http' or 'ws')
+   */
+  _getServerUrl(protocol) {
+    return `${protocol}://${this.config.serverHost}:${this.config.serverPort}`;
+  }
+
+  /**
+   * Append the auth token to a URL for requests that cannot send an
+   * Authorization header (WebSocket handshake, sendBeacon)
+   */
+  _withAuthToken(url) {
+    if (!this.config.authToken) {
+      return url;
+    }
+
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}token=${encodeURIComponent(
+      this.config.authToken
+    )}`;
+  }
+
+  /**
+   * Create the queueing core shared by the WebSocket and HTTP transports
+   *
+   * Entries are queued and sent in batches. While the server is unreachable
+   * the queue holds up to maxQueueSize entries (oldest are dropped first) and
+   * the transport retries with exponential backoff and then every
+   * maxRetryDelay ms, so logs emitted before the CLI server is up, or while
+   * it restarts, are delivered once it becomes reachable. Entries
+   * still queued on `pagehide` are sent with navigator.sendBeacon.
+   *
+   * Transports add `_isOpen()`, `_deliver(batch)` and `_reconnect()`.
+   */
+  _createTransportCore() {
+    const {
+      maxRetries,
+      retryDelay,
+      maxRetryDelay,
+      maxQueueSize,
+      batchSize,
+      batchTimeout,
+    } = this.config;
+    const beaconUrl = this._withAuthToken(
+      `${this._getServerUrl('http')}${this.config.serverPath}`
+    );
 
     return {
-      ws: null,
       isConnected: false,
+      isDestroyed: false,
+      queue: [],
+      batchTimer: null,
+      reconnectTimer: null,
+      reconnectAttempts: 0,
       messagesSent: 0,
+      messagesAcked: 0,
+      messagesDropped: 0,
+      pageHideHandler: null,
 
-      async initialize() {
-        return new Promise((resolve, reject) => {
-          try {
-            this.ws = new WebSocket(wsUrl);
+      send(entry) {
+        this._enqueue([this._createMessage(entry)]);
 
-            this.ws.onopen = () => {
-              this.isConnected = true;
-              // Silent connection - no logging to prevent recursion
-              resolve();
-            };
-
-            this.ws.onerror = error => {
-              this.isConnected = false;
-              // Silent error handling - no logging to prevent recursion
-              reject(error);
-            };
-
-            this.ws.onclose = () => {
-              this.isConnected = false;
-              // Silent close - no logging to prevent recursion
-            };
-
-            this.ws.onmessage = event => {
-              // Handle server messages if needed
-              try {
-                JSON.parse(event.data);
-                // Process server messages silently
-              } catch (error) {
-                // Ignore parsing errors
-              }
-            };
-          } catch (error) {
-            reject(error);
+        if (!this._isOpen()) {
+          return;
+        }
+
+        if (this.queue.length >= batchSize) {
+          this._sendQueued();
+        } else if (!this.batchTimer) {
+          this.batchTimer = setTimeout(() => this._sendQueued(), batchTimeout);
+        }
+      },
+
+      /**
+       * Add messages to the end of the queue, dropping the oldest entries
+       * beyond maxQueueSize
+       */
+      _enqueue(messages, prepend = false) {
+        if (prepend) {
+          this.queue.unshift(...messages);
+        } else {
+          this.queue.push(...messages);
+        }
+
+        if (this.queue.length > maxQueueSize) {
+          this.messagesDropped += this.queue.length - maxQueueSize;
+          this.queue.splice(0, this.queue.length - maxQueueSize);
+        }
+      },
+
+      /**
+       * Send everything in the queue, batchSize entries at a time. Entries
+       * stay queued while the transport is not open or a delivery fails.
+       */
+      _sendQueued() {
+        if (this.batchTimer) {
+          clearTimeout(this.batchTimer);
+          this.batchTimer = null;
+        }
+
+        while (this.queue.length > 0 && this._isOpen()) {
+          const batch = this.queue.slice(0, batchSize);
+          if (!this._deliver(batch)) {
+            return;
           }
-        });
+          this.queue.splice(0, batch.length);
+        }
+      },
+
+      /**
+       * Retry with exponential backoff for maxRetries attempts, then keep
+       * retrying every maxRetryDelay ms until the server is back
+       */
+      _scheduleReconnect() {
+        if (this.isDestroyed || this.reconnectTimer) {
+          return;
+        }
+
+        const delay =
+          this.reconnectAttempts < maxRetries
+            ? Math.min(
+                retryDelay * Math.pow(2, this.reconnectAttempts),
+                maxRetryDelay
+              )
+            : maxRetryDelay;
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          this._reconnect();
+        }, delay);
+      },
+
+      _cancelReconnect() {
+        if (this.reconnectTimer) {
+          clearTimeout(this.reconnectTimer);
+          this.reconnectTimer = null;
+        }
+      },
+
+      _listenForPageHide() {
+        if (typeof window === 'undefined' || this.pageHideHandler) {
+          return;
+        }
+        this.pageHideHandler = () => this._sendBeacon();
+        window.addEventListener('pagehide', this.pageHideHandler);
+      },
+
+      _stopListeningForPageHide() {
+        if (typeof window !== 'undefined' && this.pageHideHandler) {
+          window.removeEventListener('pagehide', this.pageHideHandler);
+        }
+        this.pageHideHandler = null;
       },
 
-      send(logData) {
+      /**
+       * Hand queued entries to the browser so they survive navigation. The
+       * body is sent as text/plain, which sendBeacon can post cross-origin
+       * without a CORS preflight.
+       */
+      _sendBeacon() {
         if (
-          this.ws &&
-          this.isConnected &&
-          this.ws.readyState === WebSocket.OPEN
+          this.queue.length === 0 ||
+          typeof navigator === 'undefined' ||
+          typeof navigator.sendBeacon !== 'function'
         ) {
-          try {
-            // Transform log data to format expected by CLI server
-            const messageData = {
-              type: logData.level === 'error' ? 'error' : 'log',
-              data: {
-                level: logData.level,
-                message: logData.message || this._formatArgs(logData.args),
-                timestamp: logData.timestamp,
-                source: 'browser',
-                sessionId: logData.sessionId,
-                args: logData.args,
-              },
-            };
-
-            this.ws.send(JSON.stringify(messageData));
-            this.messagesSent++;
-          } catch (error) {
-            // Silent error handling to prevent recursion
+          return false;
+        }
+
+        const body = this._serialize({
+          logs: this.queue.map(message => message.data),
+        });
+
+        try {
+          if (!navigator.sendBeacon(beaconUrl, body)) {
+            return false;
           }
+        } catch (error) {
+          // Silent error handling to prevent recursion
+          return false;
+        }
+
+        this.messagesSent += this.queue.length;
+        this.queue = [];
+        return true;
+      },
+
+      _destroyCore() {
+        this.isDestroyed = true;
+        if (this.batchTimer) {
+          clearTimeout(this.batchTimer);
+          this.batchTimer = null;
+        }
+        this._cancelReconnect();
+        this._stopListeningForPageHide();
+      },
+
+      /**
+       * Wrap a captured entry in the message format expected by the CLI
+       * server, keeping its full structured payload (stack traces, categories,
+       * request/response details) instead of only level and message
+       */
+      _createMessage(entry) {
+        const type = ['log', 'error', 'network'].includes(entry.type)
+          ? entry.type
+          : 'log';
+
+        return {
+          type,
+          data: {
+            ...entry,
+            type,
+            message: entry.message || this._formatArgs(entry.args),
+            source: 'browser',
+          },
+        };
+      },
+
+      /**
+       * JSON.stringify that replaces circular references instead of throwing
+       */
+      _serialize(message) {
+        try {
+          return JSON.stringify(message);
+        } catch (error) {
+          const seen = new WeakSet();
+          return JSON.stringify(message, (key, value) => {
+            if (typeof value === 'object' && value !== null) {
+              if (seen.has(value)) {
+                return '[Circular]';
+              }
+              seen.add(value);
+            }
+            return value;
+          });
         }
       },
 
@@ -494,32 +708,272 @@ class ConsoleLogPipe {
           .join(' ');
       },
 
+      getStats() {
+        return {
+          connected: this.isConnected,
+          messagesSent: this.messagesSent,
+          messagesQueued: this.queue.length,
+          messagesAcked: this.messagesAcked,
+          messagesDropped: this.messagesDropped,
+          reconnectAttempts: this.reconnectAttempts,
+          lastActivity: Date.now(),
+        };
+      },
+    };
+  }
+
+  /**
+   * Create WebSocket transport
+   */
+  _createWebSocketTransport() {
+    const wsUrl = this._withAuthToken(this._getServerUrl('ws'));
+    const getSessionInfo = () => this._getSessionInfo();
+
+    return Object.assign(this._createTransportCore(), {
+      type: 'websocket',
+      ws: null,
+
+      /**
+       * Open the first connection. Resolves once connected or once the first
+       * attempt fails - in that case entries are queued until a reconnect
+       * succeeds.
+       */
+      async initialize() {
+        this.isDestroyed = false;
+        this._listenForPageHide();
+        await this._connect();
+      },
+
+      _connect() {
+        return new Promise(resolve => {
+          let settled = false;
+          const settle = () => {
+            if (!settled) {
+              settled = true;
+              resolve();
+            }
+          };
+
+          try {
+            this.ws = new WebSocket(wsUrl);
+          } catch (error) {
+            this.ws = null;
+            this._scheduleReconnect();
+            settle();
+            return;
+          }
+
+          this.ws.onopen = () => {
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            // Silent connection - no logging to prevent recursion
+            this._sendHello();
+            this._sendQueued();
+            settle();
+          };
+
+          this.ws.onerror = () => {
+            // Silent error handling - onclose schedules the reconnect
+            settle();
+          };
+
+          this.ws.onclose = () => {
+            this.isConnected = false;
+            this.ws = null;
+            // Silent close - no logging to prevent recursion
+            this._scheduleReconnect();
+            settle();
+          };
+
+          this.ws.onmessage = event => {
+            let message;
+            try {
+              message = JSON.parse(event.data);
+            } catch (error) {
+              // Ignore parsing errors
+              return;
+            }
+            this._handleServerMessage(message);
+          };
+        });
+      },
+
+      _reconnect() {
+        return this._connect();
+      },
+
+      /**
+       * Identify as a producer so the server does not echo broadcasts back,
+       * and tell it which tab this connection belongs to
+       */
+      _sendHello() {
+        try {
+          this.ws.send(
+            this._serialize({
+              type: 'hello',
+              role: 'producer',
+              capabilities: ['batch', 'ack', 'command'],
+              session: getSessionInfo(),
+            })
+          );
+        } catch (error) {
+          // Silent error handling to prevent recursion
+        }
+      },
+
+      /**
+       * Handle acks and commands sent by the server
+       */
+      _handleServerMessage(message) {
+        if (!message) {
+          return;
+        }
+
+        if (message.type === 'ack') {
+          this.messagesAcked += message.received || 0;
+        } else if (message.type === 'command' && message.command === 'flush') {
+          this._sendQueued();
+        }
+      },
+
+      _isOpen() {
+        return (
+          this.ws && this.isConnected && this.ws.readyState === WebSocket.OPEN
+        );
+      },
+
+      _deliver(batch) {
+        const frame =
+          batch.length === 1 ? batch[0] : { type: 'batch', messages: batch };
+
+        try {
+          this.ws.send(this._serialize(frame));
+        } catch (error) {
+          // Silent error handling to prevent recursion
+          return false;
+        }
+
+        this.messagesSent += batch.length;
+        return true;
+      },
+
       disconnect() {
+        this._cancelReconnect();
         if (this.ws) {
-          this.ws.close();
+          const ws = this.ws;
           this.ws = null;
           this.isConnected = false;
+          ws.onclose = null;
+          ws.close();
         }
       },
 
+      /**
+       * Send all queued entries now. When disconnected the entries stay
+       * queued and a reconnect is attempted.
+       */
       async flush() {
-        // For WebSocket, there's no buffering to flush
-        // This is a no-op but required for the interface
-        return Promise.resolve();
+        if (this._isOpen()) {
+          this._sendQueued();
+        } else if (!this.isDestroyed && !this.reconnectTimer && !this.ws) {
+          this.reconnectAttempts = 0;
+          await this._connect();
+        }
       },
 
       destroy() {
+        this._destroyCore();
         this.disconnect();
       },
+    });
+  }
 
-      getStats() {
-        return {
-          connected: this.isConnected,
-          messagesSent: this.messagesSent,
-          lastActivity: Date.now(),
-        };
+  /**
+   * Create HTTP transport that POSTs batches to the server's serverPath
+   * (default /api/logs). Used when WebSocket is unavailable or blocked.
+   */
+  _createHttpTransport() {
+    const url = `${this._getServerUrl('http')}${this.config.serverPath}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.authToken) {
+      headers.Authorization = `Bearer ${this.config.authToken}`;
+    }
+
+    return Object.assign(this._createTransportCore(), {
+      type: 'http',
+      inFlight: null,
+
+      async initialize() {
+        this.isDestroyed = false;
+        this.isConnected = true;
+        this._listenForPageHide();
       },
-    };
+
+      _reconnect() {
+        this.isConnected = true;
+        this._sendQueued();
+      },
+
+      /**
+       * One request at a time keeps entries in order if a request fails
+       */
+      _isOpen() {
+        return (
+          this.isConnected && !this.inFlight && typeof fetch === 'function'
+        );
+      },
+
+      _deliver(batch) {
+        this.inFlight = fetch(url, {
+          method: 'POST',
+          headers,
+          body: this._serialize({ logs: batch.map(message => message.data) }),
+        })
+          .then(response => {
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            // A successful response acknowledges the whole batch
+            this.messagesSent += batch.length;
+            this.messagesAcked += batch.length;
+            this.reconnectAttempts = 0;
+          })
+          .catch(() => {
+            // Silent error handling - keep the batch and retry later
+            this._enqueue(batch, true);
+            this.isConnected = false;
+            this._scheduleReconnect();
+          })
+          .then(() => {
+            this.inFlight = null;
+            this._sendQueued();
+          });
+
+        return true;
+      },
+
+      /**
+       * Send all queued entries and wait for the requests to finish. After
+       * failed retries this starts a new round of attempts.
+       */
+      async flush() {
+        if (!this.isConnected && !this.isDestroyed) {
+          this._cancelReconnect();
+          this.reconnectAttempts = 0;
+          this.isConnected = true;
+        }
+
+        this._sendQueued();
+        while (this.inFlight) {
+          await this.inFlight;
+        }
+      },
+
+      destroy() {
+        this._destroyCore();
+        this.isConnected = false;
+      },
+    });
   }
 
   /**
@@ -533,6 +987,7 @@ class ConsoleLogPipe {
     const enhancedLogData = {
       ...logData,
       sessionId: this.config.sessionId,
+      tabId: this.config.tabId,
       environment: this.config.environment,
     };
 
@@ -561,9 +1016,18 @@ class ConsoleLogPipe {
     this.stats.totalErrors++;
     this.stats.lastActivity = Date.now();
 
+    // Tag with stream type and session information for the server
+    const enhancedErrorData = {
+      ...errorData,
+      type: 'error',
+      sessionId: this.config.sessionId,
+      tabId: this.config.tabId,
+      environment: this.config.environment,
+    };
+
     // Send to transport
     if (this.components.transport) {
-      this.components.transport.send(errorData);
+      this.components.transport.send(enhancedErrorData);
     }
 
     // Notify listeners
@@ -584,9 +1048,18 @@ class ConsoleLogPipe {
     this.stats.totalNetworkRequests++;
     this.stats.lastActivity = Date.now();
 
+    // Tag with stream type and session information for the server
+    const enhancedNetworkData = {
+      ...networkData,
+      type: 'network',
+      sessionId: this.config.sessionId,
+      tabId: this.config.tabId,
+      environment: this.config.environment,
+    };
+
     // Send to transport
     if (this.components.transport) {
-      this.components.transport.send(networkData);
+      this.components.transport.send(enhancedNetworkData);
     }
 
     // Notify listeners
@@ -600,6 +1073,49 @@ class ConsoleLogPipe {
     });
   }
 
+  /**
+   * Get an id for the current browser tab. It is kept in sessionStorage,
+   * which is scoped to the tab, so it survives reloads but differs per tab.
+   */
+  _getTabId() {
+    const key = 'clp_tab_id';
+    const generate = () => `tab_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+      const stored = window.sessionStorage.getItem(key);
+      if (stored) {
+        return stored;
+      }
+
+      const tabId = generate();
+      window.sessionStorage.setItem(key, tabId);
+      return tabId;
+    } catch (error) {
+      // No window or storage access (e.g. sandboxed iframe)
+      return generate();
+    }
+  }
+
+  /**
+   * Describe this client for the server's session list
+   */
+  _getSessionInfo() {
+    const hasWindow = typeof window !== 'undefined';
+
+    return {
+      sessionId: this.config.sessionId,
+      tabId: this.config.tabId,
+      applicationName: this.config.applicationName,
+      environment: this.config.environment,
+      url: hasWindow && window.location ? window.location.href : null,
+      title:
+        typeof document !== 'undefined' && document.title
+          ? document.title
+          : null,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    };
+  }
+
   /**
    * Generate a unique session ID
    */
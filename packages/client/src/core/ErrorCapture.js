@@ -5,6 +5,8 @@
  * processes stack traces, and provides AI-friendly error categorization.
  */
 
+const StackParser = require('./StackParser');
+
 class ErrorCapture {
   constructor(options = {}) {
     this.options = {
@@ -258,7 +260,12 @@ class ErrorCapture {
       // AI-friendly categorization
       category: this._categorizeError(type, message, errorData),
       severity: this._calculateErrorSeverity(type, message, errorData),
-      tags: this._generateErrorTags(type, message, errorData),
+      tags: this._generateErrorTags(
+        type,
+        message,
+        errorData,
+        stackTrace.parsed
+      ),
 
       // Performance metrics (if enabled)
       performance: this.options.enablePerformanceTracking
@@ -373,29 +380,7 @@ class ErrorCapture {
    * @private
    */
   _parseStackFrame(frame) {
-    // Basic stack frame parsing - can be enhanced for different browsers
-    const match = frame.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-    if (match) {
-      return {
-        function: match[1] || 'anonymous',
-        file: match[2],
-        line: parseInt(match[3], 10),
-        column: parseInt(match[4], 10),
-      };
-    }
-
-    // Alternative format
-    const simpleMatch = frame.match(/at\s+(.+?):(\d+):(\d+)/);
-    if (simpleMatch) {
-      return {
-        function: 'anonymous',
-        file: simpleMatch[1],
-        line: parseInt(simpleMatch[2], 10),
-        column: parseInt(simpleMatch[3], 10),
-      };
-    }
-
-    return null;
+    return StackParser.parseFrame(frame);
   }
 
   /**
@@ -573,10 +558,11 @@ class ErrorCapture {
    * @param {string} type - Error type
    * @param {string} message - Error message
    * @param {Object} errorData - Error data
+   * @param {Array} [frames] - Parsed stack frames
    * @returns {Array} Tags array
    * @private
    */
-  _generateErrorTags(type, message, _errorData) {
+  _generateErrorTags(type, message, _errorData, frames = []) {
     const tags = ['error', type];
     const lowerMessage = message.toLowerCase();
 
@@ -597,6 +583,10 @@ class ErrorCapture {
     if (this.options.environment) tags.push(this.options.environment);
     if (this.options.branch) tags.push(`branch:${this.options.branch}`);
 
+    // Thrown from a dependency rather than application code
+    const origin = frames.find(frame => !frame.native);
+    if (origin && !origin.inApp) tags.push('library');
+
     return [...new Set(tags)]; // Remove duplicates
   }
 
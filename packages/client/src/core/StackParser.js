@@ -0,0 +1,181 @@
+/**
+ * StackParser - Cross-browser stack trace parsing
+ *
+ * Parses the stack formats of V8 (Chrome, Edge, Node), SpiderMonkey (Firefox)
+ * and JavaScriptCore (Safari) into frames of the same shape:
+ *
+ *   { function, file, line, column, inApp, async?, eval?, native? }
+ *
+ * `inApp` is false for frames from dependencies, CDNs, browser extensions and
+ * native code, so consumers can point at the first frame of the application.
+ */
+
+class StackParser {
+  // Files that belong to libraries rather than the application
+  static libraryPatterns = [
+    /[/\\]node_modules[/\\]/,
+    /[/\\](?:bower_components|jspm_packages|vendors?)[/\\]/,
+    /[/\\]\.vite[/\\]deps[/\\]/,
+    /[/\\](?:chunk-)?vendors?[.~-]/,
+    /^webpack:\/\/\/?webpack\//,
+    /^(?:chrome|moz|safari(?:-web)?)-extension:\/\//,
+    /^https?:\/\/(?:cdn\.jsdelivr\.net|unpkg\.com|cdnjs\.cloudflare\.com|ajax\.googleapis\.com|code\.jquery\.com)\//,
+    /console-log-pipe/,
+  ];
+
+  /**
+   * Parse a stack trace. Message lines and unknown lines are skipped.
+   * @param {string} stack - Stack trace string
+   * @param {number} [limit] - Maximum number of frames
+   * @returns {Array} Parsed frames
+   */
+  static parse(stack, limit = Infinity) {
+    if (!stack) return [];
+
+    const frames = [];
+    const lines = String(stack).split('\n');
+    for (let i = 0; i < lines.length && frames.length < limit; i++) {
+      const frame = StackParser.parseFrame(lines[i]);
+      if (frame) {
+        frames.push(frame);
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * Parse one stack line
+   * @param {string} line - Stack line
+   * @returns {Object|null} Parsed frame or null
+   */
+  static parseFrame(line) {
+    const text = String(line || '').trim();
+    if (!text) return null;
+
+    return /^at\s/.test(text)
+      ? StackParser._parseV8(text)
+      : StackParser._parseGecko(text);
+  }
+
+  /**
+   * Whether a file belongs to a library rather than the application
+   * @param {string} file - File URL or path
+   * @returns {boolean} True for library files
+   */
+  static isLibraryFile(file) {
+    return (
+      !file ||
+      StackParser.libraryPatterns.some(pattern => pattern.test(String(file)))
+    );
+  }
+
+  /**
+   * `at fn (file:1:2)`, `at file:1:2`, `at async fn (file:1:2)`,
+   * `at eval (eval at fn (file:1:2), <anonymous>:3:4)`, `at Array.map (<anonymous>)`
+   * @private
+   */
+  static _parseV8(text) {
+    const match = text.match(/^at\s+(async\s+)?(?:(.*?)\s+\((.*)\)|(.*))$/);
+    if (!match) return null;
+
+    const name = match[2] || 'anonymous';
+    const location = match[3] !== undefined ? match[3] : match[4];
+    const flags = match[1] ? { async: true } : {};
+
+    if (/^eval at /.test(location)) {
+      // Point at the code that called eval, the eval'd source has no URL
+      const origin = location.match(/\((\S+?):(\d+):(\d+)\)/);
+      return origin
+        ? StackParser._frame(name, origin[1], origin[2], origin[3], {
+            ...flags,
+            eval: true,
+          })
+        : null;
+    }
+
+    if (/^(?:native|<anonymous>|index \d+)$/.test(location)) {
+      // Built-ins such as Array.map or Promise.all
+      return match[3] !== undefined
+        ? StackParser._frame(name, null, null, null, {
+            ...flags,
+            native: true,
+          })
+        : null;
+    }
+
+    const position = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+    if (!position) return null;
+
+    return StackParser._frame(
+      match[3] !== undefined ? name : 'anonymous',
+      position[1],
+      position[2],
+      position[3],
+      flags
+    );
+  }
+
+  /**
+   * SpiderMonkey and JavaScriptCore: `fn@file:1:2`, `@file:1:2`,
+   * `async*fn@file:1:2`, `fn@file line 2 > eval:1:3`, `global code@file:1:2`,
+   * `map@[native code]`
+   * @private
+   */
+  static _parseGecko(text) {
+    const match = text.match(
+      /^(async\*)?((?:global|eval|module) code|(?:[gs]et )?[^@\s]*)@(.*)$/
+    );
+    if (!match) return null;
+
+    const name = match[2].replace(/(?:\/<)+$/, '') || 'anonymous';
+    const location = match[3];
+    const flags = match[1] ? { async: true } : {};
+
+    if (location === '[native code]') {
+      return StackParser._frame(name, null, null, null, {
+        ...flags,
+        native: true,
+      });
+    }
+
+    const evalOrigin = location.match(/^(.*?) line (\d+) > (?:eval|Function)/);
+    if (evalOrigin) {
+      return StackParser._frame(name, evalOrigin[1], evalOrigin[2], null, {
+        ...flags,
+        eval: true,
+      });
+    }
+
+    const position = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+    if (!position) return null;
+
+    return StackParser._frame(
+      name,
+      position[1],
+      position[2],
+      position[3],
+      flags
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _frame(name, file, line, column, flags) {
+    return {
+      function: name,
+      file,
+      line: line ? parseInt(line, 10) : null,
+      column: column ? parseInt(column, 10) : null,
+      inApp: !flags.native && !StackParser.isLibraryFile(file),
+      ...flags,
+    };
+  }
+}
+
+// Export for both CommonJS and ES modules
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = StackParser;
+}
@@ -2,6 +2,8 @@
  * LogUtils - Utility functions for log capture
  */
 
+const StackParser = require('../StackParser');
+
 class LogUtils {
   /**
    * Generate unique session ID
@@ -312,23 +314,7 @@ class LogUtils {
     if (!stack) return null;
 
     try {
-      return stack
-        .split('\n')
-        .slice(1) // Remove the error message line
-        .map(line => {
-          const match = line.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-          if (match) {
-            return {
-              function: match[1],
-              file: match[2],
-              line: parseInt(match[3]),
-              column: parseInt(match[4]),
-            };
-          }
-          return null;
-        })
-        .filter(Boolean)
-        .slice(0, 10); // Limit to 10 frames
+      return StackParser.parse(stack, 10); // Limit to 10 frames
     } catch (error) {
       return null;
     }
@@ -52,7 +52,7 @@ class NetworkFormatter {
       // Request details
       request: {
         id: requestId,
-        url: requestData.url,
+        url: this.sanitizer.sanitizeUrl(requestData.url),
         method: requestData.method.toUpperCase(),
         headers: this.sanitizer.sanitizeHeaders(requestData.headers),
         body: this.sanitizer.sanitizeBody(requestData.body),
@@ -136,7 +136,7 @@ class NetworkFormatter {
           NetworkUtils.getResponseHeaders(response)
         ),
         body: this.sanitizer.sanitizeBody(responseBody),
-        url: timing.url,
+        url: this.sanitizer.sanitizeUrl(timing.url),
         method: timing.method,
         timestamp: timing.endTime,
       },
@@ -219,7 +219,7 @@ class NetworkFormatter {
           NetworkUtils.getXHRResponseHeaders(xhr)
         ),
         body: this.sanitizer.sanitizeBody(responseBody),
-        url: timing.url,
+        url: this.sanitizer.sanitizeUrl(timing.url),
         method: timing.method,
         timestamp: timing.endTime,
       },
@@ -290,7 +290,7 @@ class NetworkFormatter {
         name: error.name,
         message: error.message,
         stack: error.stack,
-        url: timing.url,
+        url: this.sanitizer.sanitizeUrl(timing.url),
         method: timing.method,
         timestamp: timing.endTime,
       },
@@ -20,9 +20,77 @@ class NetworkSanitizer {
         'bearer',
         'basic',
       ],
+      // Body fields and query parameters whose names contain one of these as
+      // whole words (camelCase, snake_case or kebab-case parts, e.g.
+      // `accessToken`, `api_key`, `creditCard`), at any depth
+      sensitiveKeys: options.sensitiveKeys || [
+        'password',
+        'passwd',
+        'token',
+        'secret',
+        'apikey',
+        'authorization',
+        'cookie',
+        'credential',
+        'credentials',
+        'privatekey',
+        'ssn',
+        'cardnumber',
+        'creditcard',
+        'cvv',
+        'cvc',
+      ],
+      // Query parameters redacted only on an exact name match
+      sensitiveParams: options.sensitiveParams || [
+        'key',
+        'auth',
+        'code',
+        'sig',
+        'signature',
+      ],
     };
   }
 
+  /**
+   * Whether a body field or query parameter holds a secret
+   * @param {string} name - Field or parameter name
+   * @param {Object} options - Effective options
+   * @returns {boolean} True when the value must be redacted
+   */
+  isSensitiveKey(name, options = this.options) {
+    const keys = options.sensitiveKeys.map(key =>
+      key.toLowerCase().replace(/[-_.\s]/g, '')
+    );
+    const words = NetworkSanitizer.splitWords(name);
+
+    // Any run of consecutive words, so `pass_word` and `x-api-key` match too
+    for (let start = 0; start < words.length; start++) {
+      let run = '';
+      for (let end = start; end < words.length; end++) {
+        run += words[end];
+        if (keys.includes(run)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Split a field name into lowercase words: `accessToken`, `access_token`,
+   * `access-token` and `ACCESS_TOKEN` all become ['access', 'token']
+   * @param {string} name - Field or parameter name
+   * @returns {string[]} Words
+   */
+  static splitWords(name) {
+    return String(name)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[-_.\s]+/)
+      .filter(Boolean);
+  }
+
   /**
    * Sanitize headers by removing sensitive information
    * @param {Object|Headers} headers - Headers to sanitize
@@ -86,12 +154,24 @@ class NetworkSanitizer {
     let bodyString;
     try {
       if (typeof body === 'string') {
-        bodyString = body;
+        bodyString = this._redactBodyString(body, effectiveOptions);
+      } else if (
+        typeof URLSearchParams !== 'undefined' &&
+        body instanceof URLSearchParams
+      ) {
+        bodyString = this._redactQuery(body.toString(), effectiveOptions);
       } else if (body instanceof FormData) {
         // Convert FormData to readable format
         const formEntries = [];
         for (const [key, value] of body.entries()) {
-          formEntries.push(`${key}=${value}`);
+          formEntries.push(
+            `${key}=${
+              this.isSensitiveKey(key, effectiveOptions) &&
+              typeof value === 'string'
+                ? '[REDACTED]'
+                : value
+            }`
+          );
         }
         bodyString =
           formEntries.length > 0
@@ -102,13 +182,14 @@ class NetworkSanitizer {
       } else if (body instanceof Blob) {
         bodyString = `[Blob: ${body.size} bytes, type: ${body.type}]`;
       } else {
-        bodyString = JSON.stringify(body);
+        bodyString = JSON.stringify(this._redactValue(body, effectiveOptions));
       }
     } catch (error) {
       bodyString = `[Unserializable body: ${error.message}]`;
     }
 
-    // Limit body size
+    // Limit body size (after redaction, so truncation cannot hide a secret
+    // from the parser)
     if (bodyString.length > effectiveOptions.maxBodySize) {
       return `${bodyString.substring(
         0,
@@ -121,25 +202,42 @@ class NetworkSanitizer {
 
   /**
    * Sanitize sensitive data from URL parameters
-   * @param {string} url - URL to sanitize
-   * @returns {string} Sanitized URL
+   * @param {string} url - URL to sanitize (absolute or relative)
+   * @param {Object} options - Override options
+   * @returns {string} Sanitized URL, otherwise unchanged
    */
-  sanitizeUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      const sensitiveParams = ['token', 'key', 'password', 'secret', 'auth'];
+  sanitizeUrl(url, options = {}) {
+    if (typeof url !== 'string') {
+      return url;
+    }
+    const effectiveOptions = { ...this.options, ...options };
 
-      for (const param of sensitiveParams) {
-        if (urlObj.searchParams.has(param)) {
-          urlObj.searchParams.set(param, '[REDACTED]');
-        }
-      }
+    // Query string and fragment (OAuth puts tokens in `#access_token=`)
+    const hashIndex = url.indexOf('#');
+    const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? null : url.slice(hashIndex + 1);
+    const queryIndex = beforeHash.indexOf('?');
 
-      return urlObj.toString();
-    } catch (error) {
-      // If URL parsing fails, return original
-      return url;
+    let result =
+      queryIndex === -1
+        ? beforeHash
+        : `${beforeHash.slice(0, queryIndex + 1)}${this._redactQuery(
+            beforeHash.slice(queryIndex + 1),
+            effectiveOptions,
+            effectiveOptions.sensitiveParams
+          )}`;
+    if (hash !== null) {
+      result += `#${
+        hash.includes('=')
+          ? this._redactQuery(
+              hash,
+              effectiveOptions,
+              effectiveOptions.sensitiveParams
+            )
+          : hash
+      }`;
     }
+    return result;
   }
 
   /**
@@ -167,6 +265,103 @@ class NetworkSanitizer {
     return sanitized;
   }
 
+  /**
+   * Redact a string body: JSON, URL-encoded or multipart form data
+   * @private
+   */
+  _redactBodyString(body, options) {
+    const trimmed = body.trim();
+
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        const redacted = JSON.stringify(this._redactValue(parsed, options));
+        // Keep the original formatting when nothing was redacted
+        return redacted === JSON.stringify(parsed) ? body : redacted;
+      } catch (error) {
+        // Not JSON after all (or truncated); fall through
+      }
+    }
+
+    if (/^Content-Disposition:|^--/im.test(trimmed)) {
+      return this._redactMultipart(body, options);
+    }
+
+    if (/^[^\s=&]+=[^\s&]*(?:&[^\s=&]+=?[^\s&]*)*$/.test(trimmed)) {
+      return this._redactQuery(trimmed, options);
+    }
+
+    return body;
+  }
+
+  /**
+   * Redact values of sensitive keys in parsed JSON, keeping its shape
+   * @private
+   */
+  _redactValue(value, options, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 20) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._redactValue(item, options, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] =
+        this.isSensitiveKey(key, options) &&
+        child !== null &&
+        typeof child !== 'object'
+          ? '[REDACTED]'
+          : this._redactValue(child, options, depth + 1);
+    }
+    return result;
+  }
+
+  /**
+   * Redact `name=value` pairs of a query string or URL-encoded body
+   * @private
+   */
+  _redactQuery(query, options, exactNames = []) {
+    return query
+      .split('&')
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          return pair;
+        }
+
+        const rawName = pair.slice(0, separator);
+        let name = rawName;
+        try {
+          name = decodeURIComponent(rawName.replace(/\+/g, ' '));
+        } catch (error) {
+          // Keep malformed names as they are
+        }
+
+        return this.isSensitiveKey(name, options) ||
+          exactNames.includes(name.toLowerCase())
+          ? `${rawName}=${encodeURIComponent('[REDACTED]')}`
+          : pair;
+      })
+      .join('&');
+  }
+
+  /**
+   * Redact values of sensitive fields in a multipart/form-data body
+   * @private
+   */
+  _redactMultipart(body, options) {
+    return body.replace(
+      /(Content-Disposition:[^\r\n]*\bname="([^"]*)"[^\r\n]*\r?\n(?:[^\r\n]+\r?\n)*\r?\n)[\s\S]*?(?=\r?\n--)/gi,
+      (match, head, name) =>
+        this.isSensitiveKey(name, options) && !/\bfilename=/i.test(head)
+          ? `${head}[REDACTED]`
+          : match
+    );
+  }
+
   /**
    * Remove sensitive information from request data
    * @param {Object} requestData - Request data to sanitize
@@ -15,6 +15,51 @@ export interface ConsoleLogPipeInitOptions {
    * Defaults to 'localhost'
    */
   serverHost?: string;
+
+  /**
+   * Transport to the CLI server (optional)
+   * Defaults to 'auto': WebSocket, falling back to HTTP POST when blocked
+   */
+  transport?: 'auto' | 'websocket' | 'http';
+
+  /**
+   * Token of a CLI server started with `clp start --token` (optional)
+   */
+  authToken?: string;
+
+  /**
+   * Reconnect attempts that back off exponentially from retryDelay
+   * (optional). The client never gives up: after these attempts it keeps
+   * retrying every maxRetryDelay ms. Defaults to 3.
+   */
+  maxRetries?: number;
+
+  /**
+   * ms before the first reconnect attempt, doubled on each attempt
+   * (optional). Defaults to 1000.
+   */
+  retryDelay?: number;
+
+  /**
+   * Longest wait between reconnect attempts in ms (optional)
+   * Defaults to 10000
+   */
+  maxRetryDelay?: number;
+
+  /**
+   * Body fields and query parameters redacted from captured requests
+   * (optional). A field is redacted when its name contains one of these as
+   * whole words (camelCase, snake_case or kebab-case parts), ignoring case.
+   * Defaults to password, token, secret, apikey, ssn, cardnumber, cvv and
+   * similar.
+   */
+  sensitiveKeys?: string[];
+
+  /**
+   * Query parameters redacted on an exact name match (optional)
+   * Defaults to key, auth, code, sig and signature
+   */
+  sensitiveParams?: string[];
 }
 
 export interface ConsoleLogPipeInstance {
@@ -61,6 +61,12 @@ global.WebSocket = jest.fn().mockImplementation(() => {
   return mockWebSocketInstance;
 });
 
+// Frames sent over the mock socket, without the hello handshake
+const sentFrames = () =>
+  mockWebSocketInstance.send.mock.calls
+    .map(([raw]) => JSON.parse(raw))
+    .filter(frame => frame.type !== 'hello');
+
 global.WebSocket.CONNECTING = 0;
 global.WebSocket.OPEN = 1;
 global.WebSocket.CLOSING = 2;
@@ -498,6 +504,121 @@ describe('ConsoleLogPipe', () => {
       );
     });
 
+    it('should tag error and network data for the transport', () => {
+      consoleLogPipe.components.transport.send = jest.fn();
+
+      consoleLogPipe._handleErrorData({ message: 'boom', stack: 'at app.js' });
+      consoleLogPipe._handleNetworkData({
+        subtype: 'response',
+        request: { url: '/api/users', method: 'GET' },
+      });
+
+      const [[errorEntry], [networkEntry]] =
+        consoleLogPipe.components.transport.send.mock.calls;
+      expect(errorEntry).toMatchObject({
+        type: 'error',
+        message: 'boom',
+        stack: 'at app.js',
+        sessionId: 'test-session-123',
+      });
+      expect(networkEntry).toMatchObject({
+        type: 'network',
+        request: { url: '/api/users', method: 'GET' },
+        sessionId: 'test-session-123',
+      });
+    });
+
+    it('should forward the full structured entry over the WebSocket', async () => {
+      const { transport } = consoleLogPipe.components;
+
+      transport.send({
+        type: 'network',
+        subtype: 'response',
+        request: { url: '/api/users', method: 'GET' },
+        response: { status: 200 },
+        timing: { durationMs: 12 },
+      });
+      transport.send({
+        type: 'error',
+        message: 'boom',
+        category: 'runtime',
+        error: { stack: 'at app.js:1' },
+      });
+      transport.send({ level: 'info', args: ['hello', 42] });
+      await transport.flush();
+
+      const { messages } = sentFrames()[0];
+      expect(messages[0]).toMatchObject({
+        type: 'network',
+        data: {
+          request: { url: '/api/users', method: 'GET' },
+          response: { status: 200 },
+          timing: { durationMs: 12 },
+          source: 'browser',
+        },
+      });
+      expect(messages[1]).toMatchObject({
+        type: 'error',
+        data: { category: 'runtime', error: { stack: 'at app.js:1' } },
+      });
+      expect(messages[2]).toMatchObject({
+        type: 'log',
+        data: { type: 'log', level: 'info', message: 'hello 42' },
+      });
+    });
+
+    it('should serialize circular structures', async () => {
+      const { transport } = consoleLogPipe.components;
+      const context = { name: 'ctx' };
+      context.self = context;
+
+      transport.send({ level: 'info', message: 'circular', context });
+      await transport.flush();
+
+      const message = sentFrames()[0];
+      expect(message.data.context.self).toBe('[Circular]');
+    });
+
+    it('should say hello as a producer with its session when the WebSocket opens', () => {
+      const [hello] = mockWebSocketInstance.send.mock.calls.map(([raw]) =>
+        JSON.parse(raw)
+      );
+
+      expect(hello).toEqual({
+        type: 'hello',
+        role: 'producer',
+        capabilities: expect.arrayContaining(['batch', 'ack']),
+        session: expect.objectContaining({
+          sessionId: 'test-session-123',
+          tabId: consoleLogPipe.config.tabId,
+          applicationName: 'test-app',
+        }),
+      });
+    });
+
+    it('should count acks and flush on server command', () => {
+      const { transport } = consoleLogPipe.components;
+      transport.send({ level: 'info', message: 'pending' });
+      expect(sentFrames()).toHaveLength(0);
+
+      mockWebSocketInstance.onmessage({
+        data: JSON.stringify({ type: 'command', command: 'flush' }),
+      });
+      expect(sentFrames()).toHaveLength(1);
+
+      mockWebSocketInstance.onmessage({
+        data: JSON.stringify({ type: 'ack', received: 1 }),
+      });
+      expect(transport.getStats().messagesAcked).toBe(1);
+    });
+
+    it('should keep the tab id across instances in the same tab', () => {
+      const other = new ConsoleLogPipe({ applicationName: 'test-app' });
+
+      expect(consoleLogPipe.config.tabId).toMatch(/^tab_/);
+      expect(other.config.tabId).toBe(consoleLogPipe.config.tabId);
+    });
+
     it('should handle data without transport', () => {
       const clp = new ConsoleLogPipe({
         applicationName: 'test',
@@ -511,6 +632,334 @@ describe('ConsoleLogPipe', () => {
     });
   });
 
+  describe('transport queue', () => {
+    const createTransport = options => {
+      const clp = new ConsoleLogPipe({
+        applicationName: 'test-app',
+        sessionId: 'test-session-123',
+        ...options,
+      });
+      return clp._createWebSocketTransport();
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should send a batch when batchSize entries are queued', async () => {
+      const transport = createTransport({ batchSize: 2 });
+      const connected = transport.initialize();
+      jest.advanceTimersByTime(0);
+      await connected;
+
+      transport.send({ level: 'info', message: 'one' });
+      expect(sentFrames()).toHaveLength(0);
+
+      transport.send({ level: 'info', message: 'two' });
+      const frame = sentFrames()[0];
+      expect(frame.type).toBe('batch');
+      expect(frame.messages.map(message => message.data.message)).toEqual([
+        'one',
+        'two',
+      ]);
+      expect(transport.getStats().messagesSent).toBe(2);
+      transport.destroy();
+    });
+
+    it('should send partial batches after batchTimeout', async () => {
+      const transport = createTransport({ batchTimeout: 500 });
+      const connected = transport.initialize();
+      jest.advanceTimersByTime(0);
+      await connected;
+
+      transport.send({ level: 'info', message: 'lonely' });
+      jest.advanceTimersByTime(499);
+      expect(sentFrames()).toHaveLength(0);
+
+      jest.advanceTimersByTime(1);
+      expect(sentFrames()[0]).toMatchObject({
+        type: 'log',
+        data: { message: 'lonely' },
+      });
+      transport.destroy();
+    });
+
+    it('should buffer while disconnected and drop the oldest entries', () => {
+      const transport = createTransport({ maxQueueSize: 2 });
+
+      transport.send({ level: 'info', message: 'one' });
+      transport.send({ level: 'info', message: 'two' });
+      transport.send({ level: 'info', message: 'three' });
+
+      expect(transport.queue.map(message => message.data.message)).toEqual([
+        'two',
+        'three',
+      ]);
+      expect(transport.getStats()).toMatchObject({
+        messagesQueued: 2,
+        messagesDropped: 1,
+      });
+    });
+
+    it('should reconnect with backoff and deliver queued entries', async () => {
+      const transport = createTransport({ retryDelay: 100, maxRetries: 3 });
+      const connected = transport.initialize();
+      jest.advanceTimersByTime(0);
+      await connected;
+
+      transport.send({ level: 'info', message: 'before restart' });
+      mockWebSocketInstance.onclose();
+      transport.send({ level: 'info', message: 'while offline' });
+      expect(transport.getStats()).toMatchObject({
+        connected: false,
+        reconnectAttempts: 1,
+        messagesQueued: 2,
+      });
+
+      const WebSocketCalls = global.WebSocket.mock.calls.length;
+      jest.advanceTimersByTime(99);
+      expect(global.WebSocket.mock.calls).toHaveLength(WebSocketCalls);
+
+      jest.advanceTimersByTime(1);
+      expect(global.WebSocket.mock.calls).toHaveLength(WebSocketCalls + 1);
+
+      // The mock socket opens on the next tick
+      jest.advanceTimersByTime(1);
+
+      const frame = sentFrames()[0];
+      expect(frame.messages.map(message => message.data.message)).toEqual([
+        'before restart',
+        'while offline',
+      ]);
+      expect(transport.getStats()).toMatchObject({
+        connected: true,
+        reconnectAttempts: 0,
+        messagesQueued: 0,
+      });
+      transport.destroy();
+    });
+
+    it('should keep reconnecting at a capped delay after maxRetries failures', () => {
+      const transport = createTransport({ retryDelay: 100, maxRetries: 2 });
+      // Every attempt fails
+      const reconnect = jest
+        .spyOn(transport, '_reconnect')
+        .mockImplementation(() => transport._scheduleReconnect());
+      transport._scheduleReconnect();
+
+      // 100ms and 200ms backoff, then every 10s
+      jest.advanceTimersByTime(300);
+      expect(reconnect).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(9999);
+      expect(reconnect).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(1);
+      expect(reconnect).toHaveBeenCalledTimes(3);
+      jest.advanceTimersByTime(60000);
+      expect(reconnect).toHaveBeenCalledTimes(9);
+      expect(transport.reconnectTimer).not.toBeNull();
+
+      transport.destroy();
+      expect(transport.reconnectTimer).toBeNull();
+    });
+
+    it('should honor maxRetryDelay', () => {
+      const transport = createTransport({
+        retryDelay: 100,
+        maxRetries: 5,
+        maxRetryDelay: 250,
+      });
+      const reconnect = jest
+        .spyOn(transport, '_reconnect')
+        .mockImplementation(() => transport._scheduleReconnect());
+      transport._scheduleReconnect();
+
+      // 100ms, 200ms, then capped at 250ms
+      jest.advanceTimersByTime(300);
+      expect(reconnect).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(250);
+      expect(reconnect).toHaveBeenCalledTimes(3);
+      jest.advanceTimersByTime(1000);
+      expect(reconnect).toHaveBeenCalledTimes(7);
+
+      transport.destroy();
+    });
+
+    it('should not reconnect after destroy', async () => {
+      const transport = createTransport({ retryDelay: 100 });
+      const connected = transport.initialize();
+      jest.advanceTimersByTime(0);
+      await connected;
+
+      const socket = mockWebSocketInstance;
+      transport.destroy();
+
+      expect(socket.close).toHaveBeenCalled();
+      expect(transport.reconnectTimer).toBeNull();
+    });
+  });
+
+  describe('http transport', () => {
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      delete navigator.sendBeacon;
+    });
+
+    it('should fall back to HTTP when WebSocket is blocked', async () => {
+      global.WebSocket.mockImplementationOnce(() => {
+        throw new Error('Refused to connect: Content Security Policy');
+      });
+
+      await consoleLogPipe.init();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/health'
+      );
+      expect(consoleLogPipe.components.transport.type).toBe('http');
+    });
+
+    it('should keep the WebSocket transport when the server is down', async () => {
+      global.WebSocket.mockImplementationOnce(() => {
+        throw new Error('Connection refused');
+      });
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await consoleLogPipe.init();
+
+      expect(consoleLogPipe.components.transport.type).toBe('websocket');
+      expect(consoleLogPipe.components.transport.getStats().connected).toBe(
+        false
+      );
+    });
+
+    it('should POST batches to serverPath when configured for HTTP', async () => {
+      const clp = new ConsoleLogPipe({
+        sessionId: 'test-session-123',
+        transport: 'http',
+        batchSize: 2,
+      });
+      await clp.init();
+      const { transport } = clp.components;
+
+      transport.send({ level: 'info', message: 'one' });
+      transport.send({ type: 'error', message: 'two' });
+      await transport.flush();
+
+      expect(global.WebSocket).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/logs',
+        expect.objectContaining({ method: 'POST' })
+      );
+      const { logs } = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(logs.map(entry => [entry.type, entry.message])).toEqual([
+        ['log', 'one'],
+        ['error', 'two'],
+      ]);
+      expect(transport.getStats().messagesSent).toBe(2);
+      await clp.destroy();
+    });
+
+    it('should keep entries queued when a request fails', async () => {
+      const clp = new ConsoleLogPipe({ transport: 'http', retryDelay: 60000 });
+      await clp.init();
+      const { transport } = clp.components;
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+
+      transport.send({ level: 'info', message: 'retry me' });
+      await transport.flush();
+      await flushPromises();
+
+      expect(transport.getStats()).toMatchObject({
+        connected: false,
+        messagesSent: 0,
+        messagesQueued: 1,
+        reconnectAttempts: 1,
+      });
+
+      await transport.flush();
+      expect(transport.getStats()).toMatchObject({
+        connected: true,
+        messagesSent: 1,
+        messagesQueued: 0,
+      });
+      await clp.destroy();
+    });
+
+    it('should send queued entries with sendBeacon on pagehide', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+      await consoleLogPipe.init();
+      const { transport } = consoleLogPipe.components;
+
+      transport.send({ level: 'warn', message: 'leaving' });
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(
+        'http://localhost:3001/api/logs',
+        expect.any(String)
+      );
+      const { logs } = JSON.parse(navigator.sendBeacon.mock.calls[0][1]);
+      expect(logs).toEqual([
+        expect.objectContaining({ level: 'warn', message: 'leaving' }),
+      ]);
+      expect(transport.getStats().messagesQueued).toBe(0);
+    });
+
+    it('should send the auth token on every transport', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+      const socket = new ConsoleLogPipe({ authToken: 's3cret' });
+      await socket.init();
+      expect(global.WebSocket).toHaveBeenCalledWith(
+        'ws://localhost:3001?token=s3cret'
+      );
+
+      const http = new ConsoleLogPipe({
+        transport: 'http',
+        authToken: 's3cret',
+      });
+      await http.init();
+      const { transport } = http.components;
+      transport.send({ level: 'info', message: 'one' });
+      await transport.flush();
+      expect(global.fetch.mock.calls[0][1].headers).toEqual({
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer s3cret',
+      });
+
+      transport.send({ level: 'info', message: 'two' });
+      window.dispatchEvent(new Event('pagehide'));
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(
+        'http://localhost:3001/api/logs?token=s3cret',
+        expect.any(String)
+      );
+
+      await socket.destroy();
+      await http.destroy();
+    });
+
+    it('should not capture its own requests to the server', async () => {
+      const { NetworkCapture } = require('../src/core/network');
+
+      await consoleLogPipe.init();
+
+      expect(NetworkCapture).toHaveBeenCalledWith(
+        expect.objectContaining({
+          excludeUrls: expect.arrayContaining([
+            'http://localhost:3001/api/logs',
+          ]),
+        })
+      );
+    });
+  });
+
   describe('edge cases', () => {
     it('should handle missing console', () => {
       const originalConsole = global.console;
@@ -441,6 +441,7 @@ describe('ErrorCapture', () => {
         file: 'test.js',
         line: 10,
         column: 5,
+        inApp: true,
       });
     });
 
@@ -482,6 +483,7 @@ describe('ErrorCapture', () => {
         file: 'test.js',
         line: 10,
         column: 5,
+        inApp: true,
       });
 
       const frame2 = errorCapture._parseStackFrame('at test.js:10:5');
@@ -490,11 +492,49 @@ describe('ErrorCapture', () => {
         file: 'test.js',
         line: 10,
         column: 5,
+        inApp: true,
       });
 
       const invalidFrame = errorCapture._parseStackFrame('invalid stack frame');
       expect(invalidFrame).toBeNull();
     });
+
+    test('should parse Firefox and Safari stack traces', () => {
+      const mockError = new Error('Test error');
+      mockError.stack = `testFunction@http://localhost:3000/test.js:10:5
+async*anotherFunction@http://localhost:3000/another.js:20:10
+map@[native code]`;
+
+      const stackTrace = errorCapture._processStackTrace({ error: mockError });
+
+      expect(stackTrace.parsed).toHaveLength(3);
+      expect(stackTrace.parsed[0]).toEqual({
+        function: 'testFunction',
+        file: 'http://localhost:3000/test.js',
+        line: 10,
+        column: 5,
+        inApp: true,
+      });
+      expect(stackTrace.parsed[1].async).toBe(true);
+      expect(stackTrace.parsed[2].native).toBe(true);
+    });
+
+    test('should tag errors thrown from library code', () => {
+      const mockError = new Error('Test error');
+      mockError.stack = `Error: Test error
+    at JSON.parse (<anonymous>)
+    at render (http://localhost:3000/node_modules/lib/index.js:1:2)
+    at App (http://localhost:3000/src/App.js:5:3)`;
+
+      const entry = errorCapture._createErrorEntry('javascript', {
+        message: 'Test error',
+        error: mockError,
+      });
+
+      expect(entry.stackTrace[1].inApp).toBe(false);
+      expect(entry.stackTrace[2].inApp).toBe(true);
+      expect(entry.tags).toContain('library');
+    });
   });
 
   describe('Error Serialization', () => {
@@ -0,0 +1,245 @@
+/**
+ * StackParser Tests
+ */
+
+const StackParser = require('../../src/core/StackParser');
+
+describe('StackParser', () => {
+  describe('V8 (Chrome, Edge)', () => {
+    it('should parse named and anonymous frames', () => {
+      const frames =
+        StackParser.parse(`TypeError: Cannot read properties of undefined
+    at Cart.total (http://localhost:3000/src/cart.js:12:19)
+    at http://localhost:3000/src/main.js:4:7
+    at new Checkout (http://localhost:3000/src/checkout.js:8:3)`);
+
+      expect(frames).toEqual([
+        {
+          function: 'Cart.total',
+          file: 'http://localhost:3000/src/cart.js',
+          line: 12,
+          column: 19,
+          inApp: true,
+        },
+        {
+          function: 'anonymous',
+          file: 'http://localhost:3000/src/main.js',
+          line: 4,
+          column: 7,
+          inApp: true,
+        },
+        {
+          function: 'new Checkout',
+          file: 'http://localhost:3000/src/checkout.js',
+          line: 8,
+          column: 3,
+          inApp: true,
+        },
+      ]);
+    });
+
+    it('should mark async frames', () => {
+      expect(
+        StackParser.parseFrame(
+          '    at async loadUser (http://localhost:3000/src/api.js:20:5)'
+        )
+      ).toEqual({
+        function: 'loadUser',
+        file: 'http://localhost:3000/src/api.js',
+        line: 20,
+        column: 5,
+        inApp: true,
+        async: true,
+      });
+    });
+
+    it('should point eval frames at the eval call', () => {
+      expect(
+        StackParser.parseFrame(
+          '    at eval (eval at run (http://localhost:3000/app.js:3:9), <anonymous>:1:7)'
+        )
+      ).toEqual({
+        function: 'eval',
+        file: 'http://localhost:3000/app.js',
+        line: 3,
+        column: 9,
+        inApp: true,
+        eval: true,
+      });
+
+      expect(
+        StackParser.parseFrame(
+          '    at eval (eval at a (eval at b (http://localhost:3000/app.js:5:2), <anonymous>:1:1), <anonymous>:2:2)'
+        ).line
+      ).toBe(5);
+    });
+
+    it('should mark native frames', () => {
+      expect(StackParser.parseFrame('    at Array.map (<anonymous>)')).toEqual({
+        function: 'Array.map',
+        file: null,
+        line: null,
+        column: null,
+        inApp: false,
+        native: true,
+      });
+      expect(
+        StackParser.parseFrame('    at async Promise.all (index 0)')
+      ).toMatchObject({ function: 'Promise.all', native: true, async: true });
+      expect(StackParser.parseFrame('    at JSON.parse (native)').native).toBe(
+        true
+      );
+    });
+
+    it('should parse frames from code run in the console', () => {
+      expect(StackParser.parseFrame('    at <anonymous>:1:5')).toMatchObject({
+        function: 'anonymous',
+        file: '<anonymous>',
+        line: 1,
+        column: 5,
+      });
+    });
+
+    it('should skip message lines and frames without a location', () => {
+      expect(
+        StackParser.parseFrame('Error: mail me@example.com:1:2')
+      ).toBeNull();
+      expect(StackParser.parseFrame('    at testFunction')).toBeNull();
+    });
+  });
+
+  describe('SpiderMonkey (Firefox)', () => {
+    it('should parse frames', () => {
+      const frames =
+        StackParser.parse(`total@http://localhost:3000/src/cart.js:12:19
+@http://localhost:3000/src/main.js:4:7
+render/<@http://localhost:3000/src/view.js:30:11`);
+
+      expect(frames).toEqual([
+        {
+          function: 'total',
+          file: 'http://localhost:3000/src/cart.js',
+          line: 12,
+          column: 19,
+          inApp: true,
+        },
+        {
+          function: 'anonymous',
+          file: 'http://localhost:3000/src/main.js',
+          line: 4,
+          column: 7,
+          inApp: true,
+        },
+        {
+          function: 'render',
+          file: 'http://localhost:3000/src/view.js',
+          line: 30,
+          column: 11,
+          inApp: true,
+        },
+      ]);
+    });
+
+    it('should mark async frames', () => {
+      expect(
+        StackParser.parseFrame(
+          'async*loadUser@http://localhost:3000/src/api.js:20:5'
+        )
+      ).toMatchObject({ function: 'loadUser', line: 20, async: true });
+    });
+
+    it('should point eval frames at the eval call', () => {
+      expect(
+        StackParser.parseFrame(
+          '@http://localhost:3000/app.js line 3 > eval:1:7'
+        )
+      ).toEqual({
+        function: 'anonymous',
+        file: 'http://localhost:3000/app.js',
+        line: 3,
+        column: null,
+        inApp: true,
+        eval: true,
+      });
+      expect(
+        StackParser.parseFrame(
+          'build@http://localhost:3000/app.js line 8 > Function:2:1'
+        )
+      ).toMatchObject({ function: 'build', line: 8, eval: true });
+    });
+
+    it('should parse frames without a column', () => {
+      expect(
+        StackParser.parseFrame('total@http://localhost:3000/cart.js:12')
+      ).toMatchObject({ line: 12, column: null });
+    });
+  });
+
+  describe('JavaScriptCore (Safari)', () => {
+    it('should parse frames', () => {
+      const frames =
+        StackParser.parse(`total@http://localhost:3000/src/cart.js:12:19
+map@[native code]
+global code@http://localhost:3000/src/main.js:4:7
+eval code@
+module code@http://localhost:3000/src/index.js:1:8`);
+
+      expect(frames.map(frame => frame.function)).toEqual([
+        'total',
+        'map',
+        'global code',
+        'module code',
+      ]);
+      expect(frames[1]).toEqual({
+        function: 'map',
+        file: null,
+        line: null,
+        column: null,
+        inApp: false,
+        native: true,
+      });
+    });
+  });
+
+  describe('library frames', () => {
+    it.each([
+      'http://localhost:3000/node_modules/react-dom/cjs/react-dom.development.js',
+      'http://localhost:5173/node_modules/.vite/deps/react.js?v=1a2b',
+      'http://localhost:3000/static/js/vendors~main.chunk.js',
+      'http://localhost:8080/js/chunk-vendors.js',
+      'https://cdn.jsdelivr.net/npm/lodash@4/lodash.min.js',
+      'https://unpkg.com/@kansnpms/console-log-pipe-client',
+      'chrome-extension://abcdef/content.js',
+      'webpack:///webpack/bootstrap',
+    ])('should mark %s as a library file', file => {
+      expect(StackParser.isLibraryFile(file)).toBe(true);
+      expect(StackParser.parseFrame(`fn@${file}:1:2`).inApp).toBe(false);
+    });
+
+    it.each([
+      'http://localhost:3000/src/cart.js',
+      'http://localhost:3000/static/js/main.chunk.js',
+      'webpack:///./src/components/Cart.jsx',
+    ])('should mark %s as an app file', file => {
+      expect(StackParser.isLibraryFile(file)).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    it('should return an empty array for empty stacks', () => {
+      expect(StackParser.parse('')).toEqual([]);
+      expect(StackParser.parse(null)).toEqual([]);
+    });
+
+    it('should limit the number of frames', () => {
+      const stack = Array.from(
+        { length: 5 },
+        (_, i) => `fn${i}@http://localhost/app.js:${i + 1}:1`
+      ).join('\n');
+
+      expect(StackParser.parse(stack, 2).map(frame => frame.line)).toEqual([
+        1, 2,
+      ]);
+    });
+  });
+});
@@ -677,18 +677,21 @@ describe('LogUtils', () => {
         file: 'file.js',
         line: 10,
         column: 5,
+        inApp: true,
       });
       expect(result[1]).toEqual({
         function: 'anotherFunction',
         file: 'another.js',
         line: 20,
         column: 10,
+        inApp: true,
       });
       expect(result[2]).toEqual({
         function: 'Object.method',
         file: 'object.js',
         line: 30,
         column: 15,
+        inApp: true,
       });
     });
 
@@ -747,6 +750,7 @@ describe('LogUtils', () => {
         file: 'file.js',
         line: 10,
         column: 5,
+        inApp: true,
       });
     });
   });
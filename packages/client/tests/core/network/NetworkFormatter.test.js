@@ -28,6 +28,7 @@ describe('NetworkFormatter', () => {
         .fn()
         .mockReturnValue({ 'content-type': 'application/json' }),
       sanitizeBody: jest.fn().mockReturnValue('sanitized-body'),
+      sanitizeUrl: jest.fn(url => url),
     };
     NetworkSanitizer.mockImplementation(() => mockSanitizer);
 
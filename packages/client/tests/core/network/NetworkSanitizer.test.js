@@ -165,6 +165,135 @@ describe('NetworkSanitizer', () => {
       const result = sanitizer.sanitizeBody(circular);
       expect(result).toContain('[Unserializable body:');
     });
+
+    it('should redact sensitive keys at any depth in objects', () => {
+      const result = sanitizer.sanitizeBody({
+        user: { name: 'ada', password: 'hunter2' },
+        payment: [{ cardNumber: '4111111111111111', cvv: 123, brand: 'visa' }],
+        access_token: 'abc',
+      });
+
+      expect(JSON.parse(result)).toEqual({
+        user: { name: 'ada', password: '[REDACTED]' },
+        payment: [
+          { cardNumber: '[REDACTED]', cvv: '[REDACTED]', brand: 'visa' },
+        ],
+        access_token: '[REDACTED]',
+      });
+    });
+
+    it('should redact JSON string bodies and keep clean ones verbatim', () => {
+      const login = sanitizer.sanitizeBody(
+        '{"email":"ada@example.com","password":"hunter2"}'
+      );
+      const clean = '{\n  "page": 2\n}';
+
+      expect(JSON.parse(login)).toEqual({
+        email: 'ada@example.com',
+        password: '[REDACTED]',
+      });
+      expect(sanitizer.sanitizeBody(clean)).toBe(clean);
+    });
+
+    it('should redact URL-encoded bodies', () => {
+      expect(
+        sanitizer.sanitizeBody('username=ada&pass_word=hunter2&remember=1')
+      ).toBe('username=ada&pass_word=%5BREDACTED%5D&remember=1');
+      expect(
+        sanitizer.sanitizeBody(
+          new URLSearchParams({ grant_type: 'refresh', refresh_token: 'r1' })
+        )
+      ).toBe('grant_type=refresh&refresh_token=%5BREDACTED%5D');
+    });
+
+    it('should redact multipart bodies', () => {
+      const body = [
+        '------boundary',
+        'Content-Disposition: form-data; name="username"',
+        '',
+        'ada',
+        '------boundary',
+        'Content-Disposition: form-data; name="password"',
+        '',
+        'hunter2',
+        '------boundary--',
+      ].join('\r\n');
+
+      const result = sanitizer.sanitizeBody(body);
+
+      expect(result).toContain('ada');
+      expect(result).toContain(
+        'name="password"\r\n\r\n[REDACTED]\r\n------boundary--'
+      );
+      expect(result).not.toContain('hunter2');
+    });
+
+    it('should redact FormData fields', () => {
+      const formData = new FormData();
+      formData.append('email', 'ada@example.com');
+      formData.append('ssn', '078-05-1120');
+
+      expect(sanitizer.sanitizeBody(formData)).toBe(
+        'FormData: email=ada@example.com&ssn=[REDACTED]'
+      );
+    });
+
+    it('should match sensitive keys as whole words only', () => {
+      expect(
+        JSON.parse(
+          sanitizer.sanitizeBody({
+            model: 'gpt',
+            max_tokens: 256,
+            usage: { total_tokens: 300, prompt_tokens: 44 },
+            discard: true,
+            cardinality: 12,
+            cardId: 'c_1',
+            tokenizer: 'bpe',
+            accessToken: 'a1',
+            ACCESS_TOKEN: 'a2',
+            'x-api-key': 'k1',
+            APIKey: 'k2',
+            credit_card: '4111',
+            userSSN: '078-05-1120',
+          })
+        )
+      ).toEqual({
+        model: 'gpt',
+        max_tokens: 256,
+        usage: { total_tokens: 300, prompt_tokens: 44 },
+        discard: true,
+        cardinality: 12,
+        cardId: 'c_1',
+        tokenizer: 'bpe',
+        accessToken: '[REDACTED]',
+        ACCESS_TOKEN: '[REDACTED]',
+        'x-api-key': '[REDACTED]',
+        APIKey: '[REDACTED]',
+        credit_card: '[REDACTED]',
+        userSSN: '[REDACTED]',
+      });
+    });
+
+    it('should use custom sensitive keys', () => {
+      const custom = new NetworkSanitizer({ sensitiveKeys: ['pin'] });
+
+      expect(custom.sanitizeBody({ pin: '1234', password: 'kept' })).toBe(
+        '{"pin":"[REDACTED]","password":"kept"}'
+      );
+    });
+
+    it('should redact before truncating', () => {
+      const truncating = new NetworkSanitizer({ maxBodySize: 40 });
+
+      const result = truncating.sanitizeBody({
+        token: 'secret-value',
+        padding: 'x'.repeat(100),
+      });
+
+      expect(result).toContain('[REDACTED]');
+      expect(result).toContain('...[TRUNCATED]');
+      expect(result).not.toContain('secret-value');
+    });
   });
 
   describe('sanitizeUrl', () => {
@@ -200,6 +329,24 @@ describe('NetworkSanitizer', () => {
       expect(result).toContain('secret=%5BREDACTED%5D');
       expect(result).toContain('auth=%5BREDACTED%5D');
     });
+
+    it('should redact relative URLs and keep their structure', () => {
+      expect(
+        sanitizer.sanitizeUrl('/api/me?accessToken=abc&page=2&api-key=k#top')
+      ).toBe(
+        '/api/me?accessToken=%5BREDACTED%5D&page=2&api-key=%5BREDACTED%5D#top'
+      );
+    });
+
+    it('should redact tokens in the fragment', () => {
+      expect(
+        sanitizer.sanitizeUrl(
+          'https://app.test/callback#access_token=abc&token_type=bearer&state=x'
+        )
+      ).toBe(
+        'https://app.test/callback#access_token=%5BREDACTED%5D&token_type=%5BREDACTED%5D&state=x'
+      );
+    });
   });
 
   describe('sanitizeError', () => {
@@ -45,14 +45,14 @@ describe('WebSocket Connection Integration Tests', () => {
         return;
       }
 
-      // Try to connect to a non-existent server
-      await expect(async () => {
-        clp = await ConsoleLogPipe.init({
-          port: 9999, // Non-existent port
-          applicationName: 'websocket-test',
-          enableRemoteLogging: true,
-        });
-      }).rejects.toThrow();
+      // Connecting to a non-existent server queues entries until it is up
+      clp = await ConsoleLogPipe.init({
+        port: 9999, // Non-existent port
+        applicationName: 'websocket-test',
+        enableRemoteLogging: true,
+      });
+
+      expect(clp.getStats().transport.connected).toBe(false);
     });
 
     test('should validate required configuration parameters', async () => {